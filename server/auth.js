@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+const { logger, addContext } = require('./logger');
+
+// ── Token signing ────────────────────────────────────────────────────────────
+// Access tokens are short-lived and stateless: base64url(JSON claims) + "." +
+// HMAC-SHA256 signature. Refresh tokens are opaque random strings; only their
+// SHA-256 hash is stored server-side so a DB leak can't be replayed.
+
+// A known or short secret lets anyone forge tokens, so the server refuses to
+// start with one (the .env.example placeholder, or under 32 bytes).
+const MIN_SECRET_BYTES = 32;
+const PLACEHOLDER_SECRETS = new Set(['your_random_secret']);
+
+const SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) {
+  logger.warn('AUTH_SECRET not set — using a random secret; tokens will not survive a restart');
+} else if (PLACEHOLDER_SECRETS.has(SECRET) || Buffer.byteLength(SECRET) < MIN_SECRET_BYTES) {
+  logger.error(`AUTH_SECRET must be a random string of at least ${MIN_SECRET_BYTES} bytes, e.g. openssl rand -hex 32`);
+  process.exit(1);
+}
+
+const ACCESS_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const REFRESH_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const sign = (data) => crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+
+const issueAccessToken = (username) => {
+  const payload = Buffer.from(
+    JSON.stringify({ sub: username, exp: Date.now() + ACCESS_TTL_MS })
+  ).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+// Returns the claims object, or null when the token is malformed, forged or expired.
+const verifyAccessToken = (token) => {
+  const [payload, sig] = String(token || '').split('.');
+  if (!payload || !sig) return null;
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.sub || !claims.exp || claims.exp < Date.now()) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+};
+
+const generateRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// ── Middleware ───────────────────────────────────────────────────────────────
+// Derives the caller from the Bearer token. Routes must use req.user.username
+// and never trust a username sent in the query or body. tokenExpiresAt (ms)
+// lets long-lived streams end when the token they were opened with expires.
+
+const requireAuth = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  if (!token) throw new ApiError('AUTH_REQUIRED', 'Authentication required');
+  const claims = verifyAccessToken(token);
+  if (!claims) throw new ApiError('INVALID_TOKEN', 'Invalid or expired token');
+  req.user = { username: claims.sub, tokenExpiresAt: claims.exp };
+  addContext({ username: claims.sub });
+  next();
+};
+
+module.exports = {
+  ACCESS_TTL_MS,
+  REFRESH_TTL_MS,
+  issueAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  hashToken,
+  requireAuth,
+};
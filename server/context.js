@@ -0,0 +1,144 @@
+const { countTokens, summarizeConversation } = require('./llm');
+const { repos } = require('./repositories');
+const { logger } = require('./logger');
+const { buildTree } = require('./messageTree');
+const { usageMeter } = require('./usage');
+
+// ── Context window ───────────────────────────────────────────────────────────
+// Every chat request is measured before it is sent: the system prompt, the
+// history and the new message (with its CSV context) are counted against
+// CONTEXT_TOKEN_BUDGET (default 32000). Over budget, the oldest turns are
+// condensed into a summary, which is sent at the end of the system prompt in
+// place of those messages. The newest CONTEXT_KEEP_MESSAGES (default 6)
+// messages are always sent as they are.
+//
+// Summaries roll: a new one folds in the one before it, so a request carries
+// at most one. A summary covers its branch from the first message through the
+// model message it is stored on (`contextSummary`), so later requests on that
+// branch reuse it instead of summarizing again, and other branches (an edit
+// further up) are not affected.
+//
+// History items carry the id of their saved message; without ids, or without
+// a session the caller may post in, a request is only measured. Chats send the
+// id of their saved question instead of a history, and storedHistory reads
+// the branch above it from storage, so turns the browser has not loaded (older
+// pages, a search jump) are still sent or summarized.
+
+const positiveEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? Math.floor(value) : fallback;
+};
+
+const tokenBudget = () => positiveEnv('CONTEXT_TOKEN_BUDGET', 32000);
+const keepMessages = () => positiveEnv('CONTEXT_KEEP_MESSAGES', 6);
+
+const MEMORY_HEADER =
+  'Summary of the earlier part of this conversation (those messages are no longer included below):';
+
+const withMemory = (systemPrompt, summary) =>
+  summary ? [systemPrompt, `${MEMORY_HEADER}\n\n${summary.text}`].filter(Boolean).join('\n\n') : systemPrompt;
+
+// Ids from the root of the session down to the newest saved message of
+// `history`; empty when it has none
+async function branchOf(sessionId, history) {
+  const leafId = [...history].reverse().find((m) => m.id)?.id;
+  if (!leafId) return [];
+  const tree = buildTree(await repos.messages.listTree(sessionId));
+  return tree.has(leafId) ? tree.pathTo(leafId) : [];
+}
+
+// The newest summary stored on `path`, as { id, summary }, or null
+async function newestSummary(sessionId, path) {
+  const found = await repos.messages.listSummaries(sessionId, path);
+  if (!found.length) return null;
+  const byId = new Map(found.map((m) => [m._id.toString(), m.contextSummary]));
+  const id = path.filter((p) => byId.has(p)).pop();
+  return { id, summary: byId.get(id) };
+}
+
+// Text of a stored message: code-execution answers keep theirs in `parts`
+const textOf = (m) =>
+  m.content || (m.parts || []).filter((p) => p.type === 'text').map((p) => p.text).join('\n');
+
+// The history for the saved message `messageId` (the question being answered):
+// the messages above it on its branch, as [{ id, role, content }], starting at
+// the newest summary since everything before that is in it. null when the
+// message is not in the session.
+async function storedHistory(sessionId, messageId) {
+  const tree = buildTree(await repos.messages.listTree(sessionId));
+  if (!tree.has(messageId)) return null;
+  const path = tree.pathTo(messageId).slice(0, -1);
+  const stored = path.length ? await newestSummary(sessionId, path) : null;
+  const ids = stored ? path.slice(path.indexOf(stored.id)) : path;
+  const messages = await repos.messages.listByIds(sessionId, ids);
+  return messages
+    .filter((m) => m.role === 'user' || m.role === 'model')
+    .map((m) => ({ id: m._id.toString(), role: m.role, content: textOf(m) }));
+}
+
+// Returns what to send — { systemPrompt, history } — and `context`, reported
+// to the client:
+//   { tokens, budget, condensedThroughId, condensedCount, summary? }
+// tokens is the size of the request as sent; condensedThroughId the last
+// message the summary in use covers (null when none); summary is set when
+// this request wrote a new one.
+async function fitContext({ username, sessionId, systemPrompt, history, message, model }) {
+  const budget = tokenBudget();
+  const measure = (summary, messages) =>
+    countTokens({ systemPrompt: withMemory(systemPrompt, summary), history: messages, message, model });
+
+  const path = sessionId ? await branchOf(sessionId, history) : [];
+  const onBranch = new Set(path);
+  const stored = path.length ? await newestSummary(sessionId, path) : null;
+  let summary = stored?.summary || null;
+  let condensedThroughId = stored?.id || null;
+  // Messages up to the stored summary's are already in it
+  let rest = history.slice(history.findIndex((m) => m.id === condensedThroughId) + 1);
+  let tokens = await measure(summary, rest);
+  let written = null;
+
+  // The last model message that may be condensed, leaving the newest alone
+  const cut = rest
+    .slice(0, Math.max(rest.length - keepMessages(), 0))
+    .findLastIndex((m) => m.role === 'model' && onBranch.has(m.id));
+  if (tokens > budget && cut >= 0) {
+    const condensed = rest.slice(0, cut + 1);
+    const meter = usageMeter({ username, sessionId, kind: 'summary' });
+    try {
+      const text = await summarizeConversation({
+        previousSummary: summary?.text || null,
+        messages: condensed,
+        onUsage: meter.onUsage,
+      });
+      if (text) {
+        written = { text, count: (summary?.count || 0) + condensed.length, createdAt: new Date().toISOString() };
+        condensedThroughId = condensed[condensed.length - 1].id;
+        if (!(await repos.messages.setContextSummary(sessionId, condensedThroughId, written)))
+          logger.warn('context summary not stored', { sessionId, messageId: condensedThroughId });
+        summary = written;
+        rest = rest.slice(cut + 1);
+        tokens = await measure(summary, rest);
+      }
+    } catch (err) {
+      // Send the whole history rather than fail the answer
+      logger.warn('context summary failed', { err, sessionId });
+    } finally {
+      await meter.save();
+    }
+  }
+  if (tokens > budget) logger.info('chat request over context budget', { sessionId, tokens, budget });
+
+  return {
+    systemPrompt: withMemory(systemPrompt, summary),
+    history: rest,
+    context: {
+      tokens,
+      budget,
+      condensedThroughId,
+      condensedCount: summary?.count || 0,
+      ...(written && { summary: written }),
+    },
+  };
+}
+
+module.exports = { fitContext, storedHistory };
@@ -0,0 +1,72 @@
+// ── API errors ───────────────────────────────────────────────────────────────
+// Routes throw ApiError (or let any other error propagate; Express 5 forwards
+// rejected promises) and errorHandler turns it into the one error body every
+// route answers with:
+//
+//   { error, code, ...extra }
+//
+// `code` is a stable identifier clients branch on (src/services/mongoApi.js
+// maps it to the text users see); `error` is an English description for logs
+// and API users. Validation failures add `details: [{ field, message }]`.
+// Anything that is not an ApiError is logged and answered with a generic 500
+// so driver and library messages never reach the client; that body carries the
+// request id, which finds the logged stack trace.
+
+const { logger } = require('./logger');
+
+const ERROR_STATUS = {
+  VALIDATION_FAILED: 400,
+  INVALID_ID: 400,
+  INVALID_JSON: 400,
+  AUTH_REQUIRED: 401,
+  INVALID_TOKEN: 401,
+  INVALID_CREDENTIALS: 401,
+  ACCOUNT_DISABLED: 403,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  USERNAME_TAKEN: 409,
+  CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
+  QUOTA_EXCEEDED: 429,
+  INTERNAL: 500,
+  UPSTREAM_FAILED: 502,
+};
+
+class ApiError extends Error {
+  // extra: more fields for the response body, e.g. { details } or { quota }
+  constructor(code, message, extra = {}) {
+    super(message);
+    if (!ERROR_STATUS[code]) throw new Error(`Unknown error code ${code}`);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_STATUS[code];
+    this.extra = extra;
+  }
+}
+
+// Body-parser failures carry a `type`
+const fromBodyParser = (err) => {
+  if (err.type === 'entity.too.large') return new ApiError('PAYLOAD_TOO_LARGE', `Request body larger than ${err.limit} bytes`);
+  if (err.type === 'entity.parse.failed') return new ApiError('INVALID_JSON', 'Request body is not valid JSON');
+  return null;
+};
+
+// Registered last, after every route
+function errorHandler(err, req, res, next) {
+  const apiError = err instanceof ApiError ? err : fromBodyParser(err);
+  if (res.headersSent) {
+    logger.error('error after response started', { err });
+    return res.destroy();
+  }
+  res.locals.errorCode = apiError?.code || 'INTERNAL';
+  if (apiError) return res.status(apiError.status).json({ error: apiError.message, code: apiError.code, ...apiError.extra });
+  logger.error('unhandled error', { err, method: req.method, path: req.originalUrl.split('?')[0] });
+  res.status(500).json({ error: 'Something went wrong on the server', code: 'INTERNAL', requestId: req.id });
+}
+
+// Unknown /api routes answer with the same body instead of Express's HTML page
+const notFoundHandler = (req, res, next) =>
+  next(new ApiError('NOT_FOUND', `No route for ${req.method} ${req.originalUrl.split('?')[0]}`));
+
+module.exports = { ApiError, ERROR_STATUS, errorHandler, notFoundHandler };
@@ -0,0 +1,38 @@
+const { EventEmitter } = require('events');
+
+// ── Live updates ─────────────────────────────────────────────────────────────
+// An in-process event bus. Routes publish changes to the chats a user owns or
+// is a member of, and every GET /api/events stream that user has open (one per
+// tab or device) receives them:
+//
+//   { type: 'session.created' | 'session.updated', session }
+//   { type: 'session.deleted' | 'session.restored', sessionIds }
+//   { type: 'messages.changed', sessionId, messageId?, change: 'created' | 'feedback' | 'branch' }
+//   { type: 'invites.changed' }
+//
+// plus { origin, at }: origin is the X-Client-Id of the tab that made the
+// change, so that tab can ignore its own echo. Only clients connected to this
+// server process are reached; running several instances would need a shared
+// channel (MongoDB change streams, Redis pub/sub) behind publish/subscribe.
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open stream
+
+const channel = (username) => `user:${username}`;
+
+const publish = (username, event) => bus.emit(channel(username), event);
+
+// Returns the unsubscribe function
+const subscribe = (username, listener) => {
+  bus.on(channel(username), listener);
+  return () => bus.off(channel(username), listener);
+};
+
+// Publishes a change made by the request's user to `usernames` — by default
+// the user alone; changes to a shared chat go to everyone in it
+const notify = (req, event, usernames = [req.user.username]) => {
+  const stamped = { ...event, origin: req.get('X-Client-Id') || null, at: new Date().toISOString() };
+  new Set(usernames).forEach((username) => publish(username, stamped));
+};
+
+module.exports = { publish, subscribe, notify };
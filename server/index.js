@@ -1,22 +1,88 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
-const { MongoClient, ObjectId } = require('mongodb');
 const bcrypt = require('bcryptjs');
 const cors = require('cors');
+const {
+  ACCESS_TTL_MS,
+  REFRESH_TTL_MS,
+  issueAccessToken,
+  generateRefreshToken,
+  hashToken,
+  requireAuth,
+} = require('./auth');
+const { ApiError, errorHandler, notFoundHandler } = require('./errors');
+const { logger } = require('./logger');
+const { requestTracing } = require('./tracing');
+const { renderMetrics } = require('./metrics');
+const { validate } = require('./validate');
+const {
+  SAFETY_LEVELS,
+  GENERATION_LIMITS,
+  getProvider,
+  listModels,
+  findModel,
+  resolveGeneration,
+  streamChat,
+  chatWithCsvTools,
+  generateTitle,
+} = require('./llm');
+const { connectStorage } = require('./storage');
+const { repos, initRepositories } = require('./repositories');
+const { buildTree, activeLeaf, branchInfo } = require('./messageTree');
+const searchRoutes = require('./routes/search');
+const feedbackRoutes = require('./routes/feedback');
+const usageRoutes = require('./routes/usage');
+const trashRoutes = require('./routes/trash');
+const settingsRoutes = require('./routes/settings');
+const { startTrashPurge } = require('./trash');
+const { fitContext, storedHistory } = require('./context');
+const { subscribe, notify } = require('./events');
+const { MEMBER_ROLES, roleOf, hasRole, participantsOf, requireSessionRole } = require('./members');
+const { usageMeter, quotaStatus, isBlocked, emptyUsage, addUsage } = require('./usage');
+const { EXPORT_FORMATS, buildTranscript, parseTranscript, exportFilename } = require('./transcripts');
+const {
+  PERSONA_TOOLS,
+  DEFAULT_PERSONA,
+  isBuiltIn,
+  listPersonas,
+  findPersona,
+  resolvePersona,
+  effectiveSystemPrompt,
+  formatPersona,
+} = require('./personas');
 
 const app = express();
-app.use(cors());
+app.use(requestTracing);
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+// Exported sessions embed their images, so imports get a larger body limit
+// than every other JSON route.
+const IMPORT_MAX_BYTES = '50mb';
+app.use('/api/sessions/import', express.json({ limit: IMPORT_MAX_BYTES }));
 app.use(express.json({ limit: '10mb' }));
 
-const URI = process.env.REACT_APP_MONGODB_URI || process.env.MONGODB_URI || process.env.REACT_APP_MONGO_URI;
-const DB = 'chatapp';
+let storageDriver;
 
-let db;
+// Accounts that always get the admin role (comma separated, promoted on start
+// and at signup). Admins can grant the role to others from the admin view.
+const ADMIN_USERNAMES = (process.env.ADMIN_USERNAMES || '')
+  .split(',')
+  .map((name) => name.trim().toLowerCase())
+  .filter(Boolean);
 
 async function connect() {
-  const client = await MongoClient.connect(URI);
-  db = client.db(DB);
-  console.log('MongoDB connected');
+  const { driver, db, blobs } = await connectStorage();
+  storageDriver = driver;
+  initRepositories(db, blobs);
+  await repos.sessions.ensureIndexes();
+  await repos.messages.ensureIndexes();
+  await repos.attachments.ensureIndexes();
+  await repos.usage.ensureIndexes();
+  await repos.personas.ensureIndexes();
+  const migrated = await repos.messages.migrateEmbedded();
+  if (migrated) logger.info('moved embedded messages into the messages collection', { sessions: migrated });
+  if (ADMIN_USERNAMES.length) await repos.users.grantAdmin(ADMIN_USERNAMES);
+  startTrashPurge();
 }
 
 app.get('/', (req, res) => {
@@ -34,187 +100,1606 @@ app.get('/', (req, res) => {
 });
 
 app.get('/api/status', async (req, res) => {
-  try {
-    const usersCount = await db.collection('users').countDocuments();
-    const sessionsCount = await db.collection('sessions').countDocuments();
-    res.json({ usersCount, sessionsCount });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+  const usersCount = await repos.users.count();
+  const sessionsCount = await repos.sessions.count();
+  const { name: llmProvider, model: llmModel } = getProvider();
+  res.json({ usersCount, sessionsCount, storage: storageDriver, llmProvider, llmModel });
 });
 
 // ── Users ────────────────────────────────────────────────────────────────────
 
-app.post('/api/users', async (req, res) => {
-  try {
-    const { username, password, email } = req.body;
-    if (!username || !password)
-      return res.status(400).json({ error: 'Username and password required' });
-    const name = String(username).trim().toLowerCase();
-    const existing = await db.collection('users').findOne({ username: name });
-    if (existing) return res.status(400).json({ error: 'Username already exists' });
-    const hashed = await bcrypt.hash(password, 10);
-    await db.collection('users').insertOne({
-      username: name,
-      password: hashed,
-      email: email ? String(email).trim().toLowerCase() : null,
-      createdAt: new Date().toISOString(),
-    });
-    res.json({ ok: true });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+// Issues a fresh access/refresh token pair and records the refresh token hash.
+async function issueTokens(username) {
+  const refreshToken = generateRefreshToken();
+  await repos.refreshTokens.create({
+    tokenHash: hashToken(refreshToken),
+    username,
+    expiresAt: new Date(Date.now() + REFRESH_TTL_MS).toISOString(),
+  });
+  return {
+    accessToken: issueAccessToken(username),
+    refreshToken,
+    expiresIn: Math.floor(ACCESS_TTL_MS / 1000),
+  };
+}
+
+const MAX_USERNAME_LENGTH = 40;
+const MAX_PASSWORD_LENGTH = 200;
+
+const credentialsSchema = {
+  body: {
+    username: { type: 'string', required: true, trim: true, lowercase: true, max: MAX_USERNAME_LENGTH },
+    password: { type: 'string', required: true, max: MAX_PASSWORD_LENGTH },
+  },
+};
+
+const signupSchema = {
+  body: {
+    ...credentialsSchema.body,
+    email: { type: 'string', trim: true, lowercase: true, max: 254, nullable: true },
+  },
+};
+
+const refreshTokenSchema = { body: { refreshToken: { type: 'string', required: true, max: 200 } } };
+
+app.post('/api/users', validate(signupSchema), async (req, res) => {
+  const { username, password, email } = req.valid.body;
+  if (await repos.users.findByUsername(username))
+    throw new ApiError('USERNAME_TAKEN', 'Username already exists');
+  const hashed = await bcrypt.hash(password, 10);
+  await repos.users.create({
+    username,
+    password: hashed,
+    email: email || null,
+    role: ADMIN_USERNAMES.includes(username) ? 'admin' : 'user',
+  });
+  res.json({ ok: true });
 });
 
-app.post('/api/users/login', async (req, res) => {
-  try {
-    const { username, password } = req.body;
-    if (!username || !password)
-      return res.status(400).json({ error: 'Username and password required' });
-    const name = username.trim().toLowerCase();
-    const user = await db.collection('users').findOne({ username: name });
-    if (!user) return res.status(401).json({ error: 'User not found' });
-    const ok = await bcrypt.compare(password, user.password);
-    if (!ok) return res.status(401).json({ error: 'Invalid password' });
-    res.json({ ok: true, username: name });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+app.post('/api/users/login', validate(credentialsSchema), async (req, res) => {
+  const { username, password } = req.valid.body;
+  const user = await repos.users.findByUsername(username);
+  if (!user || !(await bcrypt.compare(password, user.password)))
+    throw new ApiError('INVALID_CREDENTIALS', 'Unknown username or wrong password');
+  if (user.disabled) throw new ApiError('ACCOUNT_DISABLED', 'This account has been disabled');
+  await repos.users.touch(username);
+  res.json({ ok: true, username, role: user.role || 'user', ...(await issueTokens(username)) });
+});
+
+// Rotates the refresh token: the presented one is consumed and a new pair issued.
+app.post('/api/users/refresh', validate(refreshTokenSchema), async (req, res) => {
+  const doc = await repos.refreshTokens.consume(hashToken(req.valid.body.refreshToken));
+  const user = doc && doc.expiresAt >= new Date().toISOString() && (await repos.users.findByUsername(doc.username));
+  if (!user || user.disabled) throw new ApiError('INVALID_TOKEN', 'Invalid or expired refresh token');
+  await repos.users.touch(user.username);
+  res.json({ ok: true, username: user.username, role: user.role || 'user', ...(await issueTokens(user.username)) });
+});
+
+app.post('/api/users/logout', validate({ body: { refreshToken: { type: 'string', max: 200 } } }), async (req, res) => {
+  const { refreshToken } = req.valid.body;
+  if (refreshToken) {
+    await repos.refreshTokens.revoke(hashToken(refreshToken));
   }
+  res.json({ ok: true });
+});
+
+// ── Authorization ────────────────────────────────────────────────────────────
+// Every session/message route goes through requireSessionRole
+// (server/members.js), which loads the session and checks req.user owns it or
+// is a member with a role that allows the route: viewers read, editors also
+// write messages, the owner does everything. The repositories also scope their
+// writes by both id and owner so a query can never touch another user's data;
+// routes open to members pass req.chatSession.username, the owner.
+
+// Admin routes check the role on every request (it is not in the token), so
+// revoking it or disabling the account takes effect immediately.
+const requireAdmin = async (req, res, next) => {
+  const user = await repos.users.findByUsername(req.user.username);
+  if (!user || user.disabled || user.role !== 'admin') throw new ApiError('FORBIDDEN', 'Admin access required');
+  next();
+};
+
+// Schema of the many routes addressed by /:id
+const idParams = { id: { type: 'id', required: true } };
+
+// ...and of those addressed by /:username
+const usernameParams = { username: { type: 'string', required: true, lowercase: true, max: MAX_USERNAME_LENGTH } };
+
+// ── Personas ─────────────────────────────────────────────────────────────────
+// The persona library (server/personas.js) the new-chat picker offers. System
+// prompts are left out here; admins read and edit them under /api/admin/personas.
+
+app.get('/api/personas', requireAuth, async (req, res) => {
+  const personas = await listPersonas();
+  res.json({ defaultId: DEFAULT_PERSONA, personas: await Promise.all(personas.map((p) => formatPersona(p))) });
 });
 
 // ── Sessions ─────────────────────────────────────────────────────────────────
 
-app.get('/api/sessions', async (req, res) => {
-  try {
-    const { username } = req.query;
-    if (!username) return res.status(400).json({ error: 'username required' });
-    const sessions = await db
-      .collection('sessions')
-      .find({ username })
-      .sort({ createdAt: -1 })
-      .toArray();
-    res.json(
-      sessions.map((s) => ({
-        id: s._id.toString(),
-        agent: s.agent || null,
-        title: s.title || null,
-        createdAt: s.createdAt,
-        messageCount: (s.messages || []).length,
-      }))
-    );
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+const formatShare = (share) =>
+  share ? { token: share.token, createdAt: share.createdAt, expiresAt: share.expiresAt, showUsername: share.showUsername } : null;
+
+// The session as `username` sees it. Pins, folders, tags and the share link
+// are the owner's own, so members get them empty.
+const formatSession = (s, username = s.username) => {
+  const role = roleOf(s, username);
+  const own = role === 'owner';
+  return {
+    id: s._id.toString(),
+    agent: s.agent || null,
+    title: s.title || null,
+    titleSource: s.titleSource || 'auto',
+    createdAt: s.createdAt,
+    messageCount: s.messageCount ?? 0,
+    pinned: own && !!s.pinned,
+    folder: (own && s.folder) || null,
+    tags: (own && s.tags) || [],
+    share: own ? formatShare(s.share) : null,
+    owner: s.username,
+    role,
+    members: (s.members || []).map((m) => ({ username: m.username, role: m.role })),
+    generation: s.generation ? pickGeneration(s.generation) : null,
+  };
+};
+
+// Sends everyone in the session their own view of it
+const notifySession = (req, session, type = 'session.updated') =>
+  participantsOf(session).forEach((username) =>
+    notify(req, { type, session: formatSession(session, username) }, [username])
+  );
+
+const MAX_TITLE_LENGTH = 200;
+// 'auto' is the timestamp title a chat starts with
+const TITLE_SOURCES = ['user', 'ai'];
+const MAX_FOLDER_LENGTH = 60;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+// The organization fields of PATCH /api/sessions/:id; the bulk move reuses `folder`
+const sessionFieldsSchema = {
+  pinned: { type: 'boolean' },
+  folder: { type: 'string', nullable: true, trim: true, max: MAX_FOLDER_LENGTH },
+  tags: {
+    type: 'array',
+    max: MAX_TAGS,
+    items: { type: 'string', trim: true, max: MAX_TAG_LENGTH },
+  },
+};
+
+// Drops empty values and a leading '#'; folder '' means no folder
+function normalizeSessionFields({ folder, tags, ...fields }) {
+  if (folder !== undefined) fields.folder = folder || null;
+  if (tags !== undefined) fields.tags = [...new Set(tags.map((t) => t.replace(/^#/, '')).filter(Boolean))];
+  return fields;
+}
+
+const sessionIdParam = (req) => req.valid.params.id;
+const requireOwnSession = requireSessionRole(sessionIdParam, 'owner');
+const requireSessionEditor = requireSessionRole(sessionIdParam, 'editor');
+const requireSessionViewer = requireSessionRole(sessionIdParam, 'viewer');
+
+app.get('/api/sessions', requireAuth, async (req, res) => {
+  const sessions = await repos.sessions.listByUser(req.user.username);
+  res.json(sessions.map((s) => formatSession(s, req.user.username)));
 });
 
-app.post('/api/sessions', async (req, res) => {
-  try {
-    const { username, agent } = req.body;
-    if (!username) return res.status(400).json({ error: 'username required' });
-    const { title } = req.body;
-    const result = await db.collection('sessions').insertOne({
-      username,
-      agent: agent || null,
-      title: title || null,
-      createdAt: new Date().toISOString(),
-      messages: [],
-    });
-    res.json({ id: result.insertedId.toString() });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+const createSessionSchema = {
+  body: {
+    agent: { type: 'string', nullable: true, max: 60 },
+    title: { type: 'string', nullable: true, trim: true, max: MAX_TITLE_LENGTH },
+  },
+};
+
+app.post('/api/sessions', requireAuth, validate(createSessionSchema), async (req, res) => {
+  const { agent, title } = req.valid.body;
+  if (agent && !(await findPersona(agent))) throw new ApiError('VALIDATION_FAILED', `Unknown persona "${agent}"`);
+  const id = await repos.sessions.create({ username: req.user.username, agent: agent || DEFAULT_PERSONA, title });
+  notifySession(req, await repos.sessions.findById(id), 'session.created');
+  res.json({ id });
+});
+
+// Moves the chat to the trash; POST /api/trash/restore undoes it
+app.delete('/api/sessions/:id', requireAuth, validate({ params: idParams }), requireOwnSession, async (req, res) => {
+  const deletedAt = new Date().toISOString();
+  await repos.sessions.trash([req.valid.params.id], req.user.username, deletedAt);
+  notify(req, { type: 'session.deleted', sessionIds: [req.valid.params.id] }, participantsOf(req.chatSession));
+  res.json({ ok: true, deletedAt });
+});
+
+const titleSchema = {
+  params: idParams,
+  body: {
+    title: { type: 'string', required: true, trim: true, max: MAX_TITLE_LENGTH },
+    source: { type: 'string', enum: TITLE_SOURCES, default: 'user' },
+  },
+};
+
+app.patch('/api/sessions/:id/title', requireAuth, validate(titleSchema), requireSessionEditor, async (req, res) => {
+  const { title, source } = req.valid.body;
+  const updated = await repos.sessions.setTitle(req.valid.params.id, req.chatSession.username, title, source);
+  if (!updated) throw new ApiError('CONFLICT', 'The title was set by hand and is not replaced automatically');
+  notifySession(req, await repos.sessions.findById(req.valid.params.id));
+  res.json({ ok: true, title, titleSource: source });
+});
+
+const TITLE_CONTEXT_MESSAGES = 4;
+
+// Asks the model for a descriptive title from the opening messages. Only
+// suggests — the client saves it through PATCH /title with source 'ai'.
+app.post('/api/sessions/:id/title/suggest', requireAuth, validate({ params: idParams }), requireSessionEditor, async (req, res) => {
+  const { id } = req.valid.params;
+  const messages = await repos.messages.listFirst(id, TITLE_CONTEXT_MESSAGES);
+  if (!messages.length) throw new ApiError('VALIDATION_FAILED', 'The chat has no messages yet');
+  const meter = usageMeter({ username: req.user.username, sessionId: id, kind: 'title' });
+  const title = await generateTitle(messages, meter.onUsage).finally(meter.save);
+  if (!title) throw new ApiError('UPSTREAM_FAILED', 'The model returned no title');
+  res.json({ title });
+});
+
+// Pin, move to a folder or retag one session: body is any of { pinned, folder, tags }
+app.patch(
+  '/api/sessions/:id',
+  requireAuth,
+  validate({ params: idParams, body: sessionFieldsSchema }),
+  requireOwnSession,
+  async (req, res) => {
+    const fields = normalizeSessionFields(req.valid.body);
+    if (!Object.keys(fields).length) throw new ApiError('VALIDATION_FAILED', 'Nothing to update');
+    await repos.sessions.update(req.valid.params.id, req.user.username, fields);
+    const session = await repos.sessions.findById(req.valid.params.id);
+    notifySession(req, session);
+    res.json(formatSession(session));
   }
+);
+
+// ── Generation settings ──
+// The model and sampling parameters a chat's answers are generated with (see
+// resolveGeneration in server/llm). Editors change them; every answer records
+// the settings it was generated with (`generation` on the model message).
+
+const GENERATION_FIELDS = ['model', 'temperature', 'topP', 'maxOutputTokens', 'safety'];
+
+// Stored or reported settings with unknown fields dropped; null = default
+const pickGeneration = (g) =>
+  Object.fromEntries(
+    GENERATION_FIELDS.map((field) => {
+      const value = g?.[field];
+      const valid = field === 'model' || field === 'safety' ? typeof value === 'string' : Number.isFinite(value);
+      return [field, valid ? value : null];
+    })
+  );
+
+app.get('/api/models', requireAuth, (req, res) => {
+  const { name, model } = getProvider();
+  res.json({
+    provider: name,
+    defaultModel: model,
+    models: listModels().map(({ id, label }) => ({ id, label })),
+    safetyLevels: SAFETY_LEVELS,
+    limits: GENERATION_LIMITS,
+  });
 });
 
-app.delete('/api/sessions/:id', async (req, res) => {
-  try {
-    await db.collection('sessions').deleteOne({ _id: new ObjectId(req.params.id) });
-    res.json({ ok: true });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+const generationSchema = {
+  params: idParams,
+  body: {
+    model: { type: 'string', nullable: true, max: 100 },
+    temperature: { type: 'number', nullable: true, ...GENERATION_LIMITS.temperature },
+    topP: { type: 'number', nullable: true, ...GENERATION_LIMITS.topP },
+    maxOutputTokens: { type: 'integer', nullable: true, ...GENERATION_LIMITS.maxOutputTokens },
+    safety: { type: 'string', nullable: true, enum: SAFETY_LEVELS },
+  },
+};
+
+// Replaces the chat's settings; fields left out go back to the default
+app.put(
+  '/api/sessions/:id/generation',
+  requireAuth,
+  validate(generationSchema),
+  requireSessionEditor,
+  async (req, res) => {
+    const generation = pickGeneration(req.valid.body);
+    if (generation.model && !findModel(generation.model))
+      throw new ApiError('VALIDATION_FAILED', `Unknown model "${generation.model}"`);
+    await repos.sessions.update(req.valid.params.id, req.chatSession.username, { generation });
+    const session = await repos.sessions.findById(req.valid.params.id);
+    notifySession(req, session);
+    res.json(formatSession(session, req.user.username));
+  }
+);
+
+const MAX_BULK_SESSIONS = 500;
+
+const bulkSchema = {
+  body: {
+    action: { type: 'string', required: true, enum: ['move', 'delete'] },
+    ids: { type: 'array', required: true, min: 1, max: MAX_BULK_SESSIONS, items: { type: 'id' } },
+    folder: { ...sessionFieldsSchema.folder, default: null },
+  },
+};
+
+// { action: 'move', ids, folder } or { action: 'delete', ids } (to the trash).
+// All ids must be chats the caller owns, otherwise nothing is changed.
+app.post('/api/sessions/bulk', requireAuth, validate(bulkSchema), async (req, res) => {
+  const { action, ids, folder } = req.valid.body;
+  const unique = [...new Set(ids)];
+  const found = await repos.sessions.findByIds(unique);
+  if (found.length !== unique.length || found.some((s) => s.deletedAt))
+    throw new ApiError('NOT_FOUND', 'Session not found');
+  if (found.some((s) => s.username !== req.user.username))
+    throw new ApiError('FORBIDDEN', 'You do not have access to this session');
+
+  if (action === 'delete') {
+    await repos.sessions.trash(unique, req.user.username);
+    notify(req, { type: 'session.deleted', sessionIds: unique }, found.flatMap(participantsOf));
+    return res.json({ ok: true, count: unique.length });
   }
+  await repos.sessions.updateMany(unique, req.user.username, normalizeSessionFields({ folder }));
+  for (const session of await repos.sessions.findByIds(unique)) notifySession(req, session);
+  res.json({ ok: true, count: unique.length });
 });
 
-app.patch('/api/sessions/:id/title', async (req, res) => {
-  try {
-    const { title } = req.body;
-    await db.collection('sessions').updateOne(
-      { _id: new ObjectId(req.params.id) },
-      { $set: { title } }
-    );
-    res.json({ ok: true });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// ── Attachments ──────────────────────────────────────────────────────────────
+// Images are uploaded as raw bytes (Content-Type = the image type, optional
+// X-Filename header), then referenced from messages by id. They are private to
+// the uploader, except that everyone in a chat can load and reuse the images
+// posted in it.
+
+const ATTACHMENT_MAX_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 5 * 1024 * 1024;
+
+// Allowed types, each with a magic-number check so the stored Content-Type
+// always matches the bytes.
+const ATTACHMENT_TYPES = {
+  'image/png': (b) => b.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47])),
+  'image/jpeg': (b) => b.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  'image/gif': (b) => b.subarray(0, 4).toString('latin1') === 'GIF8',
+  'image/webp': (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP',
+};
+
+const formatAttachment = (a) => ({
+  id: a._id.toString(),
+  mimeType: a.mimeType,
+  name: a.name,
+  size: a.size,
+});
+
+// Maps attachment ids sent with a message (already checked by the schema) to
+// stored references, or returns null when any is neither the user's own nor
+// already posted in the session (e.g. when editing another member's message).
+async function resolveAttachments(ids, username, sessionId) {
+  if (!ids) return [];
+  const unique = [...new Set(ids)];
+  const owned = await repos.attachments.findOwned(unique, username);
+  const byId = new Map(owned.map((a) => [a._id.toString(), a]));
+  for (const id of unique.filter((i) => !byId.has(i))) {
+    const doc = (await repos.messages.referencesAttachment(sessionId, id)) && (await repos.attachments.findById(id));
+    if (!doc) return null;
+    byId.set(id, doc);
+  }
+  return ids.map((id) => formatAttachment(byId.get(id)));
+}
+
+// The uploader, or anyone who can read a session with a message showing it
+async function canReadAttachment(doc, username, sessionId) {
+  if (doc.username === username) return true;
+  if (!sessionId) return false;
+  const session = await repos.sessions.findById(sessionId);
+  return (
+    !!session &&
+    !session.deletedAt &&
+    hasRole(session, username, 'viewer') &&
+    repos.messages.referencesAttachment(sessionId, doc._id.toString())
+  );
+}
+
+app.post(
+  '/api/attachments',
+  requireAuth,
+  express.raw({ type: () => true, limit: ATTACHMENT_MAX_BYTES }),
+  async (req, res) => {
+    const mimeType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const matchesType = ATTACHMENT_TYPES[mimeType];
+    if (!matchesType)
+      throw new ApiError(
+        'UNSUPPORTED_MEDIA_TYPE',
+        `Unsupported attachment type. Allowed: ${Object.keys(ATTACHMENT_TYPES).join(', ')}`
+      );
+    const buffer = req.body;
+    if (!Buffer.isBuffer(buffer) || !buffer.length) throw new ApiError('VALIDATION_FAILED', 'Empty upload');
+    if (!matchesType(buffer)) throw new ApiError('VALIDATION_FAILED', `File content is not ${mimeType}`);
+    let name = 'attachment';
+    try {
+      name = decodeURIComponent(req.headers['x-filename'] || '').slice(0, 200) || name;
+    } catch {
+      // Keep the default name for a malformed header
+    }
+    const doc = await repos.attachments.save({ username: req.user.username, buffer, mimeType, name });
+    res.json(formatAttachment(doc));
   }
+);
+
+// express.raw rejects oversized uploads before the route runs
+app.use('/api/attachments', (err, req, res, next) => {
+  if (err.type === 'entity.too.large')
+    return next(new ApiError('PAYLOAD_TOO_LARGE', `Attachment larger than ${ATTACHMENT_MAX_BYTES} bytes`));
+  next(err);
+});
+
+const attachmentSchema = { params: idParams, query: { session_id: { type: 'id' } } };
+
+// ?session_id= names the chat the image was posted in, for images another
+// member uploaded
+app.get('/api/attachments/:id', requireAuth, validate(attachmentSchema), async (req, res) => {
+  const doc = await repos.attachments.findById(req.valid.params.id);
+  if (!doc || !(await canReadAttachment(doc, req.user.username, req.valid.query.session_id)))
+    throw new ApiError('NOT_FOUND', 'Attachment not found');
+
+  const etag = `"${doc.sha256}"`;
+  if (req.headers['if-none-match'] === etag) return res.status(304).end();
+  res.set({
+    'Content-Type': doc.mimeType,
+    'Content-Length': doc.size,
+    'Cache-Control': 'private, max-age=31536000, immutable',
+    'X-Content-Type-Options': 'nosniff',
+    ETag: etag,
+  });
+  streamAttachment(doc, res);
 });
 
+function streamAttachment(doc, res) {
+  const stream = repos.attachments.openStream(doc._id.toString());
+  stream.on('error', (err) => {
+    if (res.headersSent) return res.destroy(err);
+    ['Content-Type', 'Content-Length', 'Cache-Control', 'ETag'].forEach((h) => res.removeHeader(h));
+    res.status(404).json({ error: 'Attachment data missing', code: 'NOT_FOUND' });
+  });
+  stream.pipe(res);
+}
+
 // ── Messages ─────────────────────────────────────────────────────────────────
 
-app.post('/api/messages', async (req, res) => {
-  try {
-    const { session_id, role, content, imageData, charts, toolCalls } = req.body;
-    if (!session_id || !role || content === undefined)
-      return res.status(400).json({ error: 'session_id, role, content required' });
+// Only the search sources the UI shows are kept from Gemini's grounding
+// metadata (it also carries a large pre-rendered search widget).
+const pickGrounding = (g) => ({
+  groundingChunks: (g.groundingChunks || [])
+    .filter((c) => c.web?.uri)
+    .map((c) => ({ web: { uri: String(c.web.uri), title: String(c.web.title || '') } })),
+  webSearchQueries: (g.webSearchQueries || []).map(String),
+});
+
+// Which route produced a model answer: the client-side CSV tools, Python code
+// execution or the Google Search streaming path (see handleSend in Chat.js).
+const ANSWER_PATHS = ['tools', 'code', 'search'];
+
+// Answers saved before `path` was recorded are classified by their content
+const answerPath = (m) =>
+  m.path || (m.toolCalls?.length ? 'tools' : m.parts?.some((p) => p.type === 'code') ? 'code' : 'search');
+
+const loadTree = async (sessionId) => buildTree(await repos.messages.listTree(sessionId));
+
+// Messages of the branch the session currently shows, oldest first
+const listActiveBranch = async (session) => {
+  const sessionId = session._id.toString();
+  const tree = await loadTree(sessionId);
+  return repos.messages.listByIds(sessionId, tree.pathTo(activeLeaf(tree, session)));
+};
+
+const MESSAGE_ROLES = ['user', 'model'];
+
+const saveMessageSchema = {
+  body: {
+    session_id: { type: 'id', required: true },
+    role: { type: 'string', required: true, enum: MESSAGE_ROLES },
+    content: { type: 'string', required: true, allowEmpty: true },
+    parentId: { type: 'id', nullable: true },
+    attachments: { type: 'array', nullable: true, items: { type: 'id' } },
+    csvName: { type: 'string', nullable: true, max: 300 },
+    charts: { type: 'array', nullable: true },
+    toolCalls: { type: 'array', nullable: true },
+    parts: { type: 'array', nullable: true },
+    grounding: { type: 'object', nullable: true },
+    path: { type: 'string', enum: ANSWER_PATHS },
+    generation: { type: 'object', nullable: true },
+  },
+};
+
+// `parentId` places the message in the conversation tree: the edited
+// message's parent for an edit, the user message for a regenerated reply,
+// null for a new root. Without it the message continues the active branch.
+// The caller is recorded as the author; members see it on the message.
+app.post(
+  '/api/messages',
+  requireAuth,
+  validate(saveMessageSchema),
+  requireSessionRole((req) => req.valid.body.session_id, 'editor'),
+  async (req, res) => {
+    const { session_id: sessionId, role, content, attachments, charts, toolCalls, csvName, parts, grounding, path, generation } =
+      req.valid.body;
+    if ((path !== undefined || generation) && role !== 'model')
+      throw new ApiError('VALIDATION_FAILED', 'path and generation are only recorded on model messages');
+    let { parentId } = req.valid.body;
+    if (parentId === undefined) {
+      parentId = activeLeaf(await loadTree(sessionId), req.chatSession);
+    } else if (parentId !== null && !(await repos.messages.findById(sessionId, parentId))) {
+      throw new ApiError('VALIDATION_FAILED', 'parentId is not a message of this session');
+    }
+    const attachmentRefs = await resolveAttachments(attachments, req.user.username, sessionId);
+    if (!attachmentRefs) throw new ApiError('VALIDATION_FAILED', 'Unknown attachment id');
     const msg = {
       role,
       content,
+      parentId,
       timestamp: new Date().toISOString(),
-      ...(imageData && {
-        imageData: Array.isArray(imageData) ? imageData : [imageData],
-      }),
+      ...(attachmentRefs.length && { attachments: attachmentRefs }),
+      ...(csvName && { csvName }),
       ...(charts?.length && { charts }),
       ...(toolCalls?.length && { toolCalls }),
+      ...(parts?.length && { parts }),
+      ...(grounding && { grounding: pickGrounding(grounding) }),
+      ...(path && { path }),
+      ...(generation && { generation: pickGeneration(generation) }),
     };
-    await db.collection('sessions').updateOne(
-      { _id: new ObjectId(session_id) },
-      { $push: { messages: msg } }
-    );
-    res.json({ ok: true });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+    const id = await repos.messages.append(sessionId, req.user.username, msg);
+    const members = participantsOf(req.chatSession);
+    notify(req, { type: 'messages.changed', sessionId, messageId: id, change: 'created' }, members);
+    res.json({ ok: true, id, parentId });
   }
+);
+
+const MESSAGE_PAGE_SIZE = 30;
+const MAX_MESSAGE_PAGE_SIZE = 200;
+
+// Images are either attachment references (fetched lazily by id) or, for
+// messages saved before attachments existed, inline base64. `author` is the
+// member who wrote a user message or asked for a model answer.
+const formatMessage = (m) => {
+  const legacy = m.imageData
+    ? Array.isArray(m.imageData)
+      ? m.imageData
+      : [m.imageData]
+    : [];
+  const images = [
+    ...legacy.map((img) => ({ data: img.data, mimeType: img.mimeType })),
+    ...(m.attachments || []).map((a) => ({ attachmentId: a.id, mimeType: a.mimeType, name: a.name })),
+  ];
+  return {
+    id: m._id.toString(),
+    role: m.role,
+    content: m.content,
+    timestamp: m.timestamp,
+    author: m.username,
+    images: images.length ? images : undefined,
+    csvName: m.csvName || undefined,
+    charts: m.charts?.length ? m.charts : undefined,
+    toolCalls: m.toolCalls?.length ? m.toolCalls : undefined,
+    parts: m.parts?.length ? m.parts : undefined,
+    grounding: m.grounding || undefined,
+    path: m.role === 'model' ? answerPath(m) : undefined,
+    generation: m.generation || undefined,
+    contextSummary: m.contextSummary || undefined,
+    feedback: m.feedback ? { rating: m.feedback.rating, comment: m.feedback.comment } : undefined,
+  };
+};
+
+const MAX_MESSAGES_FROM = 1000;
+
+const listMessagesSchema = {
+  query: {
+    session_id: { type: 'id', required: true },
+    before: { type: 'id' },
+    from: { type: 'id' },
+    limit: { type: 'integer', min: 1, max: MAX_MESSAGE_PAGE_SIZE, default: MESSAGE_PAGE_SIZE },
+  },
+};
+
+// Pages through the active branch only, newest page first: pass the returned
+// nextCursor as `before` to fetch older messages. `from=<messageId>` instead
+// returns everything from that message to the end of its branch (used to jump
+// to a search result). A hit on another branch is only shown, not made active
+// (that is PUT /api/sessions/:id/branch); a `before` cursor on such a branch
+// pages through the messages above it.
+// Each message carries its parentId and, when it has alternatives,
+// `branch: { index, ids }` for the "< 2/3 >" switcher.
+app.get(
+  '/api/messages',
+  requireAuth,
+  validate(listMessagesSchema),
+  requireSessionRole((req) => req.valid.query.session_id, 'viewer'),
+  async (req, res) => {
+    const { session_id: sessionId, before, from, limit } = req.valid.query;
+
+    const tree = await loadTree(sessionId);
+    let path = tree.pathTo(activeLeaf(tree, req.chatSession));
+    if (from && !path.includes(from)) {
+      if (!tree.has(from)) throw new ApiError('NOT_FOUND', 'Message not found');
+      path = tree.pathTo(tree.latestLeaf(from));
+    } else if (before && !path.includes(before) && tree.has(before)) {
+      path = tree.pathTo(before);
+    }
+
+    let start, end;
+    if (from) {
+      start = path.indexOf(from);
+      end = Math.min(path.length, start + MAX_MESSAGES_FROM);
+    } else {
+      end = before ? path.indexOf(before) : path.length;
+      if (end === -1) throw new ApiError('VALIDATION_FAILED', 'Cursor is not on the current branch');
+      start = Math.max(0, end - limit);
+    }
+
+    const page = await repos.messages.listByIds(sessionId, path.slice(start, end));
+    res.json({
+      messages: page.map((m) => {
+        const id = m._id.toString();
+        return { ...formatMessage(m), parentId: tree.parentOf(id), branch: branchInfo(tree, id) || undefined };
+      }),
+      hasMore: start > 0,
+      nextCursor: start > 0 ? path[start] : null,
+    });
+  }
+);
+
+const branchSchema = { params: idParams, body: { messageId: { type: 'id', required: true } } };
+
+// Shows the branch through `messageId` (its newest continuation); the client
+// then reloads the messages.
+// The branch shown is the same for everyone in the chat.
+app.put('/api/sessions/:id/branch', requireAuth, validate(branchSchema), requireSessionEditor, async (req, res) => {
+  const { id } = req.valid.params;
+  const tree = await loadTree(id);
+  if (!tree.has(req.valid.body.messageId)) throw new ApiError('NOT_FOUND', 'Message not found');
+  const leaf = tree.latestLeaf(req.valid.body.messageId);
+  await repos.sessions.setActiveLeaf(id, req.chatSession.username, leaf);
+  const members = participantsOf(req.chatSession);
+  notify(req, { type: 'messages.changed', sessionId: id, messageId: leaf, change: 'branch' }, members);
+  res.json({ ok: true, activeLeafId: leaf });
+});
+
+// ── Feedback ─────────────────────────────────────────────────────────────────
+// Thumbs up/down with an optional comment on a model answer. The answer's
+// path and tool names are copied into the feedback so /api/feedback/summary
+// (server/routes/feedback.js) can aggregate without reading whole messages.
+// Any editor of the chat may rate; one rating is kept per answer.
+
+const FEEDBACK_RATINGS = ['up', 'down'];
+const MAX_FEEDBACK_COMMENT = 2000;
+
+const feedbackSchema = {
+  params: idParams,
+  body: {
+    rating: { type: 'string', required: true, enum: FEEDBACK_RATINGS },
+    comment: { type: 'string', trim: true, max: MAX_FEEDBACK_COMMENT, default: '' },
+  },
+};
+
+// Loads the rated answer into req.answer, then its session into req.chatSession
+const requireAnswer = [
+  async (req, res, next) => {
+    const message = await repos.messages.lookup(req.valid.params.id);
+    if (!message || message.role !== 'model') throw new ApiError('NOT_FOUND', 'Answer not found');
+    req.answer = message;
+    next();
+  },
+  requireSessionRole((req) => req.answer.sessionId, 'editor'),
+];
+
+app.put('/api/messages/:id/feedback', requireAuth, validate(feedbackSchema), requireAnswer, async (req, res) => {
+  const { id } = req.valid.params;
+  const { rating, comment } = req.valid.body;
+  const message = req.answer;
+  const feedback = {
+    rating,
+    comment,
+    path: answerPath(message),
+    tools: [...new Set((message.toolCalls || []).map((tc) => tc.name))],
+    updatedAt: new Date().toISOString(),
+  };
+  await repos.messages.setFeedback(id, message.username, feedback);
+  notify(
+    req,
+    { type: 'messages.changed', sessionId: message.sessionId, messageId: id, change: 'feedback' },
+    participantsOf(req.chatSession)
+  );
+  res.json({ rating: feedback.rating, comment: feedback.comment });
 });
 
-app.get('/api/messages', async (req, res) => {
+app.delete('/api/messages/:id/feedback', requireAuth, validate({ params: idParams }), requireAnswer, async (req, res) => {
+  const { id } = req.valid.params;
+  await repos.messages.clearFeedback(id, req.answer.username);
+  notify(
+    req,
+    { type: 'messages.changed', sessionId: req.answer.sessionId, messageId: id, change: 'feedback' },
+    participantsOf(req.chatSession)
+  );
+  res.json({ ok: true });
+});
+
+// Ratings across every user's chats, so admins only
+app.use('/api/feedback', requireAuth, requireAdmin, feedbackRoutes);
+
+// ── Export / import ──────────────────────────────────────────────────────────
+// See server/transcripts. Exports are downloads (Content-Disposition:
+// attachment): JSON has every branch, Markdown and HTML the one currently
+// shown. Importing a JSON export creates a new session owned by the caller
+// with the same branches, re-uploading its images as the caller's attachments.
+
+const exportSchema = {
+  params: idParams,
+  query: { format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'md' } },
+};
+
+app.get('/api/sessions/:id/export', requireAuth, validate(exportSchema), requireSessionViewer, async (req, res) => {
+  const { format } = req.valid.query;
+  const exporter = EXPORT_FORMATS[format];
+  const sessionId = req.chatSession._id.toString();
+  const nodes = await repos.messages.listTree(sessionId);
+  const tree = buildTree(nodes);
+  const messages = (await repos.messages.listByIds(sessionId, nodes.map((n) => n._id.toString()))).map((m) => ({
+    ...m,
+    parentId: tree.parentOf(m._id.toString()),
+  }));
+  const session = { ...req.chatSession, activeLeafId: activeLeaf(tree, req.chatSession) };
+  const persona = await resolvePersona(session.agent);
+  const transcript = await buildTranscript(session, messages, repos.attachments.openStream, persona.name);
+  const filename = exportFilename(req.chatSession.title, format);
+  res.set({
+    'Content-Type': exporter.contentType,
+    'Content-Disposition': `attachment; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+  });
+  res.send(exporter.render(transcript));
+});
+
+// An exported rating, as PUT /api/messages/:id/feedback would have stored it
+// for `msg`; null when there is none or it is malformed
+function importedFeedback(msg, feedback) {
+  if (!FEEDBACK_RATINGS.includes(feedback?.rating)) return null;
+  return {
+    rating: feedback.rating,
+    comment: typeof feedback.comment === 'string' ? feedback.comment.slice(0, MAX_FEEDBACK_COMMENT) : '',
+    path: answerPath(msg),
+    tools: [...new Set((msg.toolCalls || []).map((tc) => tc.name))],
+    updatedAt: Number.isNaN(Date.parse(feedback.updatedAt)) ? new Date().toISOString() : feedback.updatedAt,
+  };
+}
+
+// The export format is checked by parseTranscript rather than a schema
+app.post('/api/sessions/import', requireAuth, async (req, res) => {
+  let transcript;
   try {
-    const { session_id } = req.query;
-    if (!session_id) return res.status(400).json({ error: 'session_id required' });
-    const doc = await db
-      .collection('sessions')
-      .findOne({ _id: new ObjectId(session_id) });
-    const raw = doc?.messages || [];
-    const msgs = raw.map((m, i) => {
-      const arr = m.imageData
-        ? Array.isArray(m.imageData)
-          ? m.imageData
-          : [m.imageData]
-        : [];
+    transcript = parseTranscript(req.body);
+  } catch (err) {
+    throw new ApiError('VALIDATION_FAILED', `Invalid export: ${err.message}`);
+  }
+  const { username } = req.user;
+  const agent = transcript.session.agent || DEFAULT_PERSONA;
+  if (!(await findPersona(agent))) throw new ApiError('VALIDATION_FAILED', `Invalid export: unknown persona "${agent}"`);
+
+  // Validate every image before creating anything
+  const messages = transcript.messages.map((m) => ({
+    ...m,
+    images: m.images.map((img) => ({ ...img, buffer: Buffer.from(img.data, 'base64') })),
+  }));
+  for (const img of messages.flatMap((m) => m.images)) {
+    const matchesType = ATTACHMENT_TYPES[img.mimeType];
+    if (!matchesType || !matchesType(img.buffer))
+      throw new ApiError('VALIDATION_FAILED', `Invalid export: image "${img.name}" is not a supported image`);
+    if (img.buffer.length > ATTACHMENT_MAX_BYTES)
+      throw new ApiError('PAYLOAD_TOO_LARGE', `Image "${img.name}" is larger than ${ATTACHMENT_MAX_BYTES} bytes`);
+  }
+
+  const { title, activeLeafId } = transcript.session;
+  const sessionId = await repos.sessions.create({ username, agent, title });
+  // Export ids → ids of the new messages
+  const newIds = new Map();
+  for (const { id, images, ...m } of messages) {
+    const attachments = [];
+    for (const img of images) {
+      const doc = await repos.attachments.save({ username, buffer: img.buffer, mimeType: img.mimeType, name: img.name });
+      attachments.push(formatAttachment(doc));
+    }
+    const msg = {
+      role: m.role,
+      content: m.content,
+      parentId: m.parentId === null ? null : newIds.get(m.parentId),
+      timestamp: m.timestamp,
+      ...(attachments.length && { attachments }),
+      ...(m.csvName && { csvName: m.csvName }),
+      ...(m.charts?.length && { charts: m.charts }),
+      ...(m.toolCalls?.length && { toolCalls: m.toolCalls }),
+      ...(m.parts?.length && { parts: m.parts }),
+      ...(m.grounding && { grounding: pickGrounding(m.grounding) }),
+      ...(m.role === 'model' && m.generation && { generation: pickGeneration(m.generation) }),
+      ...(m.role === 'model' && ANSWER_PATHS.includes(m.path) && { path: m.path }),
+    };
+    const feedback = m.role === 'model' && importedFeedback(msg, m.feedback);
+    newIds.set(id, await repos.messages.append(sessionId, username, { ...msg, ...(feedback && { feedback }) }));
+  }
+  // Each append made its message the active one
+  if (activeLeafId) await repos.sessions.setActiveLeaf(sessionId, username, newIds.get(activeLeafId));
+
+  const session = await repos.sessions.findById(sessionId);
+  notifySession(req, session, 'session.created');
+  res.json({ ok: true, session: formatSession(session) });
+});
+
+app.use('/api/sessions/import', (err, req, res, next) => {
+  if (err.type === 'entity.too.large')
+    return next(new ApiError('PAYLOAD_TOO_LARGE', `Import larger than ${IMPORT_MAX_BYTES}`));
+  next(err);
+});
+
+// ── Sharing ──────────────────────────────────────────────────────────────────
+// The owner mints a random token stored on the session (share.token); anyone
+// holding it can read the session through /api/shared/:token without an
+// account. Re-sharing replaces the token and DELETE revokes it, so old links
+// stop working immediately. The owner's username is only shown when they
+// opted in with showUsername.
+
+const MAX_SHARE_DAYS = 365;
+const SHARE_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+const shareSchema = {
+  params: idParams,
+  body: {
+    expiresInDays: { type: 'number', nullable: true, min: 1, max: MAX_SHARE_DAYS },
+    showUsername: { type: 'boolean', default: false },
+  },
+};
+
+app.post('/api/sessions/:id/share', requireAuth, validate(shareSchema), requireOwnSession, async (req, res) => {
+  const { expiresInDays, showUsername } = req.valid.body;
+  const now = Date.now();
+  const share = {
+    token: crypto.randomBytes(24).toString('base64url'),
+    createdAt: new Date(now).toISOString(),
+    expiresAt: expiresInDays ? new Date(now + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+    showUsername,
+  };
+  await repos.sessions.setShare(req.valid.params.id, req.user.username, share);
+  notifySession(req, await repos.sessions.findById(req.valid.params.id));
+  res.json(formatShare(share));
+});
+
+app.delete('/api/sessions/:id/share', requireAuth, validate({ params: idParams }), requireOwnSession, async (req, res) => {
+  await repos.sessions.clearShare(req.valid.params.id, req.user.username);
+  notifySession(req, await repos.sessions.findById(req.valid.params.id));
+  res.json({ ok: true });
+});
+
+const NO_SHARE = 'This share link does not exist or has expired';
+
+const shareParams = { token: { type: 'string', required: true, pattern: SHARE_TOKEN_PATTERN, message: NO_SHARE } };
+
+// Loads the shared session into req.sharedSession, or 404s for unknown,
+// revoked and expired links alike, and while the chat is in the trash.
+const requireShare = async (req, res, next) => {
+  const session = await repos.sessions.findByShareToken(req.valid.params.token);
+  const expired = session?.share.expiresAt && Date.parse(session.share.expiresAt) <= Date.now();
+  if (!session || expired || session.deletedAt) throw new ApiError('NOT_FOUND', NO_SHARE);
+  req.sharedSession = session;
+  res.set('Cache-Control', 'no-store');
+  next();
+};
+
+app.get('/api/shared/:token', validate({ params: shareParams }), requireShare, async (req, res) => {
+  const session = req.sharedSession;
+  const messages = await listActiveBranch(session);
+  const persona = await resolvePersona(session.agent);
+  res.json({
+    title: session.title || null,
+    agent: session.agent || null,
+    persona: { name: persona.name, avatar: persona.avatar || null },
+    createdAt: session.createdAt,
+    expiresAt: session.share.expiresAt,
+    ...(session.share.showUsername && { username: session.username }),
+    // Ratings are private to the chat, and so are its members' names
+    messages: messages.map((m) => ({ ...formatMessage(m), feedback: undefined, author: undefined })),
+  });
+});
+
+const sharedAttachmentSchema = { params: { ...shareParams, ...idParams } };
+
+app.get('/api/shared/:token/attachments/:id', validate(sharedAttachmentSchema), requireShare, async (req, res) => {
+  const { id } = req.valid.params;
+  const sessionId = req.sharedSession._id.toString();
+  const doc = (await repos.messages.referencesAttachment(sessionId, id)) && (await repos.attachments.findById(id));
+  if (!doc) throw new ApiError('NOT_FOUND', 'Attachment not found');
+  res.set({
+    'Content-Type': doc.mimeType,
+    'Content-Length': doc.size,
+    'X-Content-Type-Options': 'nosniff',
+  });
+  streamAttachment(doc, res);
+});
+
+// ── Members ──────────────────────────────────────────────────────────────────
+// See server/members.js. The owner invites users by name and changes or
+// removes them later; members can leave. Invitees answer through
+// /api/invites. Everyone affected hears about it on their live-update stream:
+// the invitee gets 'invites.changed', a removed member 'session.deleted', the
+// others 'session.updated' with the new member list.
+
+const MAX_MEMBERS = 50;
+
+const memberParams = { ...idParams, ...usernameParams };
+
+const inviteSchema = {
+  params: idParams,
+  body: {
+    username: { type: 'string', required: true, trim: true, lowercase: true, max: MAX_USERNAME_LENGTH },
+    role: { type: 'string', enum: MEMBER_ROLES, default: 'editor' },
+  },
+};
+
+const memberRoleSchema = {
+  params: memberParams,
+  body: { role: { type: 'string', required: true, enum: MEMBER_ROLES } },
+};
+
+const formatMember = (m) => ({ username: m.username, role: m.role, addedAt: m.addedAt });
+const formatInvite = (i) => ({ username: i.username, role: i.role, invitedAt: i.invitedAt, invitedBy: i.invitedBy });
+
+// Pending invites are only listed to the owner
+app.get('/api/sessions/:id/members', requireAuth, validate({ params: idParams }), requireSessionViewer, (req, res) => {
+  const session = req.chatSession;
+  const role = roleOf(session, req.user.username);
+  res.json({
+    owner: session.username,
+    role,
+    members: (session.members || []).map(formatMember),
+    invites: role === 'owner' ? (session.invites || []).map(formatInvite) : [],
+  });
+});
+
+app.post('/api/sessions/:id/members', requireAuth, validate(inviteSchema), requireOwnSession, async (req, res) => {
+  const { id } = req.valid.params;
+  const { username, role } = req.valid.body;
+  const session = req.chatSession;
+  const user = await repos.users.findByUsername(username);
+  if (!user || user.disabled) throw new ApiError('NOT_FOUND', 'User not found');
+  if (roleOf(session, username)) throw new ApiError('CONFLICT', `${username} is already in this chat`);
+  if ((session.members?.length || 0) + (session.invites?.length || 0) >= MAX_MEMBERS)
+    throw new ApiError('VALIDATION_FAILED', `A chat can have at most ${MAX_MEMBERS} members and invites`);
+  const invite = { username, role, invitedAt: new Date().toISOString(), invitedBy: req.user.username };
+  if (!(await repos.sessions.addInvite(id, req.user.username, invite)))
+    throw new ApiError('CONFLICT', `${username} is already invited`);
+  notify(req, { type: 'invites.changed' }, [username]);
+  res.json(formatInvite(invite));
+});
+
+// Changes the role of a member or of a pending invite
+app.patch(
+  '/api/sessions/:id/members/:username',
+  requireAuth,
+  validate(memberRoleSchema),
+  requireOwnSession,
+  async (req, res) => {
+    const { id, username } = req.valid.params;
+    const session = req.chatSession;
+    const member = session.members?.some((m) => m.username === username);
+    if (!member && !session.invites?.some((i) => i.username === username))
+      throw new ApiError('NOT_FOUND', 'Member not found');
+    await repos.sessions.setRole(id, req.user.username, username, req.valid.body.role);
+    if (member) notifySession(req, await repos.sessions.findById(id));
+    else notify(req, { type: 'invites.changed' }, [username]);
+    res.json({ ok: true, username, role: req.valid.body.role });
+  }
+);
+
+// The owner removes a member or withdraws an invite; a member leaves
+app.delete(
+  '/api/sessions/:id/members/:username',
+  requireAuth,
+  validate({ params: memberParams }),
+  requireSessionViewer,
+  async (req, res) => {
+    const { id, username } = req.valid.params;
+    const session = req.chatSession;
+    if (username === session.username) throw new ApiError('VALIDATION_FAILED', 'The owner cannot leave their own chat');
+    if (username !== req.user.username && session.username !== req.user.username)
+      throw new ApiError('FORBIDDEN', 'Only the owner can do this');
+    if (session.members?.some((m) => m.username === username)) {
+      await repos.sessions.removeMember(id, username);
+      notify(req, { type: 'session.deleted', sessionIds: [id] }, [username]);
+      notifySession(req, await repos.sessions.findById(id));
+    } else if (session.invites?.some((i) => i.username === username)) {
+      await repos.sessions.removeInvite(id, username);
+      notify(req, { type: 'invites.changed' }, [username]);
+    } else {
+      throw new ApiError('NOT_FOUND', 'Member not found');
+    }
+    res.json({ ok: true });
+  }
+);
+
+// ── Invites ──
+
+// The caller's pending invites, newest chat first
+app.get('/api/invites', requireAuth, async (req, res) => {
+  const { username } = req.user;
+  const sessions = await repos.sessions.listInvited(username);
+  res.json(
+    sessions.map((s) => {
+      const invite = s.invites.find((i) => i.username === username);
       return {
-        id: `${doc._id}-${i}`,
-        role: m.role,
-        content: m.content,
-        timestamp: m.timestamp,
-        images: arr.length
-          ? arr.map((img) => ({ data: img.data, mimeType: img.mimeType }))
-          : undefined,
-        charts: m.charts?.length ? m.charts : undefined,
-        toolCalls: m.toolCalls?.length ? m.toolCalls : undefined,
+        sessionId: s._id.toString(),
+        title: s.title || null,
+        owner: s.username,
+        role: invite.role,
+        invitedAt: invite.invitedAt,
+        invitedBy: invite.invitedBy,
       };
+    })
+  );
+});
+
+// Joins the chat with the invited role; returns it as the caller now sees it
+app.post('/api/invites/:id/accept', requireAuth, validate({ params: idParams }), async (req, res) => {
+  const { id } = req.valid.params;
+  const { username } = req.user;
+  const invite = (await repos.sessions.findById(id))?.invites?.find((i) => i.username === username);
+  const member = invite && { username, role: invite.role, addedAt: new Date().toISOString(), addedBy: invite.invitedBy };
+  if (!member || !(await repos.sessions.acceptInvite(id, username, member)))
+    throw new ApiError('NOT_FOUND', 'Invite not found');
+  const session = await repos.sessions.findById(id);
+  notify(req, { type: 'invites.changed' });
+  notify(req, { type: 'session.created', session: formatSession(session, username) });
+  for (const other of participantsOf(session).filter((name) => name !== username))
+    notify(req, { type: 'session.updated', session: formatSession(session, other) }, [other]);
+  res.json(formatSession(session, username));
+});
+
+app.post('/api/invites/:id/decline', requireAuth, validate({ params: idParams }), async (req, res) => {
+  const { id } = req.valid.params;
+  const session = await repos.sessions.findById(id);
+  if (!session?.invites?.some((i) => i.username === req.user.username))
+    throw new ApiError('NOT_FOUND', 'Invite not found');
+  await repos.sessions.removeInvite(id, req.user.username);
+  notify(req, { type: 'invites.changed' });
+  res.json({ ok: true });
+});
+
+// ── Admin ────────────────────────────────────────────────────────────────────
+// Support and usage views for accounts with role 'admin' (see ADMIN_USERNAMES).
+// Disabling an account blocks login and revokes its refresh tokens, so it is
+// signed out within one access-token lifetime (15 minutes). Deleting removes
+// the user with the sessions they own (every message in them included) and
+// their attachments; what they wrote in other people's chats stays, without an
+// author. Admins cannot disable,
+// demote or delete themselves.
+
+const USER_ROLES = ['user', 'admin'];
+const ADMIN_PAGE_SIZE = 50;
+const MAX_ADMIN_DAYS = 365;
+
+// One row of the admin user list. Last activity is the newer of the last
+// login/token refresh and the last message.
+async function adminUserRow(user) {
+  const [sessionCount, messageCount, lastMessageAt] = await Promise.all([
+    repos.sessions.count({ username: user.username }),
+    repos.messages.count({ username: user.username }),
+    repos.messages.lastTimestamp(user.username),
+  ]);
+  return {
+    username: user.username,
+    email: user.email || null,
+    role: user.role || 'user',
+    disabled: !!user.disabled,
+    createdAt: user.createdAt,
+    lastActiveAt: [user.lastActiveAt, lastMessageAt].filter(Boolean).sort().pop() || null,
+    sessionCount,
+    messageCount,
+  };
+}
+
+// Loads the user named in the URL (validated by usernameParams) into req.targetUser
+const loadTargetUser = async (req, res, next) => {
+  const user = await repos.users.findByUsername(req.valid.params.username);
+  if (!user) throw new ApiError('NOT_FOUND', 'User not found');
+  req.targetUser = user;
+  next();
+};
+
+const adminDaysSchema = { query: { days: { type: 'integer', min: 1, max: MAX_ADMIN_DAYS, default: 30 } } };
+
+// Totals plus one point per UTC day: users who sent or received a message
+// that day, and the number of messages.
+app.get('/api/admin/stats', requireAuth, requireAdmin, validate(adminDaysSchema), async (req, res) => {
+  const { days } = req.valid.query;
+  const today = new Date(new Date().toISOString().slice(0, 10));
+  const daily = new Map();
+  for (let i = days - 1; i >= 0; i--) {
+    const day = new Date(today.getTime() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    daily.set(day, { users: 0, messages: 0 });
+  }
+  const since = `${daily.keys().next().value}T00:00:00.000Z`;
+  // One row per day and author
+  for (const { _id, messages } of await repos.messages.countActivity(since)) {
+    const point = daily.get(_id.day);
+    if (!point) continue;
+    // Messages of deleted users have no author
+    if (_id.username) point.users += 1;
+    point.messages += messages;
+  }
+
+  const [usersCount, disabledCount, sessionsCount, messagesCount] = await Promise.all([
+    repos.users.count(),
+    repos.users.count({ disabled: true }),
+    repos.sessions.count(),
+    repos.messages.count(),
+  ]);
+  res.json({
+    usersCount,
+    disabledCount,
+    sessionsCount,
+    messagesCount,
+    days,
+    daily: [...daily].map(([day, p]) => ({ day, activeUsers: p.users, messages: p.messages })),
+  });
+});
+
+const adminUsersSchema = {
+  query: {
+    q: { type: 'string', trim: true, max: 100, default: '' },
+    skip: { type: 'integer', min: 0, default: 0 },
+    limit: { type: 'integer', min: 1, max: ADMIN_PAGE_SIZE, default: ADMIN_PAGE_SIZE },
+  },
+};
+
+// ?q= filters by username or email; paged with skip/limit (max 50)
+app.get('/api/admin/users', requireAuth, requireAdmin, validate(adminUsersSchema), async (req, res) => {
+  const { q, skip, limit } = req.valid.query;
+  const pattern = q ? new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') : null;
+  const [users, total] = await Promise.all([
+    repos.users.list({ pattern, skip, limit }),
+    repos.users.count(pattern ? { $or: [{ username: pattern }, { email: pattern }] } : {}),
+  ]);
+  res.json({ users: await Promise.all(users.map(adminUserRow)), total });
+});
+
+const adminUserUpdateSchema = {
+  params: usernameParams,
+  body: {
+    disabled: { type: 'boolean' },
+    role: { type: 'string', enum: USER_ROLES },
+  },
+};
+
+// Body: any of { disabled, role }
+app.patch(
+  '/api/admin/users/:username',
+  requireAuth,
+  requireAdmin,
+  validate(adminUserUpdateSchema),
+  loadTargetUser,
+  async (req, res) => {
+    const fields = req.valid.body;
+    const self = req.targetUser.username === req.user.username;
+    if (self && (fields.disabled || fields.role === 'user'))
+      throw new ApiError('VALIDATION_FAILED', 'You cannot disable or demote your own account');
+
+    await repos.users.update(req.targetUser.username, fields);
+    if (fields.disabled) await repos.refreshTokens.revokeAll(req.targetUser.username);
+    res.json(await adminUserRow({ ...req.targetUser, ...fields }));
+  }
+);
+
+app.delete(
+  '/api/admin/users/:username',
+  requireAuth,
+  requireAdmin,
+  validate({ params: usernameParams }),
+  loadTargetUser,
+  async (req, res) => {
+    const { username } = req.targetUser;
+    if (username === req.user.username) throw new ApiError('VALIDATION_FAILED', 'You cannot delete your own account');
+    await repos.refreshTokens.revokeAll(username);
+    // Their own chats go with every message in them, whoever wrote it. What they
+    // wrote in other people's chats stays there without an author (see
+    // repos.messages.clearAuthor), with the images it shows.
+    const owned = await repos.sessions.listIdsByOwner(username);
+    const { deletedCount: messages } = await repos.messages.removeBySessions(owned);
+    const { deletedCount: sessions } = await repos.sessions.removeByUser(username);
+    await repos.sessions.removeFromAll(username);
+    const shownElsewhere = await repos.messages.attachmentIdsOf(username);
+    await repos.messages.clearAuthor(username);
+    const attachments = await repos.attachments.removeByUser(username, shownElsewhere);
+    await repos.usage.removeByUser(username);
+    await repos.users.remove(username);
+    res.json({ ok: true, deleted: { sessions, messages, attachments } });
+  }
+);
+
+// Token usage of every user in the last `days` days, heaviest first:
+// { days, totals, byUser: [{ username, requests, promptTokens, ... }] }
+app.get('/api/admin/usage', requireAuth, requireAdmin, validate(adminDaysSchema), async (req, res) => {
+  const { days } = req.valid.query;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const totals = emptyUsage();
+  const byUser = new Map();
+  for (const entry of await repos.usage.listSince(since)) {
+    addUsage(totals, entry);
+    if (!byUser.has(entry.username)) byUser.set(entry.username, emptyUsage());
+    addUsage(byUser.get(entry.username), entry);
+  }
+  res.json({
+    days,
+    totals,
+    byUser: [...byUser]
+      .map(([username, bucket]) => ({ username, ...bucket }))
+      .sort((a, b) => b.totalTokens - a.totalTokens),
+  });
+});
+
+app.get(
+  '/api/admin/users/:username/sessions',
+  requireAuth,
+  requireAdmin,
+  validate({ params: usernameParams }),
+  loadTargetUser,
+  async (req, res) => {
+    const sessions = await repos.sessions.listByUser(req.targetUser.username);
+    res.json({
+      user: await adminUserRow(req.targetUser),
+      sessions: sessions.map((s) => formatSession(s, req.targetUser.username)),
     });
-    res.json(msgs);
+  }
+);
+
+// Read-only view of the branch the owner currently sees
+app.get('/api/admin/sessions/:id/messages', requireAuth, requireAdmin, validate({ params: idParams }), async (req, res) => {
+  const session = await repos.sessions.findById(req.valid.params.id);
+  if (!session) throw new ApiError('NOT_FOUND', 'Session not found');
+  const messages = await listActiveBranch(session);
+  res.json({
+    session: { ...formatSession(session), username: session.username },
+    messages: messages.map(formatMessage),
+  });
+});
+
+// ── Personas (admin) ──
+// Built-in personas are read-only. Deleting a custom persona leaves its chats
+// with the default one.
+
+const PERSONA_KEY_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+
+const personaFields = {
+  name: { type: 'string', trim: true, min: 1, max: 40 },
+  avatar: { type: 'string', nullable: true, trim: true, max: 300 },
+  description: { type: 'string', trim: true, allowEmpty: true, max: 200 },
+  systemPrompt: { type: 'string', trim: true, min: 1, max: 20000 },
+  tools: { type: 'array', max: PERSONA_TOOLS.length, items: { type: 'string', enum: PERSONA_TOOLS } },
+  greeting: { type: 'string', trim: true, allowEmpty: true, max: 500 },
+};
+
+const createPersonaSchema = {
+  body: {
+    key: {
+      type: 'string',
+      required: true,
+      trim: true,
+      lowercase: true,
+      pattern: PERSONA_KEY_PATTERN,
+      message: 'key must be 2 to 40 lowercase letters, digits or dashes',
+    },
+    ...personaFields,
+    name: { ...personaFields.name, required: true },
+    systemPrompt: { ...personaFields.systemPrompt, required: true },
+    tools: { ...personaFields.tools, default: () => [...PERSONA_TOOLS] },
+  },
+};
+
+const personaKeyParams = { key: { type: 'string', required: true, max: 40 } };
+
+// Loads the custom persona named in the URL into req.persona
+const loadCustomPersona = async (req, res, next) => {
+  const { key } = req.valid.params;
+  if (isBuiltIn(key)) throw new ApiError('FORBIDDEN', 'Built-in personas cannot be changed');
+  const persona = await repos.personas.findByKey(key);
+  if (!persona) throw new ApiError('NOT_FOUND', 'Persona not found');
+  req.persona = persona;
+  next();
+};
+
+app.get('/api/admin/personas', requireAuth, requireAdmin, async (req, res) => {
+  const personas = await listPersonas();
+  res.json({ defaultId: DEFAULT_PERSONA, personas: await Promise.all(personas.map((p) => formatPersona(p, true))) });
+});
+
+app.post('/api/admin/personas', requireAuth, requireAdmin, validate(createPersonaSchema), async (req, res) => {
+  const { key, ...fields } = req.valid.body;
+  if (await findPersona(key)) throw new ApiError('CONFLICT', `A persona "${key}" already exists`);
+  await repos.personas.create({ key, ...fields, tools: [...new Set(fields.tools)], createdBy: req.user.username });
+  res.json(await formatPersona(await repos.personas.findByKey(key), true));
+});
+
+app.patch(
+  '/api/admin/personas/:key',
+  requireAuth,
+  requireAdmin,
+  validate({ params: personaKeyParams, body: personaFields }),
+  loadCustomPersona,
+  async (req, res) => {
+    const fields = { ...req.valid.body };
+    if (!Object.keys(fields).length) throw new ApiError('VALIDATION_FAILED', 'Nothing to update');
+    if (fields.tools) fields.tools = [...new Set(fields.tools)];
+    await repos.personas.update(req.persona.key, fields);
+    res.json(await formatPersona(await repos.personas.findByKey(req.persona.key), true));
+  }
+);
+
+app.delete(
+  '/api/admin/personas/:key',
+  requireAuth,
+  requireAdmin,
+  validate({ params: personaKeyParams }),
+  loadCustomPersona,
+  async (req, res) => {
+    await repos.personas.remove(req.persona.key);
+    res.json({ ok: true });
+  }
+);
+
+// ── Search ───────────────────────────────────────────────────────────────────
+
+app.use('/api/search', searchRoutes);
+
+// ── Usage ────────────────────────────────────────────────────────────────────
+
+app.use('/api/usage', usageRoutes);
+app.use('/api/trash', trashRoutes);
+
+// ── Settings ─────────────────────────────────────────────────────────────────
+
+app.use('/api/settings', settingsRoutes);
+
+// ── Live updates ─────────────────────────────────────────────────────────────
+// GET /api/events streams the caller's changes (server/events.js) as
+// Server-Sent Events, starting with { type: 'ready' }. A comment line every
+// few seconds keeps proxies from closing an idle stream. The stream ends when
+// the access token it was opened with expires, so the client reconnects with
+// a fresh one.
+
+const EVENTS_HEARTBEAT_MS = 25000;
+
+app.get('/api/events', requireAuth, (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+  send({ type: 'ready' });
+
+  const unsubscribe = subscribe(req.user.username, send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENTS_HEARTBEAT_MS);
+  const expiry = setTimeout(() => res.end(), Math.max(0, req.user.tokenExpiresAt - Date.now()));
+  res.on('close', () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+  });
+});
+
+// ── Chat (LLM) ───────────────────────────────────────────────────────────────
+// POST /api/chat answers with Server-Sent Events, one `data: <json>` per event:
+//   { type: 'text', text } / { type: 'fullResponse', parts } / { type: 'grounding', data }
+//   { type: 'toolCall', callId, name, args }   — client runs the tool and POSTs
+//                                                /api/chat/tool-results
+//   { type: 'toolsResult', text, charts, toolCalls } — final answer of the tools loop
+//   { type: 'error', error, code } / { type: 'done' }
+//
+// The system prompt and allowed modes come from the persona of the chat named
+// by `sessionId` (the default persona without one): a mode outside its tools
+// is refused, and the 'search' mode answers without Google Search for a
+// persona that lacks it. The caller's custom instructions are added to the
+// prompt (server/routes/settings.js).
+//
+// Token usage is recorded per request, against `sessionId` when the body names
+// a chat the caller can post in. Once a blocking quota is used up the request is
+// refused with 429 QUOTA_EXCEEDED (plus `quota`) before any stream starts.
+//
+// CSV rows never leave the browser: the function-calling loop runs here, but
+// each tool call is executed by the client that owns the data.
+
+const CHAT_MODES = ['search', 'code', 'tools'];
+const TOOL_RESULT_TIMEOUT_MS = 30000;
+const pendingToolCalls = new Map(); // callId → { username, resolve, reject, timer }
+
+function awaitToolResult(callId, username) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      pendingToolCalls.delete(callId);
+      reject(new Error('Timed out waiting for tool result'));
+    }, TOOL_RESULT_TIMEOUT_MS);
+    pendingToolCalls.set(callId, { username, resolve, reject, timer });
+  });
+}
+
+function cancelToolCall(callId) {
+  const pending = pendingToolCalls.get(callId);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingToolCalls.delete(callId);
+  pending.reject(new Error('Client disconnected'));
+}
+
+const chatSchema = {
+  body: {
+    mode: { type: 'string', enum: CHAT_MODES, default: 'search' },
+    history: { type: 'array', items: { type: 'object' }, default: () => [] },
+    message: { type: 'string', required: true },
+    images: { type: 'array', items: { type: 'object' }, default: () => [] },
+    csvHeaders: { type: 'array', nullable: true, items: { type: 'string' } },
+    functionDeclarations: { type: 'array', items: { type: 'object' } },
+    sessionId: { type: 'id', nullable: true },
+    messageId: { type: 'id', nullable: true },
+  },
+};
+
+app.post('/api/chat', requireAuth, validate(chatSchema), async (req, res) => {
+  const { mode, message, images, csvHeaders, functionDeclarations, sessionId, messageId } = req.valid.body;
+  if (mode === 'tools' && !functionDeclarations?.length)
+    throw new ApiError('VALIDATION_FAILED', 'functionDeclarations required in tools mode');
+
+  const quota = await quotaStatus(req.user.username);
+  if (isBlocked(quota))
+    throw new ApiError('QUOTA_EXCEEDED', 'Your token quota is used up. It resets at the start of the next period.', {
+      quota,
+    });
+  const session = sessionId ? await repos.sessions.findById(sessionId) : null;
+  const canPost = session && !session.deletedAt && hasRole(session, req.user.username, 'editor');
+  // The history of a saved question comes from storage, not from the client
+  let { history } = req.valid.body;
+  if (messageId) {
+    if (!canPost) throw new ApiError('NOT_FOUND', 'Session not found');
+    history = await storedHistory(sessionId, messageId);
+    if (!history) throw new ApiError('NOT_FOUND', 'Message not found');
+  }
+  const persona = await resolvePersona(canPost ? session.agent : null);
+  if (mode !== 'search' && !persona.tools.includes(mode))
+    throw new ApiError('VALIDATION_FAILED', `${persona.name} cannot answer in ${mode} mode`);
+  const user = await repos.users.findByUsername(req.user.username);
+  const systemPrompt = await effectiveSystemPrompt(persona, user?.customInstructions?.text);
+  const generation = resolveGeneration(canPost ? session.generation : null);
+  const meter = usageMeter({
+    username: req.user.username,
+    sessionId: canPost ? sessionId : null,
+    kind: mode,
+    model: generation.model,
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+  });
+
+  let closed = false;
+  const openCalls = new Set();
+  res.on('close', () => {
+    closed = true;
+    openCalls.forEach(cancelToolCall);
+  });
+  const send = (event) => {
+    if (!closed) res.write(`data: ${JSON.stringify(event)}\n\n`);
+  };
+
+  try {
+    // The settings this answer is generated with, saved on the model message
+    send({ type: 'generation', generation });
+    // Older turns beyond the token budget are replaced by a summary
+    const fitted = await fitContext({
+      username: req.user.username,
+      sessionId: canPost ? sessionId : null,
+      systemPrompt,
+      history,
+      message,
+      model: generation.model,
+    });
+    send({ type: 'context', context: fitted.context });
+    if (mode === 'tools') {
+      const result = await chatWithCsvTools({
+        systemPrompt: fitted.systemPrompt,
+        history: fitted.history,
+        message,
+        csvHeaders,
+        functionDeclarations,
+        executeFn: (name, args) => {
+          if (closed) throw new Error('Client disconnected');
+          const callId = crypto.randomUUID();
+          openCalls.add(callId);
+          send({ type: 'toolCall', callId, name, args });
+          return awaitToolResult(callId, req.user.username).finally(() => openCalls.delete(callId));
+        },
+        generation,
+        onUsage: meter.onUsage,
+      });
+      send({ type: 'toolsResult', ...result });
+    } else {
+      const events = streamChat({
+        systemPrompt: fitted.systemPrompt,
+        history: fitted.history,
+        message,
+        images,
+        useCodeExecution: mode === 'code',
+        useSearch: persona.tools.includes('search'),
+        generation,
+        onUsage: meter.onUsage,
+      });
+      for await (const event of events) {
+        if (closed) break;
+        send(event);
+      }
+    }
+    // Recorded before 'done' so a quota refresh by the client already sees it.
+    // A stream left early (Stop, a disconnect) has reported an estimate.
+    await meter.save();
+    send({ type: 'done' });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    logger.error('chat failed', { err, mode, sessionId });
+    await meter.save();
+    send({ type: 'error', error: err.message, code: 'UPSTREAM_FAILED' });
   }
+  res.end();
 });
 
+const toolResultSchema = { body: { callId: { type: 'string', required: true, max: 100 }, result: { type: 'any' } } };
+
+app.post('/api/chat/tool-results', requireAuth, validate(toolResultSchema), (req, res) => {
+  const { callId, result } = req.valid.body;
+  const pending = pendingToolCalls.get(callId);
+  if (!pending || pending.username !== req.user.username)
+    throw new ApiError('NOT_FOUND', 'Unknown or expired tool call');
+  clearTimeout(pending.timer);
+  pendingToolCalls.delete(callId);
+  pending.resolve(result ?? null);
+  res.json({ ok: true });
+});
+
+// ── Metrics ──────────────────────────────────────────────────────────────────
+// Prometheus scrape target (see server/metrics.js). With METRICS_TOKEN set,
+// scrapers must send it as a bearer token. Without one it is open in
+// development, like most exporters, and switched off when NODE_ENV=production.
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+const METRICS_DISABLED = !METRICS_TOKEN && process.env.NODE_ENV === 'production';
+if (METRICS_DISABLED) logger.warn('METRICS_TOKEN not set — /api/metrics is disabled in production');
+
+const sameSecret = (given, expected) => {
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+};
+
+app.get('/api/metrics', (req, res) => {
+  if (METRICS_DISABLED) throw new ApiError('NOT_FOUND', 'Metrics are disabled; set METRICS_TOKEN');
+  if (METRICS_TOKEN && !sameSecret(req.get('Authorization') || '', `Bearer ${METRICS_TOKEN}`))
+    throw new ApiError('AUTH_REQUIRED', 'Metrics token required');
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// ── Errors ───────────────────────────────────────────────────────────────────
+// See server/errors.js. Registered after every route.
+
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
 // ─────────────────────────────────────────────────────────────────────────────
 
 const PORT = process.env.PORT || 3001;
 
-connect()
-  .then(() => {
-    app.listen(PORT, () => console.log(`Server on http://localhost:${PORT}`));
-  })
-  .catch((err) => {
-    console.error('MongoDB connection failed:', err.message);
-    process.exit(1);
-  });
+// Started directly (npm run server) it listens; required (the server tests)
+// the caller connects and listens itself.
+if (require.main === module) {
+  connect()
+    .then(() => {
+      app.listen(PORT, () => logger.info('server listening', { url: `http://localhost:${PORT}`, storage: storageDriver }));
+    })
+    .catch((err) => {
+      logger.error('storage connection failed', { err });
+      process.exit(1);
+    });
+}
+
+module.exports = { app, connect };
@@ -0,0 +1,155 @@
+const fs = require('fs');
+
+// ── Scripted fake provider ───────────────────────────────────────────────────
+// Deterministic, offline stand-in for a real model so the chat flows (search
+// streaming, code-execution parts, grounding sources, the CSV tools loop) can
+// be developed and tested without a network or API key.
+//
+// FAKE_LLM_SCRIPT may point to a JSON file with an array of rules. The first
+// rule whose `match` regex (case-insensitive) matches the user message, and
+// whose optional `mode` ('search' | 'code' | 'tools' | 'complete') matches the
+// request, wins:
+//
+//   {
+//     "match": "top tweets",
+//     "mode": "tools",
+//     "toolCalls": [{ "name": "get_top_tweets", "args": { "sort_column": "engagement", "n": 3 } }],
+//     "text": "Here are the top tweets: {{results}}"
+//   }
+//
+// `parts` (structured code-execution parts) and `grounding` (search metadata)
+// are emitted as-is. When no rule matches, built-in defaults echo the message.
+//
+// Token usage is estimated at four characters per token so the usage
+// accounting and quotas can be exercised offline.
+
+const DELAY_MS = Number(process.env.FAKE_LLM_DELAY_MS ?? 20);
+
+const loadScript = () => {
+  const file = process.env.FAKE_LLM_SCRIPT;
+  if (!file) return [];
+  const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(rules)) throw new Error('FAKE_LLM_SCRIPT must contain a JSON array of rules');
+  return rules;
+};
+
+const rules = loadScript();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const findRule = (message, mode) =>
+  rules.find((r) => (!r.mode || r.mode === mode) && new RegExp(r.match || '', 'i').test(message));
+
+// The last line of the prompt is what the user typed; earlier lines are CSV context.
+const userText = (message) => message.trim().split('\n').pop();
+
+const estimateTokens = (...texts) => Math.ceil(texts.join('').length / 4);
+
+const promptTokens = (systemPrompt, history, message) =>
+  estimateTokens(systemPrompt || '', ...(history || []).map((m) => m.content || ''), message);
+
+async function* streamWords(text) {
+  for (const word of text.match(/\s*\S+\s*/g) || []) {
+    if (DELAY_MS) await sleep(DELAY_MS);
+    yield { type: 'text', text: word };
+  }
+}
+
+async function* streamChat({ systemPrompt, history, message, images = [], useCodeExecution = false, onUsage }) {
+  const mode = useCodeExecution ? 'code' : 'search';
+  const rule = findRule(message, mode);
+  const report = (...answer) =>
+    onUsage?.({ promptTokens: promptTokens(systemPrompt, history, message), responseTokens: estimateTokens(...answer) });
+
+  if (rule) {
+    if (rule.text) yield* streamWords(rule.text);
+    if (rule.parts) yield { type: 'fullResponse', parts: rule.parts };
+    if (rule.grounding) yield { type: 'grounding', data: rule.grounding };
+    report(rule.text || '', JSON.stringify(rule.parts || ''));
+    return;
+  }
+
+  if (useCodeExecution) {
+    const intro = 'Here is a quick analysis.';
+    yield* streamWords(intro);
+    const parts = [
+      { type: 'text', text: intro },
+      { type: 'code', language: 'PYTHON', code: 'print(6 * 7)' },
+      { type: 'result', outcome: 'OUTCOME_OK', output: '42\n' },
+    ];
+    yield { type: 'fullResponse', parts };
+    report(JSON.stringify(parts));
+    return;
+  }
+
+  const imageNote = images.length ? ` (with ${images.length} image${images.length > 1 ? 's' : ''})` : '';
+  const answer = `You said${imageNote}: "${userText(message)}"`;
+  yield* streamWords(answer);
+  report(answer);
+}
+
+// Fills every required STRING argument with the first column from the
+// "[CSV columns: ...]" prefix so the default tool call is always runnable.
+const defaultArgs = (declaration, message) => {
+  const firstColumn = message.match(/\[CSV columns: ([^,\]]+)/)?.[1]?.trim() || '';
+  const { properties = {}, required = [] } = declaration.parameters || {};
+  const args = {};
+  for (const key of required) {
+    if (String(properties[key]?.type).toUpperCase() === 'STRING') args[key] = firstColumn;
+  }
+  return args;
+};
+
+// Usage is reported once per round like a real model: the prompt grows by
+// each tool result.
+async function chatWithTools({ systemPrompt, history, message, functionDeclarations, executeFn, maxRounds, onUsage }) {
+  const rule = findRule(message, 'tools');
+  const calls = rule
+    ? rule.toolCalls || []
+    : functionDeclarations.slice(0, 1).map((d) => ({ name: d.name, args: defaultArgs(d, message) }));
+
+  let prompt = promptTokens(systemPrompt, history, message);
+  const results = [];
+  for (const call of calls.slice(0, maxRounds)) {
+    if (DELAY_MS) await sleep(DELAY_MS);
+    onUsage?.({ promptTokens: prompt, responseTokens: estimateTokens(JSON.stringify(call)) });
+    const result = await executeFn(call.name, call.args || {});
+    results.push(result);
+    prompt += estimateTokens(JSON.stringify(call), JSON.stringify(result ?? null));
+  }
+
+  const resultsJson = JSON.stringify(results.length === 1 ? results[0] : results, null, 2);
+  const answer = rule
+    ? (rule.text || '').replace('{{results}}', resultsJson)
+    : calls.length
+      ? `I ran \`${calls[0].name}\` and got:\n\n\`\`\`json\n${resultsJson}\n\`\`\``
+      : `You said: "${userText(message)}"`;
+  onUsage?.({ promptTokens: prompt, responseTokens: estimateTokens(answer) });
+  return answer;
+}
+
+// Titles and other one-shot prompts. By default the answer is the first few
+// words of the first "User:" line, which is enough to tell chats apart.
+async function complete({ prompt, onUsage }) {
+  // Only rules explicitly scoped to 'complete', so chat replies never become titles
+  const rule = rules.find((r) => r.mode === 'complete' && new RegExp(r.match || '', 'i').test(prompt));
+  if (DELAY_MS && !rule) await sleep(DELAY_MS);
+  const firstUserLine = prompt.match(/^User: (.+)$/m)?.[1] || userText(prompt);
+  const answer = rule ? rule.text || '' : firstUserLine.split(/\s+/).slice(0, 6).join(' ');
+  onUsage?.({ promptTokens: estimateTokens(prompt), responseTokens: estimateTokens(answer) });
+  return answer;
+}
+
+module.exports = {
+  name: 'fake',
+  model: 'fake',
+  pricing: { input: 0, output: 0 },
+  models: [
+    { id: 'fake', label: 'Fake', pricing: { input: 0, output: 0 } },
+    { id: 'fake-large', label: 'Fake (large)', pricing: { input: 1, output: 2 } },
+  ],
+  capabilities: { search: true, codeExecution: true, functionCalling: true },
+  streamChat,
+  chatWithTools,
+  complete,
+};
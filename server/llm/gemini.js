@@ -0,0 +1,210 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// ── Gemini adapter ───────────────────────────────────────────────────────────
+// The key lives only on the server. REACT_APP_GEMINI_API_KEY is still read so
+// existing .env files keep working, but it is no longer shipped to the browser.
+
+const genAI = new GoogleGenerativeAI(
+  process.env.GEMINI_API_KEY || process.env.REACT_APP_GEMINI_API_KEY || ''
+);
+
+const MODEL = process.env.LLM_MODEL || 'gemini-2.0-flash';
+
+// USD per million tokens (prompts up to 200k tokens); LLM_PRICE_INPUT /
+// LLM_PRICE_OUTPUT override
+const MODELS = [
+  { id: 'gemini-2.0-flash', label: 'Gemini 2.0 Flash', pricing: { input: 0.1, output: 0.4 } },
+  { id: 'gemini-2.0-flash-lite', label: 'Gemini 2.0 Flash-Lite', pricing: { input: 0.075, output: 0.3 } },
+  { id: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash', pricing: { input: 0.3, output: 2.5 } },
+  { id: 'gemini-2.5-pro', label: 'Gemini 2.5 Pro', pricing: { input: 1.25, output: 10 } },
+];
+const PRICING = MODELS.find((m) => m.id === MODEL)?.pricing || MODELS[0].pricing;
+
+const HARM_CATEGORIES = [
+  'HARM_CATEGORY_HARASSMENT',
+  'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  'HARM_CATEGORY_DANGEROUS_CONTENT',
+];
+const SAFETY_THRESHOLDS = {
+  none: 'BLOCK_NONE',
+  few: 'BLOCK_ONLY_HIGH',
+  some: 'BLOCK_MEDIUM_AND_ABOVE',
+  most: 'BLOCK_LOW_AND_ABOVE',
+};
+
+// getGenerativeModel() params for a chat's generation settings; unset values
+// are left out so Gemini's defaults apply
+const modelParams = (generation = {}, tools) => {
+  const { model, temperature, topP, maxOutputTokens, safety } = generation;
+  const generationConfig = Object.fromEntries(
+    Object.entries({ temperature, topP, maxOutputTokens }).filter(([, v]) => v != null)
+  );
+  return {
+    model: model || MODEL,
+    ...(tools && { tools }),
+    ...(Object.keys(generationConfig).length && { generationConfig }),
+    ...(SAFETY_THRESHOLDS[safety] && {
+      safetySettings: HARM_CATEGORIES.map((category) => ({ category, threshold: SAFETY_THRESHOLDS[safety] })),
+    }),
+  };
+};
+
+const SEARCH_TOOL = { googleSearch: {} };
+const CODE_EXEC_TOOL = { codeExecution: {} };
+
+// Gemini has no system role in startChat history, so the instructions are
+// injected as an opening user/model exchange.
+const buildChatHistory = (systemPrompt, history) => {
+  const baseHistory = history.map((m) => ({
+    role: m.role === 'user' ? 'user' : 'model',
+    parts: [{ text: m.content || '' }],
+  }));
+  return systemPrompt
+    ? [
+        {
+          role: 'user',
+          parts: [{ text: `Follow these instructions in every response:\n\n${systemPrompt}` }],
+        },
+        { role: 'model', parts: [{ text: "Got it! I'll follow those instructions." }] },
+        ...baseHistory,
+      ]
+    : baseHistory;
+};
+
+// Counting tokens is free and does not count towards the rate limits
+async function countTokens({ systemPrompt, history, message, model }) {
+  const contents = [...buildChatHistory(systemPrompt, history), { role: 'user', parts: [{ text: message }] }];
+  const { totalTokens } = await genAI.getGenerativeModel({ model: model || MODEL }).countTokens({ contents });
+  return totalTokens;
+}
+
+const usageOf = (response) => ({
+  promptTokens: response.usageMetadata?.promptTokenCount || 0,
+  responseTokens: response.usageMetadata?.candidatesTokenCount || 0,
+});
+
+// useCodeExecution: true uses the codeExecution tool (CSV/analysis), false the
+// googleSearch tool unless useSearch is false. Gemini does not support both
+// tools simultaneously.
+async function* streamChat({
+  systemPrompt,
+  history,
+  message,
+  images = [],
+  useCodeExecution = false,
+  useSearch = true,
+  generation,
+  onUsage,
+}) {
+  const tools = useCodeExecution ? [CODE_EXEC_TOOL] : useSearch ? [SEARCH_TOOL] : [];
+  const model = genAI.getGenerativeModel(modelParams(generation, tools));
+
+  const chat = model.startChat({ history: buildChatHistory(systemPrompt, history) });
+
+  const parts = [
+    { text: message },
+    ...images.map((img) => ({
+      inlineData: { mimeType: img.mimeType || 'image/png', data: img.data },
+    })),
+  ].filter((p) => p.text !== undefined || p.inlineData !== undefined);
+
+  const result = await chat.sendMessageStream(parts);
+
+  // Stream text chunks for live display
+  for await (const chunk of result.stream) {
+    const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
+    for (const part of chunkParts) {
+      if (part.text) yield { type: 'text', text: part.text };
+    }
+  }
+
+  // After stream: inspect all response parts
+  const response = await result.response;
+  onUsage?.(usageOf(response));
+  const allParts = response.candidates?.[0]?.content?.parts || [];
+
+  const hasCodeExecution = allParts.some(
+    (p) =>
+      p.executableCode ||
+      p.codeExecutionResult ||
+      (p.inlineData && p.inlineData.mimeType?.startsWith('image/'))
+  );
+
+  if (hasCodeExecution) {
+    // Build ordered structured parts to replace the streamed text
+    const structuredParts = allParts
+      .map((p) => {
+        if (p.text) return { type: 'text', text: p.text };
+        if (p.executableCode)
+          return {
+            type: 'code',
+            language: p.executableCode.language || 'PYTHON',
+            code: p.executableCode.code,
+          };
+        if (p.codeExecutionResult)
+          return {
+            type: 'result',
+            outcome: p.codeExecutionResult.outcome,
+            output: p.codeExecutionResult.output,
+          };
+        if (p.inlineData)
+          return { type: 'image', mimeType: p.inlineData.mimeType, data: p.inlineData.data };
+        return null;
+      })
+      .filter(Boolean);
+
+    yield { type: 'fullResponse', parts: structuredParts };
+  }
+
+  // Grounding metadata (search sources)
+  const grounding = response.candidates?.[0]?.groundingMetadata;
+  if (grounding) yield { type: 'grounding', data: grounding };
+}
+
+async function chatWithTools({ systemPrompt, history, message, functionDeclarations, executeFn, maxRounds, generation, onUsage }) {
+  const model = genAI.getGenerativeModel(modelParams(generation, [{ functionDeclarations }]));
+
+  const chat = model.startChat({ history: buildChatHistory(systemPrompt, history) });
+
+  let response = (await chat.sendMessage(message)).response;
+  onUsage?.(usageOf(response));
+
+  // Function-calling loop (Gemini may chain multiple tool calls)
+  for (let round = 0; round < maxRounds; round++) {
+    const parts = response.candidates?.[0]?.content?.parts || [];
+    const funcCall = parts.find((p) => p.functionCall);
+    if (!funcCall) break;
+
+    const { name, args } = funcCall.functionCall;
+    const toolResult = await executeFn(name, args);
+
+    response = (
+      await chat.sendMessage([
+        { functionResponse: { name, response: { result: toolResult } } },
+      ])
+    ).response;
+    onUsage?.(usageOf(response));
+  }
+
+  return response.text();
+}
+
+async function complete({ prompt, onUsage }) {
+  const model = genAI.getGenerativeModel({ model: MODEL });
+  const { response } = await model.generateContent(prompt);
+  onUsage?.(usageOf(response));
+  return response.text();
+}
+
+module.exports = {
+  name: 'gemini',
+  model: MODEL,
+  pricing: PRICING,
+  models: MODELS,
+  capabilities: { search: true, codeExecution: true, functionCalling: true },
+  streamChat,
+  chatWithTools,
+  complete,
+  countTokens,
+};
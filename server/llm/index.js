@@ -0,0 +1,319 @@
+const { performance } = require('perf_hooks');
+const { recordModelCall, recordToolCall } = require('../tracing');
+const { logger } = require('../logger');
+
+// ── LLM provider layer ───────────────────────────────────────────────────────
+// LLM_PROVIDER selects the adapter (default 'gemini'). Every adapter exports:
+//
+//   name, model (the default), capabilities: { search, codeExecution, functionCalling }
+//   pricing: { input, output } — USD per million prompt / response tokens of
+//     the default model
+//   models: [{ id, label, pricing }] — the models a chat can choose from
+//
+//   streamChat({ systemPrompt, history, message, images, useCodeExecution, useSearch, generation, onUsage })
+//     → async iterable of events:
+//         { type: 'text', text }           — streaming text chunks
+//         { type: 'fullResponse', parts }  — code-execution answer; replaces streamed text
+//         { type: 'grounding', data }      — search sources
+//       fullResponse parts: { type: 'text'|'code'|'result'|'image', ... }
+//     useSearch: false answers without Google Search grounding (personas
+//     without the 'search' tool, see server/personas.js)
+//
+//   chatWithTools({ systemPrompt, history, message, functionDeclarations, executeFn, maxRounds, generation, onUsage })
+//     → Promise of the final answer text. executeFn(name, args) is awaited for
+//       every tool the model calls; declarations use Gemini's schema dialect.
+//
+// generation is the chat's resolved settings (see resolveGeneration below):
+// { model, temperature, topP, maxOutputTokens, safety }, where null means the
+// provider's default. Adapters apply what their API supports.
+//
+//   complete({ prompt, onUsage }) → Promise of the answer text to a single
+//     prompt, with no tools and no chat history (used for utility calls such
+//     as titles and summaries).
+//
+//   countTokens({ systemPrompt, history, message, model }) → Promise of the
+//     prompt's size in tokens. Optional: without it (or when it fails) the
+//     size is estimated at four characters per token.
+//
+// onUsage({ promptTokens, responseTokens }) is optional and called once per
+// model round trip with the provider's reported token counts, so a tool-using
+// answer reports one entry per round (see server/usage.js). Providers report a
+// stream's usage when it ends, so a stream stopped early (the user pressed
+// Stop or disconnected) or broken off mid-answer reports an estimate instead.
+//
+// The system prompt comes from the chat's persona (server/personas.js).
+//
+// Adapters are required lazily so e.g. the fake provider never loads the
+// Gemini SDK. Every call made through this module is timed and counted (see
+// server/tracing.js).
+
+const PROVIDERS = {
+  gemini: () => require('./gemini'),
+  openai: () => require('./openai'),
+  fake: () => require('./fake'),
+};
+
+const MAX_TOOL_ROUNDS = 5;
+
+let provider;
+
+function getProvider() {
+  if (!provider) {
+    const name = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+    if (!PROVIDERS[name])
+      throw new Error(`Unknown LLM_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+    provider = PROVIDERS[name]();
+  }
+  return provider;
+}
+
+// ── Generation settings ──────────────────────────────────────────────────────
+// A session can choose the model and sampling parameters of its answers
+// (`generation` on the session document). Every field is optional; unset ones
+// keep the provider's defaults. LLM_MODELS (comma-separated ids) replaces the
+// adapter's list of models, e.g. with the models a local server has pulled.
+//
+// safety is one threshold for all harm categories: 'none' blocks nothing,
+// 'few' only high-probability harm, 'some' medium and above, 'most' low and
+// above. Only Gemini applies it.
+
+const SAFETY_LEVELS = ['none', 'few', 'some', 'most'];
+const GENERATION_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  topP: { min: 0, max: 1 },
+  maxOutputTokens: { min: 1, max: 65536 },
+};
+
+// The default model first
+function listModels() {
+  const { model, models = [], pricing } = getProvider();
+  const known = new Map(models.map((m) => [m.id, m]));
+  const ids = process.env.LLM_MODELS
+    ? process.env.LLM_MODELS.split(',').map((id) => id.trim()).filter(Boolean)
+    : models.map((m) => m.id);
+  return [...new Set([model, ...ids])].map((id) => known.get(id) || { id, label: id, pricing });
+}
+
+const findModel = (id) => listModels().find((m) => m.id === id);
+
+// The settings an answer is generated with: a session's stored `generation`
+// (or nothing) with a model that is no longer offered replaced by the default
+function resolveGeneration(generation) {
+  const g = generation || {};
+  return {
+    model: findModel(g.model) ? g.model : getProvider().model,
+    temperature: g.temperature ?? null,
+    topP: g.topP ?? null,
+    maxOutputTokens: g.maxOutputTokens ?? null,
+    safety: SAFETY_LEVELS.includes(g.safety) ? g.safety : null,
+  };
+}
+
+// Times fn (a promise-returning call to the provider) as one model call
+async function traced(kind, fn) {
+  const { name: provider, model } = getProvider();
+  const start = performance.now();
+  try {
+    const result = await fn();
+    recordModelCall({ provider, model, kind, ms: performance.now() - start });
+    return result;
+  } catch (err) {
+    recordModelCall({ provider, model, kind, ms: performance.now() - start, err });
+    throw err;
+  }
+}
+
+async function* streamChat({
+  systemPrompt,
+  history,
+  message,
+  images = [],
+  useCodeExecution = false,
+  useSearch = true,
+  generation = resolveGeneration(),
+  onUsage,
+}) {
+  const { name: provider } = getProvider();
+  const { model } = generation;
+  const kind = useCodeExecution ? 'code' : 'search';
+  const start = performance.now();
+  let error;
+  let reported = false;
+  let streamed = '';
+  try {
+    const events = getProvider().streamChat({
+      systemPrompt,
+      history,
+      message,
+      images,
+      useCodeExecution,
+      useSearch,
+      generation,
+      onUsage: (usage) => {
+        reported = true;
+        onUsage?.(usage);
+      },
+    });
+    for await (const event of events) {
+      if (event.type === 'text') streamed += event.text;
+      if (event.type === 'fullResponse') streamed = event.parts.map((p) => p.text || p.code || p.output || '').join('');
+      yield event;
+    }
+  } catch (err) {
+    error = err;
+    throw err;
+  } finally {
+    recordModelCall({ provider, model, kind, ms: performance.now() - start, err: error });
+    if (!reported && (!error || streamed))
+      onUsage?.({
+        promptTokens: estimateTokens({ systemPrompt, history, message }),
+        responseTokens: estimateTokens({ message: streamed }),
+      });
+  }
+}
+
+// ── Function-calling chat for CSV tools ───────────────────────────────────────
+// The model picks a tool + args → executeFn runs it (on the client, which owns
+// the CSV rows) → the model receives the result and returns a natural-language
+// answer. Every call is logged and counted per tool name, and chart payloads
+// are collected for the UI.
+
+async function chatWithCsvTools({
+  systemPrompt,
+  history,
+  message,
+  csvHeaders,
+  functionDeclarations,
+  executeFn,
+  generation = resolveGeneration(),
+  onUsage,
+}) {
+  // Include column names so the model can match user intent to exact column names
+  const msgWithContext = csvHeaders?.length
+    ? `[CSV columns: ${csvHeaders.join(', ')}]\n\n${message}`
+    : message;
+
+  const charts = [];
+  const toolCalls = [];
+  const { name: provider } = getProvider();
+  const { model } = generation;
+  const start = performance.now();
+  let toolMs = 0;
+
+  const runTool = async (name, args) => {
+    const toolStart = performance.now();
+    let result;
+    try {
+      result = await executeFn(name, args);
+    } catch (err) {
+      recordToolCall({ tool: name, outcome: 'failed', ms: performance.now() - toolStart });
+      throw err;
+    } finally {
+      toolMs += performance.now() - toolStart;
+    }
+    recordToolCall({ tool: name, outcome: result?.error ? 'error' : 'ok', ms: performance.now() - toolStart });
+    toolCalls.push({ name, args, result });
+    if (result?._chartType) charts.push(result);
+    return result;
+  };
+
+  let text;
+  try {
+    text = await getProvider().chatWithTools({
+      systemPrompt,
+      history,
+      message: msgWithContext,
+      functionDeclarations,
+      maxRounds: MAX_TOOL_ROUNDS,
+      generation,
+      onUsage,
+      executeFn: runTool,
+    });
+  } catch (err) {
+    recordModelCall({ provider, model, kind: 'tools', ms: performance.now() - start - toolMs, toolMs, err });
+    throw err;
+  }
+  recordModelCall({ provider, model, kind: 'tools', ms: performance.now() - start - toolMs, toolMs });
+
+  return { text, charts, toolCalls };
+}
+
+// ── Token counting and summaries ─────────────────────────────────────────────
+// Used to keep long chats inside the context budget (see server/context.js).
+
+const CHARS_PER_TOKEN = 4;
+
+const estimateTokens = ({ systemPrompt = '', history = [], message = '' }) =>
+  Math.ceil(
+    [systemPrompt, ...history.map((m) => m.content || ''), message].reduce((sum, text) => sum + text.length, 0) /
+      CHARS_PER_TOKEN
+  );
+
+// Size of a request's prompt for `model` (default: the provider's default)
+async function countTokens({ systemPrompt, history, message, model = getProvider().model }) {
+  const { countTokens: count } = getProvider();
+  if (count) {
+    try {
+      return await count({ systemPrompt, history, message, model });
+    } catch (err) {
+      logger.warn('token count failed, estimating', { err });
+    }
+  }
+  return estimateTokens({ systemPrompt, history, message });
+}
+
+const SUMMARY_PROMPT =
+  'Summarize the conversation below so the assistant can continue it without the original messages. ' +
+  'Keep every fact, number, name, file and column the user mentioned, decisions made, questions still open and ' +
+  "the user's preferences. Write compact notes in the third person, at most 300 words, with no preamble.";
+
+// previousSummary: the summary the messages continue from, or null;
+// messages: { role, content } oldest first
+async function summarizeConversation({ previousSummary, messages, onUsage }) {
+  const transcript = messages
+    .map((m) => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content || ''}`)
+    .join('\n\n');
+  const earlier = previousSummary ? `Summary of the conversation before these messages:\n${previousSummary}\n\n` : '';
+  const text = await traced('summary', () =>
+    getProvider().complete({ prompt: `${SUMMARY_PROMPT}\n\n${earlier}${transcript}`, onUsage })
+  );
+  return text.trim();
+}
+
+// ── Chat titles ──────────────────────────────────────────────────────────────
+
+const TITLE_PROMPT =
+  'Write a short, specific title (3 to 7 words) for the conversation below, like "Engagement of GIF replies vs tweets". ' +
+  'Reply with the title only: no quotes, no trailing punctuation.';
+const TITLE_MESSAGE_CHARS = 600;
+const MAX_TITLE_CHARS = 80;
+
+// messages: the first few { role, content } of a session
+async function generateTitle(messages, onUsage) {
+  const transcript = messages
+    .map((m) => `${m.role === 'user' ? 'User' : 'Assistant'}: ${(m.content || '').slice(0, TITLE_MESSAGE_CHARS)}`)
+    .join('\n\n');
+  const text = await traced('title', () =>
+    getProvider().complete({ prompt: `${TITLE_PROMPT}\n\n${transcript}`, onUsage })
+  );
+  return text
+    .split('\n')
+    .find((line) => line.trim())
+    ?.replace(/^(title:\s*)/i, '')
+    .replace(/^["'*#\s]+|["'*.\s]+$/g, '')
+    .slice(0, MAX_TITLE_CHARS);
+}
+
+module.exports = {
+  SAFETY_LEVELS,
+  GENERATION_LIMITS,
+  getProvider,
+  listModels,
+  findModel,
+  resolveGeneration,
+  streamChat,
+  chatWithCsvTools,
+  countTokens,
+  summarizeConversation,
+  generateTitle,
+};
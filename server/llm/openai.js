@@ -0,0 +1,157 @@
+// ── OpenAI-compatible adapter ────────────────────────────────────────────────
+// Talks to any server implementing POST /chat/completions: OpenAI itself, or a
+// locally hosted model through Ollama (http://localhost:11434/v1), LM Studio
+// (http://localhost:1234/v1), vLLM or llama.cpp. These servers have no search
+// grounding or code execution, so 'code' and 'search' requests are answered as
+// plain streamed chat.
+
+const BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+const API_KEY = process.env.OPENAI_API_KEY || '';
+const MODEL = process.env.LLM_MODEL || 'gpt-4o-mini';
+// USD per million tokens; local servers are free, so set LLM_PRICE_INPUT /
+// LLM_PRICE_OUTPUT to 0 for them and list their models in LLM_MODELS
+const MODELS = [
+  { id: 'gpt-4o-mini', label: 'GPT-4o mini', pricing: { input: 0.15, output: 0.6 } },
+  { id: 'gpt-4o', label: 'GPT-4o', pricing: { input: 2.5, output: 10 } },
+];
+const PRICING = MODELS.find((m) => m.id === MODEL)?.pricing || MODELS[0].pricing;
+
+const headers = () => ({
+  'Content-Type': 'application/json',
+  ...(API_KEY && { Authorization: `Bearer ${API_KEY}` }),
+});
+
+// Request fields for a chat's generation settings. There is no safety
+// setting in this API; it is ignored.
+const generationFields = (generation = {}) => ({
+  model: generation.model || MODEL,
+  ...(generation.temperature != null && { temperature: generation.temperature }),
+  ...(generation.topP != null && { top_p: generation.topP }),
+  ...(generation.maxOutputTokens != null && { max_tokens: generation.maxOutputTokens }),
+});
+
+async function post(body, generation) {
+  const res = await fetch(`${BASE_URL}/chat/completions`, {
+    method: 'POST',
+    headers: headers(),
+    body: JSON.stringify({ ...generationFields(generation), ...body }),
+  });
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`LLM request failed (${res.status}): ${text.slice(0, 300)}`);
+  }
+  return res;
+}
+
+const buildMessages = (systemPrompt, history, message, images = []) => [
+  ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+  ...history.map((m) => ({
+    role: m.role === 'user' ? 'user' : 'assistant',
+    content: m.content || '',
+  })),
+  {
+    role: 'user',
+    content: images.length
+      ? [
+          { type: 'text', text: message },
+          ...images.map((img) => ({
+            type: 'image_url',
+            image_url: { url: `data:${img.mimeType || 'image/png'};base64,${img.data}` },
+          })),
+        ]
+      : message,
+  },
+];
+
+const usageOf = (usage) => ({
+  promptTokens: usage?.prompt_tokens || 0,
+  responseTokens: usage?.completion_tokens || 0,
+});
+
+// Tool declarations are written in Gemini's schema dialect (type: 'OBJECT',
+// 'STRING', ...). JSON Schema wants lowercase type names.
+const toJsonSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = {};
+  for (const [key, value] of Object.entries(schema)) {
+    out[key] = key === 'type' && typeof value === 'string' ? value.toLowerCase() : toJsonSchema(value);
+  }
+  return out;
+};
+
+// With include_usage the last chunk carries the token counts (and no choices)
+async function* streamChat({ systemPrompt, history, message, images = [], generation, onUsage }) {
+  const res = await post(
+    {
+      messages: buildMessages(systemPrompt, history, message, images),
+      stream: true,
+      stream_options: { include_usage: true },
+    },
+    generation
+  );
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      const event = JSON.parse(data);
+      if (event.usage) onUsage?.(usageOf(event.usage));
+      const text = event.choices?.[0]?.delta?.content;
+      if (text) yield { type: 'text', text };
+    }
+  }
+}
+
+async function chatWithTools({ systemPrompt, history, message, functionDeclarations, executeFn, maxRounds, generation, onUsage }) {
+  const messages = buildMessages(systemPrompt, history, message);
+  const tools = functionDeclarations.map((fn) => ({
+    type: 'function',
+    function: { name: fn.name, description: fn.description, parameters: toJsonSchema(fn.parameters) },
+  }));
+
+  for (let round = 0; ; round++) {
+    const res = await post({ messages, ...(round < maxRounds && { tools }) }, generation);
+    const data = await res.json();
+    onUsage?.(usageOf(data.usage));
+    const reply = data.choices?.[0]?.message || {};
+    if (!reply.tool_calls?.length) return reply.content || '';
+
+    messages.push(reply);
+    for (const call of reply.tool_calls) {
+      let args = {};
+      try {
+        args = JSON.parse(call.function.arguments || '{}');
+      } catch {
+        // Small local models sometimes emit invalid JSON; run with no args
+      }
+      const result = await executeFn(call.function.name, args);
+      messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+    }
+  }
+}
+
+async function complete({ prompt, onUsage }) {
+  const res = await post({ messages: [{ role: 'user', content: prompt }] });
+  const data = await res.json();
+  onUsage?.(usageOf(data.usage));
+  return data.choices?.[0]?.message?.content || '';
+}
+
+module.exports = {
+  name: 'openai',
+  model: MODEL,
+  pricing: PRICING,
+  models: MODELS,
+  capabilities: { search: false, codeExecution: false, functionCalling: true },
+  streamChat,
+  chatWithTools,
+  complete,
+};
@@ -0,0 +1,56 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// ── Structured logging ───────────────────────────────────────────────────────
+// One JSON object per line on stdout (warnings and errors on stderr):
+//
+//   {"time":"…","level":"info","msg":"request","requestId":"…","method":"GET",…}
+//
+// Every line written while a request is handled carries that request's
+// context ({ requestId, username } plus anything added with addContext), so a
+// slow database call or a failed model call can be traced back to the request
+// that caused it. LOG_LEVEL is debug | info (default) | warn | error; debug
+// adds one line per database operation and model call.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+const serializeError = (err) =>
+  err instanceof Error ? { name: err.name, message: err.message, ...(err.code && { code: err.code }), stack: err.stack } : err;
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const { err, ...rest } = fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...rest,
+    ...(err !== undefined && { err: serializeError(err) }),
+  };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+// Runs fn with fields as the log context of everything it awaits
+const runWithContext = (fields, fn) => context.run({ ...fields }, fn);
+
+// Adds fields to the current request's context (e.g. the username once the
+// token is checked); a no-op outside a request
+const addContext = (fields) => {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+};
+
+const currentContext = () => context.getStore();
+
+module.exports = { logger, runWithContext, addContext, currentContext };
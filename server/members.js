@@ -0,0 +1,45 @@
+const { ApiError } = require('./errors');
+const { repos } = require('./repositories');
+
+// ── Members ──────────────────────────────────────────────────────────────────
+// A session belongs to the user who created it (`username`, the owner) and
+// can have members who work in it too:
+//
+//   members: [{ username, role, addedAt, addedBy }]
+//   invites: [{ username, role, invitedAt, invitedBy }]
+//
+// role is 'editor' (may send messages, switch branches, rename and rate
+// answers) or 'viewer' (read only). The owner invites users by name; an invite
+// becomes a membership when the invitee accepts it. Sharing, deleting,
+// organizing (pin, folder, tags) and managing members stay with the owner.
+
+const MEMBER_ROLES = ['editor', 'viewer'];
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// 'owner' | 'editor' | 'viewer', or null for anyone else
+const roleOf = (session, username) => {
+  if (session.username === username) return 'owner';
+  return session.members?.find((m) => m.username === username)?.role || null;
+};
+
+const hasRole = (session, username, minimum) => (ROLE_RANK[roleOf(session, username)] || 0) >= ROLE_RANK[minimum];
+
+// Everyone who sees the session, owner first
+const participantsOf = (session) => [session.username, ...(session.members || []).map((m) => m.username)];
+
+// Loads the session into req.chatSession and checks the caller holds at least
+// the `minimum` role in it. getId reads the id from req.valid, so the route's
+// schema has already checked it is present and well-formed. Chats in the
+// trash count as not found until they are restored (server/routes/trash.js).
+const requireSessionRole = (getId, minimum) => async (req, res, next) => {
+  const session = await repos.sessions.findById(getId(req));
+  if (!session || session.deletedAt) throw new ApiError('NOT_FOUND', 'Session not found');
+  const role = roleOf(session, req.user.username);
+  if (!role) throw new ApiError('FORBIDDEN', 'You do not have access to this session');
+  if (ROLE_RANK[role] < ROLE_RANK[minimum])
+    throw new ApiError('FORBIDDEN', minimum === 'owner' ? 'Only the owner can do this' : 'Viewers cannot change this chat');
+  req.chatSession = session;
+  next();
+};
+
+module.exports = { MEMBER_ROLES, roleOf, hasRole, participantsOf, requireSessionRole };
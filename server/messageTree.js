@@ -0,0 +1,61 @@
+// ── Conversation tree ────────────────────────────────────────────────────────
+// Messages form a tree through `parentId`: editing a user message or
+// regenerating a reply adds a sibling instead of replacing anything. The
+// session's `activeLeafId` picks the branch that is shown and sent to the
+// model — the path from the root down to that leaf.
+//
+// Messages saved before branching existed have no parentId field; each one's
+// parent is the message before it, so old chats read as a single branch.
+// `parentId: null` marks a root (an edited first message is a second root).
+
+// nodes: [{ _id, parentId }] sorted by _id ascending
+function buildTree(nodes) {
+  const parentOf = new Map();
+  const children = new Map([[null, []]]);
+  let previous = null;
+  for (const node of nodes) {
+    const id = node._id.toString();
+    const parent = node.parentId === undefined ? previous : node.parentId;
+    parentOf.set(id, parent);
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(id);
+    previous = id;
+  }
+
+  const childrenOf = (id) => children.get(id) || [];
+
+  // Follows the newest child at every level
+  const latestLeaf = (id) => {
+    let current = id;
+    for (let next = childrenOf(current); next.length; next = childrenOf(current)) current = next[next.length - 1];
+    return current;
+  };
+
+  return {
+    has: (id) => parentOf.has(id),
+    parentOf: (id) => parentOf.get(id) ?? null,
+    siblingsOf: (id) => childrenOf(parentOf.get(id) ?? null),
+    latestLeaf,
+    // Leaf of the newest branch; null for an empty session
+    defaultLeaf: () => latestLeaf(null),
+    // Ids from the root down to `leaf`
+    pathTo: (leaf) => {
+      const path = [];
+      for (let id = leaf; id != null; id = parentOf.get(id) ?? null) path.push(id);
+      return path.reverse();
+    },
+  };
+}
+
+// The leaf to show: the session's stored choice while it still exists.
+const activeLeaf = (tree, session) =>
+  session.activeLeafId && tree.has(session.activeLeafId) ? session.activeLeafId : tree.defaultLeaf();
+
+// { index, ids } for messages that have alternatives, so the UI can show
+// "< 2/3 >" and switch to a neighbour; null when there is only one.
+const branchInfo = (tree, id) => {
+  const ids = tree.siblingsOf(id);
+  return ids.length > 1 ? { index: ids.indexOf(id), ids } : null;
+};
+
+module.exports = { buildTree, activeLeaf, branchInfo };
@@ -0,0 +1,114 @@
+// ── Metrics ──────────────────────────────────────────────────────────────────
+// A small in-process registry rendered in the Prometheus text format by
+// GET /api/metrics. Counters and histograms only; label values are kept low
+// cardinality (route patterns such as /api/sessions/:id, never raw URLs).
+// Values live in memory and reset when the server restarts, which Prometheus
+// handles as a counter reset.
+
+const registry = [];
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+// Series are keyed by their label values in labelNames order
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map((name) => labels[name] ?? ''));
+
+const pickLabels = (labelNames, labels) => Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? '']));
+
+function counter(name, help, labelNames = []) {
+  const series = new Map(); // key → { labels, value }
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) series.set(key, { labels: pickLabels(labelNames, labels), value: 0 });
+      series.get(key).value += amount;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of series.values()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+      return lines;
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// observe() takes seconds, the Prometheus base unit
+function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+  const series = new Map(); // key → { labels, counts (per bucket, not cumulative), sum, count }
+  const metric = {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key))
+        series.set(key, { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const entry = series.get(key);
+      const bucket = buckets.findIndex((upper) => value <= upper);
+      if (bucket !== -1) entry.counts[bucket] += 1;
+      entry.sum += value;
+      entry.count += 1;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        let cumulative = 0;
+        buckets.forEach((upper, i) => {
+          cumulative += counts[i];
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: upper })} ${cumulative}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${+sum.toFixed(6)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+const metrics = {
+  httpRequests: counter('http_requests_total', 'HTTP requests by method, route and status code.', [
+    'method',
+    'route',
+    'status',
+  ]),
+  httpDuration: histogram('http_request_duration_seconds', 'HTTP request latency (streamed chats until the stream ends).', [
+    'method',
+    'route',
+  ]),
+  httpErrors: counter('http_errors_total', 'Error responses by route and API error code.', ['route', 'code']),
+  dbDuration: histogram('db_operation_duration_seconds', 'Repository operation latency.', ['repo', 'op']),
+  dbErrors: counter('db_operation_errors_total', 'Repository operations that threw.', ['repo', 'op']),
+  llmDuration: histogram('llm_request_duration_seconds', 'Model call latency, excluding time spent running tools.', [
+    'provider',
+    'kind',
+  ]),
+  llmRequests: counter('llm_requests_total', 'Model calls by provider, kind and outcome.', ['provider', 'kind', 'outcome']),
+  toolCalls: counter('tool_calls_total', 'CSV tool calls requested by the model, by tool name and outcome.', [
+    'tool',
+    'outcome',
+  ]),
+};
+
+const startedAt = Date.now() / 1000;
+
+function renderMetrics() {
+  const lines = registry.flatMap((metric) => metric.render());
+  lines.push(
+    '# HELP process_start_time_seconds Start time of the process since the Unix epoch.',
+    '# TYPE process_start_time_seconds gauge',
+    `process_start_time_seconds ${Math.floor(startedAt)}`,
+    '# HELP process_resident_memory_bytes Resident memory size.',
+    '# TYPE process_resident_memory_bytes gauge',
+    `process_resident_memory_bytes ${process.memoryUsage().rss}`
+  );
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { metrics, counter, histogram, renderMetrics };
@@ -0,0 +1,134 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { repos } = require('./repositories');
+
+// ── Personas ─────────────────────────────────────────────────────────────────
+// A persona is who answers in a chat: a name and avatar for the UI, the system
+// prompt sent with every request, the tools it may use and the greeting shown
+// when a chat with it starts. A session names its persona by key in `agent`;
+// sessions without one (or whose custom persona was deleted) get the default.
+//
+// tools are the answer paths the persona may take (see planRequest in
+// Chat.js): 'search' grounds answers in Google Search, 'code' runs Python and
+// 'tools' calls the in-browser CSV tools. Without 'search' the model answers
+// from its own knowledge.
+//
+// The built-in personas below ship with the app; admins add custom ones,
+// stored in the `personas` collection (server/repositories/personas.js).
+//
+// Every request's system prompt is the persona's prompt followed by the
+// custom instructions of the user asking (server/routes/settings.js), so in a
+// shared chat each member gets answers in their own preferred style.
+
+const PERSONA_TOOLS = ['search', 'code', 'tools'];
+const DEFAULT_PERSONA = 'lisa';
+
+const PROMPTS_DIR = path.join(__dirname, '..', 'public');
+
+const BUILT_IN_PERSONAS = [
+  {
+    key: 'lisa',
+    name: 'Lisa',
+    avatar: '🎤',
+    description: 'Course TA and social media coach with a lot of energy',
+    // Read on every call so edits to the file apply to the next message
+    promptFile: 'prompt_chat.txt',
+    tools: PERSONA_TOOLS,
+    greeting:
+      "Hey, I'm Lisa! Ask me anything about the course, or drop in a CSV of posts and I'll tell you what's working and why.",
+  },
+  {
+    key: 'analyst',
+    name: 'Data Analyst',
+    avatar: '📊',
+    description: 'Plain, precise answers about your data',
+    systemPrompt:
+      'You are a careful data analyst. Answer questions about the data the user shares with exact numbers, ' +
+      'state the method you used and any caveats, and keep the tone neutral and the answers short. ' +
+      'Use the CSV tools for simple statistics and Python for plots, models and anything the tools cannot do. ' +
+      'Say so when the data cannot answer a question instead of guessing.',
+    tools: ['code', 'tools'],
+    greeting: 'Share a CSV and ask a question — I will answer with numbers and say how I got them.',
+  },
+  {
+    key: 'assistant',
+    name: 'Assistant',
+    avatar: '🤖',
+    description: 'A general-purpose helper that can search the web',
+    systemPrompt:
+      'You are a helpful, friendly assistant. Answer clearly and concisely, use Google Search to check facts ' +
+      'and current events, and cite what you found.',
+    tools: ['search'],
+    greeting: 'Hi! How can I help today?',
+  },
+];
+
+const builtInByKey = new Map(BUILT_IN_PERSONAS.map((p) => [p.key, { ...p, builtIn: true }]));
+
+const isBuiltIn = (key) => builtInByKey.has(key);
+
+// Built-in personas first, then custom ones oldest first
+async function listPersonas() {
+  return [...builtInByKey.values(), ...(await repos.personas.list())];
+}
+
+async function findPersona(key) {
+  if (!key) return null;
+  return builtInByKey.get(key) || (await repos.personas.findByKey(key));
+}
+
+// The persona a session's `agent` stands for, falling back to the default
+async function resolvePersona(key) {
+  return (await findPersona(key)) || builtInByKey.get(DEFAULT_PERSONA);
+}
+
+async function systemPromptOf(persona) {
+  if (!persona.promptFile) return persona.systemPrompt || '';
+  try {
+    return (await fs.readFile(path.join(PROMPTS_DIR, persona.promptFile), 'utf8')).trim();
+  } catch {
+    return '';
+  }
+}
+
+const INSTRUCTIONS_HEADER =
+  'The user has set the custom instructions below. Follow them in every answer unless they conflict with the instructions above.';
+
+// What the user's custom instructions (a string, possibly empty) add to a
+// persona's prompt; '' when there are none
+const instructionsSection = (customInstructions) => {
+  const text = (customInstructions || '').trim();
+  return text ? `${INSTRUCTIONS_HEADER}\n\n${text}` : '';
+};
+
+// The system prompt sent to the model: the persona's prompt with the user's
+// custom instructions layered on top
+async function effectiveSystemPrompt(persona, customInstructions) {
+  const base = await systemPromptOf(persona);
+  return [base, instructionsSection(customInstructions)].filter(Boolean).join('\n\n');
+}
+
+// withPrompt: include the system prompt (admins, who manage personas)
+const formatPersona = async (p, withPrompt = false) => ({
+  id: p.key,
+  name: p.name,
+  avatar: p.avatar || null,
+  description: p.description || '',
+  tools: p.tools,
+  greeting: p.greeting || '',
+  builtIn: !!p.builtIn,
+  ...(withPrompt && { systemPrompt: await systemPromptOf(p) }),
+});
+
+module.exports = {
+  PERSONA_TOOLS,
+  DEFAULT_PERSONA,
+  isBuiltIn,
+  listPersonas,
+  findPersona,
+  resolvePersona,
+  systemPromptOf,
+  effectiveSystemPrompt,
+  instructionsSection,
+  formatPersona,
+};
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { toObjectId } = require('./ids');
+
+// ── Attachments ──────────────────────────────────────────────────────────────
+// Metadata lives in the `attachments` collection; the bytes live in the blob
+// store under the same id. Uploads are deduplicated per user by SHA-256, so
+// pasting the same screenshot twice stores it once.
+
+const DUPLICATE_KEY = 11000;
+const INDEX_CONFLICTS = [85, 86]; // IndexOptionsConflict, IndexKeySpecsConflict
+
+// Attachments of deleted users that other chats still show have no owner, so
+// only owned ones are deduplicated
+const OWNER_INDEX = { username: 1, sha256: 1 };
+const OWNER_INDEX_OPTIONS = { unique: true, partialFilterExpression: { username: { $exists: true } } };
+
+module.exports = (db, blobs) => {
+  const attachments = db.collection('attachments');
+
+  return {
+    ensureIndexes: async () => {
+      try {
+        await attachments.createIndex(OWNER_INDEX, OWNER_INDEX_OPTIONS);
+      } catch (err) {
+        // Databases created before the index was partial
+        if (!INDEX_CONFLICTS.includes(err.code)) throw err;
+        await attachments.dropIndex('username_1_sha256_1');
+        await attachments.createIndex(OWNER_INDEX, OWNER_INDEX_OPTIONS);
+      }
+    },
+
+    // Returns the stored attachment document — the existing one when this
+    // user has already uploaded identical bytes.
+    save: async ({ username, buffer, mimeType, name }) => {
+      const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+      const existing = await attachments.findOne({ username, sha256 });
+      if (existing) return existing;
+
+      const id = new ObjectId().toString();
+      await blobs.write(id, buffer, { filename: name, contentType: mimeType });
+      const doc = {
+        _id: toObjectId(id),
+        username,
+        sha256,
+        mimeType,
+        size: buffer.length,
+        name,
+        createdAt: new Date().toISOString(),
+      };
+      try {
+        await attachments.insertOne(doc);
+        return doc;
+      } catch (err) {
+        // Lost a race with a concurrent identical upload: keep theirs
+        if (err.code !== DUPLICATE_KEY) throw err;
+        await blobs.remove(id);
+        return attachments.findOne({ username, sha256 });
+      }
+    },
+
+    findById: (id) => attachments.findOne({ _id: toObjectId(id) }),
+
+    findOwned: (ids, username) =>
+      attachments.find({ _id: { $in: ids.map(toObjectId) }, username }).toArray(),
+
+    openStream: (id) => blobs.createReadStream(id),
+
+    // Deletes every attachment of the user, bytes included, except `keepIds`
+    // (still shown in other people's chats), which only lose their owner
+    // (`username` is removed). Returns the number deleted.
+    removeByUser: async (username, keepIds = []) => {
+      const keep = { _id: { $in: keepIds.map(toObjectId) } };
+      const docs = await attachments
+        .find({ username, _id: { $nin: keepIds.map(toObjectId) } }, { projection: { _id: 1 } })
+        .toArray();
+      for (const doc of docs) {
+        // A blob that is already gone must not block deleting the rest
+        await blobs.remove(doc._id.toString()).catch(() => {});
+      }
+      await attachments.deleteMany({ _id: { $in: docs.map((d) => d._id) } });
+      if (keepIds.length) await attachments.updateMany({ username, ...keep }, { $unset: { username: '' } });
+      return docs.length;
+    },
+  };
+};
@@ -0,0 +1,8 @@
+const { ObjectId } = require('mongodb');
+
+// Session/message ids are 24-char hex ObjectIds on both storage backends.
+const isValidId = (id) => typeof id === 'string' && /^[a-f\d]{24}$/i.test(id);
+
+const toObjectId = (id) => new ObjectId(id);
+
+module.exports = { isValidId, toObjectId };
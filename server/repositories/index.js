@@ -0,0 +1,31 @@
+const createUsers = require('./users');
+const createRefreshTokens = require('./refreshTokens');
+const createSessions = require('./sessions');
+const createMessages = require('./messages');
+const createAttachments = require('./attachments');
+const createUsage = require('./usage');
+const createPersonas = require('./personas');
+const { timeRepository } = require('../tracing');
+
+// ── Repository layer ─────────────────────────────────────────────────────────
+// Routes talk to `repos.*` only, never to a collection directly, so the same
+// code runs on either storage backend (see server/storage). `repos` is filled
+// in once the backend is connected; every method is timed (server/tracing.js).
+
+const repos = {};
+
+function initRepositories(db, blobs) {
+  const created = {
+    users: createUsers(db),
+    refreshTokens: createRefreshTokens(db),
+    sessions: createSessions(db),
+    messages: createMessages(db),
+    attachments: createAttachments(db, blobs),
+    usage: createUsage(db),
+    personas: createPersonas(db),
+  };
+  for (const [name, repo] of Object.entries(created)) repos[name] = timeRepository(name, repo);
+  return repos;
+}
+
+module.exports = { repos, initRepositories };
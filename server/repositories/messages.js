@@ -0,0 +1,171 @@
+const { ObjectId } = require('mongodb');
+const { toObjectId } = require('./ids');
+
+// ── Messages ─────────────────────────────────────────────────────────────────
+// One document per message, keyed by sessionId (the session's id as a hex
+// string), so long image-heavy chats never approach MongoDB's 16 MB document
+// limit. Ids increase over time, so sorting by `_id` is chronological.
+// `username` is the message's author — in a chat with members
+// (server/members.js) not necessarily the session's owner, and null once the
+// author's account has been deleted.
+
+module.exports = (db) => {
+  const messages = db.collection('messages');
+  const sessions = db.collection('sessions');
+
+  return {
+    ensureIndexes: () =>
+      Promise.all([messages.createIndex({ sessionId: 1, _id: -1 }), messages.createIndex({ username: 1, _id: -1 })]),
+
+    // The route has checked the author may post in the session
+    append: async (sessionId, username, msg) => {
+      const result = await messages.insertOne({ sessionId, username, ...msg });
+      const id = result.insertedId.toString();
+      // A new message is always the tip of the branch being looked at
+      await sessions.updateOne(
+        { _id: toObjectId(sessionId) },
+        { $inc: { messageCount: 1 }, $set: { activeLeafId: id } }
+      );
+      return id;
+    },
+
+    // `_id` and `parentId` of every message, oldest first — enough to build the
+    // conversation tree (see server/messageTree.js).
+    listTree: (sessionId) =>
+      messages.find({ sessionId }, { projection: { _id: 1, parentId: 1 } }).sort({ _id: 1 }).toArray(),
+
+    // The given messages in the order of `ids`, e.g. one page of a branch
+    listByIds: async (sessionId, ids) => {
+      const docs = await messages.find({ sessionId, _id: { $in: ids.map(toObjectId) } }).toArray();
+      const byId = new Map(docs.map((d) => [d._id.toString(), d]));
+      return ids.map((id) => byId.get(id)).filter(Boolean);
+    },
+
+    listFirst: (sessionId, limit) => messages.find({ sessionId }).sort({ _id: 1 }).limit(limit).toArray(),
+
+    findById: (sessionId, id) => messages.findOne({ sessionId, _id: toObjectId(id) }),
+
+    // `_id` and `contextSummary` of those of `ids` that carry a summary of the
+    // conversation up to them (see server/context.js)
+    listSummaries: (sessionId, ids) =>
+      messages
+        .find(
+          { sessionId, _id: { $in: ids.map(toObjectId) }, contextSummary: { $exists: true } },
+          { projection: { _id: 1, contextSummary: 1 } }
+        )
+        .toArray(),
+
+    // summary: { text, count, createdAt } — stored on the last model message
+    // it covers
+    setContextSummary: async (sessionId, id, summary) => {
+      const result = await messages.updateOne(
+        { sessionId, _id: toObjectId(id), role: 'model' },
+        { $set: { contextSummary: summary } }
+      );
+      return result.matchedCount > 0;
+    },
+
+    // Candidate messages for search: messages of `sessionIds` (the chats a
+    // user can see) with any of `patterns` (RegExps) in the text or the
+    // attached CSV's name. Ranking happens in the search route.
+    search: (sessionIds, patterns, max) =>
+      messages
+        .find({
+          sessionId: { $in: sessionIds },
+          $or: patterns.flatMap((re) => [{ content: re }, { csvName: re }]),
+        })
+        .sort({ _id: -1 })
+        .limit(max)
+        .toArray(),
+
+    // feedback: { rating, comment, path, tools, updatedAt } — stored on the
+    // rated message itself; username is the message's author.
+    setFeedback: async (id, username, feedback) => {
+      const result = await messages.updateOne({ _id: toObjectId(id), username, role: 'model' }, { $set: { feedback } });
+      return result.matchedCount > 0;
+    },
+
+    clearFeedback: (id, username) =>
+      messages.updateOne({ _id: toObjectId(id), username }, { $unset: { feedback: '' } }),
+
+    // Any user's message; the caller checks access to its session
+    lookup: (id) => messages.findOne({ _id: toObjectId(id) }),
+
+    // Feedback of every user on answers given since `since` (ISO string)
+    listFeedback: (since) =>
+      messages
+        .find({ feedback: { $exists: true }, timestamp: { $gte: since } }, { projection: { feedback: 1, timestamp: 1 } })
+        .toArray(),
+
+    // True when a message of the session references the attachment; used to
+    // serve images of shared sessions without auth.
+    referencesAttachment: async (sessionId, attachmentId) =>
+      (await messages.countDocuments({ sessionId, 'attachments.id': attachmentId })) > 0,
+
+    count: (filter = {}) => messages.countDocuments(filter),
+
+    // Timestamp of the user's newest message, or null
+    lastTimestamp: async (username) => {
+      const [last] = await messages.find({ username }).sort({ _id: -1 }).limit(1).toArray();
+      return last?.timestamp || null;
+    },
+
+    // Messages per UTC day and author since `since` (ISO string), counted by
+    // the database, for the admin activity chart: [{ _id: { day, username },
+    // messages }]. username is null (or missing) for deleted users.
+    countActivity: (since) =>
+      messages
+        .aggregate([
+          { $match: { timestamp: { $gte: since } } },
+          {
+            $group: {
+              _id: { day: { $substrBytes: ['$timestamp', 0, 10] }, username: '$username' },
+              messages: { $sum: 1 },
+            },
+          },
+        ])
+        .toArray(),
+
+    // Messages the user wrote in chats that stay (other people's) lose their
+    // author instead of being deleted: their children point at them through
+    // parentId, so removing them would cut the conversation tree apart.
+    clearAuthor: (username) => messages.updateMany({ username }, { $set: { username: null } }),
+
+    // Ids of the attachments referenced by the user's messages
+    attachmentIdsOf: (username) => messages.distinct('attachments.id', { username }),
+
+    removeBySession: (sessionId) => messages.deleteMany({ sessionId }),
+
+    removeBySessions: (sessionIds) => messages.deleteMany({ sessionId: { $in: sessionIds } }),
+
+    // One-time move of messages embedded in session documents (the old schema)
+    // into the messages collection. Safe to run on every start. The new ids are
+    // stored on the session (migratingIds) before anything is inserted, so a
+    // run that stopped halfway inserts only the messages still missing.
+    migrateEmbedded: async () => {
+      const legacy = await sessions.find({ messages: { $exists: true } }).toArray();
+      for (const s of legacy) {
+        const sessionId = s._id.toString();
+        const embedded = s.messages || [];
+        let ids = s.migratingIds;
+        if (ids?.length !== embedded.length) {
+          ids = embedded.map(() => new ObjectId().toHexString());
+          await sessions.updateOne({ _id: s._id }, { $set: { migratingIds: ids } });
+        }
+        const done = await messages
+          .find({ sessionId, _id: { $in: ids.map(toObjectId) } }, { projection: { _id: 1 } })
+          .toArray();
+        const inserted = new Set(done.map((d) => d._id.toString()));
+        const missing = embedded
+          .map((m, i) => ({ sessionId, username: s.username, ...m, _id: toObjectId(ids[i]) }))
+          .filter((m) => !inserted.has(m._id.toString()));
+        if (missing.length) await messages.insertMany(missing);
+        await sessions.updateOne(
+          { _id: s._id },
+          { $unset: { messages: '', migratingIds: '' }, $set: { messageCount: embedded.length } }
+        );
+      }
+      return legacy.length;
+    },
+  };
+};
@@ -0,0 +1,32 @@
+// ── Personas ─────────────────────────────────────────────────────────────────
+// Custom personas added by admins, one document each in the `personas`
+// collection:
+//   { key, name, avatar, description, systemPrompt, tools, greeting,
+//     createdBy, createdAt, updatedAt }
+// key is the slug stored as a session's `agent`. The built-in personas live in
+// server/personas.js and are never stored.
+
+module.exports = (db) => {
+  const personas = db.collection('personas');
+
+  return {
+    ensureIndexes: () => personas.createIndex({ key: 1 }, { unique: true }),
+
+    list: () => personas.find({}).sort({ createdAt: 1 }).toArray(),
+
+    findByKey: (key) => personas.findOne({ key }),
+
+    create: (persona) => {
+      const now = new Date().toISOString();
+      return personas.insertOne({ ...persona, createdAt: now, updatedAt: now });
+    },
+
+    // fields: any of { name, avatar, description, systemPrompt, tools, greeting }
+    update: async (key, fields) => {
+      const result = await personas.updateOne({ key }, { $set: { ...fields, updatedAt: new Date().toISOString() } });
+      return result.matchedCount > 0;
+    },
+
+    remove: async (key) => (await personas.deleteOne({ key })).deletedCount > 0,
+  };
+};
@@ -0,0 +1,24 @@
+// ── Refresh tokens ───────────────────────────────────────────────────────────
+// Only the SHA-256 hash of a refresh token is stored (see server/auth.js).
+
+module.exports = (db) => {
+  const tokens = db.collection('refresh_tokens');
+
+  return {
+    create: ({ tokenHash, username, expiresAt }) =>
+      tokens.insertOne({
+        tokenHash,
+        username,
+        createdAt: new Date().toISOString(),
+        expiresAt,
+      }),
+
+    // Deletes and returns the token document, so each refresh token works once.
+    consume: (tokenHash) => tokens.findOneAndDelete({ tokenHash }),
+
+    revoke: (tokenHash) => tokens.deleteOne({ tokenHash }),
+
+    // Logs the user out everywhere once their access tokens expire
+    revokeAll: (username) => tokens.deleteMany({ username }),
+  };
+};
@@ -0,0 +1,157 @@
+const { toObjectId } = require('./ids');
+
+// ── Sessions ─────────────────────────────────────────────────────────────────
+// Write methods take the owner's username and include it in the filter, so a
+// call can never modify another user's session. Routes that let members write
+// (server/members.js) pass the owner's username once they checked the role.
+//
+// Deleting a chat moves it to the trash: `deletedAt` is set and the lists and
+// searches below skip it until it is restored or purged (server/trash.js).
+
+const LIVE = { deletedAt: { $exists: false } };
+
+// Sessions the user owns or is a member of
+const visibleTo = (username) => ({ $or: [{ username }, { 'members.username': username }] });
+
+module.exports = (db) => {
+  const sessions = db.collection('sessions');
+
+  return {
+    ensureIndexes: () =>
+      Promise.all([
+        sessions.createIndex({ 'share.token': 1 }, { unique: true, sparse: true }),
+        sessions.createIndex({ 'members.username': 1 }),
+        sessions.createIndex({ 'invites.username': 1 }),
+      ]),
+
+    // Owned chats and the ones the user is a member of
+    listByUser: (username) => sessions.find({ ...visibleTo(username), ...LIVE }).sort({ createdAt: -1 }).toArray(),
+
+    listTrash: (username) =>
+      sessions.find({ username, deletedAt: { $exists: true } }).sort({ deletedAt: -1 }).toArray(),
+
+    searchTitles: (username, patterns, max) =>
+      sessions
+        .find({ $and: [visibleTo(username), { $or: patterns.map((re) => ({ title: re })) }], ...LIVE })
+        .sort({ createdAt: -1 })
+        .limit(max)
+        .toArray(),
+
+    findByIds: (ids) => sessions.find({ _id: { $in: ids.map(toObjectId) } }).toArray(),
+
+    findById: (id) => sessions.findOne({ _id: toObjectId(id) }),
+
+    create: async ({ username, agent, title }) => {
+      const result = await sessions.insertOne({
+        username,
+        agent: agent || null,
+        title: title || null,
+        titleSource: 'auto',
+        createdAt: new Date().toISOString(),
+        messageCount: 0,
+      });
+      return result.insertedId.toString();
+    },
+
+    // source: 'user' for a manual rename, 'ai' for a generated title. Generated
+    // titles never replace one the user typed.
+    setTitle: async (id, username, title, source = 'user') => {
+      const filter = { _id: toObjectId(id), username, ...(source === 'ai' && { titleSource: { $ne: 'user' } }) };
+      const result = await sessions.updateOne(filter, { $set: { title, titleSource: source } });
+      return result.matchedCount > 0;
+    },
+
+    // fields: any of { pinned, folder, tags }
+    update: (id, username, fields) => sessions.updateOne({ _id: toObjectId(id), username }, { $set: fields }),
+
+    updateMany: (ids, username, fields) =>
+      sessions.updateMany({ _id: { $in: ids.map(toObjectId) }, username }, { $set: fields }),
+
+    removeMany: (ids, username) => sessions.deleteMany({ _id: { $in: ids.map(toObjectId) }, username }),
+
+    trash: (ids, username, deletedAt = new Date().toISOString()) =>
+      sessions.updateMany({ _id: { $in: ids.map(toObjectId) }, username, ...LIVE }, { $set: { deletedAt } }),
+
+    restore: (ids, username) =>
+      sessions.updateMany(
+        { _id: { $in: ids.map(toObjectId) }, username, deletedAt: { $exists: true } },
+        { $unset: { deletedAt: '' } }
+      ),
+
+    // Trashed sessions of every user deleted before the cutoff (ISO string)
+    listTrashedBefore: (cutoff) =>
+      sessions.find({ deletedAt: { $lt: cutoff } }, { projection: { _id: 1, username: 1 } }).toArray(),
+
+    // Which branch of the conversation tree is shown (server/messageTree.js)
+    setActiveLeaf: (id, username, leafId) =>
+      sessions.updateOne({ _id: toObjectId(id), username }, { $set: { activeLeafId: leafId } }),
+
+    // share: { token, createdAt, expiresAt, showUsername } — replaces any
+    // existing link, so re-sharing also revokes the old URL.
+    setShare: (id, username, share) =>
+      sessions.updateOne({ _id: toObjectId(id), username }, { $set: { share } }),
+
+    clearShare: (id, username) =>
+      sessions.updateOne({ _id: toObjectId(id), username }, { $unset: { share: '' } }),
+
+    findByShareToken: (token) => sessions.findOne({ 'share.token': token }),
+
+    // ── Members (see server/members.js) ──
+
+    // Chats the user has been invited to and not answered yet
+    listInvited: (username) =>
+      sessions.find({ 'invites.username': username, ...LIVE }).sort({ createdAt: -1 }).toArray(),
+
+    // invite: { username, role, invitedAt, invitedBy }; false when the user
+    // is already invited
+    addInvite: async (id, owner, invite) => {
+      const result = await sessions.updateOne(
+        { _id: toObjectId(id), username: owner, 'invites.username': { $ne: invite.username } },
+        { $push: { invites: invite } }
+      );
+      return result.matchedCount > 0;
+    },
+
+    removeInvite: (id, username) =>
+      sessions.updateOne({ _id: toObjectId(id) }, { $pull: { invites: { username } } }),
+
+    // Turns the user's invite into a membership; false without an invite
+    acceptInvite: async (id, username, member) => {
+      const result = await sessions.updateOne(
+        { _id: toObjectId(id), 'invites.username': username, ...LIVE },
+        { $pull: { invites: { username } }, $push: { members: member } }
+      );
+      return result.matchedCount > 0;
+    },
+
+    removeMember: (id, username) =>
+      sessions.updateOne({ _id: toObjectId(id) }, { $pull: { members: { username } } }),
+
+    // Changes the role of a member or of a pending invite
+    setRole: async (id, owner, username, role) => {
+      const session = await sessions.findOne({ _id: toObjectId(id), username: owner });
+      if (!session) return false;
+      const withRole = (list = []) => list.map((entry) => (entry.username === username ? { ...entry, role } : entry));
+      await sessions.updateOne(
+        { _id: toObjectId(id), username: owner },
+        { $set: { members: withRole(session.members), invites: withRole(session.invites) } }
+      );
+      return true;
+    },
+
+    // Drops the user from every chat they were a member of or invited to
+    removeFromAll: (username) =>
+      sessions.updateMany(
+        { $or: [{ 'members.username': username }, { 'invites.username': username }] },
+        { $pull: { members: { username }, invites: { username } } }
+      ),
+
+    count: (filter = {}) => sessions.countDocuments(filter),
+
+    // Ids of every chat the user owns, trashed ones included
+    listIdsByOwner: async (username) =>
+      (await sessions.find({ username }, { projection: { _id: 1 } }).toArray()).map((s) => s._id.toString()),
+
+    removeByUser: (username) => sessions.deleteMany({ username }),
+  };
+};
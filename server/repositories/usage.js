@@ -0,0 +1,38 @@
+// ── Usage ────────────────────────────────────────────────────────────────────
+// One document per model request in the `usage` collection:
+//   { username, sessionId, kind, provider, model, promptTokens, responseTokens,
+//     totalTokens, toolRounds, costUsd, createdAt }
+// kind is the answer path ('search' | 'code' | 'tools'), 'title' or 'summary'. toolRounds
+// holds { promptTokens, responseTokens } of every round after the first.
+
+module.exports = (db) => {
+  const usage = db.collection('usage');
+
+  return {
+    ensureIndexes: () => usage.createIndex({ username: 1, createdAt: -1 }),
+
+    record: (doc) => usage.insertOne({ ...doc, createdAt: new Date().toISOString() }),
+
+    // Entries since `since` (ISO string); all users when username is omitted
+    listSince: (since, username) =>
+      usage
+        .find(
+          { ...(username && { username }), createdAt: { $gte: since } },
+          { projection: { toolRounds: 0 } }
+        )
+        .toArray(),
+
+    // { tokens, costUsd } of one user since `since`
+    totalSince: async (username, since) => {
+      const entries = await usage
+        .find({ username, createdAt: { $gte: since } }, { projection: { totalTokens: 1, costUsd: 1 } })
+        .toArray();
+      return entries.reduce(
+        (sum, e) => ({ tokens: sum.tokens + (e.totalTokens || 0), costUsd: sum.costUsd + (e.costUsd || 0) }),
+        { tokens: 0, costUsd: 0 }
+      );
+    },
+
+    removeByUser: (username) => usage.deleteMany({ username }),
+  };
+};
@@ -0,0 +1,44 @@
+// ── Users ────────────────────────────────────────────────────────────────────
+
+module.exports = (db) => {
+  const users = db.collection('users');
+
+  return {
+    findByUsername: (username) => users.findOne({ username }),
+
+    create: ({ username, password, email, role = 'user' }) =>
+      users.insertOne({
+        username,
+        password,
+        email,
+        role,
+        createdAt: new Date().toISOString(),
+      }),
+
+    count: (filter = {}) => users.countDocuments(filter),
+
+    // Newest accounts first; `pattern` (a RegExp) filters on username or email
+    list: ({ pattern, skip, limit }) =>
+      users
+        .find(pattern ? { $or: [{ username: pattern }, { email: pattern }] } : {}, { projection: { password: 0 } })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+
+    // Set on login and token refresh — at least every 15 minutes while active
+    touch: (username) => users.updateOne({ username }, { $set: { lastActiveAt: new Date().toISOString() } }),
+
+    // fields: any of { role, disabled }
+    update: (username, fields) => users.updateOne({ username }, { $set: fields }),
+
+    // { text, updatedAt } layered on every persona's system prompt; '' clears it
+    setCustomInstructions: (username, text) =>
+      users.updateOne({ username }, { $set: { customInstructions: { text, updatedAt: new Date().toISOString() } } }),
+
+    // Promotes the accounts listed in ADMIN_USERNAMES on every start
+    grantAdmin: (usernames) => users.updateMany({ username: { $in: usernames } }, { $set: { role: 'admin' } }),
+
+    remove: (username) => users.deleteOne({ username }),
+  };
+};
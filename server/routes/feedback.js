@@ -0,0 +1,66 @@
+const express = require('express');
+const { validate } = require('../validate');
+const { repos } = require('../repositories');
+
+// ── Feedback summary ─────────────────────────────────────────────────────────
+// GET /api/feedback/summary?days=30 aggregates the thumbs up/down of all users
+// on answers given in the last `days` days, so the answer paths can be
+// compared: the client-side CSV tools, Python code execution (chosen by the
+// PYTHON_ONLY_KEYWORDS / CODE_KEYWORDS routing) and the search path. Admins
+// only, since it covers every user's answers (see the mount in server/index.js).
+//
+// Response: { since, days, totals, byPath, byTool, byDay } where every bucket
+// is { up, down, total, upRate } plus its key (path, tool or day). An answer
+// that used several tools counts once for each of them. Days are the UTC date
+// the answer was given. Comments are never included.
+
+const router = express.Router();
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const PATHS = ['tools', 'code', 'search'];
+
+const emptyBucket = () => ({ up: 0, down: 0, total: 0, upRate: null });
+
+const addRating = (bucket, rating) => {
+  bucket[rating] += 1;
+  bucket.total += 1;
+  bucket.upRate = Math.round((bucket.up / bucket.total) * 1000) / 1000;
+};
+
+const summarySchema = { query: { days: { type: 'integer', min: 1, max: MAX_DAYS, default: DEFAULT_DAYS } } };
+
+router.get('/summary', validate(summarySchema), async (req, res) => {
+  const { days } = req.valid.query;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const totals = emptyBucket();
+  const byPath = new Map(PATHS.map((path) => [path, emptyBucket()]));
+  const byTool = new Map();
+  const byDay = new Map();
+  const bucketIn = (map, key) => {
+    if (!map.has(key)) map.set(key, emptyBucket());
+    return map.get(key);
+  };
+
+  for (const { feedback, timestamp } of await repos.messages.listFeedback(since)) {
+    const { rating, path, tools = [] } = feedback;
+    addRating(totals, rating);
+    addRating(bucketIn(byPath, path), rating);
+    tools.forEach((tool) => addRating(bucketIn(byTool, tool), rating));
+    addRating(bucketIn(byDay, timestamp.slice(0, 10)), rating);
+  }
+
+  res.json({
+    since,
+    days,
+    totals,
+    byPath: [...byPath].map(([path, bucket]) => ({ path, ...bucket })),
+    byTool: [...byTool]
+      .map(([tool, bucket]) => ({ tool, ...bucket }))
+      .sort((a, b) => b.total - a.total || a.tool.localeCompare(b.tool)),
+    byDay: [...byDay].map(([day, bucket]) => ({ day, ...bucket })).sort((a, b) => a.day.localeCompare(b.day)),
+  });
+});
+
+module.exports = router;
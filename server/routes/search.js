@@ -0,0 +1,150 @@
+const express = require('express');
+const { requireAuth } = require('../auth');
+const { validate } = require('../validate');
+const { repos } = require('../repositories');
+
+// ── Search ───────────────────────────────────────────────────────────────────
+// GET /api/search?q=…&limit=20 searches the message text, session titles and
+// attached CSV names of the caller's chats, including the ones they are a
+// member of. Candidates are fetched with case-insensitive
+// regexes (works on both storage backends) and ranked here.
+//
+// Each result: { sessionId, sessionTitle, messageId, role, field, snippet,
+// highlights, score, timestamp } — field is 'content', 'csvName' or 'title'
+// (messageId is null for title hits); highlights are [start, end) offsets
+// into snippet.
+
+const router = express.Router();
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 8;
+const CANDIDATE_LIMIT = 500;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const SNIPPET_BEFORE = 60;
+const SNIPPET_LENGTH = 200;
+
+const FIELD_WEIGHT = { title: 2, csvName: 1.5, content: 1 };
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseTerms = (q) =>
+  [...new Set(q.toLowerCase().split(/\s+/).filter((t) => t.length > 1 || /\w/.test(t)))].slice(0, MAX_TERMS);
+
+// All [start, end) ranges in `text` where any term occurs, merged.
+const findRanges = (text, terms) => {
+  const ranges = [];
+  const lower = text.toLowerCase();
+  terms.forEach((t) => {
+    for (let i = lower.indexOf(t); i !== -1; i = lower.indexOf(t, i + t.length)) ranges.push([i, i + t.length]);
+  });
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, r) => {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push([...r]);
+    return merged;
+  }, []);
+};
+
+const scoreText = (text, terms, phrase, field) => {
+  const lower = text.toLowerCase();
+  let score = 0;
+  let matched = 0;
+  terms.forEach((t) => {
+    const count = lower.split(t).length - 1;
+    if (count) {
+      matched++;
+      score += 1 + Math.log(1 + count);
+    }
+  });
+  if (!matched) return 0;
+  if (matched === terms.length && terms.length > 1) score *= 1.5;
+  if (terms.length > 1 && lower.includes(phrase)) score += 2;
+  return score * FIELD_WEIGHT[field];
+};
+
+// A window of text around the first hit, trimmed to word boundaries.
+const buildSnippet = (text, terms) => {
+  const ranges = findRanges(text, terms);
+  const first = ranges[0]?.[0] ?? 0;
+  let start = Math.max(0, first - SNIPPET_BEFORE);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first) start = space + 1;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > first) end = space;
+  }
+  const prefix = start > 0 ? '…' : '';
+  const body = text.slice(start, end).replace(/\s+/g, ' ');
+  const snippet = prefix + body + (end < text.length ? '…' : '');
+  return { snippet, highlights: findRanges(prefix + body, terms) };
+};
+
+const bestField = (fields, terms, phrase) =>
+  fields
+    .filter(([, text]) => text)
+    .map(([field, text]) => ({ field, text, score: scoreText(text, terms, phrase, field) }))
+    .sort((a, b) => b.score - a.score)[0];
+
+const searchSchema = {
+  query: {
+    q: { type: 'string', required: true, trim: true, max: MAX_QUERY_LENGTH },
+    limit: { type: 'integer', min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT },
+  },
+};
+
+router.get('/', requireAuth, validate(searchSchema), async (req, res) => {
+  const { q, limit } = req.valid.query;
+  const { username } = req.user;
+  const terms = parseTerms(q);
+  const phrase = q.toLowerCase().replace(/\s+/g, ' ');
+  const patterns = terms.map((t) => new RegExp(escapeRegex(t), 'i'));
+
+  // Chats in the trash and chats the caller has left are not listed, so
+  // their messages stay out of results
+  const visible = await repos.sessions.listByUser(username);
+  const titles = new Map(visible.map((s) => [s._id.toString(), s.title || null]));
+
+  const [messages, titled] = await Promise.all([
+    repos.messages.search([...titles.keys()], patterns, CANDIDATE_LIMIT),
+    repos.sessions.searchTitles(username, patterns, CANDIDATE_LIMIT),
+  ]);
+
+  const results = [
+    ...messages.map((m) => {
+      const best = bestField([['content', m.content], ['csvName', m.csvName]], terms, phrase);
+      return best && {
+        sessionId: m.sessionId,
+        sessionTitle: titles.get(m.sessionId) ?? null,
+        messageId: m._id.toString(),
+        role: m.role,
+        field: best.field,
+        score: best.score,
+        timestamp: m.timestamp,
+        ...buildSnippet(best.text, terms),
+      };
+    }),
+    ...titled.map((s) => ({
+      sessionId: s._id.toString(),
+      sessionTitle: s.title,
+      messageId: null,
+      role: null,
+      field: 'title',
+      score: scoreText(s.title, terms, phrase, 'title'),
+      timestamp: s.createdAt,
+      ...buildSnippet(s.title, terms),
+    })),
+  ]
+    .filter((r) => r && r.score > 0)
+    .sort((a, b) => b.score - a.score || String(b.timestamp).localeCompare(String(a.timestamp)))
+    .slice(0, limit)
+    .map((r) => ({ ...r, score: +r.score.toFixed(3) }));
+
+  res.json({ query: q, results });
+});
+
+module.exports = router;
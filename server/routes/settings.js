@@ -0,0 +1,70 @@
+const express = require('express');
+const { requireAuth } = require('../auth');
+const { ApiError } = require('../errors');
+const { validate } = require('../validate');
+const { repos } = require('../repositories');
+const { findPersona, resolvePersona, effectiveSystemPrompt, instructionsSection } = require('../personas');
+
+// ── Settings ─────────────────────────────────────────────────────────────────
+// The caller's custom instructions: preferences such as answer length,
+// language or "always show the numbers in a table", added to the system prompt
+// of every chat they ask in (see effectiveSystemPrompt in server/personas.js).
+//
+// GET /api/settings → { customInstructions, updatedAt, maxLength }
+// PUT /api/settings { customInstructions } → the same; '' clears them
+// POST /api/settings/preview { persona?, customInstructions? }
+//   → { persona: { id, name }, instructions, systemPrompt }: what the custom
+//     instructions add to the prompt of a chat with that persona (the default
+//     one when omitted), and for admins the whole prompt. Persona prompts are
+//     admin-only, as in /api/personas, so systemPrompt is null for everyone
+//     else. customInstructions previews unsaved text; the saved instructions
+//     are used when omitted.
+
+const router = express.Router();
+
+const MAX_INSTRUCTIONS_LENGTH = 1500;
+
+const instructionsRule = { type: 'string', trim: true, allowEmpty: true, max: MAX_INSTRUCTIONS_LENGTH };
+
+const savedInstructions = async (username) => (await repos.users.findByUsername(username))?.customInstructions;
+
+const isAdmin = (user) => !!user && !user.disabled && user.role === 'admin';
+
+const formatSettings = (saved) => ({
+  customInstructions: saved?.text || '',
+  updatedAt: saved?.updatedAt || null,
+  maxLength: MAX_INSTRUCTIONS_LENGTH,
+});
+
+router.get('/', requireAuth, async (req, res) => {
+  res.json(formatSettings(await savedInstructions(req.user.username)));
+});
+
+const settingsSchema = { body: { customInstructions: { ...instructionsRule, required: true } } };
+
+router.put('/', requireAuth, validate(settingsSchema), async (req, res) => {
+  await repos.users.setCustomInstructions(req.user.username, req.valid.body.customInstructions);
+  res.json(formatSettings(await savedInstructions(req.user.username)));
+});
+
+const previewSchema = {
+  body: {
+    persona: { type: 'string', nullable: true, max: 40 },
+    customInstructions: instructionsRule,
+  },
+};
+
+router.post('/preview', requireAuth, validate(previewSchema), async (req, res) => {
+  const { persona: key, customInstructions } = req.valid.body;
+  if (key && !(await findPersona(key))) throw new ApiError('VALIDATION_FAILED', `Unknown persona "${key}"`);
+  const persona = await resolvePersona(key);
+  const user = await repos.users.findByUsername(req.user.username);
+  const text = customInstructions ?? user?.customInstructions?.text;
+  res.json({
+    persona: { id: persona.key, name: persona.name },
+    instructions: instructionsSection(text),
+    systemPrompt: isAdmin(user) ? await effectiveSystemPrompt(persona, text) : null,
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+const express = require('express');
+const { requireAuth } = require('../auth');
+const { ApiError } = require('../errors');
+const { validate } = require('../validate');
+const { notify } = require('../events');
+const { participantsOf } = require('../members');
+const { repos } = require('../repositories');
+const { retentionDays, purgeAt, deleteForever } = require('../trash');
+
+// ── Trash ────────────────────────────────────────────────────────────────────
+// The caller's deleted chats (see server/trash.js). DELETE /api/sessions/:id
+// and the bulk delete move chats here; these routes list, restore and delete
+// them for good. Only the owner of a chat sees it here; its members get it
+// back in their list when it is restored.
+
+const router = express.Router();
+
+const MAX_IDS = 500;
+
+const formatTrashed = (s) => ({
+  id: s._id.toString(),
+  title: s.title || null,
+  createdAt: s.createdAt,
+  messageCount: s.messageCount ?? 0,
+  folder: s.folder || null,
+  deletedAt: s.deletedAt,
+  purgeAt: purgeAt(s.deletedAt),
+});
+
+router.get('/', requireAuth, async (req, res) => {
+  const sessions = await repos.sessions.listTrash(req.user.username);
+  res.json({ retentionDays: retentionDays(), sessions: sessions.map(formatTrashed) });
+});
+
+const idsSchema = {
+  body: { ids: { type: 'array', required: true, min: 1, max: MAX_IDS, items: { type: 'id' } } },
+};
+
+// All ids must be trashed chats of the caller, otherwise nothing is changed
+const requireTrashed = async (req, res, next) => {
+  const ids = [...new Set(req.valid.body.ids)];
+  const found = await repos.sessions.findByIds(ids);
+  if (found.length !== ids.length || found.some((s) => !s.deletedAt))
+    throw new ApiError('NOT_FOUND', 'Session not found in the trash');
+  if (found.some((s) => s.username !== req.user.username))
+    throw new ApiError('FORBIDDEN', 'You do not have access to this session');
+  req.trashedIds = ids;
+  req.trashedSessions = found;
+  next();
+};
+
+router.post('/restore', requireAuth, validate(idsSchema), requireTrashed, async (req, res) => {
+  await repos.sessions.restore(req.trashedIds, req.user.username);
+  notify(req, { type: 'session.restored', sessionIds: req.trashedIds }, req.trashedSessions.flatMap(participantsOf));
+  res.json({ ok: true, count: req.trashedIds.length });
+});
+
+router.post('/delete', requireAuth, validate(idsSchema), requireTrashed, async (req, res) => {
+  const count = await deleteForever(req.trashedIds, req.user.username);
+  res.json({ ok: true, count });
+});
+
+// Empty the trash
+router.delete('/', requireAuth, async (req, res) => {
+  const ids = (await repos.sessions.listTrash(req.user.username)).map((s) => s._id.toString());
+  const count = ids.length ? await deleteForever(ids, req.user.username) : 0;
+  res.json({ ok: true, count });
+});
+
+module.exports = router;
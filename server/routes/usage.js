@@ -0,0 +1,74 @@
+const express = require('express');
+const { requireAuth } = require('../auth');
+const { validate } = require('../validate');
+const { repos } = require('../repositories');
+const { isValidId } = require('../repositories/ids');
+const { quotaStatus, pricing, emptyUsage, addUsage } = require('../usage');
+
+// ── Usage ────────────────────────────────────────────────────────────────────
+// GET /api/usage/quota → the caller's quota status (see server/usage.js).
+//
+// GET /api/usage?days=30 → { quota, pricing, days, totals, daily, bySession, byKind }
+// for the caller. Every bucket is { requests, promptTokens, responseTokens,
+// totalTokens, costUsd }; daily has one point per UTC day (including empty
+// days), bySession adds { sessionId, title } with null for requests outside a
+// chat and for deleted chats, byKind adds { kind }.
+
+const router = express.Router();
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+router.get('/quota', requireAuth, async (req, res) => {
+  res.json(await quotaStatus(req.user.username));
+});
+
+const usageSchema = { query: { days: { type: 'integer', min: 1, max: MAX_DAYS, default: DEFAULT_DAYS } } };
+
+router.get('/', requireAuth, validate(usageSchema), async (req, res) => {
+  const { days } = req.valid.query;
+  const today = new Date(new Date().toISOString().slice(0, 10));
+  const daily = new Map();
+  for (let i = days - 1; i >= 0; i--) {
+    daily.set(new Date(today.getTime() - i * DAY_MS).toISOString().slice(0, 10), emptyUsage());
+  }
+  const since = `${daily.keys().next().value}T00:00:00.000Z`;
+
+  const totals = emptyUsage();
+  const bySession = new Map();
+  const byKind = new Map();
+  const bucketIn = (map, key) => {
+    if (!map.has(key)) map.set(key, emptyUsage());
+    return map.get(key);
+  };
+
+  for (const entry of await repos.usage.listSince(since, req.user.username)) {
+    addUsage(totals, entry);
+    const point = daily.get(entry.createdAt.slice(0, 10));
+    if (point) addUsage(point, entry);
+    addUsage(bucketIn(bySession, entry.sessionId || null), entry);
+    addUsage(bucketIn(byKind, entry.kind), entry);
+  }
+
+  const sessionIds = [...bySession.keys()].filter((id) => id && isValidId(id));
+  const titles = new Map(
+    (await repos.sessions.findByIds(sessionIds))
+      .filter((s) => s.username === req.user.username)
+      .map((s) => [s._id.toString(), s.title || 'Untitled'])
+  );
+
+  res.json({
+    quota: await quotaStatus(req.user.username),
+    pricing: pricing(),
+    days,
+    totals,
+    daily: [...daily].map(([day, bucket]) => ({ day, ...bucket })),
+    bySession: [...bySession]
+      .map(([sessionId, bucket]) => ({ sessionId, title: titles.get(sessionId) ?? null, ...bucket }))
+      .sort((a, b) => b.totalTokens - a.totalTokens),
+    byKind: [...byKind].map(([kind, bucket]) => ({ kind, ...bucket })).sort((a, b) => b.totalTokens - a.totalTokens),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const { GridFSBucket, ObjectId } = require('mongodb');
+
+// ── Binary blob stores ───────────────────────────────────────────────────────
+// Attachment bytes live outside the document collections. Both stores expose:
+//   write(id, buffer, { filename, contentType }) → Promise
+//   createReadStream(id) → Readable
+//   remove(id) → Promise
+
+function gridFsBlobStore(db) {
+  const bucket = new GridFSBucket(db, { bucketName: 'attachments' });
+  return {
+    write: (id, buffer, { filename, contentType }) =>
+      new Promise((resolve, reject) => {
+        const upload = bucket.openUploadStreamWithId(new ObjectId(id), filename || id, {
+          metadata: { contentType },
+        });
+        upload.once('finish', resolve);
+        upload.once('error', reject);
+        upload.end(buffer);
+      }),
+    createReadStream: (id) => bucket.openDownloadStream(new ObjectId(id)),
+    remove: (id) => bucket.delete(new ObjectId(id)),
+  };
+}
+
+function diskBlobStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = (id) => path.join(dir, id);
+  return {
+    write: (id, buffer) => fs.promises.writeFile(fileFor(id), buffer),
+    createReadStream: (id) => fs.createReadStream(fileFor(id)),
+    remove: (id) => fs.promises.rm(fileFor(id), { force: true }),
+  };
+}
+
+module.exports = { gridFsBlobStore, diskBlobStore };
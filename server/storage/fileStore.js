@@ -0,0 +1,561 @@
+const fs = require('fs');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+
+// ── Embedded file-backed store ───────────────────────────────────────────────
+// Implements the subset of the MongoDB collection API the repositories use,
+// persisting each collection to <dir>/<name>.json. Everything is held in
+// memory and the collection file is rewritten on every change, so this is for
+// local development, demos and tests — not for large data sets.
+//
+// ObjectIds are stored as 24-char hex strings; ObjectId values in filters and
+// documents are converted on the way in, so repositories can use the same
+// queries against both backends.
+//
+// Queries are full scans, so indexes only matter when they are unique: those
+// (and `_id`) are enforced with MongoDB's duplicate-key error, code 11000,
+// which the repositories rely on (e.g. attachment deduplication).
+//
+// aggregate() runs the few pipeline stages the repositories use; see
+// Aggregation below.
+
+const isPlainObject = (v) =>
+  v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof RegExp) && !(v instanceof Date);
+
+const normalize = (value) => {
+  if (value instanceof ObjectId) return value.toHexString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (isPlainObject(value))
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, normalize(v)]));
+  return value;
+};
+
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => deepEqual(v, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((k) => deepEqual(a[k], b[k]));
+  }
+  return false;
+};
+
+// Values reachable at a dotted path. Arrays along the way fan out, as in
+// MongoDB, so 'members.username' reaches every member's username.
+const valuesAt = (doc, dotted) => {
+  let current = [doc];
+  for (const key of dotted.split('.')) {
+    const next = [];
+    for (const v of current) {
+      if (v == null) continue;
+      if (Array.isArray(v) && !/^\d+$/.test(key)) {
+        v.forEach((el) => isPlainObject(el) && next.push(el[key]));
+      } else if (typeof v === 'object') {
+        next.push(v[key]);
+      }
+    }
+    current = next;
+  }
+  return current;
+};
+
+const getPath = (doc, dotted) => valuesAt(doc, dotted)[0];
+
+const setPath = (doc, dotted, value) => {
+  const keys = dotted.split('.');
+  let target = doc;
+  keys.slice(0, -1).forEach((k) => {
+    if (!isPlainObject(target[k]) && !Array.isArray(target[k])) target[k] = {};
+    target = target[k];
+  });
+  target[keys[keys.length - 1]] = value;
+};
+
+const unsetPath = (doc, dotted) => {
+  const keys = dotted.split('.');
+  const parent = keys.slice(0, -1).reduce((t, k) => (t == null ? t : t[k]), doc);
+  if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+};
+
+const TYPE_RANK = { undefined: 0, object: 1, number: 2, string: 3, boolean: 4 };
+
+const compareValues = (a, b) => {
+  if (a == null && b == null) return 0;
+  if (a == null) return -1;
+  if (b == null) return 1;
+  if (typeof a !== typeof b) return (TYPE_RANK[typeof a] ?? 5) - (TYPE_RANK[typeof b] ?? 5);
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+};
+
+const comparable = (a, b) =>
+  a != null && b != null && typeof a === typeof b && (typeof a === 'number' || typeof a === 'string');
+
+// ── Query matching ───────────────────────────────────────────────────────────
+
+const matchCondition = (values, cond) => {
+  // Array fields match if the array itself or any element matches
+  const candidates = values.flatMap((v) => (Array.isArray(v) ? [v, ...v] : [v]));
+  const equals = (x) =>
+    x === null ? candidates.length === 0 || candidates.some((c) => c == null) : candidates.some((c) => deepEqual(c, x));
+
+  if (cond instanceof RegExp) return candidates.some((c) => typeof c === 'string' && cond.test(c));
+  if (!isPlainObject(cond) || !Object.keys(cond).some((k) => k.startsWith('$'))) return equals(cond);
+
+  return Object.entries(cond).every(([op, arg]) => {
+    switch (op) {
+      case '$eq':
+        return equals(arg);
+      case '$ne':
+        return !equals(arg);
+      case '$in':
+        return arg.some((x) => (x instanceof RegExp ? matchCondition(values, x) : equals(x)));
+      case '$nin':
+        return !arg.some((x) => equals(x));
+      case '$gt':
+        return candidates.some((c) => comparable(c, arg) && c > arg);
+      case '$gte':
+        return candidates.some((c) => comparable(c, arg) && c >= arg);
+      case '$lt':
+        return candidates.some((c) => comparable(c, arg) && c < arg);
+      case '$lte':
+        return candidates.some((c) => comparable(c, arg) && c <= arg);
+      case '$exists':
+        return values.some((v) => v !== undefined) === !!arg;
+      case '$regex': {
+        const re = arg instanceof RegExp ? arg : new RegExp(arg, cond.$options || '');
+        return candidates.some((c) => typeof c === 'string' && re.test(c));
+      }
+      case '$options':
+        return true;
+      case '$size':
+        return values.some((v) => Array.isArray(v) && v.length === arg);
+      case '$elemMatch':
+        return values.some(
+          (v) => Array.isArray(v) && v.some((el) => (isPlainObject(el) ? matches(el, arg) : matchCondition([el], arg)))
+        );
+      case '$not':
+        return !matchCondition(values, arg);
+      default:
+        throw new Error(`fileStore: unsupported query operator ${op}`);
+    }
+  });
+};
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some((f) => matches(doc, f));
+    if (key === '$and') return cond.every((f) => matches(doc, f));
+    if (key === '$nor') return !cond.some((f) => matches(doc, f));
+    return matchCondition(valuesAt(doc, key), cond);
+  });
+}
+
+// ── Updates ──────────────────────────────────────────────────────────────────
+
+const eachOf = (value) => (isPlainObject(value) && Array.isArray(value.$each) ? value.$each : [value]);
+
+const applyUpdate = (doc, update, inserting = false) => {
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [key, value] of Object.entries(fields)) {
+      switch (op) {
+        case '$set':
+          setPath(doc, key, value);
+          break;
+        case '$setOnInsert':
+          if (inserting) setPath(doc, key, value);
+          break;
+        case '$unset':
+          unsetPath(doc, key);
+          break;
+        case '$inc':
+          setPath(doc, key, (getPath(doc, key) || 0) + value);
+          break;
+        case '$max':
+          if (compareValues(value, getPath(doc, key)) > 0) setPath(doc, key, value);
+          break;
+        case '$min': {
+          const current = getPath(doc, key);
+          if (current === undefined || compareValues(value, current) < 0) setPath(doc, key, value);
+          break;
+        }
+        case '$push': {
+          const arr = getPath(doc, key) || [];
+          setPath(doc, key, [...arr, ...eachOf(value)]);
+          break;
+        }
+        case '$addToSet': {
+          const arr = [...(getPath(doc, key) || [])];
+          eachOf(value).forEach((v) => arr.some((x) => deepEqual(x, v)) || arr.push(v));
+          setPath(doc, key, arr);
+          break;
+        }
+        case '$pull': {
+          const arr = getPath(doc, key) || [];
+          const hit = (el) =>
+            isPlainObject(value) && isPlainObject(el) && !Object.keys(value).some((k) => k.startsWith('$'))
+              ? matches(el, value)
+              : matchCondition([el], value);
+          setPath(doc, key, arr.filter((el) => !hit(el)));
+          break;
+        }
+        default:
+          throw new Error(`fileStore: unsupported update operator ${op}`);
+      }
+    }
+  }
+  return doc;
+};
+
+const project = (doc, projection) => {
+  if (!projection || !Object.keys(projection).length) return doc;
+  const entries = Object.entries(projection);
+  const including = entries.some(([k, v]) => v && k !== '_id');
+  if (!including) {
+    const out = { ...doc };
+    entries.forEach(([k, v]) => !v && unsetPath(out, k));
+    return out;
+  }
+  const out = projection._id === 0 ? {} : { _id: doc._id };
+  entries.forEach(([k, v]) => {
+    if (!v || k === '_id') return;
+    const value = getPath(doc, k);
+    if (value !== undefined) setPath(out, k, value);
+  });
+  return out;
+};
+
+const sortDocs = (docs, spec) => {
+  const keys = Object.entries(spec || {});
+  if (!keys.length) return docs;
+  return [...docs].sort((a, b) => {
+    for (const [k, dir] of keys) {
+      const c = compareValues(getPath(a, k), getPath(b, k));
+      if (c) return c * (dir < 0 ? -1 : 1);
+    }
+    return 0;
+  });
+};
+
+// ── Aggregation ──────────────────────────────────────────────────────────────
+// Stages $match, $group (accumulator $sum), $sort and $limit. Expressions are
+// '$field' paths, literals, objects of expressions and $substrBytes (which
+// counts characters here; the repositories only cut ASCII, e.g. ISO dates).
+
+const evaluate = (doc, expr) => {
+  if (typeof expr === 'string' && expr.startsWith('$')) return getPath(doc, expr.slice(1));
+  if (Array.isArray(expr)) return expr.map((e) => evaluate(doc, e));
+  if (!isPlainObject(expr)) return expr;
+  const [op] = Object.keys(expr);
+  if (op === '$substrBytes') {
+    const [value, start, length] = evaluate(doc, expr.$substrBytes);
+    return value == null ? '' : String(value).slice(start, start + length);
+  }
+  if (op?.startsWith('$')) throw new Error(`fileStore: unsupported expression operator ${op}`);
+  // Missing fields are left out of the result, as in MongoDB
+  return Object.fromEntries(
+    Object.entries(expr)
+      .map(([k, e]) => [k, evaluate(doc, e)])
+      .filter(([, v]) => v !== undefined)
+  );
+};
+
+const groupDocs = (docs, { _id: key, ...fields }) => {
+  const groups = new Map();
+  for (const doc of docs) {
+    const id = evaluate(doc, key) ?? null;
+    const groupKey = JSON.stringify(id);
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { _id: id, ...Object.fromEntries(Object.keys(fields).map((f) => [f, 0])) });
+    }
+    const group = groups.get(groupKey);
+    for (const [field, accumulator] of Object.entries(fields)) {
+      const [op] = Object.keys(accumulator);
+      if (op !== '$sum') throw new Error(`fileStore: unsupported accumulator ${op}`);
+      const value = evaluate(doc, accumulator.$sum);
+      if (typeof value === 'number') group[field] += value;
+    }
+  }
+  return [...groups.values()];
+};
+
+const runPipeline = (docs, pipeline) =>
+  pipeline.reduce((out, stage) => {
+    const [op] = Object.keys(stage);
+    switch (op) {
+      case '$match':
+        return out.filter((d) => matches(d, stage.$match));
+      case '$group':
+        return groupDocs(out, stage.$group);
+      case '$sort':
+        return sortDocs(out, stage.$sort);
+      case '$limit':
+        return out.slice(0, stage.$limit);
+      default:
+        throw new Error(`fileStore: unsupported aggregation stage ${op}`);
+    }
+  }, docs);
+
+// ── Unique indexes ───────────────────────────────────────────────────────────
+
+const DUPLICATE_KEY = 11000;
+
+const indexName = (spec) =>
+  Object.entries(spec)
+    .map(([k, v]) => `${k}_${v}`)
+    .join('_');
+
+// The document's key in a unique index ({ name, keys, sparse, partial }), or
+// null when the index leaves it out: sparse and none of the fields set, or
+// not matching the partial filter. Array values are compared whole.
+const indexKey = (doc, index) => {
+  const values = index.keys.map((k) => getPath(doc, k));
+  if (index.sparse && values.every((v) => v === undefined)) return null;
+  if (index.partial && !matches(doc, index.partial)) return null;
+  return JSON.stringify(values.map((v) => v ?? null));
+};
+
+const duplicateKeyError = (collection, index, doc) => {
+  const keyValue = Object.fromEntries(index.keys.map((k) => [k, getPath(doc, k) ?? null]));
+  const err = new Error(
+    `E11000 duplicate key error collection: ${collection} index: ${index.name} dup key: ${JSON.stringify(keyValue)}`
+  );
+  err.name = 'MongoServerError';
+  err.code = DUPLICATE_KEY;
+  err.keyValue = keyValue;
+  return err;
+};
+
+// ── Cursor / Collection ──────────────────────────────────────────────────────
+
+class FileCursor {
+  constructor(collection, filter, options = {}) {
+    this.collection = collection;
+    this.filter = normalize(filter || {});
+    this.options = { ...options };
+  }
+  sort(spec) {
+    this.options.sort = spec;
+    return this;
+  }
+  skip(n) {
+    this.options.skip = n;
+    return this;
+  }
+  limit(n) {
+    this.options.limit = n;
+    return this;
+  }
+  project(spec) {
+    this.options.projection = spec;
+    return this;
+  }
+  async toArray() {
+    const { sort, skip = 0, limit = 0, projection } = this.options;
+    let docs = sortDocs(this.collection.docs.filter((d) => matches(d, this.filter)), sort);
+    docs = docs.slice(skip, limit ? skip + limit : undefined);
+    return docs.map((d) => structuredClone(project(d, projection)));
+  }
+}
+
+class FileCollection {
+  constructor(name, file) {
+    this.name = name;
+    this.file = file;
+    this.docs = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+    this.uniqueIndexes = [{ name: '_id_', keys: ['_id'] }];
+  }
+
+  // Throws the duplicate-key error when `changed` — documents about to be
+  // inserted, or updated copies of stored ones — would break a unique index.
+  assertUnique(changed) {
+    const replaced = new Set(changed.map((d) => d._id));
+    const docs = [...this.docs.filter((d) => !replaced.has(d._id)), ...changed];
+    for (const index of this.uniqueIndexes) {
+      const seen = new Set();
+      for (const doc of docs) {
+        const key = indexKey(doc, index);
+        if (key === null) continue;
+        if (seen.has(key)) throw duplicateKeyError(this.name, index, doc);
+        seen.add(key);
+      }
+    }
+  }
+
+  // Stores updated copies made by applyUpdate in place of the originals
+  replaceDocs(updated) {
+    const byId = new Map(updated.map((d) => [d._id, d]));
+    this.docs = this.docs.map((d) => byId.get(d._id) || d);
+  }
+
+  save() {
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.docs));
+    fs.renameSync(tmp, this.file);
+  }
+
+  find(filter, options) {
+    return new FileCursor(this, filter, options);
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = await this.find(filter, { ...options, limit: 1 }).toArray();
+    return doc || null;
+  }
+
+  aggregate(pipeline) {
+    return { toArray: async () => structuredClone(runPipeline(this.docs, normalize(pipeline))) };
+  }
+
+  async countDocuments(filter) {
+    const f = normalize(filter || {});
+    return this.docs.filter((d) => matches(d, f)).length;
+  }
+
+  async distinct(field, filter) {
+    const f = normalize(filter || {});
+    const out = [];
+    this.docs
+      .filter((d) => matches(d, f))
+      .flatMap((d) => valuesAt(d, field).flatMap((v) => (Array.isArray(v) ? v : [v])))
+      .forEach((v) => v !== undefined && !out.some((x) => deepEqual(x, v)) && out.push(v));
+    return out;
+  }
+
+  async insertOne(doc) {
+    const stored = normalize({ _id: new ObjectId(), ...doc });
+    this.assertUnique([stored]);
+    this.docs.push(stored);
+    this.save();
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const stored = docs.map((doc) => normalize({ _id: new ObjectId(), ...doc }));
+    this.assertUnique(stored);
+    this.docs.push(...stored);
+    this.save();
+    return { acknowledged: true, insertedCount: stored.length, insertedIds: stored.map((d) => d._id) };
+  }
+
+  // Builds the document an upsert inserts: equality fields of the filter plus the update.
+  upsertDoc(filter, update) {
+    const base = {};
+    Object.entries(filter).forEach(([k, v]) => {
+      if (!k.startsWith('$') && !(isPlainObject(v) && Object.keys(v).some((x) => x.startsWith('$')))) setPath(base, k, v);
+    });
+    return applyUpdate({ _id: new ObjectId().toHexString(), ...base }, update, true);
+  }
+
+  async updateMany(filter, update, options = {}, single = false) {
+    const f = normalize(filter || {});
+    const u = normalize(update);
+    const hits = single ? [this.docs.find((d) => matches(d, f))].filter(Boolean) : this.docs.filter((d) => matches(d, f));
+    if (!hits.length && options.upsert) {
+      const doc = this.upsertDoc(f, u);
+      this.assertUnique([doc]);
+      this.docs.push(doc);
+      this.save();
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: doc._id };
+    }
+    const updated = hits.map((d) => applyUpdate(structuredClone(d), u));
+    this.assertUnique(updated);
+    this.replaceDocs(updated);
+    if (hits.length) this.save();
+    return { acknowledged: true, matchedCount: hits.length, modifiedCount: hits.length, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateOne(filter, update, options) {
+    return this.updateMany(filter, update, options, true);
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const f = normalize(filter || {});
+    const u = normalize(update);
+    const before = sortDocs(this.docs.filter((d) => matches(d, f)), options.sort)[0] || null;
+    let doc;
+    if (!before) {
+      if (!options.upsert) return null;
+      doc = this.upsertDoc(f, u);
+      this.assertUnique([doc]);
+      this.docs.push(doc);
+    } else {
+      doc = applyUpdate(structuredClone(before), u);
+      this.assertUnique([doc]);
+      this.replaceDocs([doc]);
+    }
+    this.save();
+    const result = options.returnDocument === 'after' ? doc : before;
+    return result ? structuredClone(project(result, options.projection)) : null;
+  }
+
+  async deleteMany(filter, single = false) {
+    const f = normalize(filter || {});
+    let deleted = 0;
+    this.docs = this.docs.filter((d) => {
+      if ((single && deleted) || !matches(d, f)) return true;
+      deleted++;
+      return false;
+    });
+    if (deleted) this.save();
+    return { acknowledged: true, deletedCount: deleted };
+  }
+
+  async deleteOne(filter) {
+    return this.deleteMany(filter, true);
+  }
+
+  async findOneAndDelete(filter) {
+    const f = normalize(filter || {});
+    const index = this.docs.findIndex((d) => matches(d, f));
+    if (index === -1) return null;
+    const [doc] = this.docs.splice(index, 1);
+    this.save();
+    return doc;
+  }
+
+  // Registers unique indexes (options unique, sparse, partialFilterExpression);
+  // fails like MongoDB when the stored documents already break one. Returns
+  // the index name.
+  async createIndex(spec, options = {}) {
+    const name = options.name || indexName(spec);
+    if (options.unique) {
+      const index = {
+        name,
+        keys: Object.keys(spec),
+        sparse: !!options.sparse,
+        partial: options.partialFilterExpression ? normalize(options.partialFilterExpression) : null,
+      };
+      const others = this.uniqueIndexes.filter((i) => i.name !== name);
+      this.uniqueIndexes = [...others, index];
+      try {
+        this.assertUnique([]);
+      } catch (err) {
+        this.uniqueIndexes = others;
+        throw err;
+      }
+    }
+    return name;
+  }
+
+  async dropIndex(name) {
+    this.uniqueIndexes = this.uniqueIndexes.filter((i) => i.name !== name);
+  }
+}
+
+function openFileDb(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const collections = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, new FileCollection(name, path.join(dir, `${name}.json`)));
+      return collections.get(name);
+    },
+  };
+}
+
+module.exports = { openFileDb };
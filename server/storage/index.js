@@ -0,0 +1,41 @@
+const path = require('path');
+const { MongoClient } = require('mongodb');
+const { openFileDb } = require('./fileStore');
+const { gridFsBlobStore, diskBlobStore } = require('./blobStore');
+const { logger } = require('../logger');
+
+// ── Storage backends ─────────────────────────────────────────────────────────
+// STORAGE_DRIVER selects where users, sessions and messages live:
+//   mongo (default) — MongoDB Atlas / any MongoDB via REACT_APP_MONGODB_URI
+//   file            — embedded JSON files under DATA_DIR (default ./data); no
+//                     outside database needed for local dev, demos and tests
+//
+// Both return a `db` exposing collection(name) with the MongoDB collection API
+// (the file backend implements the subset the repositories use), and `blobs`
+// for attachment bytes: GridFS on MongoDB, DATA_DIR/attachments on disk.
+
+const URI = process.env.REACT_APP_MONGODB_URI || process.env.MONGODB_URI || process.env.REACT_APP_MONGO_URI;
+const DB = 'chatapp';
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data'));
+
+async function connectStorage() {
+  const driver = (process.env.STORAGE_DRIVER || 'mongo').toLowerCase();
+
+  if (driver === 'file') {
+    const db = openFileDb(DATA_DIR);
+    logger.info('file storage ready', { dataDir: DATA_DIR });
+    return { driver, db, blobs: diskBlobStore(path.join(DATA_DIR, 'attachments')) };
+  }
+
+  if (driver === 'mongo') {
+    if (!URI) throw new Error('REACT_APP_MONGODB_URI is not set (or use STORAGE_DRIVER=file)');
+    const client = await MongoClient.connect(URI);
+    logger.info('MongoDB connected', { db: DB });
+    const db = client.db(DB);
+    return { driver, db, blobs: gridFsBlobStore(db), client };
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected mongo or file)`);
+}
+
+module.exports = { connectStorage };
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const server = startServer();
+
+test.before(() => server.start());
+test.after(() => server.stop());
+
+test('admin stats count active users and messages per day', async () => {
+  const admin = await server.signup('admin');
+  for (const [name, count] of [
+    ['amy', 3],
+    ['ben', 1],
+  ]) {
+    const token = await server.signup(name);
+    const { data: session } = await server.request('/api/sessions', { token, method: 'POST', body: {} });
+    for (let i = 0; i < count; i++) {
+      await server.request('/api/messages', {
+        token,
+        method: 'POST',
+        body: { session_id: session.id, role: 'user', content: `m${i}` },
+      });
+    }
+  }
+
+  const { status, data } = await server.request('/api/admin/stats?days=7', { token: admin });
+  assert.equal(status, 200);
+  assert.equal(data.daily.length, 7);
+  assert.deepEqual(data.daily[6], { day: new Date().toISOString().slice(0, 10), activeUsers: 2, messages: 4 });
+  assert.equal(data.messagesCount, 4);
+  assert.ok(data.daily.slice(0, 6).every((p) => p.activeUsers === 0 && p.messages === 0));
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const server = startServer();
+
+test.before(() => server.start());
+test.after(() => server.stop());
+
+// Owner and member take turns in the owner's chat
+async function sharedChat(owner, member) {
+  const { data: session } = await server.request('/api/sessions', { token: owner.token, method: 'POST', body: {} });
+  await server.request(`/api/sessions/${session.id}/members`, {
+    token: owner.token,
+    method: 'POST',
+    body: { username: member.name, role: 'editor' },
+  });
+  await server.request(`/api/invites/${session.id}/accept`, { token: member.token, method: 'POST' });
+  const turns = [owner, member, owner, member, owner];
+  for (const [i, author] of turns.entries()) {
+    const { status } = await server.request('/api/messages', {
+      token: author.token,
+      method: 'POST',
+      body: { session_id: session.id, role: 'user', content: `message ${i + 1}` },
+    });
+    assert.equal(status, 200);
+  }
+  return session.id;
+}
+
+test('deleting a user keeps the chats they wrote in but do not own', async () => {
+  const admin = await server.signup('admin');
+  const owner = { name: 'olive', token: await server.signup('olive') };
+  const member = { name: 'mark', token: await server.signup('mark') };
+  const sessionId = await sharedChat(owner, member);
+  const { data: ownChat } = await server.request('/api/sessions', { token: member.token, method: 'POST', body: {} });
+  await server.request('/api/messages', {
+    token: member.token,
+    method: 'POST',
+    body: { session_id: ownChat.id, role: 'user', content: 'mine' },
+  });
+
+  const { status, data } = await server.request('/api/admin/users/mark', { token: admin, method: 'DELETE' });
+  assert.equal(status, 200);
+  assert.deepEqual(data.deleted, { sessions: 1, messages: 1, attachments: 0 });
+
+  const { data: page } = await server.request(`/api/messages?session_id=${sessionId}`, { token: owner.token });
+  assert.deepEqual(
+    page.messages.map((m) => m.content),
+    ['message 1', 'message 2', 'message 3', 'message 4', 'message 5']
+  );
+  assert.deepEqual(
+    page.messages.map((m) => m.author),
+    ['olive', null, 'olive', null, 'olive']
+  );
+  page.messages.slice(1).forEach((m, i) => assert.equal(m.parentId, page.messages[i].id));
+
+  const { data: sessions } = await server.request('/api/sessions', { token: owner.token });
+  const shared = sessions.find((s) => s.id === sessionId);
+  assert.equal(shared.messageCount, 5);
+
+  const { data: members } = await server.request(`/api/sessions/${sessionId}/members`, { token: owner.token });
+  assert.deepEqual(members.members, []);
+});
+
+test('deleting a user removes every message of the chats they own', async () => {
+  const admin = await server.signup('admin');
+  const owner = { name: 'oscar', token: await server.signup('oscar') };
+  const member = { name: 'mia', token: await server.signup('mia') };
+  const sessionId = await sharedChat(owner, member);
+
+  const { data } = await server.request('/api/admin/users/oscar', { token: admin, method: 'DELETE' });
+  assert.deepEqual(data.deleted, { sessions: 1, messages: 5, attachments: 0 });
+
+  const { data: sessions } = await server.request('/api/sessions', { token: member.token });
+  assert.equal(sessions.some((s) => s.id === sessionId), false);
+});
+
+test('a username in the URL is validated before it is looked up', async () => {
+  const admin = await server.signup('admin');
+  const { status, data } = await server.request(`/api/admin/users/${'x'.repeat(41)}`, { token: admin, method: 'DELETE' });
+  assert.equal(status, 400);
+  assert.equal(data.code, 'VALIDATION_FAILED');
+  const { status: found, data: row } = await server.request('/api/admin/users/ADMIN/sessions', { token: admin });
+  assert.equal(found, 200);
+  assert.equal(row.user.username, 'admin');
+});
+
+test('images two deleted users posted in another chat stay readable', async () => {
+  const admin = await server.signup('admin');
+  const owner = { name: 'opal', token: await server.signup('opal') };
+  const { data: session } = await server.request('/api/sessions', { token: owner.token, method: 'POST', body: {} });
+  const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(16)]);
+  const posted = [];
+  for (const name of ['nell', 'noah']) {
+    const token = await server.signup(name);
+    await server.request(`/api/sessions/${session.id}/members`, {
+      token: owner.token,
+      method: 'POST',
+      body: { username: name, role: 'editor' },
+    });
+    await server.request(`/api/invites/${session.id}/accept`, { token, method: 'POST' });
+    const upload = await fetch(`${server.baseUrl}/api/attachments`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'image/png', Authorization: `Bearer ${token}` },
+      body: png,
+    });
+    const { id } = await upload.json();
+    await server.request('/api/messages', {
+      token,
+      method: 'POST',
+      body: { session_id: session.id, role: 'user', content: 'look', attachments: [id] },
+    });
+    posted.push(id);
+  }
+
+  for (const name of ['nell', 'noah']) {
+    const { status, data } = await server.request(`/api/admin/users/${name}`, { token: admin, method: 'DELETE' });
+    assert.equal(status, 200);
+    assert.equal(data.deleted.attachments, 0);
+  }
+  for (const id of posted) {
+    const res = await fetch(`${server.baseUrl}/api/attachments/${id}?session_id=${session.id}`, {
+      headers: { Authorization: `Bearer ${owner.token}` },
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(Buffer.from(await res.arrayBuffer()), png);
+  }
+});
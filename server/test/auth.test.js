@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { startServer } = require('./helpers');
+
+const server = startServer();
+
+test.before(() => server.start());
+test.after(() => server.stop());
+
+const login = (username, password = 'password1') =>
+  server.request('/api/users/login', { method: 'POST', body: { username, password } });
+
+// An access token for `claims`, signed with `secret` the way server/auth.js signs
+const signToken = (claims, secret = process.env.AUTH_SECRET) => {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${crypto.createHmac('sha256', secret).update(payload).digest('base64url')}`;
+};
+
+test('login returns a token pair and rejects wrong credentials alike', async () => {
+  await server.signup('lena');
+  const { status, data } = await login('Lena');
+  assert.equal(status, 200);
+  assert.equal(data.username, 'lena');
+  assert.ok(data.accessToken && data.refreshToken);
+  assert.equal(data.expiresIn, 15 * 60);
+
+  for (const [username, password] of [
+    ['lena', 'wrong-password'],
+    ['nobody', 'password1'],
+  ]) {
+    const { status: failed, data: error } = await login(username, password);
+    assert.equal(failed, 401);
+    assert.equal(error.code, 'INVALID_CREDENTIALS');
+  }
+});
+
+test('routes need a bearer token', async () => {
+  const { status, data } = await server.request('/api/sessions');
+  assert.equal(status, 401);
+  assert.equal(data.code, 'AUTH_REQUIRED');
+});
+
+test('a refresh token works once and is replaced', async () => {
+  await server.signup('rudi');
+  const { data: first } = await login('rudi');
+  const refresh = (refreshToken) => server.request('/api/users/refresh', { method: 'POST', body: { refreshToken } });
+
+  const { status, data: second } = await refresh(first.refreshToken);
+  assert.equal(status, 200);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal((await server.request('/api/sessions', { token: second.accessToken })).status, 200);
+
+  const { status: reused, data: error } = await refresh(first.refreshToken);
+  assert.equal(reused, 401);
+  assert.equal(error.code, 'INVALID_TOKEN');
+
+  await server.request('/api/users/logout', { method: 'POST', body: { refreshToken: second.refreshToken } });
+  assert.equal((await refresh(second.refreshToken)).status, 401);
+});
+
+test('forged, tampered and expired access tokens are refused', async () => {
+  await server.signup('vera');
+  const { data } = await login('vera');
+  const [, signature] = data.accessToken.split('.');
+  const inAnHour = Date.now() + 60 * 60 * 1000;
+  const tokens = [
+    signToken({ sub: 'vera', exp: inAnHour }, 'some-other-secret-of-thirty-two-bytes!'),
+    `${Buffer.from(JSON.stringify({ sub: 'admin', exp: inAnHour })).toString('base64url')}.${signature}`,
+    signToken({ sub: 'vera', exp: Date.now() - 1000 }),
+    'not-a-token',
+  ];
+  for (const token of tokens) {
+    const { status, data: error } = await server.request('/api/sessions', { token });
+    assert.equal(status, 401);
+    assert.equal(error.code, 'INVALID_TOKEN');
+  }
+  // The same claims signed with the server's secret do pass
+  assert.equal((await server.request('/api/sessions', { token: signToken({ sub: 'vera', exp: inAnHour }) })).status, 200);
+});
+
+// Loads server/auth.js in a fresh process with the given AUTH_SECRET
+const loadAuth = (secret) =>
+  spawnSync(process.execPath, ['-e', "require('./server/auth')"], {
+    cwd: path.join(__dirname, '../..'),
+    env: { ...process.env, AUTH_SECRET: secret, LOG_LEVEL: 'error' },
+    encoding: 'utf8',
+  });
+
+test('the server refuses to start with the example or a short AUTH_SECRET', () => {
+  for (const secret of ['your_random_secret', 'x'.repeat(31)]) {
+    const { status, stdout, stderr } = loadAuth(secret);
+    assert.equal(status, 1);
+    assert.match(stdout + stderr, /AUTH_SECRET must be a random string of at least 32 bytes/);
+  }
+  assert.equal(loadAuth('x'.repeat(32)).status, 0);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// Small enough that a few long turns have to be condensed
+const server = startServer({ CONTEXT_TOKEN_BUDGET: '200', CONTEXT_KEEP_MESSAGES: '2' });
+
+test.before(() => server.start());
+test.after(() => server.stop());
+
+// The `data:` events of a /api/chat response
+async function chat(token, body) {
+  const res = await fetch(`${server.baseUrl}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body),
+  });
+  const text = await res.text();
+  if (!res.ok) return { status: res.status, data: JSON.parse(text) };
+  const events = text
+    .split('\n\n')
+    .filter((frame) => frame.startsWith('data:'))
+    .map((frame) => JSON.parse(frame.slice(5)));
+  return { status: res.status, events };
+}
+
+test('the history of a saved question is read from storage', async () => {
+  const token = await server.signup('hal');
+  const { data: session } = await server.request('/api/sessions', { token, method: 'POST', body: {} });
+  const ids = [];
+  for (let i = 0; i < 6; i++) {
+    const { data } = await server.request('/api/messages', {
+      token,
+      method: 'POST',
+      body: { session_id: session.id, role: i % 2 ? 'model' : 'user', content: `turn ${i} `.repeat(40) },
+    });
+    ids.push(data.id);
+  }
+
+  // Nothing but the question's id: the earlier turns still reach the model
+  const { status, events } = await chat(token, { message: 'turn 6', sessionId: session.id, messageId: ids[5] });
+  assert.equal(status, 200);
+  const { context } = events.find((e) => e.type === 'context');
+  assert.ok(context.summary, 'the older turns were summarized');
+  assert.equal(context.condensedThroughId, ids[1]);
+  assert.equal(context.condensedCount, 2);
+  assert.ok(events.some((e) => e.type === 'done'));
+});
+
+test('a question of another chat is not found', async () => {
+  const token = await server.signup('ivy');
+  const { data: mine } = await server.request('/api/sessions', { token, method: 'POST', body: {} });
+  const other = await server.signup('joe');
+  const { data: theirs } = await server.request('/api/sessions', { token: other, method: 'POST', body: {} });
+  const { data: message } = await server.request('/api/messages', {
+    token: other,
+    method: 'POST',
+    body: { session_id: theirs.id, role: 'user', content: 'private' },
+  });
+
+  for (const sessionId of [mine.id, theirs.id]) {
+    const { status, data } = await chat(token, { message: 'hi', sessionId, messageId: message.id });
+    assert.equal(status, 404);
+    assert.equal(data.code, 'NOT_FOUND');
+  }
+});
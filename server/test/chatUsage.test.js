@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// Slow enough that the answer is still streaming when the client leaves
+const server = startServer({ FAKE_LLM_DELAY_MS: '50' });
+
+test.before(() => server.start());
+test.after(() => server.stop());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('a stream the client aborts is still charged', async () => {
+  const token = await server.signup('sam');
+  const controller = new AbortController();
+  const res = await fetch(`${server.baseUrl}/api/chat`, {
+    method: 'POST',
+    signal: controller.signal,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ message: 'tell me a long story '.repeat(50) }),
+  });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let received = '';
+  while (!received.includes('"type":"text"')) received += decoder.decode((await reader.read()).value);
+  controller.abort();
+
+  let usage;
+  for (let i = 0; i < 40 && !usage?.totals.requests; i++) {
+    await sleep(50);
+    ({ data: usage } = await server.request('/api/usage', { token }));
+  }
+  assert.equal(usage.totals.requests, 1);
+  assert.ok(usage.totals.promptTokens > 200);
+  assert.ok(usage.totals.responseTokens > 0);
+  assert.ok(usage.totals.responseTokens < 200, 'only the streamed part is charged');
+});
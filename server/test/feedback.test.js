@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, branchedChat } = require('./helpers');
+
+const server = startServer();
+
+test.before(() => server.start());
+test.after(() => server.stop());
+
+test('the feedback summary is for admins only', async () => {
+  const token = await server.signup('una');
+  const { ids } = await branchedChat(server, token);
+  await server.request(`/api/messages/${ids.a1}/feedback`, { token, method: 'PUT', body: { rating: 'up' } });
+
+  const denied = await server.request('/api/feedback/summary', { token });
+  assert.equal(denied.status, 403);
+
+  const admin = await server.signup('admin');
+  const { status, data } = await server.request('/api/feedback/summary', { token: admin });
+  assert.equal(status, 200);
+  assert.deepEqual(data.totals, { up: 1, down: 0, total: 1, upRate: 1 });
+});
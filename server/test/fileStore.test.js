@@ -0,0 +1,216 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const { openFileDb } = require('../storage/fileStore');
+
+// The query emulator of the file storage backend, against the MongoDB
+// behaviour the repositories rely on
+
+const dirs = [];
+const openDb = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filestore-test-'));
+  dirs.push(dir);
+  return { db: openFileDb(dir), dir };
+};
+test.after(() => dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+const names = (docs) => docs.map((d) => d.name);
+
+async function people() {
+  const { db } = openDb();
+  const col = db.collection('people');
+  await col.insertMany([
+    { name: 'ann', age: 31, tags: ['a', 'b'], pets: [{ kind: 'cat', age: 3 }], city: 'Oslo' },
+    { name: 'bob', age: 25, tags: ['b'], pets: [], city: null },
+    { name: 'cy', age: 40, tags: [], pets: [{ kind: 'dog', age: 9 }, { kind: 'cat', age: 1 }] },
+  ]);
+  return col;
+}
+
+test('comparison, set and existence operators', async () => {
+  const col = await people();
+  const find = async (filter) => names(await col.find(filter).sort({ name: 1 }).toArray());
+  assert.deepEqual(await find({ age: { $gt: 25, $lte: 40 } }), ['ann', 'cy']);
+  assert.deepEqual(await find({ age: { $gte: 25, $lt: 31 } }), ['bob']);
+  assert.deepEqual(await find({ name: { $in: ['ann', 'cy'] } }), ['ann', 'cy']);
+  assert.deepEqual(await find({ name: { $nin: ['ann', 'cy'] } }), ['bob']);
+  assert.deepEqual(await find({ name: { $ne: 'bob' } }), ['ann', 'cy']);
+  assert.deepEqual(await find({ city: { $exists: true } }), ['ann', 'bob']);
+  assert.deepEqual(await find({ city: null }), ['bob', 'cy']);
+  assert.deepEqual(await find({ name: /^[ab]/ }), ['ann', 'bob']);
+  assert.deepEqual(await find({ name: { $regex: 'N', $options: 'i' } }), ['ann']);
+  assert.deepEqual(await find({ age: { $not: { $gt: 30 } } }), ['bob']);
+  assert.deepEqual(await find({ $or: [{ age: 25 }, { city: 'Oslo' }] }), ['ann', 'bob']);
+  assert.deepEqual(await find({ $and: [{ age: { $gt: 20 } }, { tags: 'b' }] }), ['ann', 'bob']);
+  assert.deepEqual(await find({ $nor: [{ age: 25 }, { city: 'Oslo' }] }), ['cy']);
+  await assert.rejects(col.find({ age: { $mod: [2, 0] } }).toArray(), /unsupported query operator \$mod/);
+});
+
+test('array fields match by element, dotted path and $elemMatch', async () => {
+  const col = await people();
+  const find = async (filter) => names(await col.find(filter).sort({ name: 1 }).toArray());
+  assert.deepEqual(await find({ tags: 'b' }), ['ann', 'bob']);
+  assert.deepEqual(await find({ tags: ['b'] }), ['bob']);
+  assert.deepEqual(await find({ tags: { $size: 0 } }), ['cy']);
+  assert.deepEqual(await find({ 'pets.kind': 'cat' }), ['ann', 'cy']);
+  // Without $elemMatch the conditions may hold for different elements
+  assert.deepEqual(await find({ 'pets.kind': 'dog', 'pets.age': 1 }), ['cy']);
+  assert.deepEqual(await find({ pets: { $elemMatch: { kind: 'dog', age: 1 } } }), []);
+  assert.deepEqual(await find({ pets: { $elemMatch: { kind: 'cat', age: { $gt: 2 } } } }), ['ann']);
+});
+
+test('ObjectIds in filters match stored ids', async () => {
+  const col = await people();
+  const [ann] = await col.find({ name: 'ann' }).toArray();
+  assert.equal(typeof ann._id, 'string');
+  assert.equal((await col.findOne({ _id: new ObjectId(ann._id) })).name, 'ann');
+  assert.equal(await col.countDocuments({ _id: { $in: [new ObjectId(ann._id)] } }), 1);
+});
+
+test('sort, skip, limit and projection', async () => {
+  const col = await people();
+  assert.deepEqual(names(await col.find({}).sort({ age: -1 }).toArray()), ['cy', 'ann', 'bob']);
+  assert.deepEqual(names(await col.find({}).sort({ age: 1 }).skip(1).limit(1).toArray()), ['ann']);
+  // Missing and null values sort first
+  assert.deepEqual(names(await col.find({}).sort({ city: 1, name: -1 }).toArray()), ['cy', 'bob', 'ann']);
+
+  const [only] = await col.find({ name: 'ann' }, { projection: { name: 1, 'pets.kind': 1 } }).toArray();
+  assert.deepEqual(Object.keys(only).sort(), ['_id', 'name', 'pets']);
+  const [without] = await col.find({ name: 'ann' }).project({ _id: 0, tags: 0, pets: 0 }).toArray();
+  assert.deepEqual(without, { name: 'ann', age: 31, city: 'Oslo' });
+
+  assert.deepEqual((await col.distinct('tags')).sort(), ['a', 'b']);
+  assert.deepEqual(await col.distinct('pets.kind', { age: { $gt: 35 } }), ['dog', 'cat']);
+});
+
+test('results are copies, not the stored documents', async () => {
+  const col = await people();
+  const [ann] = await col.find({ name: 'ann' }).toArray();
+  ann.tags.push('z');
+  assert.deepEqual((await col.findOne({ name: 'ann' })).tags, ['a', 'b']);
+});
+
+test('update operators', async () => {
+  const col = await people();
+  await col.updateOne(
+    { name: 'ann' },
+    {
+      $set: { 'address.city': 'Bergen' },
+      $unset: { city: '' },
+      $inc: { age: 1, visits: 2 },
+      $push: { tags: { $each: ['c', 'd'] } },
+      $pull: { pets: { kind: 'cat' } },
+    }
+  );
+  await col.updateOne({ name: 'ann' }, { $addToSet: { tags: { $each: ['a', 'e'] } }, $max: { age: 30 }, $min: { age: 20 } });
+  await col.updateOne({ name: 'ann' }, { $pull: { tags: { $in: ['c', 'd'] } } });
+  const ann = await col.findOne({ name: 'ann' }, { projection: { _id: 0 } });
+  assert.deepEqual(ann, { name: 'ann', age: 20, tags: ['a', 'b', 'e'], pets: [], address: { city: 'Bergen' }, visits: 2 });
+
+  const { matchedCount } = await col.updateMany({ tags: 'b' }, { $set: { seen: true } });
+  assert.equal(matchedCount, 2);
+  assert.deepEqual(names(await col.find({ seen: true }).sort({ name: 1 }).toArray()), ['ann', 'bob']);
+  await assert.rejects(col.updateOne({ name: 'bob' }, { $rename: { age: 'years' } }), /unsupported update operator/);
+});
+
+test('upserts, findOneAndUpdate and deletes', async () => {
+  const col = await people();
+  const { upsertedCount } = await col.updateOne(
+    { name: 'dee', age: { $gt: 0 } },
+    { $set: { age: 50 }, $setOnInsert: { createdAt: 'now' } },
+    { upsert: true }
+  );
+  assert.equal(upsertedCount, 1);
+  assert.deepEqual(await col.findOne({ name: 'dee' }, { projection: { _id: 0 } }), { name: 'dee', age: 50, createdAt: 'now' });
+  await col.updateOne({ name: 'dee' }, { $setOnInsert: { createdAt: 'later' } }, { upsert: true });
+  assert.equal((await col.findOne({ name: 'dee' })).createdAt, 'now');
+
+  const before = await col.findOneAndUpdate({ name: 'bob' }, { $inc: { age: 1 } });
+  assert.equal(before.age, 25);
+  const after = await col.findOneAndUpdate({ name: 'bob' }, { $inc: { age: 1 } }, { returnDocument: 'after' });
+  assert.equal(after.age, 27);
+  const oldest = await col.findOneAndUpdate({}, { $set: { oldest: true } }, { sort: { age: -1 }, returnDocument: 'after' });
+  assert.equal(oldest.name, 'dee');
+
+  assert.equal((await col.deleteOne({ age: { $gt: 0 } })).deletedCount, 1);
+  assert.equal((await col.findOneAndDelete({ name: 'cy' })).name, 'cy');
+  assert.equal((await col.deleteMany({})).deletedCount, 2);
+});
+
+test('documents survive reopening the store', async () => {
+  const { db, dir } = openDb();
+  await db.collection('notes').insertOne({ text: 'kept' });
+  const reopened = openFileDb(dir);
+  assert.equal((await reopened.collection('notes').findOne({})).text, 'kept');
+});
+
+test('unique indexes reject duplicates with code 11000', async () => {
+  const { db } = openDb();
+  const col = db.collection('files');
+  await col.createIndex({ owner: 1, sha: 1 }, { unique: true });
+  await col.insertOne({ owner: 'ann', sha: 'x' });
+  await col.insertOne({ owner: 'bob', sha: 'x' });
+  await assert.rejects(col.insertOne({ owner: 'ann', sha: 'x' }), { code: 11000 });
+  await assert.rejects(col.insertMany([{ owner: 'cy', sha: 'y' }, { owner: 'cy', sha: 'y' }]), { code: 11000 });
+  await assert.rejects(col.updateOne({ owner: 'bob' }, { $set: { owner: 'ann' } }), { code: 11000 });
+  await assert.rejects(col.findOneAndUpdate({ owner: 'bob' }, { $set: { owner: 'ann' } }), { code: 11000 });
+  await assert.rejects(col.updateOne({ owner: 'zed' }, { $set: { sha: 'x', owner: 'ann' } }, { upsert: true }), {
+    code: 11000,
+  });
+  // A failed write changes nothing
+  assert.deepEqual(
+    (await col.find({}).sort({ owner: 1 }).toArray()).map((d) => d.owner),
+    ['ann', 'bob']
+  );
+  // Missing fields count as null, so two documents without them collide
+  await col.insertOne({ other: 1 });
+  await assert.rejects(col.insertOne({ other: 2 }), { code: 11000 });
+});
+
+test('sparse and partial unique indexes skip documents they do not cover', async () => {
+  const { db } = openDb();
+  const col = db.collection('sessions');
+  await col.createIndex({ 'share.token': 1 }, { unique: true, sparse: true });
+  await col.createIndex({ key: 1 }, { unique: true, partialFilterExpression: { key: { $exists: true } } });
+  await col.insertMany([{ title: 'a' }, { title: 'b' }]);
+  await col.updateOne({ title: 'a' }, { $set: { share: { token: 't1' }, key: 'k' } });
+  await assert.rejects(col.updateOne({ title: 'b' }, { $set: { share: { token: 't1' } } }), { code: 11000 });
+  await assert.rejects(col.updateOne({ title: 'b' }, { $set: { key: 'k' } }), { code: 11000 });
+});
+
+test('creating a unique index over duplicates fails', async () => {
+  const { db } = openDb();
+  const col = db.collection('personas');
+  await col.insertMany([{ key: 'a' }, { key: 'a' }]);
+  await assert.rejects(col.createIndex({ key: 1 }, { unique: true }), { code: 11000 });
+  await col.insertOne({ key: 'a' });
+  assert.equal(await col.countDocuments({ key: 'a' }), 3);
+});
+
+test('aggregate groups and sums', async () => {
+  const col = await people();
+  await col.insertOne({ name: 'dee', age: 25, city: 'Oslo', joined: '2025-03-04T10:00:00.000Z' });
+  const byCity = await col
+    .aggregate([
+      { $match: { age: { $lt: 35 } } },
+      { $group: { _id: '$city', people: { $sum: 1 }, years: { $sum: '$age' } } },
+      { $sort: { people: -1 } },
+    ])
+    .toArray();
+  assert.deepEqual(byCity, [
+    { _id: 'Oslo', people: 2, years: 56 },
+    { _id: null, people: 1, years: 25 },
+  ]);
+  const [month] = await col
+    .aggregate([
+      { $match: { name: 'dee' } },
+      { $group: { _id: { month: { $substrBytes: ['$joined', 0, 7] }, town: '$town' }, n: { $sum: 1 } } },
+    ])
+    .toArray();
+  // A missing field is left out of the group key
+  assert.deepEqual(month, { _id: { month: '2025-03' }, n: 1 });
+  await assert.rejects(col.aggregate([{ $unwind: '$tags' }]).toArray(), /unsupported aggregation stage \$unwind/);
+});
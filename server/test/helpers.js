@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// ── Server test harness ──────────────────────────────────────────────────────
+// Each test file runs in its own process (node --test), so the environment is
+// set here before the server's modules are loaded: file storage in a fresh
+// temporary directory and the fake model provider. `admin` is an admin.
+
+function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-test-'));
+  Object.assign(process.env, {
+    STORAGE_DRIVER: 'file',
+    DATA_DIR: dataDir,
+    LLM_PROVIDER: 'fake',
+    FAKE_LLM_DELAY_MS: '0',
+    AUTH_SECRET: 'test-secret-of-at-least-thirty-two-bytes',
+    ADMIN_USERNAMES: 'admin',
+    LOG_LEVEL: 'error',
+    ...env,
+  });
+  const { app, connect } = require('../index');
+
+  let server;
+  let baseUrl;
+
+  const request = async (url, { token, method = 'GET', body, signal } = {}) => {
+    const res = await fetch(baseUrl + url, {
+      method,
+      signal,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      // not JSON (an export, the metrics page)
+    }
+    return { status: res.status, data, headers: res.headers };
+  };
+
+  // Creates the user and returns an access token
+  const signup = async (username, password = 'password1') => {
+    await request('/api/users', { method: 'POST', body: { username, password } });
+    const { data } = await request('/api/users/login', { method: 'POST', body: { username, password } });
+    return data.accessToken;
+  };
+
+  return {
+    request,
+    signup,
+    get baseUrl() {
+      return baseUrl;
+    },
+    start: async () => {
+      await connect();
+      await new Promise((resolve) => {
+        server = app.listen(0, resolve);
+      });
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    },
+    stop: async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// q1 → a1 → q2 → a2, then q2 edited: q1 → a1 → q2' → a2' (the active branch)
+async function branchedChat(server, token) {
+  const { data: session } = await server.request('/api/sessions', { token, method: 'POST', body: {} });
+  const save = async (role, content, parentId) =>
+    (
+      await server.request('/api/messages', {
+        token,
+        method: 'POST',
+        body: { session_id: session.id, role, content, ...(parentId !== undefined && { parentId }) },
+      })
+    ).data.id;
+  const q1 = await save('user', 'q1');
+  const a1 = await save('model', 'a1');
+  const q2 = await save('user', 'q2');
+  const a2 = await save('model', 'a2');
+  const q2b = await save('user', 'q2 edited', a1);
+  const a2b = await save('model', 'a2 edited');
+  return { sessionId: session.id, ids: { q1, a1, q2, a2, q2b, a2b } };
+}
+
+module.exports = { startServer, branchedChat };
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, branchedChat } = require('./helpers');
+
+const server = startServer();
+
+test.before(() => server.start());
+test.after(() => server.stop());
+
+const contents = (page) => page.messages.map((m) => m.content);
+
+test('from on another branch shows it without switching the chat to it', async () => {
+  const token = await server.signup('bea');
+  const { sessionId, ids } = await branchedChat(server, token);
+
+  const { data: jumped } = await server.request(`/api/messages?session_id=${sessionId}&from=${ids.a2}`, { token });
+  assert.deepEqual(contents(jumped), ['a2']);
+  assert.equal(jumped.nextCursor, ids.a2);
+
+  const { data: older } = await server.request(`/api/messages?session_id=${sessionId}&before=${ids.a2}`, { token });
+  assert.deepEqual(contents(older), ['q1', 'a1', 'q2']);
+
+  const { data: active } = await server.request(`/api/messages?session_id=${sessionId}`, { token });
+  assert.deepEqual(contents(active), ['q1', 'a1', 'q2 edited', 'a2 edited']);
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// A production server without METRICS_TOKEN keeps its metrics to itself
+const server = startServer({ NODE_ENV: 'production', METRICS_TOKEN: '' });
+
+test.before(() => server.start());
+test.after(() => server.stop());
+
+test('metrics are off in production until a token is set', async () => {
+  const { status, data } = await server.request('/api/metrics');
+  assert.equal(status, 404);
+  assert.equal(data.code, 'NOT_FOUND');
+  assert.doesNotMatch(JSON.stringify(data), /http_requests_total/);
+});
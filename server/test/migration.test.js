@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openFileDb } = require('../storage/fileStore');
+const messagesRepo = require('../repositories/messages');
+
+// Moving messages out of old session documents (the embedded schema)
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migration-test-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a migration that stopped halfway does not insert messages twice', async () => {
+  const db = openFileDb(dir);
+  const sessions = db.collection('sessions');
+  const embedded = ['q1', 'a1', 'q2'].map((content, i) => ({
+    role: i % 2 ? 'model' : 'user',
+    content,
+    timestamp: `2025-01-01T00:00:0${i}.000Z`,
+  }));
+  const { insertedId } = await sessions.insertOne({ username: 'ann', title: 'old', messages: embedded });
+  const repo = messagesRepo(db);
+
+  // Stops after the inserts, before the session is cleared
+  const updateOne = sessions.updateOne.bind(sessions);
+  sessions.updateOne = async (filter, update) => {
+    if (update.$unset) throw new Error('stopped');
+    return updateOne(filter, update);
+  };
+  await assert.rejects(repo.migrateEmbedded(), /stopped/);
+  sessions.updateOne = updateOne;
+
+  assert.equal(await repo.migrateEmbedded(), 1);
+  assert.equal(await repo.migrateEmbedded(), 0);
+  const sessionId = insertedId.toString();
+  assert.deepEqual(
+    (await repo.listFirst(sessionId, 10)).map((m) => m.content),
+    ['q1', 'a1', 'q2']
+  );
+  const session = await sessions.findOne({});
+  assert.equal(session.messageCount, 3);
+  assert.equal('messages' in session || 'migratingIds' in session, false);
+});
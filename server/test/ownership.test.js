@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const server = startServer();
+
+test.before(() => server.start());
+test.after(() => server.stop());
+
+// Ann's chat with one question and answer, and a token of Bob, who has no
+// part in it
+let pairs = 0;
+async function strangers() {
+  pairs += 1;
+  const ann = await server.signup(`ann${pairs}`);
+  const bob = await server.signup(`bob${pairs}`);
+  const { data: session } = await server.request('/api/sessions', { token: ann, method: 'POST', body: {} });
+  const post = async (role, content) =>
+    (
+      await server.request('/api/messages', {
+        token: ann,
+        method: 'POST',
+        body: { session_id: session.id, role, content },
+      })
+    ).data.id;
+  await post('user', 'question');
+  const answerId = await post('model', 'answer');
+  return { ann, bob, sessionId: session.id, answerId };
+}
+
+const expectError = async (promise, status, code) => {
+  const { status: actual, data } = await promise;
+  assert.equal(actual, status, JSON.stringify(data));
+  assert.equal(data.code, code);
+};
+
+test("another user's chat cannot be read or changed", async () => {
+  const { ann, bob, sessionId, answerId } = await strangers();
+  const as = (method, url, body) => server.request(url, { token: bob, method, body });
+
+  await expectError(as('GET', `/api/messages?session_id=${sessionId}`), 403, 'FORBIDDEN');
+  await expectError(
+    as('POST', '/api/messages', { session_id: sessionId, role: 'user', content: 'hijack' }),
+    403,
+    'FORBIDDEN'
+  );
+  await expectError(as('PATCH', `/api/sessions/${sessionId}/title`, { title: 'mine' }), 403, 'FORBIDDEN');
+  await expectError(as('DELETE', `/api/sessions/${sessionId}`), 403, 'FORBIDDEN');
+  await expectError(as('GET', `/api/sessions/${sessionId}/export?format=json`), 403, 'FORBIDDEN');
+  await expectError(as('PUT', `/api/messages/${answerId}/feedback`, { rating: 'down' }), 403, 'FORBIDDEN');
+  await expectError(as('POST', '/api/sessions/bulk', { action: 'delete', ids: [sessionId] }), 403, 'FORBIDDEN');
+
+  const { data: listed } = await as('GET', '/api/sessions');
+  assert.equal(listed.some((s) => s.id === sessionId), false);
+
+  // Ann's chat is untouched
+  const { data: page } = await server.request(`/api/messages?session_id=${sessionId}`, { token: ann });
+  assert.deepEqual(
+    page.messages.map((m) => m.content),
+    ['question', 'answer']
+  );
+  assert.equal(page.messages[1].feedback ?? null, null);
+});
+
+test('unknown chats are 404 and malformed ids 400', async () => {
+  const { bob } = await strangers();
+  const unknown = 'a'.repeat(24);
+  await expectError(server.request(`/api/messages?session_id=${unknown}`, { token: bob }), 404, 'NOT_FOUND');
+  await expectError(server.request(`/api/sessions/${unknown}`, { token: bob, method: 'DELETE' }), 404, 'NOT_FOUND');
+  for (const url of ['/api/messages?session_id=nope', '/api/sessions/123/export', "/api/sessions/x'%3B/members"]) {
+    await expectError(server.request(url, { token: bob }), 400, 'INVALID_ID');
+  }
+  await expectError(
+    server.request('/api/messages', { token: bob, method: 'POST', body: { session_id: {}, role: 'user', content: 'x' } }),
+    400,
+    'INVALID_ID'
+  );
+});
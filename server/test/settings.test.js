@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const server = startServer();
+
+test.before(() => server.start());
+test.after(() => server.stop());
+
+test('only admins see a persona prompt in the settings preview', async () => {
+  const admin = await server.signup('admin');
+  const { status: created } = await server.request('/api/admin/personas', {
+    token: admin,
+    method: 'POST',
+    body: { key: 'auditor', name: 'Auditor', systemPrompt: 'SECRET persona prompt' },
+  });
+  assert.equal(created, 200);
+
+  const token = await server.signup('uma');
+  const body = { persona: 'auditor', customInstructions: 'Answer in Spanish.' };
+  const { status, data } = await server.request('/api/settings/preview', { token, method: 'POST', body });
+  assert.equal(status, 200);
+  assert.deepEqual(data.persona, { id: 'auditor', name: 'Auditor' });
+  assert.equal(data.systemPrompt, null);
+  assert.match(data.instructions, /Answer in Spanish\.$/);
+  assert.doesNotMatch(JSON.stringify(data), /SECRET/);
+
+  const { data: full } = await server.request('/api/settings/preview', { token: admin, method: 'POST', body });
+  assert.match(full.systemPrompt, /^SECRET persona prompt\n\n/);
+  assert.ok(full.systemPrompt.endsWith(full.instructions));
+});
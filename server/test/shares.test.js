@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const server = startServer();
+
+test.before(() => server.start());
+test.after(() => server.stop());
+
+test('a share link opens the chat; malformed links and attachment ids are refused', async () => {
+  const token = await server.signup('sue');
+  const { data: session } = await server.request('/api/sessions', { token, method: 'POST', body: {} });
+  await server.request('/api/messages', {
+    token,
+    method: 'POST',
+    body: { session_id: session.id, role: 'user', content: 'hello' },
+  });
+  const { data: share } = await server.request(`/api/sessions/${session.id}/share`, { token, method: 'POST', body: {} });
+  const shareToken = share.token;
+
+  const { status, data } = await server.request(`/api/shared/${shareToken}`);
+  assert.equal(status, 200);
+  assert.deepEqual(
+    data.messages.map((m) => m.content),
+    ['hello']
+  );
+
+  const malformed = await server.request('/api/shared/not-a-token');
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.data.details[0].message, 'This share link does not exist or has expired');
+
+  const badId = await server.request(`/api/shared/${shareToken}/attachments/123`);
+  assert.equal(badId.status, 400);
+  assert.equal(badId.data.code, 'INVALID_ID');
+});
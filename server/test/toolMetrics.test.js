@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+const { recordToolCall } = require('../tracing');
+const { renderMetrics } = require('../metrics');
+
+test('tool names the model made up are counted as other', () => {
+  recordToolCall({ tool: 'get_value_counts', outcome: 'ok', ms: 1 });
+  recordToolCall({ tool: 'drop_table', outcome: 'failed', ms: 1 });
+  recordToolCall({ tool: 'x'.repeat(500), outcome: 'failed', ms: 1 });
+  const lines = renderMetrics()
+    .split('\n')
+    .filter((line) => line.startsWith('tool_calls_total'));
+  assert.deepEqual(lines, [
+    'tool_calls_total{tool="get_value_counts",outcome="ok"} 1',
+    'tool_calls_total{tool="other",outcome="failed"} 2',
+  ]);
+});
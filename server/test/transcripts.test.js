@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, branchedChat } = require('./helpers');
+
+const server = startServer();
+
+test.before(() => server.start());
+test.after(() => server.stop());
+
+// Every message of the session in tree order, as [content, parent's content]
+async function treeOf(token, sessionId) {
+  const { data } = await server.request(`/api/sessions/${sessionId}/export?format=json`, { token });
+  const byId = new Map(data.messages.map((m) => [m.id, m]));
+  return {
+    data,
+    edges: data.messages.map((m) => [m.content, byId.get(m.parentId)?.content ?? null]),
+    active: byId.get(data.session.activeLeafId)?.content,
+  };
+}
+
+test('a JSON export imports back with every branch, feedback and the active branch', async () => {
+  const token = await server.signup('ria');
+  const { sessionId, ids } = await branchedChat(server, token);
+  await server.request(`/api/messages/${ids.a2}/feedback`, {
+    token,
+    method: 'PUT',
+    body: { rating: 'down', comment: 'off topic' },
+  });
+  // Show the older branch, so the active one is not simply the newest
+  await server.request(`/api/sessions/${sessionId}/branch`, { token, method: 'PUT', body: { messageId: ids.q2 } });
+
+  const original = await treeOf(token, sessionId);
+  assert.equal(original.data.version, 2);
+  assert.equal(original.active, 'a2');
+
+  const { status, data: imported } = await server.request('/api/sessions/import', {
+    token,
+    method: 'POST',
+    body: original.data,
+  });
+  assert.equal(status, 200);
+  const copy = await treeOf(token, imported.session.id);
+  assert.deepEqual(copy.edges, original.edges);
+  assert.equal(copy.active, 'a2');
+  const answer = copy.data.messages.find((m) => m.content === 'a2');
+  assert.equal(answer.feedback.rating, 'down');
+  assert.equal(answer.feedback.comment, 'off topic');
+
+  const { data: page } = await server.request(`/api/messages?session_id=${imported.session.id}`, { token });
+  assert.deepEqual(
+    page.messages.map((m) => m.content),
+    ['q1', 'a1', 'q2', 'a2']
+  );
+  assert.equal(page.messages[2].branch.index, 0);
+});
+
+test('the Markdown export shows only the active branch', async () => {
+  const token = await server.signup('max');
+  const { sessionId } = await branchedChat(server, token);
+  const { data } = await server.request(`/api/sessions/${sessionId}/export?format=md`, { token });
+  assert.match(data, /^q2 edited$/m);
+  assert.doesNotMatch(data, /^q2$/m);
+});
+
+test('an import with an unknown or malformed persona is rejected', async () => {
+  const token = await server.signup('ida');
+  const base = { format: 'chatapp-session', version: 2, session: { title: 'x' }, messages: [] };
+  for (const agent of ['no-such-persona', 42, 'x'.repeat(61)]) {
+    const { status, data } = await server.request('/api/sessions/import', {
+      token,
+      method: 'POST',
+      body: { ...base, session: { ...base.session, agent } },
+    });
+    assert.equal(status, 400);
+    assert.equal(data.code, 'VALIDATION_FAILED');
+  }
+  const { data: sessions } = await server.request('/api/sessions', { token });
+  assert.equal(sessions.length, 0);
+});
+
+test('a version 1 export imports as one branch', async () => {
+  const token = await server.signup('vic');
+  const { status, data } = await server.request('/api/sessions/import', {
+    token,
+    method: 'POST',
+    body: {
+      format: 'chatapp-session',
+      version: 1,
+      session: { title: 'old', agent: 'lisa' },
+      messages: [
+        { role: 'user', content: 'hi', timestamp: '2025-01-01T00:00:00.000Z' },
+        { role: 'model', content: 'hello', timestamp: '2025-01-01T00:00:01.000Z' },
+      ],
+    },
+  });
+  assert.equal(status, 200);
+  const { data: page } = await server.request(`/api/messages?session_id=${data.session.id}`, { token });
+  assert.deepEqual(
+    page.messages.map((m) => [m.content, m.parentId === null]),
+    [
+      ['hi', true],
+      ['hello', false],
+    ]
+  );
+});
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+const { logger, runWithContext, currentContext } = require('./logger');
+const { metrics } = require('./metrics');
+
+// ── Request tracing ──────────────────────────────────────────────────────────
+// requestTracing gives every request an id — the X-Request-Id the client sent
+// (src/services/mongoApi.js sets one per call) or a fresh one — echoes it in
+// the response and runs the request inside a log context carrying it. When the
+// response closes, one "request" line is logged with the status, the duration
+// and the time spent in repository operations and model calls, and the HTTP
+// metrics are updated.
+//
+// Repository operations (timeRepository) and model calls (recordModelCall)
+// add their durations to the request they belong to, log a debug line each
+// and feed their own metrics.
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+const SLOW_DB_MS = Number(process.env.LOG_SLOW_DB_MS || 500);
+// Scrapes every few seconds would drown the request log
+const QUIET_ROUTES = new Set(['/api/metrics']);
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+// The route pattern (/api/sessions/:id), never the raw URL, so metrics stay
+// low cardinality. Unmatched requests share one label.
+const routeOf = (req) => {
+  if (!req.route) return 'unmatched';
+  const route = `${req.baseUrl || ''}${req.route.path}`;
+  return route.length > 1 ? route.replace(/\/$/, '') : route;
+};
+
+// Per-request totals; non-enumerable so they stay out of every log line
+const timingsOf = () => currentContext()?.timings;
+
+function requestTracing(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+  const start = performance.now();
+
+  runWithContext({ requestId }, () => {
+    const store = currentContext();
+    const timings = { dbMs: 0, dbCalls: 0, llmMs: 0, llmCalls: 0 };
+    Object.defineProperty(store, 'timings', { value: timings });
+
+    res.once('close', () => {
+      const seconds = (performance.now() - start) / 1000;
+      const route = routeOf(req);
+      const status = res.statusCode;
+      metrics.httpRequests.inc({ method: req.method, route, status });
+      metrics.httpDuration.observe({ method: req.method, route }, seconds);
+      if (status >= 400) metrics.httpErrors.inc({ route, code: res.locals.errorCode || String(status) });
+
+      const level = QUIET_ROUTES.has(route) ? 'debug' : status >= 500 ? 'warn' : 'info';
+      logger[level]('request', {
+        ...store,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        route,
+        status,
+        durationMs: round(seconds * 1000),
+        dbMs: round(timings.dbMs),
+        dbCalls: timings.dbCalls,
+        ...(timings.llmCalls && { llmMs: round(timings.llmMs), llmCalls: timings.llmCalls }),
+        ...(!res.writableFinished && { aborted: true }),
+      });
+    });
+
+    next();
+  });
+}
+
+// ── Repository timing ────────────────────────────────────────────────────────
+
+function recordDbOperation(repo, op, ms, err) {
+  metrics.dbDuration.observe({ repo, op }, ms / 1000);
+  if (err) metrics.dbErrors.inc({ repo, op });
+  const timings = timingsOf();
+  if (timings) {
+    timings.dbMs += ms;
+    timings.dbCalls += 1;
+  }
+  const fields = { repo, op, durationMs: round(ms), ...(err && { err }) };
+  if (err) logger.warn('db operation failed', fields);
+  else if (ms >= SLOW_DB_MS) logger.warn('slow db operation', fields);
+  else logger.debug('db', fields);
+}
+
+// Wraps every method of a repository so its calls are timed. Methods that
+// return a promise are timed until it settles; anything else (e.g. a download
+// stream) until it returns.
+function timeRepository(name, repo) {
+  const timed = (op, fn) =>
+    function (...args) {
+      const start = performance.now();
+      let result;
+      try {
+        result = fn.apply(this, args);
+      } catch (err) {
+        recordDbOperation(name, op, performance.now() - start, err);
+        throw err;
+      }
+      if (typeof result?.then !== 'function') {
+        recordDbOperation(name, op, performance.now() - start);
+        return result;
+      }
+      return result.then(
+        (value) => {
+          recordDbOperation(name, op, performance.now() - start);
+          return value;
+        },
+        (err) => {
+          recordDbOperation(name, op, performance.now() - start, err);
+          throw err;
+        }
+      );
+    };
+
+  return Object.fromEntries(
+    Object.entries(repo).map(([op, value]) => [op, typeof value === 'function' ? timed(op, value) : value])
+  );
+}
+
+// ── Model and tool calls ─────────────────────────────────────────────────────
+
+// kind: 'search' | 'code' | 'tools' | 'title' | 'summary'. For tools, ms excludes the time
+// spent waiting on the client to run the tools (toolMs).
+function recordModelCall({ provider, model, kind, ms, toolMs, err }) {
+  metrics.llmDuration.observe({ provider, kind }, ms / 1000);
+  metrics.llmRequests.inc({ provider, kind, outcome: err ? 'error' : 'ok' });
+  const timings = timingsOf();
+  if (timings) {
+    timings.llmMs += ms;
+    timings.llmCalls += 1;
+  }
+  const fields = { provider, model, kind, durationMs: round(ms), ...(toolMs !== undefined && { toolMs: round(toolMs) }) };
+  if (err) logger.warn('model call failed', { ...fields, err });
+  else logger.debug('model call', fields);
+}
+
+// The CSV tools of src/services/csvTools.js. The name comes from the model, so
+// anything else is counted as 'other' to keep the label set fixed.
+const KNOWN_TOOLS = new Set(['compute_column_stats', 'get_value_counts', 'get_top_tweets']);
+
+// outcome: 'ok', 'error' when the tool answered { error }, or 'failed' when no
+// result came back (timeout, client gone)
+function recordToolCall({ tool, outcome, ms }) {
+  metrics.toolCalls.inc({ tool: KNOWN_TOOLS.has(tool) ? tool : 'other', outcome });
+  logger.info('tool call', { tool, outcome, durationMs: round(ms) });
+}
+
+module.exports = { requestTracing, timeRepository, recordModelCall, recordToolCall };
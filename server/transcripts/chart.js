@@ -0,0 +1,65 @@
+// ── Chart rendering ──────────────────────────────────────────────────────────
+// Static SVG version of src/components/EngagementChart (mean metric with vs
+// without each keyword) so exported files show the chart without recharts.
+
+const WITH_COLOR = '#818cf8';
+const WITHOUT_COLOR = '#34d399';
+
+const WIDTH = 640;
+const HEIGHT = 320;
+const PAD = { top: 36, right: 16, bottom: 80, left: 56 };
+
+const escapeXml = (s) =>
+  String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+const formatNumber = (n) => (Math.abs(n) >= 1000 ? Math.round(n).toLocaleString('en-US') : +n.toFixed(3));
+
+// Returns an SVG string, or null for chart types that have no static renderer.
+function chartToSvg(chart) {
+  if (chart?._chartType !== 'engagement' || !chart.data?.length) return null;
+  const data = chart.data;
+  const metric = chart.metricColumn || 'Favorite Count';
+
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = HEIGHT - PAD.top - PAD.bottom;
+  const max = Math.max(...data.flatMap((d) => [Number(d.withKeyword) || 0, Number(d.withoutKeyword) || 0]), 0) || 1;
+  const group = plotW / data.length;
+  const bar = Math.min(28, (group * 0.7) / 2);
+  const y = (v) => PAD.top + plotH - ((Number(v) || 0) / max) * plotH;
+
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((f) => {
+    const ty = PAD.top + plotH - f * plotH;
+    return (
+      `<line x1="${PAD.left}" x2="${WIDTH - PAD.right}" y1="${ty}" y2="${ty}" stroke="#e5e7eb" stroke-dasharray="3 3"/>` +
+      `<text x="${PAD.left - 6}" y="${ty + 4}" text-anchor="end">${formatNumber(max * f)}</text>`
+    );
+  });
+
+  const bars = data.map((d, i) => {
+    const cx = PAD.left + group * i + group / 2;
+    const labelY = PAD.top + plotH + 14;
+    return (
+      `<rect x="${cx - bar}" y="${y(d.withKeyword)}" width="${bar}" height="${PAD.top + plotH - y(d.withKeyword)}" fill="${WITH_COLOR}"/>` +
+      `<rect x="${cx}" y="${y(d.withoutKeyword)}" width="${bar}" height="${PAD.top + plotH - y(d.withoutKeyword)}" fill="${WITHOUT_COLOR}"/>` +
+      `<text x="${cx}" y="${labelY}" text-anchor="end" transform="rotate(-30 ${cx} ${labelY})">${escapeXml(d.name)}</text>`
+    );
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" width="${WIDTH}" height="${HEIGHT}" font-family="Inter, Arial, sans-serif" font-size="11" fill="#374151">`,
+    `<rect width="${WIDTH}" height="${HEIGHT}" fill="#fff"/>`,
+    `<text x="${PAD.left}" y="20" font-size="13" font-weight="600">Mean ${escapeXml(metric)} — with vs without keyword</text>`,
+    ...ticks,
+    ...bars,
+    `<rect x="${WIDTH - 230}" y="10" width="10" height="10" fill="${WITH_COLOR}"/><text x="${WIDTH - 215}" y="19">With keyword</text>`,
+    `<rect x="${WIDTH - 125}" y="10" width="10" height="10" fill="${WITHOUT_COLOR}"/><text x="${WIDTH - 110}" y="19">Without keyword</text>`,
+    '</svg>',
+  ].join('');
+}
+
+const chartToDataUri = (chart) => {
+  const svg = chartToSvg(chart);
+  return svg && `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+};
+
+module.exports = { chartToSvg, chartToDataUri, escapeXml };
@@ -0,0 +1,167 @@
+const { chartToSvg, escapeXml: escapeHtml } = require('./chart');
+const { agentName } = require('./markdown');
+
+// ── HTML export ──────────────────────────────────────────────────────────────
+// One self-contained page: inline CSS, images as data: URIs, charts as inline
+// SVG. Message text is converted with a small Markdown subset (headings,
+// lists, code, tables, quotes, links, emphasis) — everything is escaped first,
+// so content can never inject markup.
+
+const safeUrl = (url) => (/^(https?:|mailto:)/i.test(url) ? url : '#');
+
+const inline = (text) =>
+  escapeHtml(text)
+    .replace(/`([^`]+)`/g, '<code>$1</code>')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, url) => `<a href="${safeUrl(url)}">${label}</a>`)
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>');
+
+const tableRow = (line, tag) =>
+  `<tr>${line
+    .replace(/^\||\|$/g, '')
+    .split('|')
+    .map((c) => `<${tag}>${inline(c.trim())}</${tag}>`)
+    .join('')}</tr>`;
+
+function renderMarkdown(text) {
+  const lines = String(text || '').split('\n');
+  const html = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const fenceMatch = line.match(/^(`{3,})(\w*)/);
+    if (fenceMatch) {
+      const body = [];
+      for (i++; i < lines.length && !lines[i].startsWith(fenceMatch[1]); i++) body.push(lines[i]);
+      html.push(`<pre><code>${escapeHtml(body.join('\n'))}</code></pre>`);
+      i++;
+    } else if (/^#{1,6}\s/.test(line)) {
+      const level = line.match(/^#+/)[0].length;
+      html.push(`<h${level}>${inline(line.slice(level).trim())}</h${level}>`);
+      i++;
+    } else if (/^(-{3,}|\*{3,})\s*$/.test(line)) {
+      html.push('<hr>');
+      i++;
+    } else if (/^\s*([-*+]|\d+\.)\s/.test(line)) {
+      const ordered = /^\s*\d+\./.test(line);
+      const items = [];
+      for (; i < lines.length && /^\s*([-*+]|\d+\.)\s/.test(lines[i]); i++)
+        items.push(`<li>${inline(lines[i].replace(/^\s*([-*+]|\d+\.)\s/, ''))}</li>`);
+      html.push(ordered ? `<ol>${items.join('')}</ol>` : `<ul>${items.join('')}</ul>`);
+    } else if (line.startsWith('>')) {
+      const quote = [];
+      for (; i < lines.length && lines[i].startsWith('>'); i++) quote.push(lines[i].replace(/^>\s?/, ''));
+      html.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+    } else if (line.trim().startsWith('|') && /^\s*\|?[\s:-]+\|/.test(lines[i + 1] || '')) {
+      const rows = [tableRow(line.trim(), 'th')];
+      for (i += 2; i < lines.length && lines[i].trim().startsWith('|'); i++) rows.push(tableRow(lines[i].trim(), 'td'));
+      html.push(`<table>${rows.join('')}</table>`);
+    } else if (!line.trim()) {
+      i++;
+    } else {
+      const para = [];
+      for (; i < lines.length && lines[i].trim() && !/^(#{1,6}\s|`{3}|>|\s*([-*+]|\d+\.)\s)/.test(lines[i]); i++)
+        para.push(inline(lines[i]));
+      html.push(`<p>${para.join('<br>')}</p>`);
+    }
+  }
+  return html.join('\n');
+}
+
+const renderParts = (parts) =>
+  parts
+    .map((p) => {
+      if (p.type === 'text') return renderMarkdown(p.text);
+      if (p.type === 'code')
+        return `<div class="code"><span class="label">${escapeHtml(p.language === 'PYTHON' ? 'Python' : p.language || '')}</span><pre><code>${escapeHtml(p.code)}</code></pre></div>`;
+      if (p.type === 'result')
+        return `<div class="result ${p.outcome === 'OUTCOME_OK' ? 'ok' : 'err'}"><span class="label">${p.outcome === 'OUTCOME_OK' ? '✓ Output' : '✗ Error'}</span><pre>${escapeHtml(p.output || '')}</pre></div>`;
+      if (p.type === 'image') return `<img src="data:${escapeHtml(p.mimeType)};base64,${escapeHtml(p.data)}" alt="Generated plot">`;
+      return '';
+    })
+    .join('\n');
+
+function renderMessage(m, agentLabel) {
+  const out = [
+    `<div class="meta"><strong>${escapeHtml(m.role === 'user' ? 'User' : agentLabel)}</strong> <time>${escapeHtml(new Date(m.timestamp).toLocaleString('en-US'))}</time></div>`,
+  ];
+  if (m.csvName) out.push(`<div class="csv">📄 ${escapeHtml(m.csvName)}</div>`);
+  if (m.images?.length)
+    out.push(
+      `<div class="images">${m.images
+        .map((img) => `<img src="data:${escapeHtml(img.mimeType)};base64,${escapeHtml(img.data)}" alt="${escapeHtml(img.name)}">`)
+        .join('')}</div>`
+    );
+  out.push(`<div class="content">${m.parts?.length ? renderParts(m.parts) : renderMarkdown(m.content)}</div>`);
+
+  if (m.toolCalls?.length)
+    out.push(
+      `<details class="tools"><summary>🔧 ${m.toolCalls.length} tool${m.toolCalls.length > 1 ? 's' : ''} used</summary><ul>${m.toolCalls
+        .map((tc) => `<li><code>${escapeHtml(tc.name)}</code> ${escapeHtml(JSON.stringify(tc.args || {}))}</li>`)
+        .join('')}</ul></details>`
+    );
+  (m.charts || []).forEach((chart) => {
+    const svg = chartToSvg(chart);
+    if (svg) out.push(`<div class="chart">${svg}</div>`);
+  });
+
+  const sources = (m.grounding?.groundingChunks || []).filter((c) => c.web?.uri);
+  if (sources.length)
+    out.push(
+      `<div class="sources"><span class="label">Sources</span><ol>${sources
+        .map((c) => `<li><a href="${escapeHtml(safeUrl(c.web.uri))}">${escapeHtml(c.web.title || c.web.uri)}</a></li>`)
+        .join('')}</ol></div>`
+    );
+
+  return `<article class="msg ${m.role === 'user' ? 'user' : 'model'}">\n${out.join('\n')}\n</article>`;
+}
+
+const STYLE = `
+body { font-family: Inter, -apple-system, 'Segoe UI', Arial, sans-serif; background: #f4f4f8; color: #1f2937; margin: 0; }
+main { max-width: 820px; margin: 0 auto; padding: 2rem 1rem 4rem; }
+h1.title { font-size: 1.5rem; margin: 0 0 0.25rem; }
+.exported { color: #6b7280; font-size: 0.85rem; margin-bottom: 2rem; }
+.msg { background: #fff; border: 1px solid #e5e7eb; border-radius: 14px; padding: 0.9rem 1.1rem; margin: 0 0 1rem; }
+.msg.user { background: #eef2ff; border-color: #c7d2fe; margin-left: 12%; }
+.msg.model { margin-right: 12%; }
+.meta { font-size: 0.78rem; color: #6b7280; margin-bottom: 0.4rem; }
+.meta strong { color: #374151; }
+.content { line-height: 1.55; overflow-wrap: anywhere; }
+.content p { margin: 0.4rem 0; }
+pre { background: #111827; color: #e5e7eb; padding: 0.75rem; border-radius: 8px; overflow-x: auto; font-size: 0.82rem; }
+code { font-family: 'JetBrains Mono', Menlo, monospace; font-size: 0.85em; }
+table { border-collapse: collapse; margin: 0.5rem 0; }
+th, td { border: 1px solid #e5e7eb; padding: 0.3rem 0.6rem; text-align: left; }
+blockquote { border-left: 3px solid #c7d2fe; margin: 0.5rem 0; padding-left: 0.75rem; color: #4b5563; }
+img { max-width: 100%; border-radius: 8px; }
+.images img { max-height: 260px; margin: 0.25rem 0.25rem 0 0; }
+.label { font-size: 0.72rem; font-weight: 600; text-transform: uppercase; color: #6b7280; }
+.result.err .label { color: #b91c1c; }
+.chart svg { max-width: 100%; height: auto; margin-top: 0.5rem; }
+.tools, .sources, .csv { font-size: 0.82rem; margin-top: 0.5rem; color: #4b5563; }
+.sources ol { margin: 0.25rem 0 0; padding-left: 1.25rem; }
+`;
+
+function toHtml(transcript) {
+  const { session, messages } = transcript;
+  const agentLabel = agentName(session);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(session.title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+<h1 class="title">${escapeHtml(session.title)}</h1>
+<div class="exported">Exported ${escapeHtml(new Date(transcript.exportedAt).toLocaleString('en-US'))} · ${messages.length} messages</div>
+${messages.map((m) => renderMessage(m, agentLabel)).join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+module.exports = { toHtml };
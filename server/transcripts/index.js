@@ -0,0 +1,167 @@
+const { toMarkdown } = require('./markdown');
+const { toHtml } = require('./html');
+
+// ── Transcripts ──────────────────────────────────────────────────────────────
+// A transcript is a self-contained copy of one session: every message of every
+// branch with its images inlined as base64, charts, tool calls, code-execution
+// parts, search sources and feedback. Markdown and HTML show the branch that
+// was active for reading; JSON is written as-is and is the lossless format
+// accepted back by the import endpoint.
+//
+//   { format: 'chatapp-session', version: 2, exportedAt,
+//     session: { title, agent, agentName?, createdAt, activeLeafId },
+//     messages: [{ id, parentId, role, content, timestamp, csvName?,
+//                  images?: [{ mimeType, name, data }], charts?, toolCalls?,
+//                  parts?, grounding?, generation?, path?, feedback? }] }
+//
+// Messages are in the order they were written, so a parent always comes
+// before its children. Version 1 exports (one branch, no ids) still import.
+
+const FORMAT = 'chatapp-session';
+const VERSION = 2;
+const ROLES = ['user', 'model'];
+const MAX_IMPORT_MESSAGES = 5000;
+const MAX_ID_LENGTH = 100;
+const MAX_AGENT_LENGTH = 60;
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// `messages` are the session's messages oldest first, each with its resolved
+// parentId, and `session.activeLeafId` the leaf of the branch shown.
+// `openAttachment(id)` returns a readable stream of the stored bytes. A
+// missing blob drops that image rather than failing the whole export.
+// agentName is the display name of the session's persona.
+async function buildTranscript(session, messages, openAttachment, agentName) {
+  const out = [];
+  for (const m of messages) {
+    const legacy = m.imageData ? (Array.isArray(m.imageData) ? m.imageData : [m.imageData]) : [];
+    const images = legacy.map((img) => ({ mimeType: img.mimeType, name: 'image', data: img.data }));
+    for (const a of m.attachments || []) {
+      try {
+        const buffer = await readStream(openAttachment(a.id));
+        images.push({ mimeType: a.mimeType, name: a.name, data: buffer.toString('base64') });
+      } catch {
+        // Blob gone — export the rest of the message
+      }
+    }
+    out.push({
+      id: m._id.toString(),
+      parentId: m.parentId ?? null,
+      role: m.role,
+      content: m.content || '',
+      timestamp: m.timestamp,
+      ...(m.csvName && { csvName: m.csvName }),
+      ...(images.length && { images }),
+      ...(m.charts?.length && { charts: m.charts }),
+      ...(m.toolCalls?.length && { toolCalls: m.toolCalls }),
+      ...(m.parts?.length && { parts: m.parts }),
+      ...(m.grounding && { grounding: m.grounding }),
+      ...(m.generation && { generation: m.generation }),
+      ...(m.path && { path: m.path }),
+      ...(m.feedback && { feedback: m.feedback }),
+    });
+  }
+  return {
+    format: FORMAT,
+    version: VERSION,
+    exportedAt: new Date().toISOString(),
+    session: {
+      title: session.title,
+      agent: session.agent,
+      ...(agentName && { agentName }),
+      createdAt: session.createdAt,
+      activeLeafId: session.activeLeafId ?? null,
+    },
+    messages: out,
+  };
+}
+
+// The transcript with only the messages of the active branch, for reading
+function shownBranch(transcript) {
+  const byId = new Map(transcript.messages.map((m) => [m.id, m]));
+  const branch = [];
+  for (let m = byId.get(transcript.session.activeLeafId); m; m = byId.get(m.parentId)) branch.unshift(m);
+  return { ...transcript, messages: branch };
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Validates an uploaded JSON export. Throws an Error whose message says what
+// is wrong; returns the transcript with unknown fields dropped.
+// Version 1 messages have no ids and form one branch; they are numbered and
+// chained here. `agent` is only checked for shape: whether that persona
+// exists is up to the caller.
+function parseTranscript(doc) {
+  if (!isObject(doc) || doc.format !== FORMAT) throw new Error(`Not a ${FORMAT} export`);
+  if (doc.version !== 1 && doc.version !== VERSION) throw new Error(`Unsupported export version ${doc.version}`);
+  if (!isObject(doc.session)) throw new Error('session missing');
+  if (!Array.isArray(doc.messages)) throw new Error('messages must be an array');
+  if (doc.messages.length > MAX_IMPORT_MESSAGES)
+    throw new Error(`Too many messages (max ${MAX_IMPORT_MESSAGES})`);
+  const { agent } = doc.session;
+  if (agent != null && (typeof agent !== 'string' || !agent.trim() || agent.length > MAX_AGENT_LENGTH))
+    throw new Error(`session.agent must be a persona key of at most ${MAX_AGENT_LENGTH} characters`);
+
+  const seen = new Set();
+  const messages = doc.messages.map((m, i) => {
+    if (!isObject(m) || !ROLES.includes(m.role)) throw new Error(`messages[${i}].role must be user or model`);
+    if (typeof m.content !== 'string') throw new Error(`messages[${i}].content must be a string`);
+    const id = doc.version === 1 ? String(i) : m.id;
+    const parentId = doc.version === 1 ? (i ? String(i - 1) : null) : m.parentId;
+    if (typeof id !== 'string' || !id || id.length > MAX_ID_LENGTH || seen.has(id))
+      throw new Error(`messages[${i}].id must be a unique string`);
+    if (parentId !== null && !seen.has(parentId))
+      throw new Error(`messages[${i}].parentId must be null or the id of an earlier message`);
+    seen.add(id);
+    const images = m.images ?? [];
+    if (!Array.isArray(images) || !images.every((img) => isObject(img) && typeof img.data === 'string'))
+      throw new Error(`messages[${i}].images is malformed`);
+    const timestamp = Number.isNaN(Date.parse(m.timestamp)) ? new Date().toISOString() : m.timestamp;
+    return {
+      id,
+      parentId,
+      role: m.role,
+      content: m.content,
+      timestamp,
+      csvName: typeof m.csvName === 'string' ? m.csvName : undefined,
+      images: images.map((img) => ({
+        mimeType: String(img.mimeType || ''),
+        name: String(img.name || 'image').slice(0, 200),
+        data: img.data,
+      })),
+      charts: Array.isArray(m.charts) ? m.charts : undefined,
+      toolCalls: Array.isArray(m.toolCalls) ? m.toolCalls : undefined,
+      parts: Array.isArray(m.parts) ? m.parts : undefined,
+      grounding: isObject(m.grounding) ? m.grounding : undefined,
+      generation: isObject(m.generation) ? m.generation : undefined,
+      path: typeof m.path === 'string' ? m.path : undefined,
+      feedback: isObject(m.feedback) ? m.feedback : undefined,
+    };
+  });
+
+  const { activeLeafId } = doc.session;
+  return {
+    session: {
+      title: String(doc.session.title || 'Imported chat').slice(0, 200),
+      agent: agent?.trim() || null,
+      activeLeafId: seen.has(activeLeafId) ? activeLeafId : null,
+    },
+    messages,
+  };
+}
+
+const EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', render: (t) => toMarkdown(shownBranch(t)) },
+  html: { contentType: 'text/html; charset=utf-8', render: (t) => toHtml(shownBranch(t)) },
+  json: { contentType: 'application/json; charset=utf-8', render: (t) => JSON.stringify(t, null, 2) },
+};
+
+// "Chat · Feb 18, 2:34 PM" → "chat-feb-18-2-34-pm.md"
+const exportFilename = (title, format) =>
+  `${String(title || 'chat').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80) || 'chat'}.${format}`;
+
+module.exports = { EXPORT_FORMATS, buildTranscript, parseTranscript, exportFilename };
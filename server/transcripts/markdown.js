@@ -0,0 +1,66 @@
+const { chartToDataUri } = require('./chart');
+
+// ── Markdown export ──────────────────────────────────────────────────────────
+// Images and charts are embedded as data: URIs so the file stands alone; each
+// chart is followed by its numbers as a table for viewers that block them.
+
+const fence = (text, lang = '') => {
+  const ticks = '`'.repeat(Math.max(3, ...(String(text).match(/`+/g) || []).map((t) => t.length + 1)));
+  return `${ticks}${lang}\n${text}\n${ticks}`;
+};
+
+const cell = (v) => String(v ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+const chartTable = (chart) =>
+  [
+    `| Keyword | With keyword | Without keyword |`,
+    `|---|---|---|`,
+    ...chart.data.map((d) => `| ${cell(d.name)} | ${cell(d.withKeyword)} | ${cell(d.withoutKeyword)} |`),
+  ].join('\n');
+
+const renderParts = (parts) =>
+  parts
+    .map((p) => {
+      if (p.type === 'text') return p.text;
+      if (p.type === 'code') return fence(p.code, (p.language || 'python').toLowerCase());
+      if (p.type === 'result') return `${p.outcome === 'OUTCOME_OK' ? 'Output' : 'Error'}:\n\n${fence(p.output || '')}`;
+      if (p.type === 'image') return `![Generated plot](data:${p.mimeType};base64,${p.data})`;
+      return '';
+    })
+    .filter(Boolean)
+    .join('\n\n');
+
+// Exports made before personas had names only carry the key
+const agentName = (session) =>
+  session.agentName || (session.agent ? session.agent[0].toUpperCase() + session.agent.slice(1) : 'Assistant');
+
+function renderMessage(m, agentLabel) {
+  const blocks = [`### ${m.role === 'user' ? 'User' : agentLabel} · ${new Date(m.timestamp).toLocaleString('en-US')}`];
+  if (m.csvName) blocks.push(`📄 *${m.csvName}*`);
+  blocks.push(m.parts?.length ? renderParts(m.parts) : m.content);
+  (m.images || []).forEach((img) => blocks.push(`![${img.name}](data:${img.mimeType};base64,${img.data})`));
+
+  if (m.toolCalls?.length) {
+    const calls = m.toolCalls.map((tc) => `- \`${tc.name}(${JSON.stringify(tc.args || {})})\``);
+    blocks.push(`**Tools used**\n\n${calls.join('\n')}`);
+  }
+  (m.charts || []).forEach((chart) => {
+    const uri = chartToDataUri(chart);
+    if (uri) blocks.push(`![Chart](${uri})\n\n${chartTable(chart)}`);
+  });
+
+  const sources = (m.grounding?.groundingChunks || []).filter((c) => c.web?.uri);
+  if (sources.length)
+    blocks.push(`**Sources**\n\n${sources.map((c, i) => `${i + 1}. [${c.web.title || c.web.uri}](${c.web.uri})`).join('\n')}`);
+
+  return blocks.filter(Boolean).join('\n\n');
+}
+
+function toMarkdown(transcript) {
+  const { session, messages } = transcript;
+  const agentLabel = agentName(session);
+  const header = `# ${session.title}\n\n*Exported ${new Date(transcript.exportedAt).toLocaleString('en-US')} · ${messages.length} messages*`;
+  return [header, ...messages.map((m) => renderMessage(m, agentLabel))].join('\n\n---\n\n') + '\n';
+}
+
+module.exports = { toMarkdown, agentName };
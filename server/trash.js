@@ -0,0 +1,50 @@
+const { repos } = require('./repositories');
+const { logger } = require('./logger');
+
+// ── Trash ────────────────────────────────────────────────────────────────────
+// Deleting a chat only moves it to the trash (repos.sessions.trash), where it
+// can be restored for TRASH_RETENTION_DAYS (default 30). purgeExpiredTrash()
+// then deletes it for good with its messages; it runs at startup and hourly.
+// A retention of 0 turns the automatic purge off.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const retentionDays = () => {
+  const days = Number(process.env.TRASH_RETENTION_DAYS ?? 30);
+  return Number.isFinite(days) && days > 0 ? days : 0;
+};
+
+// When a session trashed at deletedAt will be purged; null without auto purge
+const purgeAt = (deletedAt) => {
+  const days = retentionDays();
+  return days ? new Date(Date.parse(deletedAt) + days * DAY_MS).toISOString() : null;
+};
+
+async function deleteForever(ids, username) {
+  const { deletedCount } = await repos.sessions.removeMany(ids, username);
+  await repos.messages.removeBySessions(ids);
+  return deletedCount;
+}
+
+async function purgeExpiredTrash(now = Date.now()) {
+  const days = retentionDays();
+  if (!days) return 0;
+  const expired = await repos.sessions.listTrashedBefore(new Date(now - days * DAY_MS).toISOString());
+  const byUser = new Map();
+  for (const { _id, username } of expired) {
+    if (!byUser.has(username)) byUser.set(username, []);
+    byUser.get(username).push(_id.toString());
+  }
+  for (const [username, ids] of byUser) await deleteForever(ids, username);
+  if (expired.length) logger.info('purged expired trash', { sessions: expired.length, retentionDays: days });
+  return expired.length;
+}
+
+function startTrashPurge() {
+  const run = () => purgeExpiredTrash().catch((err) => logger.error('trash purge failed', { err }));
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = { retentionDays, purgeAt, deleteForever, purgeExpiredTrash, startTrashPurge };
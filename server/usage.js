@@ -0,0 +1,113 @@
+const { getProvider, findModel } = require('./llm');
+const { repos } = require('./repositories');
+const { logger } = require('./logger');
+
+// ── Token accounting and quotas ──────────────────────────────────────────────
+// Every model request is metered through usageMeter(): the provider reports
+// token counts per round trip (onUsage), and save() writes one `usage` entry
+// with the totals and the estimated cost.
+//
+// Quotas are total tokens (prompt + response) per UTC day and per UTC month:
+//   USAGE_DAILY_TOKEN_LIMIT / USAGE_MONTHLY_TOKEN_LIMIT — unset or 0: unlimited
+//   USAGE_LIMIT_ACTION — 'block' (default) refuses new chat requests once a
+//     limit is reached, 'warn' only reports it to the client
+//   USAGE_WARN_RATIO — share of a limit at which the client warns (default 0.8)
+// The request that crosses a limit is always answered; only the next is refused.
+
+const LIMIT_ACTIONS = ['block', 'warn'];
+
+const numberEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) ? value : fallback;
+};
+
+const quotaConfig = () => ({
+  daily: numberEnv('USAGE_DAILY_TOKEN_LIMIT', 0) || null,
+  monthly: numberEnv('USAGE_MONTHLY_TOKEN_LIMIT', 0) || null,
+  action: LIMIT_ACTIONS.includes(process.env.USAGE_LIMIT_ACTION) ? process.env.USAGE_LIMIT_ACTION : 'block',
+  warnRatio: numberEnv('USAGE_WARN_RATIO', 0.8),
+});
+
+// USD per million tokens of `model` (default: the provider's default model);
+// LLM_PRICE_INPUT / LLM_PRICE_OUTPUT override the list price (e.g. 0 for a
+// local model)
+function pricing(model) {
+  const list = (model && findModel(model)?.pricing) || getProvider().pricing || { input: 0, output: 0 };
+  return {
+    input: numberEnv('LLM_PRICE_INPUT', list.input),
+    output: numberEnv('LLM_PRICE_OUTPUT', list.output),
+  };
+}
+
+const costOf = (model, promptTokens, responseTokens) => {
+  const price = pricing(model);
+  return (promptTokens * price.input + responseTokens * price.output) / 1e6;
+};
+
+// kind: 'search' | 'code' | 'tools' | 'title' | 'summary'; model: the one answering when
+// a chat chose another than the default. Pass onUsage to the LLM call, then
+// await save() whether or not the call succeeded — tokens of a failed tools
+// loop were still spent. save() records the rounds since the last save.
+function usageMeter({ username, sessionId = null, kind, model = getProvider().model }) {
+  let pending = [];
+  return {
+    onUsage: ({ promptTokens = 0, responseTokens = 0 }) => pending.push({ promptTokens, responseTokens }),
+
+    save: async () => {
+      const rounds = pending;
+      pending = [];
+      if (!rounds.length) return;
+      const promptTokens = rounds.reduce((sum, r) => sum + r.promptTokens, 0);
+      const responseTokens = rounds.reduce((sum, r) => sum + r.responseTokens, 0);
+      const { name: provider } = getProvider();
+      try {
+        await repos.usage.record({
+          username,
+          sessionId,
+          kind,
+          provider,
+          model,
+          promptTokens,
+          responseTokens,
+          totalTokens: promptTokens + responseTokens,
+          toolRounds: rounds.slice(1),
+          costUsd: costOf(model, promptTokens, responseTokens),
+        });
+      } catch (err) {
+        logger.error('usage record failed', { err, username, sessionId });
+      }
+    },
+  };
+}
+
+const startOfDay = (now) => `${now.toISOString().slice(0, 10)}T00:00:00.000Z`;
+const startOfMonth = (now) => `${now.toISOString().slice(0, 7)}-01T00:00:00.000Z`;
+
+// { day, month, action, status } where day / month are
+// { since, tokens, costUsd, limit } and status is 'ok' | 'warning' | 'exceeded'
+async function quotaStatus(username, now = new Date()) {
+  const config = quotaConfig();
+  const period = async (since, limit) => ({ since, ...(await repos.usage.totalSince(username, since)), limit });
+  const day = await period(startOfDay(now), config.daily);
+  const month = await period(startOfMonth(now), config.monthly);
+
+  const ratios = [day, month].filter((p) => p.limit).map((p) => p.tokens / p.limit);
+  const highest = Math.max(0, ...ratios);
+  const status = highest >= 1 ? 'exceeded' : highest >= config.warnRatio ? 'warning' : 'ok';
+  return { day, month, action: config.action, status };
+}
+
+const isBlocked = (quota) => quota.status === 'exceeded' && quota.action === 'block';
+
+// Summing `usage` entries for the usage page and the admin view
+const emptyUsage = () => ({ requests: 0, promptTokens: 0, responseTokens: 0, totalTokens: 0, costUsd: 0 });
+
+const addUsage = (bucket, entry) => {
+  bucket.requests += 1;
+  bucket.promptTokens += entry.promptTokens || 0;
+  bucket.responseTokens += entry.responseTokens || 0;
+  bucket.totalTokens += entry.totalTokens || 0;
+  bucket.costUsd += entry.costUsd || 0;
+};
+
+module.exports = { usageMeter, quotaStatus, isBlocked, pricing, emptyUsage, addUsage };
@@ -0,0 +1,136 @@
+const { ApiError } = require('./errors');
+const { isValidId } = require('./repositories/ids');
+
+// ── Request schemas ──────────────────────────────────────────────────────────
+// validate({ params, query, body }) checks each part of the request against a
+// map of field → rule and puts the cleaned values on req.valid.params /
+// .query / .body: only declared fields, with defaults applied, strings
+// normalized and query/URL strings converted to numbers and booleans. Routes
+// read req.valid, never req.body or req.query directly.
+//
+// Rule keys:
+//   type      'string' | 'id' | 'integer' | 'number' | 'boolean' | 'array' | 'object' | 'any'
+//   required  must be present; strings also non-empty unless allowEmpty
+//   nullable  null is allowed and kept
+//   default   value when the field is missing
+//   enum      list of allowed values
+//   min, max  length of a string or array, value of a number
+//   pattern   RegExp a string must match
+//   trim, lowercase   applied to strings before the checks
+//   items     rule for every element of an array
+//   message   replaces the generated message for any failure of the field
+//
+// A failure throws VALIDATION_FAILED with details: [{ field, message }], or
+// INVALID_ID when the only problems are malformed ids.
+
+const DESCRIBE = {
+  string: 'a string',
+  id: 'a valid id',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object',
+};
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Query strings and URL params only ever hold strings
+const fromString = (type, value) => {
+  if (typeof value !== 'string') return value;
+  if (value === '' && type !== 'string') return undefined;
+  if (type === 'integer' || type === 'number') return Number(value);
+  if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+};
+
+const rangeMessage = (rule, unit) => {
+  if (rule.min !== undefined && rule.max !== undefined) return `from ${rule.min} to ${rule.max}${unit}`;
+  return rule.min !== undefined ? `at least ${rule.min}${unit}` : `at most ${rule.max}${unit}`;
+};
+
+// Returns the cleaned value; failures are pushed to `errors`
+function checkField(rule, value, field, errors, stringSource) {
+  const fail = (message, kind = 'invalid') => {
+    errors.push({ field, message: rule.message || message, kind });
+    return undefined;
+  };
+  if (stringSource) value = fromString(rule.type, value);
+  if (typeof value === 'string' && rule.type === 'string') {
+    if (rule.trim) value = value.trim();
+    if (rule.lowercase) value = value.toLowerCase();
+  }
+
+  if (value === undefined || (rule.type === 'string' && rule.required && !rule.allowEmpty && value === '')) {
+    if (rule.required) return fail(`${field} is required`);
+    return typeof rule.default === 'function' ? rule.default() : rule.default;
+  }
+  if (value === null) return rule.nullable ? null : fail(`${field} must be ${DESCRIBE[rule.type] || 'set'}`);
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return fail(`${field} must be a string`);
+      if ((rule.min !== undefined && value.length < rule.min) || (rule.max !== undefined && value.length > rule.max))
+        return fail(`${field} must be ${rangeMessage(rule, ' characters')}`);
+      if (rule.pattern && !rule.pattern.test(value)) return fail(`${field} has an invalid format`);
+      break;
+    case 'id':
+      if (!isValidId(value)) return fail(`${field} is not a valid id`, 'id');
+      break;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value)))
+        return fail(`${field} must be ${DESCRIBE[rule.type]}`);
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max))
+        return fail(`${field} must be ${rangeMessage(rule, '')}`);
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail(`${field} must be true or false`);
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return fail(`${field} must be an array`);
+      if ((rule.min !== undefined && value.length < rule.min) || (rule.max !== undefined && value.length > rule.max))
+        return fail(`${field} must list ${rangeMessage(rule, ' items')}`);
+      if (rule.items) {
+        const before = errors.length;
+        value = value.map((item, i) => checkField(rule.items, item, `${field}[${i}]`, errors, false));
+        if (errors.length > before) return undefined;
+      }
+      break;
+    case 'object':
+      if (!isPlainObject(value)) return fail(`${field} must be an object`);
+      break;
+    default:
+      break;
+  }
+  if (rule.enum && !rule.enum.includes(value)) return fail(`${field} must be one of ${rule.enum.join(', ')}`);
+  return value;
+}
+
+const PARTS = ['params', 'query', 'body'];
+
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+  req.valid = {};
+  for (const part of PARTS) {
+    if (!schema[part]) continue;
+    const source = req[part] ?? {};
+    req.valid[part] = {};
+    if (!isPlainObject(source)) {
+      errors.push({ field: part, message: `Request ${part} must be a JSON object`, kind: 'invalid' });
+      continue;
+    }
+    for (const [field, rule] of Object.entries(schema[part])) {
+      const value = checkField(rule, source[field], field, errors, part !== 'body');
+      if (value !== undefined) req.valid[part][field] = value;
+    }
+  }
+  if (errors.length) {
+    const code = errors.every((e) => e.kind === 'id') ? 'INVALID_ID' : 'VALIDATION_FAILED';
+    const details = errors.map(({ field, message }) => ({ field, message }));
+    throw new ApiError(code, details.map((d) => d.message).join('; '), { details });
+  }
+  next();
+};
+
+module.exports = { validate };
@@ -1,23 +1,63 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import Auth from './components/Auth';
 import Chat from './components/Chat';
+import SharedView from './components/SharedView';
+import AdminView from './components/AdminView';
+import UsageView from './components/UsageView';
+import TrashView from './components/TrashView';
+import SettingsView from './components/SettingsView';
+import { getAuth, logoutUser, onAuthExpired } from './services/mongoApi';
 import './App.css';
 
+// Share links (/share/<token>) open the public read-only view, logged in or not
+const shareToken = window.location.pathname.match(/^\/share\/([\w-]+)/)?.[1];
+
 function App() {
-  const [user, setUser] = useState(() => localStorage.getItem('chatapp_user'));
+  // Tokens are stored by mongoApi on login; the username and role come from there too
+  const [user, setUser] = useState(() => getAuth()?.username || null);
+  const [view, setView] = useState('chat'); // 'chat' | 'usage' | 'trash' | 'settings' | 'admin'
+  const isAdmin = getAuth()?.role === 'admin';
+
+  useEffect(() => {
+    onAuthExpired(() => setUser(null));
+  }, []);
 
   const handleLogin = (username) => {
-    localStorage.setItem('chatapp_user', username);
     setUser(username);
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('chatapp_user');
+  const handleLogout = async () => {
+    await logoutUser();
     setUser(null);
+    setView('chat');
   };
 
+  if (shareToken) {
+    return <SharedView token={shareToken} />;
+  }
+  if (user && view === 'admin' && isAdmin) {
+    return <AdminView username={user} onClose={() => setView('chat')} />;
+  }
+  if (user && view === 'usage') {
+    return <UsageView onClose={() => setView('chat')} />;
+  }
+  if (user && view === 'trash') {
+    return <TrashView onClose={() => setView('chat')} />;
+  }
+  if (user && view === 'settings') {
+    return <SettingsView onClose={() => setView('chat')} />;
+  }
   if (user) {
-    return <Chat username={user} onLogout={handleLogout} />;
+    return (
+      <Chat
+        username={user}
+        onLogout={handleLogout}
+        onOpenUsage={() => setView('usage')}
+        onOpenTrash={() => setView('trash')}
+        onOpenSettings={() => setView('settings')}
+        onOpenAdmin={isAdmin ? () => setView('admin') : null}
+      />
+    );
   }
   return <Auth onLogin={handleLogin} />;
 }
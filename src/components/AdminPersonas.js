@@ -0,0 +1,165 @@
+import { useState } from 'react';
+import { createAdminPersona, updateAdminPersona, deleteAdminPersona } from '../services/mongoApi';
+import { PersonaAvatar } from './PersonaPicker';
+
+const TOOLS = [
+  { tool: 'search', label: 'Google Search' },
+  { tool: 'code', label: 'Python' },
+  { tool: 'tools', label: 'CSV tools' },
+];
+
+const EMPTY_FORM = {
+  key: '',
+  name: '',
+  avatar: '',
+  description: '',
+  tools: TOOLS.map((t) => t.tool),
+  greeting: '',
+  systemPrompt: '',
+};
+
+// The persona library in the admin console: built-in personas are listed
+// read-only, custom ones can be added, edited and deleted. onChange() reloads
+// the list after a save.
+export default function AdminPersonas({ personas, onChange, onError }) {
+  const [form, setForm] = useState(null); // EMPTY_FORM-shaped; `editing` set when changing an existing one
+  const [saving, setSaving] = useState(false);
+
+  const set = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const toggleTool = (tool) =>
+    setForm({
+      ...form,
+      tools: form.tools.includes(tool) ? form.tools.filter((t) => t !== tool) : [...form.tools, tool],
+    });
+
+  const handleEdit = (p) =>
+    setForm({
+      editing: p.id,
+      key: p.id,
+      name: p.name,
+      avatar: p.avatar || '',
+      description: p.description,
+      tools: p.tools,
+      greeting: p.greeting,
+      systemPrompt: p.systemPrompt,
+    });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { editing, key, ...fields } = form;
+    setSaving(true);
+    onError('');
+    try {
+      const body = { ...fields, avatar: fields.avatar.trim() || null };
+      if (editing) await updateAdminPersona(editing, body);
+      else await createAdminPersona({ key, ...body });
+      setForm(null);
+      onChange();
+    } catch (err) {
+      onError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (p) => {
+    if (!window.confirm(`Delete the persona “${p.name}”? Its chats will use the default persona.`)) return;
+    onError('');
+    try {
+      await deleteAdminPersona(p.id);
+      onChange();
+    } catch (err) {
+      onError(err.message);
+    }
+  };
+
+  return (
+    <section className="admin-personas">
+      <h2>Personas</h2>
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>Persona</th>
+            <th>Tools</th>
+            <th>Greeting</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {personas.map((p) => (
+            <tr key={p.id}>
+              <td>
+                <strong>
+                  <PersonaAvatar persona={p} /> {p.name}
+                </strong>
+                {p.builtIn && <span className="admin-badge">built-in</span>}
+                <div className="admin-email">
+                  {p.id}
+                  {p.description && ` · ${p.description}`}
+                </div>
+              </td>
+              <td>{p.tools.map((t) => TOOLS.find((x) => x.tool === t)?.label || t).join(', ') || '—'}</td>
+              <td>{p.greeting || '—'}</td>
+              <td className="admin-actions">
+                {!p.builtIn && (
+                  <>
+                    <button onClick={() => handleEdit(p)}>Edit</button>
+                    <button className="danger" onClick={() => handleDelete(p)}>
+                      Delete
+                    </button>
+                  </>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {form ? (
+        <form className="admin-persona-form" onSubmit={handleSave}>
+          <div className="admin-persona-row">
+            <input
+              placeholder="key (e.g. tutor)"
+              value={form.key}
+              onChange={set('key')}
+              disabled={!!form.editing}
+              maxLength={40}
+              required
+            />
+            <input placeholder="Name" value={form.name} onChange={set('name')} maxLength={40} required />
+            <input placeholder="Avatar (emoji or image URL)" value={form.avatar} onChange={set('avatar')} maxLength={300} />
+          </div>
+          <input placeholder="Description" value={form.description} onChange={set('description')} maxLength={200} />
+          <input placeholder="Greeting" value={form.greeting} onChange={set('greeting')} maxLength={500} />
+          <textarea
+            placeholder="System prompt"
+            value={form.systemPrompt}
+            onChange={set('systemPrompt')}
+            rows={8}
+            maxLength={20000}
+            required
+          />
+          <div className="admin-persona-row">
+            {TOOLS.map(({ tool, label }) => (
+              <label key={tool}>
+                <input type="checkbox" checked={form.tools.includes(tool)} onChange={() => toggleTool(tool)} /> {label}
+              </label>
+            ))}
+            <span className="admin-persona-spacer" />
+            <button type="button" className="modal-btn" onClick={() => setForm(null)}>
+              Cancel
+            </button>
+            <button type="submit" className="modal-btn primary" disabled={saving}>
+              {form.editing ? 'Save' : 'Add persona'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button className="modal-btn" onClick={() => setForm(EMPTY_FORM)}>
+          + New persona
+        </button>
+      )}
+    </section>
+  );
+}
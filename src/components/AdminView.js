@@ -0,0 +1,349 @@
+import { useState, useEffect, useCallback } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import {
+  getAdminStats,
+  getAdminUsage,
+  listAdminUsers,
+  updateAdminUser,
+  deleteAdminUser,
+  getAdminUserSessions,
+  getAdminSessionMessages,
+  getAdminPersonas,
+} from '../services/mongoApi';
+import StructuredParts from './StructuredParts';
+import MessageDetails from './MessageDetails';
+import AdminPersonas from './AdminPersonas';
+import './Chat.css';
+import './AdminView.css';
+
+const RANGES = [7, 30, 90];
+const PAGE_SIZE = 50;
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString([], { dateStyle: 'medium' }) : '—');
+const formatDateTime = (iso) => (iso ? new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : '—');
+
+// ── Admin console ─────────────────────────────────────────────────────────────
+// Usage chart, the user list with disable / role / delete actions, the
+// persona library and a read-only look into one user's sessions for support. Only reachable for
+// accounts with role 'admin'; the server checks the role on every call.
+
+export default function AdminView({ username, onClose }) {
+  const [days, setDays] = useState(30);
+  const [stats, setStats] = useState(null);
+  const [usage, setUsage] = useState(null); // tokens per user
+  const [query, setQuery] = useState('');
+  const [skip, setSkip] = useState(0);
+  const [userPage, setUserPage] = useState({ users: [], total: 0 });
+  const [inspecting, setInspecting] = useState(null); // { user, sessions }
+  const [openSession, setOpenSession] = useState(null); // { session, messages }
+  const [personaLibrary, setPersonaLibrary] = useState({ defaultId: null, personas: [] });
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getAdminStats(days)
+      .then(setStats)
+      .catch((err) => setError(err.message));
+    getAdminUsage(days)
+      .then(setUsage)
+      .catch((err) => setError(err.message));
+  }, [days]);
+
+  const loadPersonas = useCallback(() => {
+    getAdminPersonas()
+      .then(setPersonaLibrary)
+      .catch((err) => setError(err.message));
+  }, []);
+
+  useEffect(loadPersonas, [loadPersonas]);
+
+  const loadUsers = useCallback(() => {
+    listAdminUsers({ q: query, skip, limit: PAGE_SIZE })
+      .then(setUserPage)
+      .catch((err) => setError(err.message));
+  }, [query, skip]);
+
+  useEffect(() => {
+    const timer = setTimeout(loadUsers, 250);
+    return () => clearTimeout(timer);
+  }, [loadUsers]);
+
+  const replaceUser = (row) =>
+    setUserPage((page) => ({ ...page, users: page.users.map((u) => (u.username === row.username ? row : u)) }));
+
+  const runAction = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleToggleDisabled = (user) =>
+    runAction(async () => replaceUser(await updateAdminUser(user.username, { disabled: !user.disabled })));
+
+  const handleToggleAdmin = (user) =>
+    runAction(async () =>
+      replaceUser(await updateAdminUser(user.username, { role: user.role === 'admin' ? 'user' : 'admin' }))
+    );
+
+  const handleDelete = (user) => {
+    if (
+      !window.confirm(
+        `Delete ${user.username} with ${user.sessionCount} chats and ${user.messageCount} messages? This cannot be undone.`
+      )
+    )
+      return;
+    runAction(async () => {
+      await deleteAdminUser(user.username);
+      if (inspecting?.user.username === user.username) setInspecting(null);
+      loadUsers();
+      setStats(await getAdminStats(days));
+    });
+  };
+
+  const handleInspect = (user) =>
+    runAction(async () => {
+      setOpenSession(null);
+      setInspecting(await getAdminUserSessions(user.username));
+    });
+
+  // Chats whose persona was deleted answer as the default one
+  const personaName = (agent) => {
+    const { personas, defaultId } = personaLibrary;
+    return (personas.find((p) => p.id === agent) || personas.find((p) => p.id === defaultId))?.name || 'Assistant';
+  };
+
+  const handleOpenSession = (sessionId) =>
+    runAction(async () => setOpenSession(await getAdminSessionMessages(sessionId)));
+
+  return (
+    <div className="admin-view">
+      <header className="admin-header">
+        <h1>Admin</h1>
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+          {RANGES.map((d) => (
+            <option key={d} value={d}>
+              Last {d} days
+            </option>
+          ))}
+        </select>
+        <button className="modal-btn" onClick={onClose}>
+          ← Back to chat
+        </button>
+      </header>
+
+      {error && <p className="modal-error">{error}</p>}
+
+      {stats && (
+        <>
+          <div className="admin-cards">
+            <div className="admin-card">
+              <span>{stats.usersCount}</span>users
+            </div>
+            <div className="admin-card">
+              <span>{stats.disabledCount}</span>disabled
+            </div>
+            <div className="admin-card">
+              <span>{stats.sessionsCount}</span>chats
+            </div>
+            <div className="admin-card">
+              <span>{stats.messagesCount}</span>messages
+            </div>
+          </div>
+
+          <div className="admin-chart">
+            <ResponsiveContainer width="100%" height={240}>
+              <LineChart data={stats.daily} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.08)" />
+                <XAxis dataKey="day" tick={{ fill: 'rgba(255,255,255,0.5)', fontSize: 11 }} tickFormatter={(d) => d.slice(5)} />
+                <YAxis yAxisId="users" allowDecimals={false} tick={{ fill: 'rgba(255,255,255,0.5)', fontSize: 11 }} />
+                <YAxis
+                  yAxisId="messages"
+                  orientation="right"
+                  allowDecimals={false}
+                  tick={{ fill: 'rgba(255,255,255,0.5)', fontSize: 11 }}
+                />
+                <Tooltip contentStyle={{ background: 'rgba(15, 15, 35, 0.92)', border: '1px solid rgba(255,255,255,0.12)' }} />
+                <Legend />
+                <Line yAxisId="users" type="monotone" dataKey="activeUsers" name="Active users" stroke="#818cf8" dot={false} />
+                <Line yAxisId="messages" type="monotone" dataKey="messages" name="Messages" stroke="#34d399" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+
+      {usage?.byUser.length > 0 && (
+        <section className="admin-usage">
+          <h2>
+            Token usage · {usage.totals.totalTokens.toLocaleString()} tokens · ${usage.totals.costUsd.toFixed(2)}
+          </h2>
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>User</th>
+                <th>Requests</th>
+                <th>Prompt tokens</th>
+                <th>Response tokens</th>
+                <th>Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {usage.byUser.map((u) => (
+                <tr key={u.username}>
+                  <td>{u.username}</td>
+                  <td>{u.requests}</td>
+                  <td>{u.promptTokens.toLocaleString()}</td>
+                  <td>{u.responseTokens.toLocaleString()}</td>
+                  <td>${u.costUsd.toFixed(4)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+
+      <section className="admin-users">
+        <div className="admin-users-bar">
+          <input
+            type="search"
+            placeholder="Search username or email"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setSkip(0);
+            }}
+          />
+          <span>
+            {userPage.total ? `${skip + 1}–${skip + userPage.users.length} of ${userPage.total}` : 'No users'}
+          </span>
+          <button className="modal-btn" disabled={skip === 0} onClick={() => setSkip(Math.max(0, skip - PAGE_SIZE))}>
+            ‹
+          </button>
+          <button
+            className="modal-btn"
+            disabled={skip + PAGE_SIZE >= userPage.total}
+            onClick={() => setSkip(skip + PAGE_SIZE)}
+          >
+            ›
+          </button>
+        </div>
+
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>User</th>
+              <th>Signed up</th>
+              <th>Chats</th>
+              <th>Messages</th>
+              <th>Last active</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {userPage.users.map((u) => (
+              <tr key={u.username} className={u.disabled ? 'disabled' : ''}>
+                <td>
+                  <strong>{u.username}</strong>
+                  {u.role === 'admin' && <span className="admin-badge">admin</span>}
+                  {u.disabled && <span className="admin-badge danger">disabled</span>}
+                  {u.email && <div className="admin-email">{u.email}</div>}
+                </td>
+                <td>{formatDate(u.createdAt)}</td>
+                <td>{u.sessionCount}</td>
+                <td>{u.messageCount}</td>
+                <td>{formatDateTime(u.lastActiveAt)}</td>
+                <td className="admin-actions">
+                  <button onClick={() => handleInspect(u)}>Sessions</button>
+                  {u.username !== username && (
+                    <>
+                      <button onClick={() => handleToggleDisabled(u)}>{u.disabled ? 'Enable' : 'Disable'}</button>
+                      <button onClick={() => handleToggleAdmin(u)}>
+                        {u.role === 'admin' ? 'Remove admin' : 'Make admin'}
+                      </button>
+                      <button className="danger" onClick={() => handleDelete(u)}>
+                        Delete
+                      </button>
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <AdminPersonas personas={personaLibrary.personas} onChange={loadPersonas} onError={setError} />
+
+      {inspecting && (
+        <section className="admin-inspect">
+          <h2>
+            Chats of {inspecting.user.username}
+            <button className="modal-btn" onClick={() => setInspecting(null)}>
+              Close
+            </button>
+          </h2>
+          <div className="admin-inspect-body">
+            <ul className="admin-session-list">
+              {inspecting.sessions.map((s) => (
+                <li key={s.id}>
+                  <button
+                    className={openSession?.session.id === s.id ? 'active' : ''}
+                    onClick={() => handleOpenSession(s.id)}
+                  >
+                    {s.title || 'Untitled'}
+                    <span>
+                      {formatDate(s.createdAt)} · {s.messageCount} messages
+                    </span>
+                  </button>
+                </li>
+              ))}
+              {!inspecting.sessions.length && <li className="search-empty">No chats</li>}
+            </ul>
+
+            <div className="admin-transcript">
+              {openSession ? (
+                openSession.messages.map((m) => (
+                  <div key={m.id} className={`chat-msg ${m.role}`}>
+                    <div className="chat-msg-meta">
+                      <span className="chat-msg-role">
+                        {m.role === 'user'
+                          ? m.author === null
+                            ? 'Deleted user'
+                            : m.author || openSession.session.username
+                          : personaName(openSession.session.agent)}
+                      </span>
+                      <span className="chat-msg-time">{formatDateTime(m.timestamp)}</span>
+                      {m.feedback && <span className="admin-badge">{m.feedback.rating === 'up' ? '👍' : '👎'}</span>}
+                    </div>
+                    {m.csvName && <div className="msg-csv-badge">📄 {m.csvName}</div>}
+                    {m.images?.length > 0 && (
+                      <div className="msg-csv-badge">🖼 {m.images.map((img) => img.name || 'image').join(', ')}</div>
+                    )}
+                    <div className="chat-msg-content">
+                      {m.role === 'model' ? (
+                        m.parts ? (
+                          <StructuredParts parts={m.parts} />
+                        ) : (
+                          <ReactMarkdown remarkPlugins={[remarkGfm]}>{m.content}</ReactMarkdown>
+                        )
+                      ) : (
+                        m.content
+                      )}
+                    </div>
+                    <MessageDetails message={m} />
+                  </div>
+                ))
+              ) : (
+                <p className="search-empty">Pick a chat to read it</p>
+              )}
+            </div>
+          </div>
+        </section>
+      )}
+    </div>
+  );
+}
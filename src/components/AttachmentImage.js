@@ -0,0 +1,57 @@
+import { useState, useEffect, useRef } from 'react';
+import { fetchAttachmentUrl } from '../services/mongoApi';
+
+// Thumbnail for a stored attachment. The bytes are only fetched once the
+// placeholder scrolls into view, so long chats don't download every image.
+// sessionId is the chat the image is shown in (needed for other members' images).
+export default function AttachmentImage({ id, sessionId, alt = '', className }) {
+  const placeholderRef = useRef(null);
+  const [visible, setVisible] = useState(false);
+  const [src, setSrc] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    const el = placeholderRef.current;
+    if (!el || typeof IntersectionObserver === 'undefined') {
+      setVisible(true);
+      return;
+    }
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) {
+          setVisible(true);
+          observer.disconnect();
+        }
+      },
+      { rootMargin: '200px' }
+    );
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (!visible) return;
+    let url = null;
+    let cancelled = false;
+    fetchAttachmentUrl(id, sessionId)
+      .then((u) => {
+        if (cancelled) return URL.revokeObjectURL(u);
+        url = u;
+        setSrc(u);
+      })
+      .catch(() => !cancelled && setFailed(true));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [visible, id, sessionId]);
+
+  if (src) return <img src={src} alt={alt} className={className} />;
+  return (
+    <span
+      ref={placeholderRef}
+      className={`${className || ''} attachment-placeholder${failed ? ' failed' : ''}`}
+      title={failed ? 'Image unavailable' : undefined}
+    />
+  );
+}
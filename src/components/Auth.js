@@ -7,33 +7,28 @@ export default function Auth({ onLogin }) {
   const [username, setUsername] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
-  const [error, setError] = useState('');
+  const [error, setError] = useState(null); // { message, code }
   const [loading, setLoading] = useState(false);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    setError('');
+    setError(null);
     setLoading(true);
     try {
       const name = username.trim().toLowerCase();
       if (mode === 'create') {
         await createUser(name, password, email.trim());
-        setError('');
+        setError(null);
         setMode('login');
         setPassword('');
         setEmail('');
       } else {
         const user = await findUser(name, password);
-        if (!user) throw new Error('User not found or invalid password');
+        if (!user) throw new Error('Unknown username or wrong password.');
         onLogin(user.username);
       }
     } catch (err) {
-      try {
-        const j = JSON.parse(err.message);
-        setError(j.error || err.message);
-      } catch {
-        setError(err.message || 'Something went wrong');
-      }
+      setError({ message: err.message || 'Something went wrong', code: err.code });
     } finally {
       setLoading(false);
     }
@@ -75,8 +70,8 @@ export default function Auth({ onLogin }) {
           />
           {error && (
         <p className="auth-error">
-          {error}
-          {error.includes('already exists') && ' Try logging in instead.'}
+          {error.message}
+          {error.code === 'USERNAME_TAKEN' && ' Try logging in instead.'}
         </p>
       )}
           <button type="submit" disabled={loading}>
@@ -88,7 +83,7 @@ export default function Auth({ onLogin }) {
           className="auth-switch"
           onClick={() => {
             setMode((m) => (m === 'login' ? 'create' : 'login'));
-            setError('');
+            setError(null);
           }}
         >
           {mode === 'login' ? 'Create an account' : 'Already have an account? Log in'}
@@ -1,4 +1,4 @@
-import { useState, useEffect, useRef } from 'react';
+import { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { streamChat, chatWithCsvTools, CODE_KEYWORDS } from '../services/gemini';
@@ -7,12 +7,44 @@ import {
   getSessions,
   createSession,
   deleteSession,
+  deleteSessions,
+  restoreSessions,
+  updateSessionTitle,
+  suggestSessionTitle,
+  updateSession,
+  moveSessions,
+  exportSession,
+  importSession,
   saveMessage,
   loadMessages,
+  selectBranch,
+  uploadAttachment,
+  fetchAttachmentData,
+  getQuota,
+  getInvites,
+  acceptInvite,
+  declineInvite,
+  getPersonas,
 } from '../services/mongoApi';
-import EngagementChart from './EngagementChart';
+import AttachmentImage from './AttachmentImage';
+import StructuredParts from './StructuredParts';
+import MessageDetails from './MessageDetails';
+import MessageFeedback from './MessageFeedback';
+import SidebarSearch from './SidebarSearch';
+import SessionList from './SessionList';
+import ShareDialog from './ShareDialog';
+import MembersDialog from './MembersDialog';
+import GenerationDialog from './GenerationDialog';
+import InvitesPanel from './InvitesPanel';
+import PersonaPicker, { PersonaAvatar } from './PersonaPicker';
+import QuotaBanner from './QuotaBanner';
+import UndoToast from './UndoToast';
+import { createLogger } from '../services/logger';
+import { subscribeToChanges } from '../services/liveSync';
 import './Chat.css';
 
+const log = createLogger('Chat');
+
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
 const chatTitle = () => {
@@ -20,6 +52,21 @@ const chatTitle = () => {
   return `Chat · ${d.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
 };
 
+// Tooltip for the model settings an answer was generated with
+const describeGeneration = (g) =>
+  [
+    `Model: ${g.model}`,
+    `Temperature: ${g.temperature ?? 'default'}`,
+    `Top P: ${g.topP ?? 'default'}`,
+    `Max output tokens: ${g.maxOutputTokens ?? 'default'}`,
+    g.safety && `Safety filter: ${g.safety}`,
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+// Who wrote a user message; author is null once their account was deleted
+const authorName = (m, fallback) => (m.author === null ? 'Deleted user' : m.author || fallback);
+
 // Encode a string to base64 safely (handles unicode/emoji in tweet text etc.)
 const toBase64 = (str) => {
   const bytes = new TextEncoder().encode(str);
@@ -46,71 +93,9 @@ const parseCSV = (text) => {
   return { headers, rowCount, preview, base64, truncated };
 };
 
-// Extract plain text from a message (for history only — never returns base64)
-const messageText = (m) => {
-  if (m.parts) return m.parts.filter((p) => p.type === 'text').map((p) => p.text).join('\n');
-  return m.content || '';
-};
-
-// ── Structured part renderer (code execution responses) ───────────────────────
-
-function StructuredParts({ parts }) {
-  return (
-    <>
-      {parts.map((part, i) => {
-        if (part.type === 'text' && part.text?.trim()) {
-          return (
-            <div key={i} className="part-text">
-              <ReactMarkdown remarkPlugins={[remarkGfm]}>{part.text}</ReactMarkdown>
-            </div>
-          );
-        }
-        if (part.type === 'code') {
-          return (
-            <div key={i} className="part-code">
-              <div className="part-code-header">
-                <span className="part-code-lang">
-                  {part.language === 'PYTHON' ? 'Python' : part.language}
-                </span>
-              </div>
-              <pre className="part-code-body">
-                <code>{part.code}</code>
-              </pre>
-            </div>
-          );
-        }
-        if (part.type === 'result') {
-          const ok = part.outcome === 'OUTCOME_OK';
-          return (
-            <div key={i} className="part-result">
-              <div className="part-result-header">
-                <span className={`part-result-badge ${ok ? 'ok' : 'err'}`}>
-                  {ok ? '✓ Output' : '✗ Error'}
-                </span>
-              </div>
-              <pre className="part-result-body">{part.output}</pre>
-            </div>
-          );
-        }
-        if (part.type === 'image') {
-          return (
-            <img
-              key={i}
-              src={`data:${part.mimeType};base64,${part.data}`}
-              alt="Generated plot"
-              className="part-image"
-            />
-          );
-        }
-        return null;
-      })}
-    </>
-  );
-}
-
 // ── Main component ────────────────────────────────────────────────────────────
 
-export default function Chat({ username, onLogout }) {
+export default function Chat({ username, onLogout, onOpenAdmin, onOpenUsage, onOpenTrash, onOpenSettings }) {
   const [sessions, setSessions] = useState([]);
   const [activeSessionId, setActiveSessionId] = useState(null);
   const [messages, setMessages] = useState([]);
@@ -123,12 +108,38 @@ export default function Chat({ username, onLogout }) {
   const [sessionSlimCsv, setSessionSlimCsv] = useState(null);   // key-columns CSV string sent directly to Gemini
   const [streaming, setStreaming] = useState(false);
   const [dragOver, setDragOver] = useState(false);
-  const [openMenuId, setOpenMenuId] = useState(null);
+  const [olderCursor, setOlderCursor] = useState(null); // `before` cursor for the next older page
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [olderError, setOlderError] = useState(null); // message of the failed load, until retried
 
   const bottomRef = useRef(null);
+  const messagesRef = useRef(null);
+  // scrollHeight captured before older messages are prepended, so the view
+  // stays on the same message instead of jumping.
+  const scrollRestoreRef = useRef(null);
+  // Set when the messages are swapped for another branch: stay where we are
+  const keepScrollRef = useRef(false);
+  // Message id picked from search results; the next load starts there and the
+  // view scrolls it into the middle instead of to the bottom.
+  const jumpToRef = useRef(null);
+  const [highlightedId, setHighlightedId] = useState(null);
+  const activeSessionIdRef = useRef(null);
   const inputRef = useRef(null);
   const abortRef = useRef(false);
+  const abortControllerRef = useRef(null); // cancels the in-flight /api/chat request
   const fileInputRef = useRef(null);
+  const importInputRef = useRef(null);
+  const [sharingSessionId, setSharingSessionId] = useState(null);
+  const [membersSessionId, setMembersSessionId] = useState(null);
+  const [generationSessionId, setGenerationSessionId] = useState(null); // model settings dialog
+  const [invites, setInvites] = useState([]); // pending invites to other users' chats
+  const [personaLibrary, setPersonaLibrary] = useState({ defaultId: null, personas: [] }); // GET /api/personas
+  const [newChatPersonaId, setNewChatPersonaId] = useState(null); // picked for the unsaved 'new' chat
+  const [importing, setImporting] = useState(false);
+  const [editingMessage, setEditingMessage] = useState(null); // { id, value }
+  const [quota, setQuota] = useState(null); // GET /api/usage/quota
+  const [undoDelete, setUndoDelete] = useState(null); // { ids, message, activeId } of the last delete
+  const quotaBlocked = quota?.status === 'exceeded' && quota.action === 'block';
   // Set to true immediately before setActiveSessionId() is called during a send
   // so the messages useEffect knows to skip the reload (streaming is in progress).
   const justCreatedSessionRef = useRef(false);
@@ -136,14 +147,95 @@ export default function Chat({ username, onLogout }) {
   // On login: load sessions from DB; 'new' means an unsaved pending chat
   useEffect(() => {
     const init = async () => {
-      const list = await getSessions(username);
-      setSessions(list);
       setActiveSessionId('new'); // always start with a fresh empty chat on login
+      try {
+        setSessions(await getSessions());
+      } catch (err) {
+        log.error('sessions failed to load', { err });
+        window.alert(`Could not load your chats: ${err.message}`);
+      }
     };
     init();
   }, [username]);
 
+  const refreshInvites = () =>
+    getInvites()
+      .then(setInvites)
+      .catch((err) => log.error('invites check failed', { err }));
+
+  useEffect(() => {
+    refreshInvites();
+  }, [username]);
+
+  useEffect(() => {
+    getPersonas()
+      .then(setPersonaLibrary)
+      .catch((err) => log.error('personas failed to load', { err }));
+  }, [username]);
+
+  // ── Live sync ──────────────────────────────────────────────────────────────
+  // Changes made in other tabs, on other devices and by the other members of
+  // shared chats. The open chat is reloaded when its messages change, except
+  // while this tab is streaming an answer.
+  useEffect(() => {
+    const logError = (err) => log.error('live update failed', { err });
+    const reloadMessages = (sessionId) =>
+      loadMessages(sessionId)
+        .then((page) => {
+          if (activeSessionIdRef.current !== sessionId || abortControllerRef.current) return;
+          setMessages(page.messages);
+          setOlderCursor(page.nextCursor);
+        })
+        .catch(logError);
+
+    const handleChange = (event) => {
+      const activeId = activeSessionIdRef.current;
+      switch (event.type) {
+        case 'session.created':
+          setSessions((prev) => (prev.some((s) => s.id === event.session.id) ? prev : [event.session, ...prev]));
+          break;
+        case 'session.updated':
+          setSessions((prev) => prev.map((s) => (s.id === event.session.id ? event.session : s)));
+          break;
+        case 'session.deleted':
+          setSessions((prev) => prev.filter((s) => !event.sessionIds.includes(s.id)));
+          if (event.sessionIds.includes(activeId)) setActiveSessionId('new');
+          break;
+        case 'session.restored':
+        case 'resync':
+          getSessions().then(setSessions).catch(logError);
+          if (event.type === 'resync' && activeId && activeId !== 'new') reloadMessages(activeId);
+          break;
+        case 'messages.changed':
+          if (event.change === 'created')
+            setSessions((prev) =>
+              prev.map((s) => (s.id === event.sessionId ? { ...s, messageCount: s.messageCount + 1 } : s))
+            );
+          if (event.sessionId === activeId) reloadMessages(activeId);
+          break;
+        case 'invites.changed':
+          refreshInvites();
+          break;
+        default:
+      }
+    };
+
+    return subscribeToChanges(handleChange);
+  }, [username]);
+
+  const refreshQuota = () =>
+    getQuota()
+      .then(setQuota)
+      .catch((err) => log.error('quota check failed', { err }));
+
   useEffect(() => {
+    refreshQuota();
+  }, [username]);
+
+  useEffect(() => {
+    activeSessionIdRef.current = activeSessionId;
+    setOlderCursor(null);
+    setOlderError(null);
     if (!activeSessionId || activeSessionId === 'new') {
       setMessages([]);
       return;
@@ -155,19 +247,71 @@ export default function Chat({ username, onLogout }) {
       return;
     }
     setMessages([]);
-    loadMessages(activeSessionId).then(setMessages);
+    loadMessages(activeSessionId, { from: jumpToRef.current || undefined })
+      .then((page) => {
+        if (activeSessionIdRef.current !== activeSessionId) return;
+        setMessages(page.messages);
+        setOlderCursor(page.nextCursor);
+      })
+      .catch((err) => {
+        log.error('messages failed to load', { err });
+        if (activeSessionIdRef.current === activeSessionId) window.alert(`Could not open the chat: ${err.message}`);
+      });
   }, [activeSessionId]);
 
-  useEffect(() => {
+  useLayoutEffect(() => {
+    if (scrollRestoreRef.current !== null) {
+      const el = messagesRef.current;
+      el.scrollTop += el.scrollHeight - scrollRestoreRef.current;
+      scrollRestoreRef.current = null;
+      return;
+    }
+    if (keepScrollRef.current) {
+      keepScrollRef.current = false;
+      return;
+    }
+    const target = jumpToRef.current && document.getElementById(`msg-${jumpToRef.current}`);
+    if (target) {
+      target.scrollIntoView({ block: 'center' });
+      setHighlightedId(jumpToRef.current);
+      jumpToRef.current = null;
+      return;
+    }
     bottomRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
+  // The search-hit highlight fades after a couple of seconds
   useEffect(() => {
-    if (!openMenuId) return;
-    const handler = () => setOpenMenuId(null);
-    document.addEventListener('click', handler);
-    return () => document.removeEventListener('click', handler);
-  }, [openMenuId]);
+    if (!highlightedId) return;
+    const timer = setTimeout(() => setHighlightedId(null), 2500);
+    return () => clearTimeout(timer);
+  }, [highlightedId]);
+
+  // Lazy-load the previous page when the user scrolls near the top. After a
+  // failure only the "Load earlier messages" button tries again, so scrolling
+  // does not repeat the error.
+  const loadOlderMessages = async () => {
+    if (!olderCursor || loadingOlder) return;
+    const sessionId = activeSessionId;
+    setLoadingOlder(true);
+    setOlderError(null);
+    try {
+      const page = await loadMessages(sessionId, { before: olderCursor });
+      if (activeSessionIdRef.current !== sessionId) return;
+      scrollRestoreRef.current = messagesRef.current.scrollHeight;
+      setMessages((m) => [...page.messages, ...m]);
+      setOlderCursor(page.nextCursor);
+    } catch (err) {
+      log.error('older messages failed to load', { err });
+      if (activeSessionIdRef.current === sessionId) setOlderError(err.message);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  const handleMessagesScroll = (e) => {
+    if (e.currentTarget.scrollTop < 80 && !olderError) loadOlderMessages();
+  };
 
   // ── Session management ──────────────────────────────────────────────────────
 
@@ -191,18 +335,204 @@ export default function Chat({ username, onLogout }) {
     setSessionCsvHeaders(null);
   };
 
-  const handleDeleteSession = async (sessionId, e) => {
-    e.stopPropagation();
-    setOpenMenuId(null);
-    await deleteSession(sessionId);
-    const remaining = sessions.filter((s) => s.id !== sessionId);
+  // Open the session a search result belongs to and jump to the matched
+  // message. Title matches just open the session.
+  const handleSearchSelect = ({ sessionId, messageId }) => {
+    if (sessionId !== activeSessionId) {
+      jumpToRef.current = messageId;
+      handleSelectSession(sessionId);
+      return;
+    }
+    if (!messageId) return;
+    const loaded = document.getElementById(`msg-${messageId}`);
+    if (loaded) {
+      loaded.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      setHighlightedId(messageId);
+      return;
+    }
+    // Older than the loaded pages: reload the session from that message on
+    jumpToRef.current = messageId;
+    loadMessages(sessionId, { from: messageId })
+      .then((page) => {
+        if (activeSessionIdRef.current !== sessionId) return;
+        setMessages(page.messages);
+        setOlderCursor(page.nextCursor);
+      })
+      .catch((err) => {
+        jumpToRef.current = null;
+        log.error('search jump failed', { err });
+        window.alert(`Could not open the message: ${err.message}`);
+      });
+  };
+
+  const removeSessionsFromState = (sessionIds) => {
+    const remaining = sessions.filter((s) => !sessionIds.includes(s.id));
     setSessions(remaining);
-    if (activeSessionId === sessionId) {
+    if (sessionIds.includes(activeSessionId)) {
       setActiveSessionId(remaining.length > 0 ? remaining[0].id : 'new');
       setMessages([]);
     }
   };
 
+  // Deletes move chats to the trash, so the toast can put them back
+  const handleDeleteSession = async (sessionId) => {
+    try {
+      await deleteSession(sessionId);
+    } catch (err) {
+      log.error('delete failed', { err });
+      window.alert(`Could not delete the chat: ${err.message}`);
+      return;
+    }
+    removeSessionsFromState([sessionId]);
+    setUndoDelete({
+      ids: [sessionId],
+      message: 'Chat moved to Trash',
+      activeId: sessionId === activeSessionId ? sessionId : null,
+    });
+  };
+
+  const handleDeleteSessions = async (sessionIds) => {
+    try {
+      await deleteSessions(sessionIds);
+    } catch (err) {
+      log.error('delete failed', { err });
+      window.alert(`Could not delete the chats: ${err.message}`);
+      return;
+    }
+    removeSessionsFromState(sessionIds);
+    setUndoDelete({
+      ids: sessionIds,
+      message: `${sessionIds.length} chat${sessionIds.length > 1 ? 's' : ''} moved to Trash`,
+      activeId: sessionIds.includes(activeSessionId) ? activeSessionId : null,
+    });
+  };
+
+  const dismissUndo = useCallback(() => setUndoDelete(null), []);
+
+  const handleUndoDelete = async () => {
+    const { ids, activeId } = undoDelete;
+    setUndoDelete(null);
+    try {
+      await restoreSessions(ids);
+      setSessions(await getSessions());
+      if (activeId) setActiveSessionId(activeId);
+    } catch (err) {
+      log.error('restore failed', { err });
+      window.alert(`Could not restore: ${err.message}`);
+    }
+  };
+
+  // Session edits show at once; a failed save puts the old values back
+  const rollBackSessions = (before, action, err) => {
+    log.error(`${action} failed`, { err });
+    const byId = new Map(before.map((s) => [s.id, s]));
+    setSessions((prev) => prev.map((s) => byId.get(s.id) || s));
+    window.alert(`Could not ${action}: ${err.message}`);
+  };
+
+  const handleRenameSession = async (sessionId, title) => {
+    const before = sessions.filter((s) => s.id === sessionId);
+    setSessions((prev) => prev.map((s) => (s.id === sessionId ? { ...s, title, titleSource: 'user' } : s)));
+    try {
+      await updateSessionTitle(sessionId, title);
+    } catch (err) {
+      rollBackSessions(before, 'rename the chat', err);
+    }
+  };
+
+  // Replaces the timestamp title with a model-written one. Runs after the
+  // first exchange and from the menu; never touches a title renamed by hand.
+  const generateSessionTitle = async (sessionId) => {
+    try {
+      const title = await suggestSessionTitle(sessionId);
+      await updateSessionTitle(sessionId, title, 'ai');
+      setSessions((prev) => prev.map((s) => (s.id === sessionId ? { ...s, title, titleSource: 'ai' } : s)));
+    } catch (err) {
+      log.error('title generation failed', { err });
+    }
+  };
+
+  // Pin / folder / tags; the server returns the session as stored
+  const handleUpdateSession = async (sessionId, fields) => {
+    const before = sessions.filter((s) => s.id === sessionId);
+    setSessions((prev) => prev.map((s) => (s.id === sessionId ? { ...s, ...fields } : s)));
+    try {
+      const updated = await updateSession(sessionId, fields);
+      setSessions((prev) => prev.map((s) => (s.id === sessionId ? updated : s)));
+    } catch (err) {
+      rollBackSessions(before, 'update the chat', err);
+    }
+  };
+
+  const handleMoveSessions = async (sessionIds, folder) => {
+    const before = sessions.filter((s) => sessionIds.includes(s.id));
+    setSessions((prev) => prev.map((s) => (sessionIds.includes(s.id) ? { ...s, folder } : s)));
+    try {
+      await moveSessions(sessionIds, folder);
+    } catch (err) {
+      rollBackSessions(before, 'move the chats', err);
+    }
+  };
+
+  const handleExportSession = async (sessionId, format) => {
+    try {
+      await exportSession(sessionId, format);
+    } catch (err) {
+      log.error('export failed', { err });
+    }
+  };
+
+  const handleShareChange = (sessionId, share) =>
+    setSessions((prev) => prev.map((s) => (s.id === sessionId ? { ...s, share } : s)));
+
+  const handleSessionSaved = (session) => setSessions((prev) => prev.map((s) => (s.id === session.id ? session : s)));
+
+  // ── Members and invites ─────────────────────────────────────────────────────
+
+  const handleAcceptInvite = async ({ sessionId }) => {
+    try {
+      const session = await acceptInvite(sessionId);
+      setInvites((prev) => prev.filter((i) => i.sessionId !== sessionId));
+      setSessions((prev) => [session, ...prev.filter((s) => s.id !== sessionId)]);
+      handleSelectSession(sessionId);
+    } catch (err) {
+      window.alert(`Could not join: ${err.message}`);
+      refreshInvites();
+    }
+  };
+
+  const handleDeclineInvite = async ({ sessionId }) => {
+    setInvites((prev) => prev.filter((i) => i.sessionId !== sessionId));
+    try {
+      await declineInvite(sessionId);
+    } catch (err) {
+      log.error('decline failed', { err });
+      refreshInvites();
+    }
+  };
+
+  const handleLeaveSession = (sessionId) => {
+    setMembersSessionId(null);
+    removeSessionsFromState([sessionId]);
+  };
+
+  // Recreates a chat from a JSON export and opens it
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setImporting(true);
+    try {
+      const session = await importSession(file);
+      setSessions((prev) => [session, ...prev]);
+      handleSelectSession(session.id);
+    } catch (err) {
+      window.alert(`Import failed: ${err.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
   // ── File handling ───────────────────────────────────────────────────────────
 
   const fileToBase64 = (file) =>
@@ -251,6 +581,7 @@ export default function Chat({ username, onLogout }) {
           data: await fileToBase64(f),
           mimeType: f.type,
           name: f.name,
+          file: f,
         }))
       );
       setImages((prev) => [...prev, ...newImages]);
@@ -283,6 +614,7 @@ export default function Chat({ username, onLogout }) {
           data: await fileToBase64(f),
           mimeType: f.type,
           name: f.name,
+          file: f,
         }))
       );
       setImages((prev) => [...prev, ...newImages]);
@@ -304,7 +636,7 @@ export default function Chat({ username, onLogout }) {
             if (!file) return resolve(null);
             const reader = new FileReader();
             reader.onload = () =>
-              resolve({ data: reader.result.split(',')[1], mimeType: file.type, name: 'pasted-image' });
+              resolve({ data: reader.result.split(',')[1], mimeType: file.type, name: 'pasted-image', file });
             reader.readAsDataURL(file);
           })
       )
@@ -314,39 +646,31 @@ export default function Chat({ username, onLogout }) {
 
   const handleStop = () => {
     abortRef.current = true;
+    abortControllerRef.current?.abort();
   };
 
   // ── Send message ────────────────────────────────────────────────────────────
 
-  const handleSend = async () => {
-    const text = input.trim();
-    if ((!text && !images.length && !csvContext) || streaming || !activeSessionId) return;
-
-    // Lazily create the session in DB on the very first message
-    let sessionId = activeSessionId;
-    if (sessionId === 'new') {
-      const title = chatTitle();
-      const { id } = await createSession(username, 'lisa', title);
-      sessionId = id;
-      justCreatedSessionRef.current = true; // tell useEffect to skip the reload
-      setActiveSessionId(id);
-      setSessions((prev) => [{ id, agent: 'lisa', title, createdAt: new Date().toISOString(), messageCount: 0 }, ...prev]);
-    }
-
+  // Routing intent and the prompt for one user turn. capturedCsv is the CSV
+  // attached to this very message (null when editing or regenerating — the
+  // session summary still carries the data's context then).
+  const planRequest = (text, capturedCsv, hasImages) => {
     // ── Routing intent (computed first so we know whether Python/base64 is needed) ──
     // PYTHON_ONLY = things the client tools genuinely cannot produce
     const PYTHON_ONLY_KEYWORDS = /\b(regression|scatter|histogram|seaborn|matplotlib|numpy|time.?series|heatmap|box.?plot|violin|distribut|linear.?model|logistic|forecast|trend.?line)\b/i;
-    const wantPythonOnly = PYTHON_ONLY_KEYWORDS.test(text);
-    const wantCode = CODE_KEYWORDS.test(text) && !sessionCsvRows;
-    const capturedCsv = csvContext;
+    // The persona's tools limit the paths (all of them until the library has loaded)
+    const tools = activePersona?.tools || ['search', 'code', 'tools'];
+    const wantPythonOnly = tools.includes('code') && PYTHON_ONLY_KEYWORDS.test(text);
+    const wantCode = tools.includes('code') && CODE_KEYWORDS.test(text) && !sessionCsvRows;
     const hasCsvInSession = !!sessionCsvRows || !!capturedCsv;
     // Base64 is only worth sending when Gemini will actually run Python
     const needsBase64 = !!capturedCsv && wantPythonOnly;
     // Mode selection:
     //   useTools        — CSV loaded + no Python needed → client-side JS tools (free, fast)
     //   useCodeExecution — Python explicitly needed (regression, histogram, etc.)
-    //   else            — Google Search streaming (also used for "tell me about this file")
-    const useTools = !!sessionCsvRows && !wantPythonOnly && !wantCode && !capturedCsv;
+    //   else            — streaming, with Google Search when the persona has it
+    //                     (also used for "tell me about this file")
+    const useTools = tools.includes('tools') && !!sessionCsvRows && !wantPythonOnly && !wantCode && !capturedCsv;
     const useCodeExecution = wantPythonOnly || wantCode;
 
     // ── Build prompt ─────────────────────────────────────────────────────────
@@ -388,64 +712,68 @@ ${sessionSummary}${slimCsvBlock}
 
     // userContent  — displayed in bubble and stored in MongoDB (never contains base64)
     // promptForGemini — sent to the Gemini API (may contain the full prefix)
-    const userContent = text || (images.length ? '(Image)' : '(CSV attached)');
-    const promptForGemini = csvPrefix + (text || (images.length ? 'What do you see in this image?' : 'Please analyze this CSV data.'));
-
-    const userMsg = {
-      id: `u-${Date.now()}`,
-      role: 'user',
-      content: userContent,
-      timestamp: new Date().toISOString(),
-      images: [...images],
-      csvName: capturedCsv?.name || null,
-    };
-
-    setMessages((m) => [...m, userMsg]);
-    setInput('');
-    const capturedImages = [...images];
-    setImages([]);
-    setCsvContext(null);
-    setStreaming(true);
+    const userContent = text || (hasImages ? '(Image)' : '(CSV attached)');
+    const promptForGemini = csvPrefix + (text || (hasImages ? 'What do you see in this image?' : 'Please analyze this CSV data.'));
 
-    // Store display text only — base64 is never persisted
-    await saveMessage(sessionId, 'user', userContent, capturedImages.length ? capturedImages : null);
+    return { useTools, useCodeExecution, userContent, promptForGemini };
+  };
 
-    const imageParts = capturedImages.map((img) => ({ mimeType: img.mimeType, data: img.data }));
+  // A new summary of older turns was written for this request: mark them
+  const applyContext = (context) => {
+    if (!context?.summary) return;
+    setMessages((m) =>
+      m.map((msg) => (msg.id === context.condensedThroughId ? { ...msg, contextSummary: context.summary } : msg))
+    );
+  };
 
-    // History: plain display text only — session summary handles CSV context on every message
-    const history = messages
-      .filter((m) => m.role === 'user' || m.role === 'model')
-      .map((m) => ({ role: m.role, content: m.content || messageText(m) }));
+  // Swaps an optimistic message's temporary id for the saved one
+  const markSaved = (tempId, { id, parentId }) =>
+    setMessages((m) => m.map((msg) => (msg.id === tempId ? { ...msg, id, parentId } : msg)));
 
+  // Streams the model's answer to `prompt` into a new bubble and saves it as a
+  // child of parentId (the user message it answers). The server reads the
+  // history from the branch above parentId, so pages not loaded here count too.
+  const generateReply = async ({ sessionId, parentId, prompt, imageParts, useTools, useCodeExecution }) => {
     const assistantId = `a-${Date.now()}`;
+    const path = useTools ? 'tools' : useCodeExecution ? 'code' : 'search'; // recorded for feedback analytics
     setMessages((m) => [
       ...m,
-      { id: assistantId, role: 'model', content: '', timestamp: new Date().toISOString() },
+      { id: assistantId, role: 'model', content: '', timestamp: new Date().toISOString(), path },
     ]);
 
     abortRef.current = false;
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
 
     let fullContent = '';
     let groundingData = null;
     let structuredParts = null;
     let toolCharts = [];
     let toolCalls = [];
+    let generation = null;
 
     try {
       if (useTools) {
         // ── Function-calling path: Gemini picks tool + args, JS executes ──────
-        console.log('[Chat] useTools=true | rows:', sessionCsvRows.length, '| headers:', sessionCsvHeaders);
-        const { text: answer, charts: returnedCharts, toolCalls: returnedCalls } = await chatWithCsvTools(
-          history,
-          promptForGemini,
+        log.debug('routing to CSV tools', { rows: sessionCsvRows.length, headers: sessionCsvHeaders });
+        const {
+          text: answer,
+          charts: returnedCharts,
+          toolCalls: returnedCalls,
+          generation: usedGeneration,
+          context,
+        } = await chatWithCsvTools(
+          prompt,
           sessionCsvHeaders,
-          (toolName, args) => executeTool(toolName, args, sessionCsvRows)
+          (toolName, args) => executeTool(toolName, args, sessionCsvRows),
+          { signal: controller.signal, sessionId, messageId: parentId }
         );
         fullContent = answer;
+        generation = usedGeneration;
+        applyContext(context);
         toolCharts = returnedCharts || [];
         toolCalls = returnedCalls || [];
-        console.log('[Chat] returnedCharts:', JSON.stringify(toolCharts));
-        console.log('[Chat] toolCalls:', toolCalls.map((t) => t.name));
+        log.debug('tools answered', { charts: toolCharts, toolCalls: toolCalls.map((t) => t.name) });
         setMessages((m) =>
           m.map((msg) =>
             msg.id === assistantId
@@ -454,13 +782,18 @@ ${sessionSummary}${slimCsvBlock}
                   content: fullContent,
                   charts: toolCharts.length ? toolCharts : undefined,
                   toolCalls: toolCalls.length ? toolCalls : undefined,
+                  generation,
                 }
               : msg
           )
         );
       } else {
         // ── Streaming path: code execution or search ─────────────────────────
-        for await (const chunk of streamChat(history, promptForGemini, imageParts, useCodeExecution)) {
+        for await (const chunk of streamChat(prompt, imageParts, useCodeExecution, {
+          signal: controller.signal,
+          sessionId,
+          messageId: parentId,
+        })) {
           if (abortRef.current) break;
           if (chunk.type === 'text') {
             fullContent += chunk.text;
@@ -476,16 +809,25 @@ ${sessionSummary}${slimCsvBlock}
             );
           } else if (chunk.type === 'grounding') {
             groundingData = chunk.data;
+          } else if (chunk.type === 'context') {
+            applyContext(chunk.context);
+          } else if (chunk.type === 'generation') {
+            const used = chunk.generation;
+            generation = used;
+            setMessages((m) => m.map((msg) => (msg.id === assistantId ? { ...msg, generation: used } : msg)));
           }
         }
       }
     } catch (err) {
-      const errText = `Error: ${err.message}`;
+      // Stop pressed: keep whatever streamed so far
+      if (err.code === 'QUOTA_EXCEEDED' && err.extra.quota) setQuota(err.extra.quota);
+      const errText = err.name === 'AbortError' ? fullContent || '_(stopped)_' : `Error: ${err.message}`;
       setMessages((m) =>
         m.map((msg) => (msg.id === assistantId ? { ...msg, content: errText } : msg))
       );
       fullContent = errText;
     }
+    abortControllerRef.current = null;
 
     if (groundingData) {
       setMessages((m) =>
@@ -497,36 +839,287 @@ ${sessionSummary}${slimCsvBlock}
     const savedContent = structuredParts
       ? structuredParts.filter((p) => p.type === 'text').map((p) => p.text).join('\n')
       : fullContent;
-    await saveMessage(
-      sessionId,
-      'model',
-      savedContent,
-      null,
-      toolCharts.length ? toolCharts : null,
-      toolCalls.length ? toolCalls : null
-    );
+    const saved = await saveMessage(sessionId, 'model', savedContent, {
+      parentId,
+      charts: toolCharts.length ? toolCharts : null,
+      toolCalls: toolCalls.length ? toolCalls : null,
+      parts: structuredParts,
+      grounding: groundingData,
+      path,
+      generation,
+    });
+    markSaved(assistantId, saved);
+  };
 
+  // Always runs once a reply is over, saved or not; newMessages counts only
+  // the messages that were stored
+  const finishReply = (sessionId, newMessages) => {
     setSessions((prev) =>
-      prev.map((s) => (s.id === sessionId ? { ...s, messageCount: s.messageCount + 2 } : s))
+      prev.map((s) => (s.id === sessionId ? { ...s, messageCount: s.messageCount + newMessages } : s))
     );
-
     setStreaming(false);
     inputRef.current?.focus();
+    refreshQuota();
   };
 
-  const removeImage = (i) => setImages((prev) => prev.filter((_, idx) => idx !== i));
+  // A message could not be stored: say so and show the branch as saved, which
+  // drops the bubbles that only exist on screen
+  const failedSave = (sessionId, err) => {
+    log.error('saving a message failed', { err });
+    window.alert(`Could not save the message: ${err.message}`);
+    reloadBranch(sessionId).catch((reloadErr) => log.error('branch reload failed', { err: reloadErr }));
+  };
 
-  const activeSession = sessions.find((s) => s.id === activeSessionId);
+  const handleSend = async () => {
+    const text = input.trim();
+    if ((!text && !images.length && !csvContext) || streaming || !activeSessionId || quotaBlocked || readOnly) return;
 
-  const formatDate = (dateStr) => {
-    const d = new Date(dateStr);
-    const diffDays = Math.floor((Date.now() - d) / 86400000);
-    const time = d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    if (diffDays === 0) return `Today · ${time}`;
-    if (diffDays === 1) return `Yesterday · ${time}`;
-    return `${d.toLocaleDateString([], { month: 'short', day: 'numeric' })} · ${time}`;
+    const isFirstExchange = messages.length === 0 && !olderCursor;
+    // Set before the first request, so a second Enter cannot send twice
+    setStreaming(true);
+
+    // Lazily create the session in DB on the very first message
+    let sessionId = activeSessionId;
+    if (sessionId === 'new') {
+      const title = chatTitle();
+      const agent = activePersona?.id || null;
+      let id;
+      try {
+        ({ id } = await createSession(agent, title));
+      } catch (err) {
+        log.error('creating the chat failed', { err });
+        window.alert(`Could not create the chat: ${err.message}`);
+        setStreaming(false);
+        return;
+      }
+      sessionId = id;
+      justCreatedSessionRef.current = true; // tell useEffect to skip the reload
+      setActiveSessionId(id);
+      setSessions((prev) => [
+        {
+          id,
+          agent: agent || personaLibrary.defaultId,
+          title,
+          titleSource: 'auto',
+          createdAt: new Date().toISOString(),
+          messageCount: 0,
+          tags: [],
+          owner: username,
+          role: 'owner',
+          members: [],
+        },
+        ...prev,
+      ]);
+    }
+
+    const capturedCsv = csvContext;
+    const { useTools, useCodeExecution, userContent, promptForGemini } = planRequest(text, capturedCsv, images.length > 0);
+    // The new turn continues the branch on screen
+    const parentId = messages.length ? messages[messages.length - 1].id : null;
+
+    const userMsg = {
+      id: `u-${Date.now()}`,
+      role: 'user',
+      content: userContent,
+      timestamp: new Date().toISOString(),
+      images: [...images],
+      csvName: capturedCsv?.name || null,
+    };
+
+    setMessages((m) => [...m, userMsg]);
+    setInput('');
+    const capturedImages = [...images];
+    setImages([]);
+    setCsvContext(null);
+
+    // Store display text only — images are uploaded as attachments and
+    // referenced by id; base64 is never persisted
+    let attachmentIds = null;
+    try {
+      if (capturedImages.length) {
+        const uploaded = await Promise.all(capturedImages.map((img) => uploadAttachment(img.file, img.name)));
+        attachmentIds = uploaded.map((a) => a.id);
+      }
+    } catch (err) {
+      log.error('attachment upload failed', { err });
+    }
+    let saved = 0;
+    try {
+      const savedUser = await saveMessage(sessionId, 'user', userContent, {
+        parentId,
+        attachments: attachmentIds,
+        csvName: capturedCsv?.name || null,
+      });
+      markSaved(userMsg.id, savedUser);
+      saved += 1;
+
+      await generateReply({
+        sessionId,
+        parentId: savedUser.id,
+        prompt: promptForGemini,
+        imageParts: capturedImages.map((img) => ({ mimeType: img.mimeType, data: img.data })),
+        useTools,
+        useCodeExecution,
+      });
+      saved += 1;
+    } catch (err) {
+      failedSave(sessionId, err);
+      // Nothing was stored, so the text goes back into the input
+      if (!saved) setInput(text);
+      return;
+    } finally {
+      finishReply(sessionId, saved);
+    }
+
+    if (isFirstExchange) generateSessionTitle(sessionId);
+  };
+
+  // ── Edit / regenerate / branches ────────────────────────────────────────────
+  // Nothing is overwritten: an edited message becomes a sibling of the
+  // original and a regenerated reply a sibling of the old reply. The "‹ 2/3 ›"
+  // switcher moves between them; the server remembers which branch is shown.
+
+  // Images of a stored message as model input (attachments are downloaded again)
+  const imagePartsOf = (message) =>
+    Promise.all(
+      (message.images || []).map((img) =>
+        img.attachmentId
+          ? fetchAttachmentData(img.attachmentId, activeSessionId)
+          : { mimeType: img.mimeType, data: img.data }
+      )
+    );
+
+  // Reloads the branch now shown, keeping the scroll position
+  const reloadBranch = async (sessionId) => {
+    const page = await loadMessages(sessionId);
+    if (activeSessionIdRef.current !== sessionId) return;
+    keepScrollRef.current = true;
+    setMessages(page.messages);
+    setOlderCursor(page.nextCursor);
+  };
+
+  const handleSwitchBranch = async (messageId) => {
+    if (streaming) return;
+    const sessionId = activeSessionId;
+    try {
+      await selectBranch(sessionId, messageId);
+      await reloadBranch(sessionId);
+    } catch (err) {
+      log.error('branch switch failed', { err });
+      window.alert(`Could not switch branches: ${err.message}`);
+    }
+  };
+
+  const handleEditMessage = async (message, text) => {
+    setEditingMessage(null);
+    const index = messages.findIndex((m) => m.id === message.id);
+    if (!text || text === message.content || index === -1 || streaming) return;
+    const sessionId = activeSessionId;
+    const earlier = messages.slice(0, index);
+    const hasImages = !!message.images?.length;
+    const { useTools, useCodeExecution, userContent, promptForGemini } = planRequest(text, null, hasImages);
+
+    const userMsg = {
+      id: `u-${Date.now()}`,
+      role: 'user',
+      content: userContent,
+      timestamp: new Date().toISOString(),
+      images: message.images,
+      csvName: message.csvName || null,
+    };
+    setMessages([...earlier, userMsg]);
+    setStreaming(true);
+
+    let saved = 0;
+    try {
+      const savedUser = await saveMessage(sessionId, 'user', userContent, {
+        parentId: message.parentId ?? null,
+        attachments: (message.images || []).filter((img) => img.attachmentId).map((img) => img.attachmentId),
+        csvName: message.csvName || null,
+      });
+      markSaved(userMsg.id, savedUser);
+      saved += 1;
+
+      let imageParts = [];
+      try {
+        imageParts = await imagePartsOf(message);
+      } catch (err) {
+        log.error('attachment reload failed', { err });
+      }
+      await generateReply({
+        sessionId,
+        parentId: savedUser.id,
+        prompt: promptForGemini,
+        imageParts,
+        useTools,
+        useCodeExecution,
+      });
+      saved += 1;
+    } catch (err) {
+      failedSave(sessionId, err);
+      return;
+    } finally {
+      finishReply(sessionId, saved);
+    }
+    await reloadBranch(sessionId);
+  };
+
+  // Asks again for the user message just above `message`
+  const handleRegenerate = async (message) => {
+    const index = messages.findIndex((m) => m.id === message.id);
+    const question = messages[index - 1];
+    if (index < 1 || question.role !== 'user' || streaming) return;
+    const sessionId = activeSessionId;
+    const { useTools, useCodeExecution, promptForGemini } = planRequest(
+      question.content,
+      null,
+      !!question.images?.length
+    );
+
+    setMessages(messages.slice(0, index));
+    setStreaming(true);
+
+    let saved = 0;
+    try {
+      let imageParts = [];
+      try {
+        imageParts = await imagePartsOf(question);
+      } catch (err) {
+        log.error('attachment reload failed', { err });
+      }
+      await generateReply({
+        sessionId,
+        parentId: question.id,
+        prompt: promptForGemini,
+        imageParts,
+        useTools,
+        useCodeExecution,
+      });
+      saved += 1;
+    } catch (err) {
+      failedSave(sessionId, err);
+      return;
+    } finally {
+      finishReply(sessionId, saved);
+    }
+    await reloadBranch(sessionId);
   };
 
+  const removeImage = (i) => setImages((prev) => prev.filter((_, idx) => idx !== i));
+
+  const activeSession = sessions.find((s) => s.id === activeSessionId);
+  // Viewers of a shared chat read along but cannot post or change branches
+  const readOnly = activeSession?.role === 'viewer';
+  // Who answers: the session's persona, or the one picked for a new chat.
+  // Chats whose persona no longer exists fall back to the default.
+  const { personas, defaultId } = personaLibrary;
+  const personaAgent = activeSessionId === 'new' ? newChatPersonaId : activeSession?.agent;
+  const activePersona =
+    personas.find((p) => p.id === personaAgent) || personas.find((p) => p.id === defaultId) || null;
+  const personaName = activePersona?.name || 'Assistant';
+  // Messages up to here are sent to the model as a summary (see server/context.js)
+  const condensedIndex = messages.findLastIndex((m) => m.contextSummary);
+
   // ── Render ──────────────────────────────────────────────────────────────────
 
   return (
@@ -538,44 +1131,63 @@ ${sessionSummary}${slimCsvBlock}
           <button className="new-chat-btn" onClick={handleNewChat}>
             + New Chat
           </button>
+          <button
+            className="import-chat-btn"
+            onClick={() => importInputRef.current?.click()}
+            disabled={importing}
+          >
+            {importing ? 'Importing…' : 'Import chat (.json)'}
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            style={{ display: 'none' }}
+            onChange={handleImportFile}
+          />
         </div>
 
-        <div className="sidebar-sessions">
-          {sessions.map((session) => (
-            <div
-              key={session.id}
-              className={`sidebar-session${session.id === activeSessionId ? ' active' : ''}`}
-              onClick={() => handleSelectSession(session.id)}
-            >
-              <div className="sidebar-session-info">
-                <span className="sidebar-session-title">{session.title}</span>
-                <span className="sidebar-session-date">{formatDate(session.createdAt)}</span>
-              </div>
-              <div
-                className="sidebar-session-menu"
-                onClick={(e) => {
-                  e.stopPropagation();
-                  setOpenMenuId(openMenuId === session.id ? null : session.id);
-                }}
-              >
-                <span className="three-dots">⋮</span>
-                {openMenuId === session.id && (
-                  <div className="session-dropdown">
-                    <button
-                      className="session-delete-btn"
-                      onClick={(e) => handleDeleteSession(session.id, e)}
-                    >
-                      Delete
-                    </button>
-                  </div>
-                )}
-              </div>
-            </div>
-          ))}
-        </div>
+        <InvitesPanel invites={invites} onAccept={handleAcceptInvite} onDecline={handleDeclineInvite} />
+
+        <SidebarSearch onSelect={handleSearchSelect}>
+          <SessionList
+            sessions={sessions}
+            activeSessionId={activeSessionId}
+            onSelect={handleSelectSession}
+            onRename={handleRenameSession}
+            onRegenerateTitle={generateSessionTitle}
+            onUpdate={handleUpdateSession}
+            onDelete={handleDeleteSession}
+            onShare={setSharingSessionId}
+            onMembers={setMembersSessionId}
+            onExport={handleExportSession}
+            onMoveMany={handleMoveSessions}
+            onDeleteMany={handleDeleteSessions}
+          />
+        </SidebarSearch>
 
         <div className="sidebar-footer">
           <span className="sidebar-username">{username}</span>
+          {onOpenUsage && (
+            <button onClick={onOpenUsage} className="sidebar-logout">
+              Usage
+            </button>
+          )}
+          {onOpenTrash && (
+            <button onClick={onOpenTrash} className="sidebar-logout">
+              Trash
+            </button>
+          )}
+          {onOpenSettings && (
+            <button onClick={onOpenSettings} className="sidebar-logout">
+              Settings
+            </button>
+          )}
+          {onOpenAdmin && (
+            <button onClick={onOpenAdmin} className="sidebar-logout">
+              Admin
+            </button>
+          )}
           <button onClick={onLogout} className="sidebar-logout">
             Log out
           </button>
@@ -587,21 +1199,120 @@ ${sessionSummary}${slimCsvBlock}
         <>
         <header className="chat-header">
           <h2 className="chat-header-title">{activeSession?.title ?? 'New Chat'}</h2>
+          {activePersona && activeSessionId !== 'new' && (
+            <span className="chat-header-persona" title={activePersona.description}>
+              <PersonaAvatar persona={activePersona} /> {personaName}
+            </span>
+          )}
+          {activeSession && (
+            <button
+              className="chat-header-members"
+              onClick={() => setGenerationSessionId(activeSession.id)}
+              title="Model settings"
+            >
+              ⚙ {activeSession.generation?.model || 'Default model'}
+            </button>
+          )}
+          {activeSession && (activeSession.members.length > 0 || activeSession.role === 'owner') && (
+            <button
+              className="chat-header-members"
+              onClick={() => setMembersSessionId(activeSession.id)}
+              title={[activeSession.owner, ...activeSession.members.map((m) => m.username)].join(', ')}
+            >
+              👥 {activeSession.members.length ? activeSession.members.length + 1 : 'Invite'}
+              {readOnly && <span className="chat-header-role">view only</span>}
+            </button>
+          )}
         </header>
 
         <div
+          ref={messagesRef}
           className={`chat-messages${dragOver ? ' drag-over' : ''}`}
+          onScroll={handleMessagesScroll}
           onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
           onDragLeave={() => setDragOver(false)}
           onDrop={handleDrop}
         >
-          {messages.map((m) => (
-            <div key={m.id} className={`chat-msg ${m.role}`}>
+          {(olderCursor || loadingOlder) && (
+            <button className="chat-load-older" onClick={loadOlderMessages} disabled={loadingOlder}>
+              {loadingOlder
+                ? 'Loading earlier messages…'
+                : olderError
+                  ? `Could not load earlier messages (${olderError}) · Try again`
+                  : 'Load earlier messages'}
+            </button>
+          )}
+          {/* Persona choice and greeting until the chat has messages */}
+          {!messages.length && !olderCursor && activePersona && (
+            <div className="chat-welcome">
+              {activeSessionId === 'new' && (
+                <PersonaPicker personas={personas} selectedId={activePersona.id} onSelect={setNewChatPersonaId} />
+              )}
+              {activePersona.greeting && (
+                <div className="chat-msg model chat-greeting">
+                  <div className="chat-msg-meta">
+                    <span className="chat-msg-role">
+                      <PersonaAvatar persona={activePersona} /> {personaName}
+                    </span>
+                  </div>
+                  <div className="chat-msg-content">{activePersona.greeting}</div>
+                </div>
+              )}
+            </div>
+          )}
+          {messages.map((m, i) => (
+            <div
+              key={m.id}
+              id={`msg-${m.id}`}
+              className={`chat-msg ${m.role}${m.id === highlightedId ? ' search-hit' : ''}${i <= condensedIndex ? ' condensed' : ''}`}
+            >
               <div className="chat-msg-meta">
-                <span className="chat-msg-role">{m.role === 'user' ? username : 'Lisa'}</span>
+                <span className="chat-msg-role">
+                  {m.role === 'user' ? (
+                    authorName(m, username)
+                  ) : (
+                    <>
+                      <PersonaAvatar persona={activePersona} /> {personaName}
+                    </>
+                  )}
+                </span>
                 <span className="chat-msg-time">
                   {new Date(m.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
                 </span>
+                {m.generation && (
+                  <span className="chat-msg-model" title={describeGeneration(m.generation)}>
+                    {m.generation.model}
+                  </span>
+                )}
+                {m.branch && (
+                  <span className="branch-switcher">
+                    <button
+                      disabled={streaming || readOnly || m.branch.index === 0}
+                      onClick={() => handleSwitchBranch(m.branch.ids[m.branch.index - 1])}
+                      aria-label="Previous version"
+                    >
+                      ‹
+                    </button>
+                    {m.branch.index + 1}/{m.branch.ids.length}
+                    <button
+                      disabled={streaming || readOnly || m.branch.index === m.branch.ids.length - 1}
+                      onClick={() => handleSwitchBranch(m.branch.ids[m.branch.index + 1])}
+                      aria-label="Next version"
+                    >
+                      ›
+                    </button>
+                  </span>
+                )}
+                {!streaming && !readOnly && m.role === 'user' && editingMessage?.id !== m.id && (
+                  <button className="msg-action-btn" onClick={() => setEditingMessage({ id: m.id, value: m.content })}>
+                    Edit
+                  </button>
+                )}
+                {!streaming && !readOnly && m.role === 'model' && messages[i - 1]?.role === 'user' && (
+                  <button className="msg-action-btn" onClick={() => handleRegenerate(m)}>
+                    Regenerate
+                  </button>
+                )}
               </div>
 
               {/* CSV badge on user messages */}
@@ -614,9 +1325,19 @@ ${sessionSummary}${slimCsvBlock}
               {/* Image attachments */}
               {m.images?.length > 0 && (
                 <div className="chat-msg-images">
-                  {m.images.map((img, i) => (
-                    <img key={i} src={`data:${img.mimeType};base64,${img.data}`} alt="" className="chat-msg-thumb" />
-                  ))}
+                  {m.images.map((img, i) =>
+                    img.attachmentId ? (
+                      <AttachmentImage
+                        key={i}
+                        id={img.attachmentId}
+                        sessionId={activeSessionId}
+                        alt={img.name || ''}
+                        className="chat-msg-thumb"
+                      />
+                    ) : (
+                      <img key={i} src={`data:${img.mimeType};base64,${img.data}`} alt="" className="chat-msg-thumb" />
+                    )
+                  )}
                 </div>
               )}
 
@@ -632,67 +1353,57 @@ ${sessionSummary}${slimCsvBlock}
                       <span /><span /><span />
                     </span>
                   )
+                ) : editingMessage?.id === m.id ? (
+                  <div className="chat-msg-edit">
+                    <textarea
+                      autoFocus
+                      value={editingMessage.value}
+                      onChange={(e) => setEditingMessage({ ...editingMessage, value: e.target.value })}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' && !e.shiftKey) {
+                          e.preventDefault();
+                          handleEditMessage(m, editingMessage.value.trim());
+                        }
+                        if (e.key === 'Escape') setEditingMessage(null);
+                      }}
+                    />
+                    <div className="chat-msg-edit-actions">
+                      <button onClick={() => setEditingMessage(null)}>Cancel</button>
+                      <button
+                        className="primary"
+                        onClick={() => handleEditMessage(m, editingMessage.value.trim())}
+                        disabled={!editingMessage.value.trim()}
+                      >
+                        Save &amp; submit
+                      </button>
+                    </div>
+                  </div>
                 ) : (
                   m.content
                 )}
               </div>
 
-              {/* Tool calls log */}
-              {m.toolCalls?.length > 0 && (
-                <details className="tool-calls-details">
-                  <summary className="tool-calls-summary">
-                    🔧 {m.toolCalls.length} tool{m.toolCalls.length > 1 ? 's' : ''} used
-                  </summary>
-                  <div className="tool-calls-list">
-                    {m.toolCalls.map((tc, i) => (
-                      <div key={i} className="tool-call-item">
-                        <span className="tool-call-name">{tc.name}</span>
-                        <span className="tool-call-args">{JSON.stringify(tc.args)}</span>
-                        {tc.result && !tc.result._chartType && (
-                          <span className="tool-call-result">
-                            → {JSON.stringify(tc.result).slice(0, 200)}
-                            {JSON.stringify(tc.result).length > 200 ? '…' : ''}
-                          </span>
-                        )}
-                        {tc.result?._chartType && (
-                          <span className="tool-call-result">→ rendered chart</span>
-                        )}
-                      </div>
-                    ))}
-                  </div>
-                </details>
-              )}
-
-              {/* Engagement charts from tool calls */}
-              {m.charts?.map((chart, ci) =>
-                chart._chartType === 'engagement' ? (
-                  <EngagementChart
-                    key={ci}
-                    data={chart.data}
-                    metricColumn={chart.metricColumn}
-                  />
-                ) : null
+              <MessageDetails message={m} />
+
+              {m.role === 'model' && !m.id.startsWith('a-') && !readOnly && (
+                <MessageFeedback
+                  message={m}
+                  onChange={(feedback) =>
+                    setMessages((prev) =>
+                      prev.map((msg) => (msg.id === m.id ? { ...msg, feedback: feedback || undefined } : msg))
+                    )
+                  }
+                />
               )}
 
-              {/* Search sources */}
-              {m.grounding?.groundingChunks?.length > 0 && (
-                <div className="chat-msg-sources">
-                  <span className="sources-label">Sources</span>
-                  <div className="sources-list">
-                    {m.grounding.groundingChunks.map((chunk, i) =>
-                      chunk.web ? (
-                        <a key={i} href={chunk.web.uri} target="_blank" rel="noreferrer" className="source-link">
-                          {chunk.web.title || chunk.web.uri}
-                        </a>
-                      ) : null
-                    )}
-                  </div>
-                  {m.grounding.webSearchQueries?.length > 0 && (
-                    <div className="sources-queries">
-                      Searched: {m.grounding.webSearchQueries.join(' · ')}
-                    </div>
-                  )}
-                </div>
+              {i === condensedIndex && (
+                <details className="chat-context-summary">
+                  <summary>
+                    🗜 {m.contextSummary.count} earlier message{m.contextSummary.count === 1 ? '' : 's'} condensed to
+                    keep the chat within the model's context
+                  </summary>
+                  <p>{m.contextSummary.text}</p>
+                </details>
               )}
             </div>
           ))}
@@ -703,6 +1414,8 @@ ${sessionSummary}${slimCsvBlock}
 
         {/* ── Input area ── */}
         <div className="chat-input-area">
+          <QuotaBanner quota={quota} onOpenUsage={onOpenUsage} />
+
           {/* CSV chip */}
           {csvContext && (
             <div className="csv-chip">
@@ -742,7 +1455,7 @@ ${sessionSummary}${slimCsvBlock}
               type="button"
               className="attach-btn"
               onClick={() => fileInputRef.current?.click()}
-              disabled={streaming}
+              disabled={streaming || readOnly}
               title="Attach image or CSV"
             >
               📎
@@ -750,12 +1463,16 @@ ${sessionSummary}${slimCsvBlock}
             <input
               ref={inputRef}
               type="text"
-              placeholder="Ask a question, request analysis, or write & run code…"
+              placeholder={
+                readOnly
+                  ? 'You are a viewer in this chat and cannot send messages'
+                  : 'Ask a question, request analysis, or write & run code…'
+              }
               value={input}
               onChange={(e) => setInput(e.target.value)}
               onKeyDown={(e) => e.key === 'Enter' && !e.shiftKey && handleSend()}
               onPaste={handlePaste}
-              disabled={streaming}
+              disabled={streaming || readOnly}
             />
             {streaming ? (
               <button onClick={handleStop} className="stop-btn">
@@ -764,7 +1481,7 @@ ${sessionSummary}${slimCsvBlock}
             ) : (
               <button
                 onClick={handleSend}
-                disabled={!input.trim() && !images.length && !csvContext}
+                disabled={(!input.trim() && !images.length && !csvContext) || quotaBlocked || readOnly}
               >
                 Send
               </button>
@@ -773,6 +1490,41 @@ ${sessionSummary}${slimCsvBlock}
         </div>
         </>
       </div>
+
+      {sharingSessionId && sessions.some((s) => s.id === sharingSessionId) && (
+        <ShareDialog
+          session={sessions.find((s) => s.id === sharingSessionId)}
+          onChange={(share) => handleShareChange(sharingSessionId, share)}
+          onClose={() => setSharingSessionId(null)}
+        />
+      )}
+
+      {membersSessionId && sessions.some((s) => s.id === membersSessionId) && (
+        <MembersDialog
+          session={sessions.find((s) => s.id === membersSessionId)}
+          username={username}
+          onLeave={() => handleLeaveSession(membersSessionId)}
+          onClose={() => setMembersSessionId(null)}
+        />
+      )}
+
+      {generationSessionId && sessions.some((s) => s.id === generationSessionId) && (
+        <GenerationDialog
+          session={sessions.find((s) => s.id === generationSessionId)}
+          readOnly={sessions.find((s) => s.id === generationSessionId).role === 'viewer'}
+          onSaved={handleSessionSaved}
+          onClose={() => setGenerationSessionId(null)}
+        />
+      )}
+
+      {undoDelete && (
+        <UndoToast
+          key={undoDelete.ids.join()}
+          message={undoDelete.message}
+          onUndo={handleUndoDelete}
+          onDismiss={dismissUndo}
+        />
+      )}
     </div>
   );
 }
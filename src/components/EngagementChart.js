@@ -8,6 +8,9 @@ import {
   Legend,
   ResponsiveContainer,
 } from 'recharts';
+import { createLogger } from '../services/logger';
+
+const log = createLogger('EngagementChart');
 
 const WITH_COLOR = '#818cf8';    // indigo-400
 const WITHOUT_COLOR = '#34d399'; // emerald-400
@@ -41,9 +44,8 @@ function CustomTooltip({ active, payload, label }) {
 }
 
 export default function EngagementChart({ data, metricColumn = 'Favorite Count' }) {
-  console.log('[EngagementChart] render called, data:', data);
   if (!data?.length) {
-    console.warn('[EngagementChart] no data — chart will not render');
+    log.debug('no data — chart will not render');
     return null;
   }
 
@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react';
+import { getModels, updateSessionGeneration } from '../services/mongoApi';
+
+const EMPTY = { model: null, temperature: null, topP: null, maxOutputTokens: null, safety: null };
+
+const SAFETY_LABELS = {
+  none: 'Block nothing',
+  few: 'Block only high-risk content',
+  some: 'Block medium and high risk',
+  most: 'Block low risk and above',
+};
+
+// The model and sampling parameters one chat is answered with. null keeps the
+// provider's default; editors save, viewers only see the settings. onSaved()
+// gets the updated session.
+export default function GenerationDialog({ session, readOnly, onSaved, onClose }) {
+  const [catalog, setCatalog] = useState(null); // GET /api/models
+  const [form, setForm] = useState({ ...EMPTY, ...session.generation });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getModels()
+      .then(setCatalog)
+      .catch((err) => setError(err.message));
+  }, []);
+
+  const set = (field, value) => setForm((f) => ({ ...f, [field]: value }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      onSaved(await updateSessionGeneration(session.id, form));
+      onClose();
+    } catch (err) {
+      setError(err.message);
+      setSaving(false);
+    }
+  };
+
+  // A slider that stays at the default until moved; × goes back to it
+  const slider = (field, label, step) => {
+    const { min, max } = catalog.limits[field];
+    return (
+      <label className="modal-field generation-field">
+        <span className="generation-label">{label}</span>
+        <input
+          type="range"
+          min={min}
+          max={max}
+          step={step}
+          value={form[field] ?? (min + max) / 2}
+          disabled={readOnly}
+          onChange={(e) => set(field, Number(e.target.value))}
+        />
+        <span className="generation-value">{form[field] ?? 'default'}</span>
+        {form[field] !== null && !readOnly && (
+          <button type="button" className="generation-reset" onClick={() => set(field, null)} aria-label="Use default">
+            ×
+          </button>
+        )}
+      </label>
+    );
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal generation-dialog" onClick={(e) => e.stopPropagation()}>
+        <h3 className="modal-title">Model settings</h3>
+        <p className="modal-text">
+          Used for every answer in “{session.title}”, for everyone in the chat. Each answer keeps a note of the settings
+          it was generated with.
+        </p>
+
+        {!catalog && !error && <p className="modal-hint">Loading…</p>}
+        {catalog && (
+          <>
+            <label className="modal-field generation-field">
+              <span className="generation-label">Model</span>
+              <select value={form.model || ''} disabled={readOnly} onChange={(e) => set('model', e.target.value || null)}>
+                <option value="">Default ({catalog.defaultModel})</option>
+                {catalog.models.map((m) => (
+                  <option key={m.id} value={m.id}>
+                    {m.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {slider('temperature', 'Temperature', 0.05)}
+            {slider('topP', 'Top P', 0.05)}
+            <label className="modal-field generation-field">
+              <span className="generation-label">Max output tokens</span>
+              <input
+                type="number"
+                min={catalog.limits.maxOutputTokens.min}
+                max={catalog.limits.maxOutputTokens.max}
+                placeholder="default"
+                value={form.maxOutputTokens ?? ''}
+                disabled={readOnly}
+                onChange={(e) => set('maxOutputTokens', e.target.value ? Math.round(Number(e.target.value)) : null)}
+              />
+            </label>
+            {catalog.provider === 'gemini' && (
+              <label className="modal-field generation-field">
+                <span className="generation-label">Safety filter</span>
+                <select value={form.safety || ''} disabled={readOnly} onChange={(e) => set('safety', e.target.value || null)}>
+                  <option value="">Default</option>
+                  {catalog.safetyLevels.map((level) => (
+                    <option key={level} value={level}>
+                      {SAFETY_LABELS[level] || level}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+          </>
+        )}
+
+        {error && <p className="modal-error">{error}</p>}
+
+        <div className="modal-actions">
+          {!readOnly && (
+            <button className="modal-btn" onClick={() => setForm(EMPTY)} disabled={saving}>
+              Reset to defaults
+            </button>
+          )}
+          <button className="modal-btn" onClick={onClose}>
+            {readOnly ? 'Close' : 'Cancel'}
+          </button>
+          {!readOnly && (
+            <button className="modal-btn primary" onClick={handleSave} disabled={saving || !catalog}>
+              {saving ? 'Saving…' : 'Save'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
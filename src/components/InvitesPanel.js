@@ -0,0 +1,22 @@
+// Pending invites to other users' chats, shown above the chat list until they
+// are answered. Chat owns the list and refreshes it on 'invites.changed'.
+export default function InvitesPanel({ invites, onAccept, onDecline }) {
+  if (!invites.length) return null;
+  return (
+    <div className="invites-panel">
+      {invites.map((invite) => (
+        <div key={invite.sessionId} className="invite-row">
+          <span className="invite-text">
+            <strong>{invite.invitedBy}</strong> invited you to “{invite.title || 'Untitled chat'}” as {invite.role}
+          </span>
+          <span className="invite-actions">
+            <button className="primary" onClick={() => onAccept(invite)}>
+              Join
+            </button>
+            <button onClick={() => onDecline(invite)}>Decline</button>
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
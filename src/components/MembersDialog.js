@@ -0,0 +1,172 @@
+import { useState, useEffect } from 'react';
+import { getMembers, inviteMember, setMemberRole, removeMember } from '../services/mongoApi';
+
+const ROLES = [
+  { role: 'editor', label: 'Editor' },
+  { role: 'viewer', label: 'Viewer' },
+];
+
+// Who is in one session. The owner invites people by username, changes their
+// role and removes them; members see the list and can leave. onLeave() runs
+// after the caller left the chat so the sidebar can drop it.
+export default function MembersDialog({ session, username, onLeave, onClose }) {
+  const [data, setData] = useState(null); // GET /api/sessions/:id/members
+  const [inviteName, setInviteName] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const isOwner = data?.role === 'owner';
+
+  const reload = () => getMembers(session.id).then(setData);
+
+  useEffect(() => {
+    getMembers(session.id)
+      .then(setData)
+      .catch((err) => setError(err.message));
+  }, [session.id]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+      await reload();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleInvite = (e) => {
+    e.preventDefault();
+    const name = inviteName.trim();
+    if (!name) return;
+    run(async () => {
+      await inviteMember(session.id, name, inviteRole);
+      setInviteName('');
+    });
+  };
+
+  const handleLeave = async () => {
+    if (!window.confirm(`Leave “${session.title}”? You will need a new invite to come back.`)) return;
+    setBusy(true);
+    try {
+      await removeMember(session.id, username);
+      onLeave();
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  const roleSelect = (entry) =>
+    isOwner ? (
+      <select
+        value={entry.role}
+        disabled={busy}
+        onChange={(e) => run(() => setMemberRole(session.id, entry.username, e.target.value))}
+      >
+        {ROLES.map(({ role, label }) => (
+          <option key={role} value={role}>
+            {label}
+          </option>
+        ))}
+      </select>
+    ) : (
+      <span className="members-role">{entry.role}</span>
+    );
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal members-dialog" onClick={(e) => e.stopPropagation()}>
+        <h3 className="modal-title">Members of “{session.title}”</h3>
+        <p className="modal-text">
+          Editors can send messages, rename the chat and switch branches. Viewers can only read along.
+        </p>
+
+        {!data && !error && <p className="modal-hint">Loading…</p>}
+        {data && (
+          <ul className="members-list">
+            <li>
+              <span className="members-name">
+                {data.owner}
+                {data.owner === username && ' (you)'}
+              </span>
+              <span className="members-role">owner</span>
+            </li>
+            {data.members.map((m) => (
+              <li key={m.username}>
+                <span className="members-name">
+                  {m.username}
+                  {m.username === username && ' (you)'}
+                </span>
+                {roleSelect(m)}
+                {isOwner && (
+                  <button
+                    className="members-remove"
+                    disabled={busy}
+                    onClick={() => run(() => removeMember(session.id, m.username))}
+                    aria-label={`Remove ${m.username}`}
+                  >
+                    ×
+                  </button>
+                )}
+              </li>
+            ))}
+            {data.invites.map((invite) => (
+              <li key={invite.username} className="pending">
+                <span className="members-name">
+                  {invite.username} <em>invited</em>
+                </span>
+                {roleSelect(invite)}
+                <button
+                  className="members-remove"
+                  disabled={busy}
+                  onClick={() => run(() => removeMember(session.id, invite.username))}
+                  aria-label={`Withdraw the invite for ${invite.username}`}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {isOwner && (
+          <form className="members-invite" onSubmit={handleInvite}>
+            <input
+              placeholder="Username to invite"
+              value={inviteName}
+              maxLength={40}
+              onChange={(e) => setInviteName(e.target.value)}
+            />
+            <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)}>
+              {ROLES.map(({ role, label }) => (
+                <option key={role} value={role}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <button className="modal-btn primary" type="submit" disabled={busy || !inviteName.trim()}>
+              Invite
+            </button>
+          </form>
+        )}
+
+        {error && <p className="modal-error">{error}</p>}
+
+        <div className="modal-actions">
+          {data && !isOwner && (
+            <button className="modal-btn danger" onClick={handleLeave} disabled={busy}>
+              Leave chat
+            </button>
+          )}
+          <button className="modal-btn" onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
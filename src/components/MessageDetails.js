@@ -0,0 +1,68 @@
+import EngagementChart from './EngagementChart';
+
+// Everything rendered under a message's text: the tool-call log, engagement
+// charts and search sources. Shared by the chat view and shared links.
+
+export default function MessageDetails({ message: m }) {
+  return (
+    <>
+      {/* Tool calls log */}
+      {m.toolCalls?.length > 0 && (
+        <details className="tool-calls-details">
+          <summary className="tool-calls-summary">
+            🔧 {m.toolCalls.length} tool{m.toolCalls.length > 1 ? 's' : ''} used
+          </summary>
+          <div className="tool-calls-list">
+            {m.toolCalls.map((tc, i) => (
+              <div key={i} className="tool-call-item">
+                <span className="tool-call-name">{tc.name}</span>
+                <span className="tool-call-args">{JSON.stringify(tc.args)}</span>
+                {tc.result && !tc.result._chartType && (
+                  <span className="tool-call-result">
+                    → {JSON.stringify(tc.result).slice(0, 200)}
+                    {JSON.stringify(tc.result).length > 200 ? '…' : ''}
+                  </span>
+                )}
+                {tc.result?._chartType && (
+                  <span className="tool-call-result">→ rendered chart</span>
+                )}
+              </div>
+            ))}
+          </div>
+        </details>
+      )}
+
+      {/* Engagement charts from tool calls */}
+      {m.charts?.map((chart, ci) =>
+        chart._chartType === 'engagement' ? (
+          <EngagementChart
+            key={ci}
+            data={chart.data}
+            metricColumn={chart.metricColumn}
+          />
+        ) : null
+      )}
+
+      {/* Search sources */}
+      {m.grounding?.groundingChunks?.length > 0 && (
+        <div className="chat-msg-sources">
+          <span className="sources-label">Sources</span>
+          <div className="sources-list">
+            {m.grounding.groundingChunks.map((chunk, i) =>
+              chunk.web ? (
+                <a key={i} href={chunk.web.uri} target="_blank" rel="noreferrer" className="source-link">
+                  {chunk.web.title || chunk.web.uri}
+                </a>
+              ) : null
+            )}
+          </div>
+          {m.grounding.webSearchQueries?.length > 0 && (
+            <div className="sources-queries">
+              Searched: {m.grounding.webSearchQueries.join(' · ')}
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
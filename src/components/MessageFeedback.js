@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import { rateMessage, clearMessageFeedback } from '../services/mongoApi';
+import { createLogger } from '../services/logger';
+
+const log = createLogger('Feedback');
+
+// 👍 / 👎 under an answer, with an optional comment once rated. Clicking the
+// chosen thumb again removes the rating. onChange(feedback | null) keeps the
+// message in Chat's state current.
+export default function MessageFeedback({ message, onChange }) {
+  const feedback = message.feedback;
+  const [comment, setComment] = useState(feedback?.comment || '');
+  const [commenting, setCommenting] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const save = async (action) => {
+    setBusy(true);
+    try {
+      onChange(await action());
+    } catch (err) {
+      log.error('save failed', { err });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRate = (rating) => {
+    if (feedback?.rating === rating) {
+      setCommenting(false);
+      setComment('');
+      return save(async () => (await clearMessageFeedback(message.id)) && null);
+    }
+    setCommenting(!feedback?.comment);
+    return save(() => rateMessage(message.id, rating, comment));
+  };
+
+  const handleComment = async (e) => {
+    e.preventDefault();
+    setCommenting(false);
+    await save(() => rateMessage(message.id, feedback.rating, comment.trim()));
+  };
+
+  return (
+    <div className="msg-feedback">
+      <button
+        className={`msg-feedback-btn${feedback?.rating === 'up' ? ' active' : ''}`}
+        onClick={() => handleRate('up')}
+        disabled={busy}
+        title="Good answer"
+      >
+        👍
+      </button>
+      <button
+        className={`msg-feedback-btn${feedback?.rating === 'down' ? ' active' : ''}`}
+        onClick={() => handleRate('down')}
+        disabled={busy}
+        title="Bad answer"
+      >
+        👎
+      </button>
+      {feedback && !commenting && (
+        <button className="msg-feedback-comment-link" onClick={() => setCommenting(true)}>
+          {feedback.comment ? `“${feedback.comment}”` : 'Add a comment'}
+        </button>
+      )}
+      {feedback && commenting && (
+        <form className="msg-feedback-form" onSubmit={handleComment}>
+          <input
+            autoFocus
+            maxLength={2000}
+            placeholder={feedback.rating === 'down' ? 'What was wrong? (optional)' : 'What was good? (optional)'}
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setCommenting(false)}
+          />
+          <button type="submit" disabled={busy}>
+            Save
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
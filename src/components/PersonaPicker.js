@@ -0,0 +1,30 @@
+// An avatar is an emoji or other short text, or the URL of an image
+export function PersonaAvatar({ persona }) {
+  const avatar = persona?.avatar;
+  if (!avatar) return null;
+  if (/^(https?:\/\/|\/)/.test(avatar)) return <img className="persona-avatar" src={avatar} alt="" />;
+  return <span className="persona-avatar">{avatar}</span>;
+}
+
+// Choice of who answers in a chat, shown on a new chat until its first
+// message creates the session with the selected persona.
+export default function PersonaPicker({ personas, selectedId, onSelect }) {
+  if (personas.length < 2) return null;
+  return (
+    <div className="persona-picker" role="radiogroup" aria-label="Persona">
+      {personas.map((p) => (
+        <button
+          key={p.id}
+          role="radio"
+          aria-checked={p.id === selectedId}
+          className={`persona-card${p.id === selectedId ? ' selected' : ''}`}
+          onClick={() => onSelect(p.id)}
+        >
+          <PersonaAvatar persona={p} />
+          <span className="persona-name">{p.name}</span>
+          {p.description && <span className="persona-description">{p.description}</span>}
+        </button>
+      ))}
+    </div>
+  );
+}
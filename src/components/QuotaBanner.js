@@ -0,0 +1,31 @@
+// Shown above the chat input once the token quota is nearly or fully used.
+// quota is the GET /api/usage/quota response; the period closest to its
+// limit is the one reported.
+export default function QuotaBanner({ quota, onOpenUsage }) {
+  if (!quota || quota.status === 'ok') return null;
+
+  const [label, period] = [
+    ['today', quota.day],
+    ['this month', quota.month],
+  ]
+    .filter(([, p]) => p.limit)
+    .sort(([, a], [, b]) => b.tokens / b.limit - a.tokens / a.limit)[0];
+  const percent = Math.min(100, Math.round((period.tokens / period.limit) * 100));
+  const usage = `${period.tokens.toLocaleString()} of ${period.limit.toLocaleString()} tokens ${label}`;
+
+  let text;
+  if (quota.status === 'warning') text = `You have used ${percent}% of your quota (${usage}).`;
+  else if (quota.action === 'block') text = `Your token quota is used up (${usage}). Sending is paused until it resets.`;
+  else text = `You are over your token quota (${usage}).`;
+
+  return (
+    <div className={`quota-banner ${quota.status}`}>
+      <span>{text}</span>
+      {onOpenUsage && (
+        <button type="button" onClick={onOpenUsage}>
+          View usage
+        </button>
+      )}
+    </div>
+  );
+}
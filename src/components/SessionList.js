@@ -0,0 +1,401 @@
+import { useState, useEffect } from 'react';
+
+const EXPORT_FORMATS = [
+  { format: 'md', label: 'Markdown' },
+  { format: 'html', label: 'HTML' },
+  { format: 'json', label: 'JSON' },
+];
+
+const formatDate = (dateStr) => {
+  const d = new Date(dateStr);
+  const diffDays = Math.floor((Date.now() - d) / 86400000);
+  const time = d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (diffDays === 0) return `Today · ${time}`;
+  if (diffDays === 1) return `Yesterday · ${time}`;
+  return `${d.toLocaleDateString([], { month: 'short', day: 'numeric' })} · ${time}`;
+};
+
+const parseTags = (text) => text.split(',').map((t) => t.trim().replace(/^#/, '')).filter(Boolean);
+
+// Filter values: 'all', 'pinned', 'folder:<name>' or 'tag:<name>'
+const matchesFilter = (session, filter) => {
+  if (filter === 'all') return true;
+  if (filter === 'pinned') return session.pinned;
+  if (filter.startsWith('folder:')) return session.folder === filter.slice(7);
+  if (filter.startsWith('tag:')) return session.tags?.includes(filter.slice(4));
+  return true;
+};
+
+// Pinned chats first, then one group per folder (A–Z), then everything else.
+// Other users' chats the user is a member of (never pinned or in a folder —
+// those are the owner's) get a group of their own.
+const groupSessions = (sessions) => {
+  const groups = [];
+  const pinned = sessions.filter((s) => s.pinned);
+  if (pinned.length) groups.push({ key: 'pinned', label: '📌 Pinned', sessions: pinned });
+  const folders = [...new Set(sessions.filter((s) => !s.pinned && s.folder).map((s) => s.folder))].sort((a, b) =>
+    a.localeCompare(b)
+  );
+  folders.forEach((folder) =>
+    groups.push({
+      key: `folder:${folder}`,
+      label: `📁 ${folder}`,
+      sessions: sessions.filter((s) => !s.pinned && s.folder === folder),
+    })
+  );
+  const shared = sessions.filter((s) => s.role !== 'owner');
+  if (shared.length) groups.push({ key: 'shared', label: '👥 Shared with me', sessions: shared });
+  const rest = sessions.filter((s) => !s.pinned && !s.folder && s.role === 'owner');
+  if (rest.length) groups.push({ key: 'rest', label: groups.length ? 'Chats' : null, sessions: rest });
+  return groups;
+};
+
+// ── Sidebar session list ──────────────────────────────────────────────────────
+// Grouping, filtering, the per-chat ⋮ menu, inline rename / folder / tag
+// editing and multi-select for bulk move and delete. Chat owns the data; every
+// change goes through the on* callbacks. In chats the user does not own, the
+// menu only offers what their role allows (see server/members.js).
+
+export default function SessionList({
+  sessions,
+  activeSessionId,
+  onSelect,
+  onRename,
+  onRegenerateTitle,
+  onUpdate,
+  onDelete,
+  onShare,
+  onMembers,
+  onExport,
+  onMoveMany,
+  onDeleteMany,
+}) {
+  const [openMenuId, setOpenMenuId] = useState(null);
+  const [editing, setEditing] = useState(null); // { id, field: 'title' | 'folder' | 'tags', value }
+  const [filter, setFilter] = useState('all');
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [selecting, setSelecting] = useState(false);
+  const [selected, setSelected] = useState(() => new Set());
+  const [moveTarget, setMoveTarget] = useState('');
+
+  useEffect(() => {
+    if (!openMenuId) return;
+    const handler = () => setOpenMenuId(null);
+    document.addEventListener('click', handler);
+    return () => document.removeEventListener('click', handler);
+  }, [openMenuId]);
+
+  const folders = [...new Set(sessions.map((s) => s.folder).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  const tags = [...new Set(sessions.flatMap((s) => s.tags || []))].sort((a, b) => a.localeCompare(b));
+
+  // A folder or tag that no longer exists (e.g. after a move) resets the filter
+  const filterValid =
+    filter === 'all' ||
+    filter === 'pinned' ||
+    (filter.startsWith('folder:') && folders.includes(filter.slice(7))) ||
+    (filter.startsWith('tag:') && tags.includes(filter.slice(4)));
+  const activeFilter = filterValid ? filter : 'all';
+  const visible = sessions.filter((s) => matchesFilter(s, activeFilter));
+  // Only the owner can move or delete a chat
+  const selectable = visible.filter((s) => s.role === 'owner');
+  const groups = activeFilter === 'all' ? groupSessions(visible) : [{ key: 'filtered', label: null, sessions: visible }];
+
+  const menuAction = (fn) => (e) => {
+    e.stopPropagation();
+    setOpenMenuId(null);
+    fn();
+  };
+
+  const startEdit = (session, field) => {
+    const value =
+      field === 'title' ? session.title || '' : field === 'folder' ? session.folder || '' : (session.tags || []).join(', ');
+    setEditing({ id: session.id, field, value });
+  };
+
+  const commitEdit = () => {
+    if (!editing) return;
+    const { id, field, value } = editing;
+    const session = sessions.find((s) => s.id === id);
+    setEditing(null);
+    if (!session) return;
+    if (field === 'title') {
+      const title = value.trim();
+      if (title && title !== session.title) onRename(id, title);
+    } else if (field === 'folder') {
+      const folder = value.trim() || null;
+      if (folder !== (session.folder || null)) onUpdate(id, { folder });
+    } else {
+      onUpdate(id, { tags: parseTags(value) });
+    }
+  };
+
+  const toggleSelected = (id) =>
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const stopSelecting = () => {
+    setSelecting(false);
+    setSelected(new Set());
+    setMoveTarget('');
+  };
+
+  const handleBulkMove = async () => {
+    await onMoveMany([...selected], moveTarget.trim() || null);
+    stopSelecting();
+  };
+
+  const handleBulkDelete = async () => {
+    if (!window.confirm(`Move ${selected.size} chat${selected.size > 1 ? 's' : ''} to the trash?`)) return;
+    await onDeleteMany([...selected]);
+    stopSelecting();
+  };
+
+  const toggleGroup = (key) =>
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+
+  const renderSession = (session) => {
+    const isEditing = editing?.id === session.id;
+    const isOwner = session.role === 'owner';
+    const canEdit = session.role !== 'viewer';
+    return (
+      <div
+        key={session.id}
+        className={`sidebar-session${session.id === activeSessionId ? ' active' : ''}${
+          selected.has(session.id) ? ' selected' : ''
+        }`}
+        onClick={() => (selecting ? isOwner && toggleSelected(session.id) : onSelect(session.id))}
+      >
+        {selecting && isOwner && (
+          <input
+            type="checkbox"
+            className="sidebar-session-check"
+            checked={selected.has(session.id)}
+            onChange={() => toggleSelected(session.id)}
+            onClick={(e) => e.stopPropagation()}
+          />
+        )}
+        <div className="sidebar-session-info">
+          {isEditing && editing.field === 'title' ? (
+            <input
+              className="sidebar-session-edit"
+              autoFocus
+              value={editing.value}
+              maxLength={200}
+              onClick={(e) => e.stopPropagation()}
+              onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+              onBlur={commitEdit}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') commitEdit();
+                if (e.key === 'Escape') setEditing(null);
+              }}
+            />
+          ) : (
+            <span
+              className="sidebar-session-title"
+              onDoubleClick={(e) => {
+                e.stopPropagation();
+                if (canEdit) startEdit(session, 'title');
+              }}
+            >
+              {session.title}
+              {session.share && <span className="sidebar-session-shared" title="Shared by link">🔗</span>}
+              {session.members?.length > 0 && (
+                <span
+                  className="sidebar-session-shared"
+                  title={isOwner ? `${session.members.length} members` : `Owned by ${session.owner}`}
+                >
+                  👥
+                </span>
+              )}
+            </span>
+          )}
+          {isEditing && editing.field !== 'title' ? (
+            <input
+              className="sidebar-session-edit small"
+              autoFocus
+              list={editing.field === 'folder' ? 'session-folders' : undefined}
+              placeholder={editing.field === 'folder' ? 'Folder name (empty = none)' : 'Tags, comma separated'}
+              value={editing.value}
+              onClick={(e) => e.stopPropagation()}
+              onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+              onBlur={commitEdit}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') commitEdit();
+                if (e.key === 'Escape') setEditing(null);
+              }}
+            />
+          ) : (
+            <span className="sidebar-session-date">
+              {formatDate(session.createdAt)}
+              {session.tags?.map((tag) => (
+                <button
+                  key={tag}
+                  className="sidebar-tag"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setFilter(`tag:${tag}`);
+                  }}
+                >
+                  #{tag}
+                </button>
+              ))}
+            </span>
+          )}
+        </div>
+        {!selecting && (
+          <div
+            className="sidebar-session-menu"
+            onClick={(e) => {
+              e.stopPropagation();
+              setOpenMenuId(openMenuId === session.id ? null : session.id);
+            }}
+          >
+            <span className="three-dots">⋮</span>
+            {openMenuId === session.id && (
+              <div className="session-dropdown">
+                {canEdit && (
+                  <button className="session-menu-btn" onClick={menuAction(() => startEdit(session, 'title'))}>
+                    Rename
+                  </button>
+                )}
+                {canEdit && session.titleSource !== 'user' && session.messageCount > 0 && (
+                  <button className="session-menu-btn" onClick={menuAction(() => onRegenerateTitle(session.id))}>
+                    Regenerate title
+                  </button>
+                )}
+                {isOwner && (
+                  <>
+                    <button
+                      className="session-menu-btn"
+                      onClick={menuAction(() => onUpdate(session.id, { pinned: !session.pinned }))}
+                    >
+                      {session.pinned ? 'Unpin' : 'Pin'}
+                    </button>
+                    <button className="session-menu-btn" onClick={menuAction(() => startEdit(session, 'folder'))}>
+                      Move to folder…
+                    </button>
+                    <button className="session-menu-btn" onClick={menuAction(() => startEdit(session, 'tags'))}>
+                      Edit tags…
+                    </button>
+                    <button className="session-menu-btn" onClick={menuAction(() => onShare(session.id))}>
+                      {session.share ? 'Sharing…' : 'Share…'}
+                    </button>
+                  </>
+                )}
+                <button className="session-menu-btn" onClick={menuAction(() => onMembers(session.id))}>
+                  {isOwner ? 'Members…' : 'Members / leave…'}
+                </button>
+                {EXPORT_FORMATS.map(({ format, label }) => (
+                  <button
+                    key={format}
+                    className="session-menu-btn"
+                    onClick={menuAction(() => onExport(session.id, format))}
+                  >
+                    Export {label}
+                  </button>
+                ))}
+                {isOwner && (
+                  <button className="session-delete-btn" onClick={menuAction(() => onDelete(session.id))}>
+                    Delete
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <>
+      <div className="sidebar-filter">
+        <select value={activeFilter} onChange={(e) => setFilter(e.target.value)}>
+          <option value="all">All chats</option>
+          <option value="pinned">Pinned</option>
+          {folders.length > 0 && (
+            <optgroup label="Folders">
+              {folders.map((f) => (
+                <option key={f} value={`folder:${f}`}>
+                  {f}
+                </option>
+              ))}
+            </optgroup>
+          )}
+          {tags.length > 0 && (
+            <optgroup label="Tags">
+              {tags.map((t) => (
+                <option key={t} value={`tag:${t}`}>
+                  #{t}
+                </option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        <button className="sidebar-select-btn" onClick={() => (selecting ? stopSelecting() : setSelecting(true))}>
+          {selecting ? 'Cancel' : 'Select'}
+        </button>
+      </div>
+
+      {selecting && (
+        <div className="sidebar-bulk">
+          <div className="sidebar-bulk-row">
+            <span>{selected.size} selected</span>
+            <button
+              className="sidebar-bulk-link"
+              onClick={() =>
+                setSelected(selected.size === selectable.length ? new Set() : new Set(selectable.map((s) => s.id)))
+              }
+            >
+              {selected.size === selectable.length && selectable.length ? 'None' : 'All'}
+            </button>
+          </div>
+          <div className="sidebar-bulk-row">
+            <input
+              list="session-folders"
+              placeholder="Folder (empty = none)"
+              value={moveTarget}
+              onChange={(e) => setMoveTarget(e.target.value)}
+            />
+            <button disabled={!selected.size} onClick={handleBulkMove}>
+              Move
+            </button>
+            <button className="danger" disabled={!selected.size} onClick={handleBulkDelete}>
+              Delete
+            </button>
+          </div>
+        </div>
+      )}
+
+      <datalist id="session-folders">
+        {folders.map((f) => (
+          <option key={f} value={f} />
+        ))}
+      </datalist>
+
+      <div className="sidebar-sessions">
+        {groups.map((group) => (
+          <div key={group.key} className="sidebar-group">
+            {group.label && (
+              <button className="sidebar-group-label" onClick={() => toggleGroup(group.key)}>
+                <span>{collapsed.has(group.key) ? '▸' : '▾'}</span> {group.label}
+                <span className="sidebar-group-count">{group.sessions.length}</span>
+              </button>
+            )}
+            {!collapsed.has(group.key) && group.sessions.map(renderSession)}
+          </div>
+        ))}
+        {!visible.length && <p className="search-empty">No chats here yet</p>}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,144 @@
+import { useState, useEffect } from 'react';
+import { getSettings, saveCustomInstructions, previewSystemPrompt, getPersonas } from '../services/mongoApi';
+import './AdminView.css';
+import './SettingsView.css';
+
+const EXAMPLES = [
+  'Keep answers under 150 words.',
+  'Answer in Spanish.',
+  'Always show the numbers in a table.',
+  'Explain statistics as if I am new to them.',
+];
+
+// ── Settings page ────────────────────────────────────────────────────────────
+// Custom instructions the server adds to the system prompt of every chat the
+// user asks in, and a preview of the prompt a persona ends up with.
+
+// Only admins see a persona's own prompt; everyone else sees a stand-in for it
+const previewText = ({ persona, instructions, systemPrompt }) => {
+  if (systemPrompt !== null) return systemPrompt || '(empty)';
+  return [`[${persona.name}'s instructions]`, instructions].filter(Boolean).join('\n\n');
+};
+
+export default function SettingsView({ onClose }) {
+  const [saved, setSaved] = useState(null); // GET /api/settings
+  const [text, setText] = useState('');
+  const [personas, setPersonas] = useState([]);
+  const [personaId, setPersonaId] = useState(null);
+  const [preview, setPreview] = useState(null); // { persona, instructions, systemPrompt (admins only) }
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const dirty = saved !== null && text !== saved.customInstructions;
+
+  useEffect(() => {
+    getSettings()
+      .then((settings) => {
+        setSaved(settings);
+        setText(settings.customInstructions);
+      })
+      .catch((err) => setError(err.message));
+    getPersonas()
+      .then(({ defaultId, personas }) => {
+        setPersonas(personas);
+        setPersonaId(defaultId);
+      })
+      .catch((err) => setError(err.message));
+  }, []);
+
+  // Previews the text as typed, not only what is saved
+  useEffect(() => {
+    if (!personaId) return;
+    const timer = setTimeout(() => {
+      previewSystemPrompt(personaId, text)
+        .then(setPreview)
+        .catch((err) => setError(err.message));
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [personaId, text]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const settings = await saveCustomInstructions(text);
+      setSaved(settings);
+      setText(settings.customInstructions);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const addExample = (example) => setText((t) => (t.trim() ? `${t.trimEnd()}\n${example}` : example));
+
+  const maxLength = saved?.maxLength ?? 1500;
+
+  return (
+    <div className="admin-view">
+      <header className="admin-header">
+        <h1>Settings</h1>
+        <button className="modal-btn" onClick={onClose}>
+          ← Back to chat
+        </button>
+      </header>
+
+      {error && <p className="modal-error">{error}</p>}
+
+      <section className="settings-section">
+        <h2>Custom instructions</h2>
+        <p className="settings-hint">
+          Added to every answer you ask for, in your own chats and in chats shared with you. Use them for preferences
+          such as answer length, language or format.
+        </p>
+        <textarea
+          className="settings-instructions"
+          value={text}
+          maxLength={maxLength}
+          rows={7}
+          disabled={saved === null}
+          placeholder="e.g. Keep answers short and always show the numbers in a table."
+          onChange={(e) => setText(e.target.value)}
+        />
+        <div className="settings-examples">
+          {EXAMPLES.map((example) => (
+            <button key={example} onClick={() => addExample(example)} disabled={saved === null}>
+              + {example}
+            </button>
+          ))}
+        </div>
+        <div className="settings-actions">
+          <span className="settings-status">
+            {text.length}/{maxLength}
+            {saved?.updatedAt && !dirty && ` · saved ${new Date(saved.updatedAt).toLocaleString()}`}
+            {dirty && ' · unsaved changes'}
+          </span>
+          {dirty && (
+            <button className="modal-btn" onClick={() => setText(saved.customInstructions)} disabled={saving}>
+              Discard
+            </button>
+          )}
+          <button className="modal-btn primary" onClick={handleSave} disabled={!dirty || saving}>
+            {saving ? 'Saving…' : 'Save'}
+          </button>
+        </div>
+      </section>
+
+      <section className="settings-section">
+        <h2>Effective prompt</h2>
+        <p className="settings-hint">
+          What the model is told in a chat with{' '}
+          <select value={personaId || ''} onChange={(e) => setPersonaId(e.target.value)}>
+            {personas.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+          {dirty && ', including your unsaved changes'}.
+        </p>
+        <pre className="settings-preview">{preview ? previewText(preview) : 'Loading…'}</pre>
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { shareSession, unshareSession, shareUrl } from '../services/mongoApi';
+
+const EXPIRY_OPTIONS = [
+  { label: 'Never', days: null },
+  { label: '1 day', days: 1 },
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 },
+];
+
+// Create, copy or revoke the read-only link of one session. onChange(share)
+// receives the new share (or null after revoking) so the sidebar stays in sync.
+export default function ShareDialog({ session, onChange, onClose }) {
+  const [share, setShare] = useState(session.share);
+  const [expiresInDays, setExpiresInDays] = useState(null);
+  const [showUsername, setShowUsername] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  const update = async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      const next = await action();
+      setShare(next);
+      setCopied(false);
+      onChange(next);
+    } catch {
+      setError('Could not update the share link');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = () => update(() => shareSession(session.id, { expiresInDays, showUsername }));
+  const handleRevoke = () => update(async () => (await unshareSession(session.id)) && null);
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(shareUrl(share.token));
+    setCopied(true);
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal share-dialog" onClick={(e) => e.stopPropagation()}>
+        <h3 className="modal-title">Share “{session.title}”</h3>
+
+        {share ? (
+          <>
+            <p className="modal-text">
+              Anyone with this link can read the conversation, including tool calls and charts, without logging in.
+            </p>
+            <div className="share-link-row">
+              <input readOnly value={shareUrl(share.token)} onFocus={(e) => e.target.select()} />
+              <button className="modal-btn" onClick={handleCopy}>
+                {copied ? 'Copied' : 'Copy'}
+              </button>
+            </div>
+            <p className="modal-hint">
+              {share.expiresAt ? `Expires ${new Date(share.expiresAt).toLocaleString()}` : 'Never expires'} ·{' '}
+              {share.showUsername ? 'shows your username' : 'your username is hidden'}
+            </p>
+          </>
+        ) : (
+          <>
+            <p className="modal-text">
+              Create a read-only link to this conversation. You can revoke it at any time.
+            </p>
+            <label className="modal-field">
+              Link expires
+              <select
+                value={expiresInDays ?? ''}
+                onChange={(e) => setExpiresInDays(e.target.value ? Number(e.target.value) : null)}
+              >
+                {EXPIRY_OPTIONS.map((o) => (
+                  <option key={o.label} value={o.days ?? ''}>
+                    {o.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="modal-check">
+              <input type="checkbox" checked={showUsername} onChange={(e) => setShowUsername(e.target.checked)} />
+              Show my username on the shared page
+            </label>
+          </>
+        )}
+
+        {error && <p className="modal-error">{error}</p>}
+
+        <div className="modal-actions">
+          {share ? (
+            <button className="modal-btn danger" onClick={handleRevoke} disabled={busy}>
+              Revoke link
+            </button>
+          ) : (
+            <button className="modal-btn primary" onClick={handleCreate} disabled={busy}>
+              Create link
+            </button>
+          )}
+          <button className="modal-btn" onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
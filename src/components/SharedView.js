@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { loadSharedSession, sharedAttachmentUrl } from '../services/mongoApi';
+import StructuredParts from './StructuredParts';
+import MessageDetails from './MessageDetails';
+import { PersonaAvatar } from './PersonaPicker';
+import './Chat.css';
+import './SharedView.css';
+
+// Public, read-only rendering of a session opened through /share/:token.
+// Needs no login; the server only returns what the owner chose to share.
+export default function SharedView({ token }) {
+  const [session, setSession] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    loadSharedSession(token)
+      .then(setSession)
+      .catch((err) => setError(err.message));
+  }, [token]);
+
+  if (error) {
+    return (
+      <div className="shared-view shared-view-empty">
+        <p>{error}</p>
+      </div>
+    );
+  }
+  if (!session) {
+    return (
+      <div className="shared-view shared-view-empty">
+        <p>Loading…</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="shared-view">
+      <header className="shared-view-header">
+        <h1 className="shared-view-title">{session.title || 'Shared chat'}</h1>
+        <p className="shared-view-meta">
+          Shared conversation{session.username && <> by <strong>{session.username}</strong></>} ·{' '}
+          {new Date(session.createdAt).toLocaleDateString()} · read-only
+        </p>
+      </header>
+
+      <div className="shared-view-messages">
+        {session.messages.map((m) => (
+          <div key={m.id} className={`chat-msg ${m.role}`}>
+            <div className="chat-msg-meta">
+              <span className="chat-msg-role">
+                {m.role === 'user' ? (
+                  session.username || 'User'
+                ) : (
+                  <>
+                    <PersonaAvatar persona={session.persona} /> {session.persona.name}
+                  </>
+                )}
+              </span>
+              <span className="chat-msg-time">
+                {new Date(m.timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+              </span>
+            </div>
+
+            {m.csvName && <div className="msg-csv-badge">📄 {m.csvName}</div>}
+
+            {m.images?.length > 0 && (
+              <div className="chat-msg-images">
+                {m.images.map((img, i) => (
+                  <img
+                    key={i}
+                    src={
+                      img.attachmentId
+                        ? sharedAttachmentUrl(token, img.attachmentId)
+                        : `data:${img.mimeType};base64,${img.data}`
+                    }
+                    alt={img.name || ''}
+                    loading="lazy"
+                    className="chat-msg-thumb"
+                  />
+                ))}
+              </div>
+            )}
+
+            <div className="chat-msg-content">
+              {m.role === 'model' ? (
+                m.parts ? (
+                  <StructuredParts parts={m.parts} />
+                ) : (
+                  <ReactMarkdown remarkPlugins={[remarkGfm]}>{m.content}</ReactMarkdown>
+                )
+              ) : (
+                m.content
+              )}
+            </div>
+
+            <MessageDetails message={m} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
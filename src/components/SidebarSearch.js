@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react';
+import { searchConversations } from '../services/mongoApi';
+
+const DEBOUNCE_MS = 300;
+
+// Wraps the highlighted [start, end) ranges of a snippet in <mark>.
+function HighlightedSnippet({ text, highlights }) {
+  const pieces = [];
+  let pos = 0;
+  highlights.forEach(([start, end], i) => {
+    if (start > pos) pieces.push(text.slice(pos, start));
+    pieces.push(<mark key={i}>{text.slice(start, end)}</mark>);
+    pos = end;
+  });
+  pieces.push(text.slice(pos));
+  return <>{pieces}</>;
+}
+
+const FIELD_LABEL = { title: 'Title', csvName: 'CSV', content: null };
+
+// Search box for the sidebar. While a query is typed it renders ranked hits
+// in place of the session list (via `children`); picking one calls onSelect.
+export default function SidebarSearch({ onSelect, children }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) {
+      setResults(null);
+      setError('');
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const data = await searchConversations(q);
+        if (!cancelled) {
+          setResults(data.results);
+          setError('');
+        }
+      } catch {
+        if (!cancelled) setError('Search failed');
+      }
+    }, DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const active = !!query.trim();
+
+  return (
+    <>
+      <div className="sidebar-search">
+        <input
+          type="search"
+          placeholder="Search chats…"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && setQuery('')}
+        />
+      </div>
+      {!active ? (
+        children
+      ) : (
+        <div className="sidebar-sessions search-results">
+          {error && <p className="search-empty">{error}</p>}
+          {!error && results === null && <p className="search-empty">Searching…</p>}
+          {!error && results?.length === 0 && <p className="search-empty">No matches</p>}
+          {results?.map((r) => (
+            <button
+              key={`${r.sessionId}-${r.messageId || 'title'}`}
+              className="search-result"
+              onClick={() => onSelect(r)}
+            >
+              <span className="search-result-title">
+                {r.sessionTitle || 'Untitled chat'}
+                {FIELD_LABEL[r.field] && <span className="search-result-field">{FIELD_LABEL[r.field]}</span>}
+              </span>
+              <span className="search-result-snippet">
+                <HighlightedSnippet text={r.snippet} highlights={r.highlights} />
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
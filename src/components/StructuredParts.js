@@ -0,0 +1,58 @@
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+
+// ── Structured part renderer (code execution responses) ───────────────────────
+
+export default function StructuredParts({ parts }) {
+  return (
+    <>
+      {parts.map((part, i) => {
+        if (part.type === 'text' && part.text?.trim()) {
+          return (
+            <div key={i} className="part-text">
+              <ReactMarkdown remarkPlugins={[remarkGfm]}>{part.text}</ReactMarkdown>
+            </div>
+          );
+        }
+        if (part.type === 'code') {
+          return (
+            <div key={i} className="part-code">
+              <div className="part-code-header">
+                <span className="part-code-lang">
+                  {part.language === 'PYTHON' ? 'Python' : part.language}
+                </span>
+              </div>
+              <pre className="part-code-body">
+                <code>{part.code}</code>
+              </pre>
+            </div>
+          );
+        }
+        if (part.type === 'result') {
+          const ok = part.outcome === 'OUTCOME_OK';
+          return (
+            <div key={i} className="part-result">
+              <div className="part-result-header">
+                <span className={`part-result-badge ${ok ? 'ok' : 'err'}`}>
+                  {ok ? '✓ Output' : '✗ Error'}
+                </span>
+              </div>
+              <pre className="part-result-body">{part.output}</pre>
+            </div>
+          );
+        }
+        if (part.type === 'image') {
+          return (
+            <img
+              key={i}
+              src={`data:${part.mimeType};base64,${part.data}`}
+              alt="Generated plot"
+              className="part-image"
+            />
+          );
+        }
+        return null;
+      })}
+    </>
+  );
+}
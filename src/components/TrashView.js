@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { getTrash, restoreSessions, deleteSessionsForever, emptyTrash } from '../services/mongoApi';
+import './Chat.css';
+import './AdminView.css';
+import './TrashView.css';
+
+const formatDateTime = (iso) => (iso ? new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : '—');
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+// ── Trash ────────────────────────────────────────────────────────────────────
+// Chats deleted from the sidebar, with restore and delete forever. The server
+// purges them on its own once the retention period is over.
+
+export default function TrashView({ onClose }) {
+  const [trash, setTrash] = useState(null); // { retentionDays, sessions }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getTrash()
+      .then(setTrash)
+      .catch((err) => setError(err.message));
+  }, []);
+
+  const removeRows = (ids) =>
+    setTrash((prev) => ({ ...prev, sessions: prev.sessions.filter((s) => !ids.includes(s.id)) }));
+
+  const runAction = async (action) => {
+    setError('');
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = (session) =>
+    runAction(async () => {
+      await restoreSessions([session.id]);
+      removeRows([session.id]);
+    });
+
+  const handleDeleteForever = (session) => {
+    if (!window.confirm(`Delete "${session.title || 'Untitled'}" forever? This cannot be undone.`)) return;
+    runAction(async () => {
+      await deleteSessionsForever([session.id]);
+      removeRows([session.id]);
+    });
+  };
+
+  const handleEmpty = () => {
+    if (!window.confirm(`Delete all ${plural(trash.sessions.length, 'chat')} in the trash forever? This cannot be undone.`))
+      return;
+    runAction(async () => {
+      await emptyTrash();
+      setTrash((prev) => ({ ...prev, sessions: [] }));
+    });
+  };
+
+  return (
+    <div className="admin-view">
+      <header className="admin-header">
+        <h1>Trash</h1>
+        {trash?.sessions.length > 0 && (
+          <button className="modal-btn danger" disabled={busy} onClick={handleEmpty}>
+            Empty trash
+          </button>
+        )}
+        <button className="modal-btn" onClick={onClose}>
+          ← Back to chat
+        </button>
+      </header>
+
+      {error && <p className="modal-error">{error}</p>}
+
+      {trash && (
+        <>
+          <p className="trash-note">
+            {trash.retentionDays
+              ? `Chats in the trash are deleted forever after ${plural(trash.retentionDays, 'day')}.`
+              : 'Chats stay in the trash until you delete them.'}
+          </p>
+          {trash.sessions.length ? (
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>Chat</th>
+                  <th>Messages</th>
+                  <th>Deleted</th>
+                  {trash.retentionDays > 0 && <th>Deleted forever</th>}
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {trash.sessions.map((s) => (
+                  <tr key={s.id}>
+                    <td>
+                      <strong>{s.title || 'Untitled'}</strong>
+                      {s.folder && <div className="admin-email">📁 {s.folder}</div>}
+                    </td>
+                    <td>{s.messageCount}</td>
+                    <td>{formatDateTime(s.deletedAt)}</td>
+                    {trash.retentionDays > 0 && <td>{formatDateTime(s.purgeAt)}</td>}
+                    <td className="admin-actions">
+                      <button disabled={busy} onClick={() => handleRestore(s)}>
+                        Restore
+                      </button>
+                      <button className="danger" disabled={busy} onClick={() => handleDeleteForever(s)}>
+                        Delete forever
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="search-empty">The trash is empty</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
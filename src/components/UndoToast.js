@@ -0,0 +1,24 @@
+import { useEffect } from 'react';
+
+const UNDO_MS = 8000;
+
+// "Chat moved to Trash · Undo" at the bottom of the screen. Dismisses itself
+// after a few seconds; the action is already done, so dismissing just keeps it.
+export default function UndoToast({ message, onUndo, onDismiss }) {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, UNDO_MS);
+    return () => clearTimeout(timer);
+  }, [message, onDismiss]);
+
+  return (
+    <div className="undo-toast" role="status">
+      <span>{message}</span>
+      <button type="button" onClick={onUndo}>
+        Undo
+      </button>
+      <button type="button" className="undo-toast-close" onClick={onDismiss} aria-label="Dismiss">
+        ✕
+      </button>
+    </div>
+  );
+}
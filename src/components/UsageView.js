@@ -0,0 +1,162 @@
+import { useState, useEffect } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { getUsage } from '../services/mongoApi';
+import './AdminView.css';
+import './UsageView.css';
+
+const RANGES = [7, 30, 90];
+const KIND_LABELS = { search: 'Search', code: 'Code execution', tools: 'CSV tools', title: 'Chat titles', summary: 'Chat summaries' };
+
+const formatTokens = (n) => n.toLocaleString();
+
+// Cheap models make most requests cost fractions of a cent
+const formatCost = (usd) => `$${usd < 1 ? usd.toFixed(4) : usd.toFixed(2)}`;
+
+// One quota bar: tokens used in the period against its limit, if any
+function QuotaMeter({ label, period }) {
+  const percent = period.limit ? Math.min(100, (period.tokens / period.limit) * 100) : 0;
+  const level = percent >= 100 ? 'exceeded' : percent >= 80 ? 'warning' : 'ok';
+  return (
+    <div className="admin-card usage-quota">
+      <span>{formatTokens(period.tokens)}</span>
+      tokens {label}
+      {period.limit ? ` of ${formatTokens(period.limit)}` : ' · no limit'} · {formatCost(period.costUsd)}
+      {period.limit && (
+        <div className="usage-meter">
+          <div className={`usage-meter-fill ${level}`} style={{ width: `${percent}%` }} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ── Usage page ───────────────────────────────────────────────────────────────
+// The signed-in user's token consumption: quota status for today and this
+// month, tokens per day, and the chats that used the most.
+
+export default function UsageView({ onClose }) {
+  const [days, setDays] = useState(30);
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getUsage(days)
+      .then(setUsage)
+      .catch((err) => setError(err.message));
+  }, [days]);
+
+  return (
+    <div className="admin-view">
+      <header className="admin-header">
+        <h1>Usage</h1>
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+          {RANGES.map((d) => (
+            <option key={d} value={d}>
+              Last {d} days
+            </option>
+          ))}
+        </select>
+        <button className="modal-btn" onClick={onClose}>
+          ← Back to chat
+        </button>
+      </header>
+
+      {error && <p className="modal-error">{error}</p>}
+
+      {usage && (
+        <>
+          <div className="admin-cards">
+            <QuotaMeter label="today" period={usage.quota.day} />
+            <QuotaMeter label="this month" period={usage.quota.month} />
+            <div className="admin-card">
+              <span>{formatTokens(usage.totals.totalTokens)}</span>
+              tokens in {usage.days} days
+            </div>
+            <div className="admin-card">
+              <span>{formatCost(usage.totals.costUsd)}</span>
+              {usage.totals.requests} requests
+            </div>
+          </div>
+          {usage.quota.status === 'exceeded' && (
+            <p className="modal-error">
+              {usage.quota.action === 'block'
+                ? 'Your quota is used up; new questions are refused until it resets.'
+                : 'You are over your quota.'}
+            </p>
+          )}
+
+          <div className="admin-chart">
+            <ResponsiveContainer width="100%" height={240}>
+              <BarChart data={usage.daily} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.08)" />
+                <XAxis dataKey="day" tick={{ fill: 'rgba(255,255,255,0.5)', fontSize: 11 }} tickFormatter={(d) => d.slice(5)} />
+                <YAxis allowDecimals={false} tick={{ fill: 'rgba(255,255,255,0.5)', fontSize: 11 }} />
+                <Tooltip contentStyle={{ background: 'rgba(15, 15, 35, 0.92)', border: '1px solid rgba(255,255,255,0.12)' }} />
+                <Legend />
+                <Bar dataKey="promptTokens" name="Prompt tokens" stackId="tokens" fill="#818cf8" />
+                <Bar dataKey="responseTokens" name="Response tokens" stackId="tokens" fill="#34d399" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="usage-tables">
+            <section>
+              <h2>By chat</h2>
+              <table className="admin-table">
+                <thead>
+                  <tr>
+                    <th>Chat</th>
+                    <th>Requests</th>
+                    <th>Tokens</th>
+                    <th>Cost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {usage.bySession.map((s) => (
+                    <tr key={s.sessionId || 'none'}>
+                      <td>{s.sessionId ? s.title || 'Deleted chat' : 'Outside a chat'}</td>
+                      <td>{s.requests}</td>
+                      <td>{formatTokens(s.totalTokens)}</td>
+                      <td>{formatCost(s.costUsd)}</td>
+                    </tr>
+                  ))}
+                  {!usage.bySession.length && (
+                    <tr>
+                      <td colSpan={4} className="search-empty">
+                        No usage yet
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </section>
+
+            <section>
+              <h2>By answer type</h2>
+              <table className="admin-table">
+                <thead>
+                  <tr>
+                    <th>Type</th>
+                    <th>Requests</th>
+                    <th>Prompt</th>
+                    <th>Response</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {usage.byKind.map((k) => (
+                    <tr key={k.kind}>
+                      <td>{KIND_LABELS[k.kind] || k.kind}</td>
+                      <td>{k.requests}</td>
+                      <td>{formatTokens(k.promptTokens)}</td>
+                      <td>{formatTokens(k.responseTokens)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </section>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,3 +1,7 @@
+import { createLogger } from './logger';
+
+const log = createLogger('CSV Tool');
+
 // ── Tool declarations (sent to Gemini so it knows what functions exist) ───────
 
 // IMPORTANT NOTE embedded in every description:
@@ -258,16 +262,12 @@ export const computeDatasetSummary = (rows, headers) => {
 
 export const executeTool = (toolName, args, rows) => {
   const availableHeaders = rows.length ? Object.keys(rows[0]) : [];
-  console.group(`[CSV Tool] ${toolName}`);
-  console.log('args:', args);
-  console.log('rows loaded:', rows.length);
-  console.log('available headers:', availableHeaders);
-  console.groupEnd();
+  log.debug(toolName, { args, rows: rows.length, headers: availableHeaders });
 
   switch (toolName) {
     case 'compute_column_stats': {
       const col = resolveCol(rows, args.column);
-      console.log(`[compute_column_stats] resolved column: "${args.column}" → "${col}"`);
+      log.debug(`compute_column_stats resolved column "${args.column}" → "${col}"`);
       const vals = numericValues(rows, col);
       if (!vals.length)
         return { error: `No numeric values found in column "${col}". Available columns: ${availableHeaders.join(', ')}` };
@@ -287,7 +287,7 @@ export const executeTool = (toolName, args, rows) => {
 
     case 'get_value_counts': {
       const col = resolveCol(rows, args.column);
-      console.log(`[get_value_counts] resolved column: "${args.column}" → "${col}"`);
+      log.debug(`get_value_counts resolved column "${args.column}" → "${col}"`);
       const topN = args.top_n || 10;
       const counts = {};
       rows.forEach((r) => {
@@ -306,7 +306,7 @@ export const executeTool = (toolName, args, rows) => {
 
     case 'get_top_tweets': {
       const sortCol = resolveCol(rows, args.sort_column) || args.sort_column;
-      console.log(`[get_top_tweets] sort="${sortCol}" n=${args.n} asc=${args.ascending}`);
+      log.debug(`get_top_tweets sort="${sortCol}" n=${args.n} asc=${args.ascending}`);
       const n   = args.n || 10;
       const asc = args.ascending ?? false;
 
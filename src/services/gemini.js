@@ -1,194 +1,114 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { apiFetch, responseError, toApiError } from './mongoApi';
 import { CSV_TOOL_DECLARATIONS } from './csvTools';
+import { createLogger } from './logger';
+import { readEvents } from './sse';
 
-const genAI = new GoogleGenerativeAI(process.env.REACT_APP_GEMINI_API_KEY || '');
+const log = createLogger('Chat');
 
-const MODEL = 'gemini-2.0-flash';
-
-const SEARCH_TOOL = { googleSearch: {} };
-const CODE_EXEC_TOOL = { codeExecution: {} };
+// Gemini is called by the server (POST /api/chat) so the API key never ships
+// in the browser bundle. This module only reads the Server-Sent Event stream.
 
 export const CODE_KEYWORDS = /\b(plot|chart|graph|analyz|statistic|regression|correlat|histogram|visualiz|calculat|compute|run code|write code|execute|pandas|numpy|matplotlib|csv|data)\b/i;
 
-let cachedPrompt = null;
+// POSTs to /api/chat and yields each event as a parsed object until 'done'.
+// A server-side { type: 'error', error, code } event is rethrown as an ApiError.
+async function* chatEvents(body, signal) {
+  const res = await apiFetch('/api/chat', {
+    method: 'POST',
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!res.ok) throw await responseError(res);
+  const requestId = res.headers.get('X-Request-Id');
 
-async function loadSystemPrompt() {
-  if (cachedPrompt) return cachedPrompt;
-  try {
-    const res = await fetch('/prompt_chat.txt');
-    cachedPrompt = res.ok ? (await res.text()).trim() : '';
-  } catch {
-    cachedPrompt = '';
+  for await (const event of readEvents(res)) {
+    if (event.type === 'error') throw toApiError(event, { requestId });
+    if (event.type === 'done') return;
+    yield event;
   }
-  return cachedPrompt;
 }
 
 // Yields:
 //   { type: 'text', text }           — streaming text chunks
 //   { type: 'fullResponse', parts }  — when code was executed; replaces streamed text
 //   { type: 'grounding', data }      — Google Search metadata
+//   { type: 'generation', generation } — the model and settings used (first)
+//   { type: 'context', context }     — token count and any condensed turns
 //
 // fullResponse parts: { type: 'text'|'code'|'result'|'image', ... }
 //
 // useCodeExecution: pass true to use codeExecution tool (CSV/analysis),
 //                   false (default) to use googleSearch tool.
-// Note: Gemini does not support both tools simultaneously.
-export const streamChat = async function* (history, newMessage, imageParts = [], useCodeExecution = false) {
-  const systemInstruction = await loadSystemPrompt();
-  const tools = useCodeExecution ? [CODE_EXEC_TOOL] : [SEARCH_TOOL];
-  const model = genAI.getGenerativeModel({
-    model: MODEL,
-    tools,
-  });
-
-  const baseHistory = history.map((m) => ({
-    role: m.role === 'user' ? 'user' : 'model',
-    parts: [{ text: m.content || '' }],
-  }));
-
-  const chatHistory = systemInstruction
-    ? [
-        {
-          role: 'user',
-          parts: [{ text: `Follow these instructions in every response:\n\n${systemInstruction}` }],
-        },
-        { role: 'model', parts: [{ text: "Got it! I'll follow those instructions." }] },
-        ...baseHistory,
-      ]
-    : baseHistory;
-
-  const chat = model.startChat({ history: chatHistory });
-
-  const parts = [
-    { text: newMessage },
-    ...imageParts.map((img) => ({
-      inlineData: { mimeType: img.mimeType || 'image/png', data: img.data },
-    })),
-  ].filter((p) => p.text !== undefined || p.inlineData !== undefined);
-
-  const result = await chat.sendMessageStream(parts);
-
-  // Stream text chunks for live display
-  for await (const chunk of result.stream) {
-    const chunkParts = chunk.candidates?.[0]?.content?.parts || [];
-    for (const part of chunkParts) {
-      if (part.text) yield { type: 'text', text: part.text };
-    }
-  }
-
-  // After stream: inspect all response parts
-  const response = await result.response;
-  const allParts = response.candidates?.[0]?.content?.parts || [];
-
-  const hasCodeExecution = allParts.some(
-    (p) =>
-      p.executableCode ||
-      p.codeExecutionResult ||
-      (p.inlineData && p.inlineData.mimeType?.startsWith('image/'))
-  );
-
-  if (hasCodeExecution) {
-    // Build ordered structured parts to replace the streamed text
-    const structuredParts = allParts
-      .map((p) => {
-        if (p.text) return { type: 'text', text: p.text };
-        if (p.executableCode)
-          return {
-            type: 'code',
-            language: p.executableCode.language || 'PYTHON',
-            code: p.executableCode.code,
-          };
-        if (p.codeExecutionResult)
-          return {
-            type: 'result',
-            outcome: p.codeExecutionResult.outcome,
-            output: p.codeExecutionResult.output,
-          };
-        if (p.inlineData)
-          return { type: 'image', mimeType: p.inlineData.mimeType, data: p.inlineData.data };
-        return null;
-      })
-      .filter(Boolean);
-
-    yield { type: 'fullResponse', parts: structuredParts };
-  }
-
-  // Grounding metadata (search sources)
-  const grounding = response.candidates?.[0]?.groundingMetadata;
-  if (grounding) {
-    console.log('[Search grounding]', grounding);
-    yield { type: 'grounding', data: grounding };
+// signal: optional AbortSignal — aborting also stops generation on the server.
+// sessionId: the chat the answer belongs to, for token accounting.
+// messageId: the saved question being answered; the server sends the branch
+//            above it as history, including messages not loaded here.
+export const streamChat = async function* (
+  newMessage,
+  imageParts = [],
+  useCodeExecution = false,
+  { signal, sessionId, messageId } = {}
+) {
+  const body = {
+    mode: useCodeExecution ? 'code' : 'search',
+    message: newMessage,
+    images: imageParts,
+    sessionId,
+    messageId,
+  };
+  for await (const event of chatEvents(body, signal)) {
+    if (event.type === 'grounding') log.debug('search grounding', event.data);
+    yield event;
   }
 };
 
 // ── Function-calling chat for CSV tools ───────────────────────────────────────
-// Gemini picks a tool + args → executeFn runs it client-side (free) → Gemini
-// receives the result and returns a natural-language answer.
+// The server runs the Gemini loop; whenever Gemini picks a tool it sends a
+// toolCall event, executeFn runs it here against the in-browser rows (free),
+// and the result is posted back so Gemini can continue.
 //
 // executeFn(toolName, args) → plain JS object with the result
-// Returns the final text response from the model.
-
-export const chatWithCsvTools = async (history, newMessage, csvHeaders, executeFn) => {
-  const systemInstruction = await loadSystemPrompt();
-  const model = genAI.getGenerativeModel({
-    model: MODEL,
-    tools: [{ functionDeclarations: CSV_TOOL_DECLARATIONS }],
-  });
-
-  const baseHistory = history.map((m) => ({
-    role: m.role === 'user' ? 'user' : 'model',
-    parts: [{ text: m.content || '' }],
-  }));
-
-  const chatHistory = systemInstruction
-    ? [
-        {
-          role: 'user',
-          parts: [{ text: `Follow these instructions in every response:\n\n${systemInstruction}` }],
-        },
-        { role: 'model', parts: [{ text: "Got it! I'll follow those instructions." }] },
-        ...baseHistory,
-      ]
-    : baseHistory;
-
-  const chat = model.startChat({ history: chatHistory });
-
-  // Include column names so the model can match user intent to exact column names
-  const msgWithContext = csvHeaders?.length
-    ? `[CSV columns: ${csvHeaders.join(', ')}]\n\n${newMessage}`
-    : newMessage;
-
-  let response = (await chat.sendMessage(msgWithContext)).response;
-
-  // Accumulate chart payloads and a log of every tool call made
-  const charts = [];
-  const toolCalls = [];
-
-  // Function-calling loop (Gemini may chain multiple tool calls)
-  for (let round = 0; round < 5; round++) {
-    const parts = response.candidates?.[0]?.content?.parts || [];
-    const funcCall = parts.find((p) => p.functionCall);
-    if (!funcCall) break;
-
-    const { name, args } = funcCall.functionCall;
-    console.log('[CSV Tool]', name, args);
-    const toolResult = executeFn(name, args);
-    console.log('[CSV Tool result]', toolResult);
-
-    // Log the call for persistence
-    toolCalls.push({ name, args, result: toolResult });
-
-    // Capture chart payloads so the UI can render them
-    if (toolResult?._chartType) {
-      charts.push(toolResult);
+// Returns { text, charts, toolCalls, generation, context } — the final answer,
+// the model settings it was generated with and the context event.
+
+export const chatWithCsvTools = async (newMessage, csvHeaders, executeFn, { signal, sessionId, messageId } = {}) => {
+  const body = {
+    mode: 'tools',
+    message: newMessage,
+    csvHeaders,
+    functionDeclarations: CSV_TOOL_DECLARATIONS,
+    sessionId,
+    messageId,
+  };
+
+  let generation = null;
+  let context = null;
+  for await (const event of chatEvents(body, signal)) {
+    if (event.type === 'generation') {
+      generation = event.generation;
+    } else if (event.type === 'context') {
+      context = event.context;
+    } else if (event.type === 'toolCall') {
+      const { callId, name, args } = event;
+      log.debug(`tool call ${name}`, args);
+      let result;
+      try {
+        result = executeFn(name, args);
+      } catch (err) {
+        result = { error: err.message };
+      }
+      log.debug(`tool result ${name}`, result);
+      const res = await apiFetch('/api/chat/tool-results', {
+        method: 'POST',
+        body: JSON.stringify({ callId, result }),
+        signal,
+      });
+      // The server never got the result (e.g. the call timed out): stop here
+      // instead of waiting for an answer that will not come
+      if (!res.ok) throw await responseError(res);
+    } else if (event.type === 'toolsResult') {
+      return { text: event.text, charts: event.charts, toolCalls: event.toolCalls, generation, context };
     }
-
-    response = (
-      await chat.sendMessage([
-        { functionResponse: { name, response: { result: toolResult } } },
-      ])
-    ).response;
   }
-
-  return { text: response.text(), charts, toolCalls };
+  throw new Error('Chat stream ended without a response');
 };
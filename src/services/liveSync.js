@@ -0,0 +1,62 @@
+import { apiFetch, responseError, getClientId } from './mongoApi';
+import { readEvents } from './sse';
+import { createLogger } from './logger';
+
+const log = createLogger('Live');
+
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 30000;
+
+const sleep = (ms, signal) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        resolve();
+      },
+      { once: true }
+    );
+  });
+
+// ── Live sync ────────────────────────────────────────────────────────────────
+// Keeps GET /api/events open and calls onEvent(event) for every change made to
+// the user's chats from another tab or device (event types: server/events.js).
+// The stream is reopened with backoff when it drops; after a reconnect
+// onEvent({ type: 'resync' }) is called because changes may have been missed.
+// Returns a function that closes the stream.
+export function subscribeToChanges(onEvent) {
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  const run = async () => {
+    let retryMs = RETRY_MIN_MS;
+    let connectedBefore = false;
+    while (!signal.aborted) {
+      try {
+        const res = await apiFetch('/api/events', { signal });
+        if (!res.ok) throw await responseError(res);
+        for await (const event of readEvents(res)) {
+          if (event.type === 'ready') {
+            retryMs = RETRY_MIN_MS;
+            if (connectedBefore) onEvent({ type: 'resync' });
+            connectedBefore = true;
+          } else if (event.origin !== getClientId()) {
+            onEvent(event);
+          }
+        }
+      } catch (err) {
+        if (signal.aborted) return;
+        // Logged out: the app returns to the login screen and closes this
+        if (err.code === 'INVALID_TOKEN' || err.code === 'AUTH_REQUIRED') return;
+        log.debug('stream lost, reconnecting', { err, retryMs });
+      }
+      await sleep(retryMs, signal);
+      retryMs = Math.min(retryMs * 2, RETRY_MAX_MS);
+    }
+  };
+
+  run();
+  return () => controller.abort();
+}
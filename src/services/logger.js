@@ -0,0 +1,38 @@
+// ── Client logging ───────────────────────────────────────────────────────────
+// createLogger(scope) → { debug, info, warn, error }, each (message, fields?).
+// Debug lines (tool calls, routing decisions, chart payloads) only print in
+// development or after `localStorage.setItem('chatapp_debug', '1')`, so a
+// production console stays quiet. Errors from the API carry the request id the
+// server logged them under (see src/services/mongoApi.js), which is printed
+// with them.
+
+const DEBUG_KEY = 'chatapp_debug';
+
+const debugEnabled = () => {
+  if (process.env.NODE_ENV === 'development') return true;
+  try {
+    return localStorage.getItem(DEBUG_KEY) === '1';
+  } catch {
+    return false;
+  }
+};
+
+const withRequestId = (fields) => {
+  const err = fields?.err;
+  if (!err?.requestId) return fields;
+  return { ...fields, requestId: err.requestId };
+};
+
+export function createLogger(scope) {
+  const write = (level, message, fields) => {
+    const args = [`[${scope}] ${message}`, ...(fields === undefined ? [] : [withRequestId(fields)])];
+    console[level](...args);
+  };
+  return {
+    // console.log rather than console.debug, which browsers hide by default
+    debug: (message, fields) => debugEnabled() && write('log', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+  };
+}
@@ -1,12 +1,220 @@
 const API = process.env.REACT_APP_API_URL || '';
 
-const api = async (path, options = {}) => {
+// ── Auth token storage ───────────────────────────────────────────────────────
+// { username, role, accessToken, refreshToken } persisted across reloads. The access
+// token is short-lived; api() transparently refreshes it once on a 401.
+//
+// Every tab of the app shares the stored tokens, and refresh tokens are single
+// use: when two tabs refresh at once, one of them is turned down because the
+// other already rotated the token. So a tab adopts what another tab stored
+// (the `storage` event) and, before it gives up on a rejected refresh, waits
+// briefly for the winner's new tokens.
+
+const AUTH_KEY = 'chatapp_auth';
+
+const readAuth = () => {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+let auth = readAuth();
+let authExpiredHandler = null;
+let refreshing = null;
+
+const setAuth = (next) => {
+  auth = next;
+  if (next) localStorage.setItem(AUTH_KEY, JSON.stringify(next));
+  else localStorage.removeItem(AUTH_KEY);
+};
+
+export const getAuth = () => auth;
+
+// Another tab refreshed, logged in or logged out
+window.addEventListener('storage', (e) => {
+  if (e.key !== AUTH_KEY && e.key !== null) return;
+  const had = auth;
+  auth = readAuth();
+  if (had && auth?.username !== had.username) authExpiredHandler?.();
+});
+
+// Switches to tokens another tab stored after `refreshToken` was tried;
+// false when there are none
+const adoptStoredAuth = (refreshToken) => {
+  const stored = readAuth();
+  if (!stored?.refreshToken || stored.refreshToken === refreshToken || stored.username !== auth?.username) return false;
+  auth = stored;
+  return true;
+};
+
+const OTHER_TAB_WAIT_MS = 3000;
+
+// Resolves true once another tab stores newer tokens, false after the wait
+const waitForOtherTab = (refreshToken) =>
+  new Promise((resolve) => {
+    const done = (adopted) => {
+      window.removeEventListener('storage', onStorage);
+      clearTimeout(timer);
+      resolve(adopted);
+    };
+    const onStorage = () => adoptStoredAuth(refreshToken) && done(true);
+    const timer = setTimeout(() => done(adoptStoredAuth(refreshToken)), OTHER_TAB_WAIT_MS);
+    window.addEventListener('storage', onStorage);
+  });
+
+// ── Errors ───────────────────────────────────────────────────────────────────
+// The server answers failures with { error, code, details? }. ApiError keeps
+// the code so callers can branch on it, and its message is the user-facing
+// text for that code (the server's own text for validation errors, which
+// name the offending field).
+
+const ERROR_MESSAGES = {
+  USERNAME_TAKEN: 'That username is already taken.',
+  INVALID_CREDENTIALS: 'Unknown username or wrong password.',
+  ACCOUNT_DISABLED: 'This account has been disabled. Contact an administrator.',
+  AUTH_REQUIRED: 'Please log in to continue.',
+  INVALID_TOKEN: 'Your session has expired — please log in again.',
+  FORBIDDEN: "You don't have access to that.",
+  NOT_FOUND: 'That item no longer exists.',
+  INVALID_ID: 'That link or item is not valid.',
+  INVALID_JSON: 'The request could not be read.',
+  CONFLICT: 'That change conflicts with a newer one.',
+  PAYLOAD_TOO_LARGE: 'That file is too large.',
+  UNSUPPORTED_MEDIA_TYPE: 'That file type is not supported.',
+  QUOTA_EXCEEDED: 'You have used up your token allowance. Try again when it resets.',
+  UPSTREAM_FAILED: 'The model could not answer right now. Please try again.',
+  INTERNAL: 'Something went wrong on the server. Please try again.',
+};
+
+const SERVER_TEXT_CODES = new Set(['VALIDATION_FAILED', 'CONFLICT', 'UPSTREAM_FAILED']);
+
+export class ApiError extends Error {
+  constructor(code, message, { status = 0, details, requestId = null, ...extra } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+    this.requestId = requestId; // the id the server logged the request under
+    this.extra = extra;
+  }
+}
+
+// body: the parsed error body (or {}); used for HTTP errors and SSE error events
+export const toApiError = (body, { status = 0, fallback = '', requestId = null } = {}) => {
+  const { error, code = null, requestId: bodyRequestId, ...extra } = body || {};
+  const message =
+    (SERVER_TEXT_CODES.has(code) && error) || ERROR_MESSAGES[code] || error || fallback || ERROR_MESSAGES.INTERNAL;
+  return new ApiError(code, message, { status, requestId: requestId || bodyRequestId || null, ...extra });
+};
+
+export const responseError = async (res) => {
+  const text = await res.text().catch(() => '');
+  let body = null;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    // Not JSON, e.g. a proxy error page
+  }
+  return toApiError(body, {
+    status: res.status,
+    fallback: res.statusText,
+    requestId: res.headers.get('X-Request-Id'),
+  });
+};
+
+// Called when the refresh token is rejected, so the app can return to login.
+export const onAuthExpired = (fn) => {
+  authExpiredHandler = fn;
+};
+
+// ── Request ids ──────────────────────────────────────────────────────────────
+// Every call sends a fresh X-Request-Id; the server logs the request under it
+// and returns it, so a failure seen here can be found in the server logs.
+
+export const newRequestId = () => {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  // randomUUID needs a secure context; plain-http deployments fall back to this
+  const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Identifies this tab. Changes it makes come back on the live-update stream
+// tagged with it, so the tab can skip its own echo (src/services/liveSync.js).
+let clientId = null;
+export const getClientId = () => {
+  if (!clientId) clientId = newRequestId();
+  return clientId;
+};
+
+export const authHeaders = () =>
+  auth?.accessToken ? { Authorization: `Bearer ${auth.accessToken}` } : {};
+
+const refreshAuth = () => {
+  // Concurrent 401s share one refresh round-trip
+  if (!refreshing) {
+    const refreshToken = auth?.refreshToken;
+    // Another tab may have refreshed already
+    if (adoptStoredAuth(refreshToken)) return Promise.resolve();
+    refreshing = fetch(`${API}/api/users/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Request-Id': newRequestId() },
+      body: JSON.stringify({ refreshToken }),
+    })
+      .then(async (res) => {
+        if (!res.ok) {
+          // Turned down because another tab used the token first?
+          if (res.status === 401 && (await waitForOtherTab(refreshToken))) return;
+          throw new Error('Session expired');
+        }
+        const data = await res.json();
+        setAuth({
+          username: data.username,
+          role: data.role,
+          accessToken: data.accessToken,
+          refreshToken: data.refreshToken,
+        });
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+// Raw authenticated fetch — returns the Response so callers can stream the body.
+export const apiFetch = async (path, options = {}, retried = false) => {
   const res = await fetch(`${API}${path}`, {
-    headers: { 'Content-Type': 'application/json', ...options.headers },
     ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Request-Id': newRequestId(),
+      'X-Client-Id': getClientId(),
+      ...authHeaders(),
+      ...options.headers,
+    },
   });
+  if (res.status === 401 && auth?.refreshToken && !retried) {
+    try {
+      await refreshAuth();
+    } catch {
+      // Tokens another tab stored meanwhile (a new login) are its to keep
+      if (readAuth()?.refreshToken === auth?.refreshToken) setAuth(null);
+      else auth = null;
+      authExpiredHandler?.();
+      throw new ApiError('INVALID_TOKEN', ERROR_MESSAGES.INVALID_TOKEN, { status: 401 });
+    }
+    return apiFetch(path, options, true);
+  }
+  return res;
+};
+
+const api = async (path, options = {}) => {
+  const res = await apiFetch(path, options);
+  if (!res.ok) throw await responseError(res);
   const text = await res.text();
-  if (!res.ok) throw new Error(text || res.statusText);
   return text ? JSON.parse(text) : {};
 };
 
@@ -24,42 +232,424 @@ export const findUser = async (username, password) => {
     method: 'POST',
     body: JSON.stringify({ username, password }),
   });
-  return data.ok ? { username: data.username } : null;
+  if (!data.ok) return null;
+  setAuth({
+    username: data.username,
+    role: data.role,
+    accessToken: data.accessToken,
+    refreshToken: data.refreshToken,
+  });
+  return { username: data.username, role: data.role };
+};
+
+export const logoutUser = async () => {
+  const refreshToken = auth?.refreshToken;
+  setAuth(null);
+  if (!refreshToken) return;
+  try {
+    await api('/api/users/logout', {
+      method: 'POST',
+      body: JSON.stringify({ refreshToken }),
+    });
+  } catch {
+    // Token is already gone locally; a failed revoke just lets it expire
+  }
+};
+
+// ── Personas ─────────────────────────────────────────────────────────────────
+
+// { defaultId, personas: [{ id, name, avatar, description, tools, greeting, builtIn }] }
+export const getPersonas = async () => {
+  return api('/api/personas');
+};
+
+// ── Models ───────────────────────────────────────────────────────────────────
+
+// { provider, defaultModel, models: [{ id, label }], safetyLevels, limits }
+export const getModels = async () => {
+  return api('/api/models');
 };
 
 // ── Sessions ─────────────────────────────────────────────────────────────────
 
-export const getSessions = async (username) => {
-  return api(`/api/sessions?username=${encodeURIComponent(username)}`);
+export const getSessions = async () => {
+  return api('/api/sessions');
 };
 
-export const createSession = async (username, agent = null, title = null) => {
+// agent: a persona id from getPersonas(); null picks the default persona
+export const createSession = async (agent = null, title = null) => {
   return api('/api/sessions', {
     method: 'POST',
-    body: JSON.stringify({ username, agent, title }),
+    body: JSON.stringify({ agent, title }),
   });
 };
 
+// Moves the chat to the trash; restoreSessions() brings it back
 export const deleteSession = async (sessionId) => {
   return api(`/api/sessions/${sessionId}`, { method: 'DELETE' });
 };
 
-export const updateSessionTitle = async (sessionId, title) => {
+// source: 'user' for a rename, 'ai' for a generated title. The server refuses
+// (409) to replace a title the user typed with a generated one.
+export const updateSessionTitle = async (sessionId, title, source = 'user') => {
   return api(`/api/sessions/${sessionId}/title`, {
     method: 'PATCH',
-    body: JSON.stringify({ title }),
+    body: JSON.stringify({ title, source }),
+  });
+};
+
+// Asks the model for a descriptive title; does not save it.
+export const suggestSessionTitle = async (sessionId) => {
+  const data = await api(`/api/sessions/${sessionId}/title/suggest`, { method: 'POST' });
+  return data.title;
+};
+
+// fields: any of { pinned, folder, tags }. Returns the updated session.
+export const updateSession = async (sessionId, fields) => {
+  return api(`/api/sessions/${sessionId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(fields),
+  });
+};
+
+// generation: { model, temperature, topP, maxOutputTokens, safety }, each null
+// for the default. Replaces the chat's settings; returns the updated session.
+export const updateSessionGeneration = async (sessionId, generation) => {
+  return api(`/api/sessions/${sessionId}/generation`, {
+    method: 'PUT',
+    body: JSON.stringify(generation),
   });
 };
 
+export const moveSessions = async (sessionIds, folder) => {
+  return api('/api/sessions/bulk', {
+    method: 'POST',
+    body: JSON.stringify({ action: 'move', ids: sessionIds, folder }),
+  });
+};
+
+export const deleteSessions = async (sessionIds) => {
+  return api('/api/sessions/bulk', {
+    method: 'POST',
+    body: JSON.stringify({ action: 'delete', ids: sessionIds }),
+  });
+};
+
+// ── Trash ────────────────────────────────────────────────────────────────────
+
+// Returns { retentionDays, sessions: [{ id, title, createdAt, messageCount,
+// folder, deletedAt, purgeAt }] }, most recently deleted first.
+export const getTrash = async () => {
+  return api('/api/trash');
+};
+
+export const restoreSessions = async (sessionIds) => {
+  return api('/api/trash/restore', {
+    method: 'POST',
+    body: JSON.stringify({ ids: sessionIds }),
+  });
+};
+
+export const deleteSessionsForever = async (sessionIds) => {
+  return api('/api/trash/delete', {
+    method: 'POST',
+    body: JSON.stringify({ ids: sessionIds }),
+  });
+};
+
+export const emptyTrash = async () => {
+  return api('/api/trash', { method: 'DELETE' });
+};
+
+// ── Export / import ──────────────────────────────────────────────────────────
+
+// format: 'md' | 'html' | 'json'. Downloads the file through a temporary link.
+export const exportSession = async (sessionId, format) => {
+  const res = await apiFetch(`/api/sessions/${sessionId}/export?format=${format}`);
+  if (!res.ok) throw await responseError(res);
+  const filename =
+    res.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `chat.${format}`;
+  const url = URL.createObjectURL(await res.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Takes a File picked by the user (a JSON export); returns the new session.
+export const importSession = async (file) => {
+  const data = await api('/api/sessions/import', { method: 'POST', body: await file.text() });
+  return data.session;
+};
+
+// ── Sharing ──────────────────────────────────────────────────────────────────
+
+// Mints a new read-only link (revoking any previous one). expiresInDays: null
+// for a link that never expires. Returns { token, createdAt, expiresAt, showUsername }.
+export const shareSession = async (sessionId, { expiresInDays = null, showUsername = false } = {}) => {
+  return api(`/api/sessions/${sessionId}/share`, {
+    method: 'POST',
+    body: JSON.stringify({ expiresInDays, showUsername }),
+  });
+};
+
+export const unshareSession = async (sessionId) => {
+  return api(`/api/sessions/${sessionId}/share`, { method: 'DELETE' });
+};
+
+// The page a share link opens; the React app renders it with SharedView.
+export const shareUrl = (token) => `${window.location.origin}/share/${token}`;
+
+// Public — no auth header, so a viewer without an account can load it.
+export const loadSharedSession = async (token) => {
+  const res = await fetch(`${API}/api/shared/${token}`, { headers: { 'X-Request-Id': newRequestId() } });
+  if (!res.ok) throw await responseError(res);
+  return res.json();
+};
+
+export const sharedAttachmentUrl = (token, attachmentId) =>
+  `${API}/api/shared/${token}/attachments/${attachmentId}`;
+
+// ── Members ──────────────────────────────────────────────────────────────────
+// role: 'editor' (may post) or 'viewer' (read only); see server/members.js.
+
+// Returns { owner, role, members: [{ username, role, addedAt }], invites } —
+// invites (pending, [{ username, role, invitedAt, invitedBy }]) only for the owner.
+export const getMembers = async (sessionId) => {
+  return api(`/api/sessions/${sessionId}/members`);
+};
+
+export const inviteMember = async (sessionId, username, role = 'editor') => {
+  return api(`/api/sessions/${sessionId}/members`, {
+    method: 'POST',
+    body: JSON.stringify({ username, role }),
+  });
+};
+
+// Works for members and pending invites alike
+export const setMemberRole = async (sessionId, username, role) => {
+  return api(`/api/sessions/${sessionId}/members/${encodeURIComponent(username)}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ role }),
+  });
+};
+
+// Removes a member or withdraws an invite; with your own username, leaves the chat
+export const removeMember = async (sessionId, username) => {
+  return api(`/api/sessions/${sessionId}/members/${encodeURIComponent(username)}`, { method: 'DELETE' });
+};
+
+// Returns [{ sessionId, title, owner, role, invitedAt, invitedBy }]
+export const getInvites = async () => {
+  return api('/api/invites');
+};
+
+// Returns the session the invite was for, as a member now sees it
+export const acceptInvite = async (sessionId) => {
+  return api(`/api/invites/${sessionId}/accept`, { method: 'POST' });
+};
+
+export const declineInvite = async (sessionId) => {
+  return api(`/api/invites/${sessionId}/decline`, { method: 'POST' });
+};
+
+// ── Attachments ──────────────────────────────────────────────────────────────
+
+// Uploads an image File/Blob; returns { id, mimeType, name, size }.
+export const uploadAttachment = async (file, name = file.name) => {
+  return api('/api/attachments', {
+    method: 'POST',
+    headers: {
+      'Content-Type': file.type,
+      ...(name && { 'X-Filename': encodeURIComponent(name) }),
+    },
+    body: file,
+  });
+};
+
+// Images another member posted are only served with the id of the chat they
+// are in, so pass sessionId when showing a chat's messages.
+const attachmentPath = (attachmentId, sessionId) =>
+  `/api/attachments/${attachmentId}${sessionId ? `?session_id=${sessionId}` : ''}`;
+
+// Attachments need the auth header, so they are fetched here and shown
+// through an object URL. The caller must URL.revokeObjectURL() it.
+export const fetchAttachmentUrl = async (attachmentId, sessionId) => {
+  const res = await apiFetch(attachmentPath(attachmentId, sessionId));
+  if (!res.ok) throw await responseError(res);
+  return URL.createObjectURL(await res.blob());
+};
+
+// Base64 bytes of an attachment, for sending a stored image to the model
+// again when a message is edited or its reply regenerated.
+export const fetchAttachmentData = async (attachmentId, sessionId) => {
+  const res = await apiFetch(attachmentPath(attachmentId, sessionId));
+  if (!res.ok) throw await responseError(res);
+  const blob = await res.blob();
+  const data = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(',')[1]);
+    reader.onerror = reject;
+    reader.readAsDataURL(blob);
+  });
+  return { mimeType: blob.type, data };
+};
+
 // ── Messages ─────────────────────────────────────────────────────────────────
 
-export const saveMessage = async (sessionId, role, content, imageData = null, charts = null, toolCalls = null) => {
+// extra: { parentId, attachments, charts, toolCalls, csvName, parts, grounding,
+// path, generation } — attachments are ids returned by uploadAttachment; path is
+// the route that produced a model answer ('tools' | 'code' | 'search') and
+// generation the settings it was generated with; parentId places
+// the message in the conversation tree (null = new root, omitted = continue
+// the active branch). Returns { ok, id, parentId }.
+export const saveMessage = async (sessionId, role, content, extra = {}) => {
   return api('/api/messages', {
     method: 'POST',
-    body: JSON.stringify({ session_id: sessionId, role, content, imageData, charts, toolCalls }),
+    body: JSON.stringify({ session_id: sessionId, role, content, ...extra }),
+  });
+};
+
+// Returns { messages, hasMore, nextCursor } — the newest page of the branch
+// being shown, oldest-first. Pass nextCursor as `before` to load the page of
+// older messages, or `from` (a message id) to load everything from that
+// message to the end of its branch.
+export const loadMessages = async (sessionId, { before, from, limit } = {}) => {
+  const params = new URLSearchParams({ session_id: sessionId });
+  if (before) params.set('before', before);
+  if (from) params.set('from', from);
+  if (limit) params.set('limit', limit);
+  return api(`/api/messages?${params}`);
+};
+
+// Shows the branch through messageId (an alternative from `branch.ids`).
+export const selectBranch = async (sessionId, messageId) => {
+  return api(`/api/sessions/${sessionId}/branch`, {
+    method: 'PUT',
+    body: JSON.stringify({ messageId }),
+  });
+};
+
+// ── Feedback ─────────────────────────────────────────────────────────────────
+
+// rating: 'up' | 'down'; returns the saved { rating, comment }
+export const rateMessage = async (messageId, rating, comment = '') => {
+  return api(`/api/messages/${messageId}/feedback`, {
+    method: 'PUT',
+    body: JSON.stringify({ rating, comment }),
+  });
+};
+
+export const clearMessageFeedback = async (messageId) => {
+  return api(`/api/messages/${messageId}/feedback`, { method: 'DELETE' });
+};
+
+// ── Search ───────────────────────────────────────────────────────────────────
+
+// Returns { query, results } ranked best-first; see server/routes/search.js.
+export const searchConversations = async (query, limit = 20) => {
+  const params = new URLSearchParams({ q: query, limit });
+  return api(`/api/search?${params}`);
+};
+
+// ── Usage ────────────────────────────────────────────────────────────────────
+
+// { day, month, action, status } — status is 'ok' | 'warning' | 'exceeded'
+export const getQuota = async () => {
+  return api('/api/usage/quota');
+};
+
+// { quota, pricing, days, totals, daily, bySession, byKind }; see server/routes/usage.js
+export const getUsage = async (days = 30) => {
+  return api(`/api/usage?days=${days}`);
+};
+
+// ── Settings ─────────────────────────────────────────────────────────────────
+
+// { customInstructions, updatedAt, maxLength }
+export const getSettings = async () => {
+  return api('/api/settings');
+};
+
+export const saveCustomInstructions = async (customInstructions) => {
+  return api('/api/settings', {
+    method: 'PUT',
+    body: JSON.stringify({ customInstructions }),
+  });
+};
+
+// { persona: { id, name }, systemPrompt } — the prompt a chat with `persona`
+// gets; pass customInstructions to preview text that is not saved yet
+export const previewSystemPrompt = async (persona = null, customInstructions) => {
+  return api('/api/settings/preview', {
+    method: 'POST',
+    body: JSON.stringify({ persona, customInstructions }),
+  });
+};
+
+// ── Admin ────────────────────────────────────────────────────────────────────
+// Only work for accounts with role 'admin'; everything else gets 403.
+
+// { usersCount, disabledCount, sessionsCount, messagesCount, days, daily: [{ day, activeUsers, messages }] }
+export const getAdminStats = async (days = 30) => {
+  return api(`/api/admin/stats?days=${days}`);
+};
+
+// Token usage per user: { days, totals, byUser }
+export const getAdminUsage = async (days = 30) => {
+  return api(`/api/admin/usage?days=${days}`);
+};
+
+// Returns { users, total }
+export const listAdminUsers = async ({ q = '', skip = 0, limit = 50 } = {}) => {
+  const params = new URLSearchParams({ q, skip, limit });
+  return api(`/api/admin/users?${params}`);
+};
+
+// fields: any of { disabled, role }; returns the updated user row
+export const updateAdminUser = async (username, fields) => {
+  return api(`/api/admin/users/${encodeURIComponent(username)}`, {
+    method: 'PATCH',
+    body: JSON.stringify(fields),
+  });
+};
+
+export const deleteAdminUser = async (username) => {
+  return api(`/api/admin/users/${encodeURIComponent(username)}`, { method: 'DELETE' });
+};
+
+// Returns { user, sessions }
+export const getAdminUserSessions = async (username) => {
+  return api(`/api/admin/users/${encodeURIComponent(username)}/sessions`);
+};
+
+// Returns { session, messages } — the branch the owner currently sees
+export const getAdminSessionMessages = async (sessionId) => {
+  return api(`/api/admin/sessions/${sessionId}/messages`);
+};
+
+// { defaultId, personas } like getPersonas(), with every systemPrompt
+export const getAdminPersonas = async () => {
+  return api('/api/admin/personas');
+};
+
+// persona: { key, name, avatar, description, systemPrompt, tools, greeting }
+export const createAdminPersona = async (persona) => {
+  return api('/api/admin/personas', {
+    method: 'POST',
+    body: JSON.stringify(persona),
+  });
+};
+
+// fields: any of { name, avatar, description, systemPrompt, tools, greeting }
+export const updateAdminPersona = async (id, fields) => {
+  return api(`/api/admin/personas/${encodeURIComponent(id)}`, {
+    method: 'PATCH',
+    body: JSON.stringify(fields),
   });
 };
 
-export const loadMessages = async (sessionId) => {
-  return api(`/api/messages?session_id=${encodeURIComponent(sessionId)}`);
+export const deleteAdminPersona = async (id) => {
+  return api(`/api/admin/personas/${encodeURIComponent(id)}`, { method: 'DELETE' });
 };
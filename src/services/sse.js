@@ -0,0 +1,33 @@
+// Reads a text/event-stream response body (fetch, so the request can carry
+// the auth header, which EventSource cannot) and yields the JSON of every
+// `data:` frame. Comment frames such as heartbeats are skipped. A caller that
+// stops early (break, throw) closes the connection, so the server stops too.
+export async function* readEvents(res) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finished = false;
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        finished = true;
+        return;
+      }
+      buffer += decoder.decode(value, { stream: true });
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const frame = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        const data = frame
+          .split('\n')
+          .filter((line) => line.startsWith('data:'))
+          .map((line) => line.slice(5).trimStart())
+          .join('\n');
+        if (data) yield JSON.parse(data);
+      }
+    }
+  } finally {
+    if (!finished) reader.cancel().catch(() => {});
+  }
+}